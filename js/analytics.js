@@ -0,0 +1,250 @@
+/**
+ * Аналитика по истории инвентаризаций
+ *
+ * Строится из строк отчетов (поле items в inventory_reports) и локального журнала
+ * движений, поэтому работает без интернета. Недостача строки — отрицательная разница,
+ * расход между подсчетами — прошлый подсчет плюс поступления минус новый подсчет.
+ * Графики возвращаются строкой SVG.
+ */
+
+import { getSignedQuantity } from './stock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Движения, которые меняют остаток, но расходом не являются (списания и бой — расход)
+const NON_CONSUMPTION_MOVEMENT_TYPES = ['receipt', 'transfer_in', 'transfer_out'];
+
+/**
+ * Время отчета (для сортировки и интервалов)
+ *
+ * @param {Object} report - Отчет
+ * @returns {number} - Миллисекунды (0, если дата не задана)
+ */
+export function getReportTime(report) {
+  return Date.parse(report?.created_at || report?.date || '') || 0;
+}
+
+/**
+ * Отчеты от старых к новым
+ *
+ * @param {Array} reports - Отчеты
+ * @returns {Array}
+ */
+function sortReports(reports) {
+  return [...(reports || [])].sort((a, b) => getReportTime(a) - getReportTime(b));
+}
+
+/**
+ * Округлить количество до тысячных
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function roundQuantity(value) {
+  return Math.round((Number(value) || 0) * 1000) / 1000;
+}
+
+/**
+ * Динамика количества и недостач по отчетам
+ *
+ * @param {Array} reports - Отчеты
+ * @param {Object} filter - { itemId } или { category }; пустой — все товары
+ * @param {Object} itemsById - Товары по ID (категория для старых отчетов без нее)
+ * @returns {Array} - [{ report_id, time, quantity, shortage, surplus, lines }] от старых к новым
+ */
+export function buildTrendSeries(reports, filter = {}, itemsById = {}) {
+  const category = filter.category ? String(filter.category).trim().toLowerCase() : null;
+
+  return sortReports(reports).map(report => {
+    const point = { report_id: report.id, time: getReportTime(report), quantity: 0, shortage: 0, surplus: 0, lines: 0 };
+
+    (report.items || []).forEach(line => {
+      if (filter.itemId && line.item_id !== filter.itemId) return;
+      if (category) {
+        const lineCategory = line.category ?? itemsById[line.item_id]?.category ?? '';
+        if (String(lineCategory).trim().toLowerCase() !== category) return;
+      }
+
+      const difference = Number(line.difference) || 0;
+      point.quantity += Number(line.quantity) || 0;
+      if (difference < 0) point.shortage -= difference;
+      if (difference > 0) point.surplus += difference;
+      point.lines++;
+    });
+
+    point.quantity = roundQuantity(point.quantity);
+    point.shortage = roundQuantity(point.shortage);
+    point.surplus = roundQuantity(point.surplus);
+    return point;
+  });
+}
+
+/**
+ * Товары, которых регулярно не хватает
+ *
+ * @param {Array} reports - Отчеты
+ * @param {number} limit - Сколько товаров вернуть
+ * @param {number} minShortReports - В скольких отчетах должна быть недостача
+ * @returns {Array} - [{ item_id, item_name, short_reports, counted_reports, total_shortage }]
+ */
+export function getChronicShortages(reports, limit = 10, minShortReports = 2) {
+  const byItem = new Map();
+
+  sortReports(reports).forEach(report => {
+    (report.items || []).forEach(line => {
+      if (!line.item_id) return;
+      if (!byItem.has(line.item_id)) {
+        byItem.set(line.item_id, { item_id: line.item_id, item_name: line.item_name, short_reports: 0, counted_reports: 0, total_shortage: 0 });
+      }
+      const entry = byItem.get(line.item_id);
+      // Название — из последнего отчета
+      entry.item_name = line.item_name || entry.item_name;
+      entry.counted_reports++;
+
+      const difference = Number(line.difference) || 0;
+      if (difference < 0) {
+        entry.short_reports++;
+        entry.total_shortage = roundQuantity(entry.total_shortage - difference);
+      }
+    });
+  });
+
+  return Array.from(byItem.values())
+    .filter(entry => entry.short_reports >= minShortReports)
+    .sort((a, b) => b.short_reports - a.short_reports
+      || b.short_reports / b.counted_reports - a.short_reports / a.counted_reports
+      || b.total_shortage - a.total_shortage)
+    .slice(0, limit);
+}
+
+/**
+ * Поступления товара за интервал (from; to] по журналу движений
+ * Перемещения на другую точку уменьшают поступления, списания и бой не учитываются.
+ *
+ * @param {Array} movements - Движения товара
+ * @param {number} from - Начало интервала (мс)
+ * @param {number} to - Конец интервала (мс)
+ * @returns {number}
+ */
+function sumReceipts(movements, from, to) {
+  return (movements || []).reduce((sum, movement) => {
+    if (!NON_CONSUMPTION_MOVEMENT_TYPES.includes(movement.type)) return sum;
+    const time = Date.parse(movement.moved_at || '');
+    if (Number.isNaN(time) || time <= from || time > to) return sum;
+    return sum + getSignedQuantity(movement);
+  }, 0);
+}
+
+/**
+ * Расход товаров между подсчетами
+ * Расход интервала = прошлый подсчет + поступления за интервал − новый подсчет.
+ * Это фактическое потребление, а не недостача: проданное вино тоже расход.
+ *
+ * @param {Array} reports - Отчеты
+ * @param {Array} movements - Журнал движений (stock_movements)
+ * @returns {Array} - [{ item_id, item_name, intervals, consumed, days, per_day, last_per_day }] по убыванию расхода в день
+ */
+export function getConsumptionRates(reports, movements = []) {
+  const lastSeen = new Map();
+  const byItem = new Map();
+  const movementsByItem = new Map();
+
+  (movements || []).forEach(movement => {
+    if (!movement?.item_id) return;
+    if (!movementsByItem.has(movement.item_id)) movementsByItem.set(movement.item_id, []);
+    movementsByItem.get(movement.item_id).push(movement);
+  });
+
+  sortReports(reports).forEach(report => {
+    const time = getReportTime(report);
+
+    (report.items || []).forEach(line => {
+      if (!line.item_id || line.quantity === null || line.quantity === undefined) return;
+      const previous = lastSeen.get(line.item_id);
+      lastSeen.set(line.item_id, { time, quantity: Number(line.quantity) || 0 });
+      if (!previous || time <= previous.time) return;
+
+      const receipts = sumReceipts(movementsByItem.get(line.item_id), previous.time, time);
+      const consumed = previous.quantity + receipts - (Number(line.quantity) || 0);
+      const days = (time - previous.time) / DAY_MS;
+
+      if (!byItem.has(line.item_id)) {
+        byItem.set(line.item_id, { item_id: line.item_id, item_name: line.item_name, intervals: 0, consumed: 0, days: 0, last_per_day: 0 });
+      }
+      const entry = byItem.get(line.item_id);
+      entry.item_name = line.item_name || entry.item_name;
+      entry.intervals++;
+      entry.consumed += consumed;
+      entry.days += days;
+      entry.last_per_day = roundQuantity(consumed / days);
+    });
+  });
+
+  return Array.from(byItem.values())
+    .map(entry => ({
+      ...entry,
+      consumed: roundQuantity(entry.consumed),
+      days: Math.round(entry.days * 10) / 10,
+      per_day: roundQuantity(entry.consumed / entry.days)
+    }))
+    .filter(entry => entry.per_day > 0)
+    .sort((a, b) => b.per_day - a.per_day);
+}
+
+/**
+ * Изменение последнего значения относительно предыдущего, в процентах
+ *
+ * @param {Array<number>} values - Значения от старых к новым
+ * @returns {number|null} - null, если сравнивать не с чем
+ */
+export function getLastChangePercent(values) {
+  if (!values || values.length < 2) return null;
+  const previous = values[values.length - 2];
+  const last = values[values.length - 1];
+  if (!previous) return null;
+  return Math.round(((last - previous) / previous) * 1000) / 10;
+}
+
+/**
+ * График динамики: линия количества и столбцы недостач
+ *
+ * @param {Array} series - Точки (см. buildTrendSeries)
+ * @param {Object} options - { width, height }
+ * @returns {string} - Разметка SVG
+ */
+export function renderTrendChart(series, { width = 380, height = 120 } = {}) {
+  const points = series || [];
+  if (points.length === 0) return '';
+
+  const maxQuantity = Math.max(...points.map(point => point.quantity), 1);
+  const maxShortage = Math.max(...points.map(point => point.shortage), 1);
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const x = index => (points.length > 1 ? index * step : width / 2);
+  // Линия занимает всю высоту (с отступом сверху), столбцы — нижние 40%
+  const y = value => Math.round((height - (value / maxQuantity) * (height - 8)) * 10) / 10;
+  const barWidth = Math.max(2, Math.min(16, (points.length > 1 ? step : width) * 0.4));
+
+  const coords = points.map((point, index) => [Math.round(x(index) * 10) / 10, y(point.quantity)]);
+  const line = coords.map(([px, py], index) => `${index === 0 ? 'M' : 'L'}${px} ${py}`).join(' ');
+  const area = `${line} V${height} H${coords[0][0]} Z`;
+
+  const bars = points.map((point, index) => {
+    if (!point.shortage) return '';
+    const barHeight = Math.round((point.shortage / maxShortage) * height * 0.4 * 10) / 10;
+    return `<rect x="${Math.round((x(index) - barWidth / 2) * 10) / 10}" y="${height - barHeight}" width="${barWidth}" height="${barHeight}" rx="2" fill="#ef4444" fill-opacity="0.35"></rect>`;
+  }).join('');
+
+  const dots = points.map((point, index) => {
+    const date = new Date(point.time).toLocaleDateString('ru-RU');
+    return `<circle cx="${coords[index][0]}" cy="${coords[index][1]}" r="3" fill="#137fec"><title>${date}: ${point.quantity}, недостача ${point.shortage}</title></circle>`;
+  }).join('');
+
+  return `<svg class="w-full h-full overflow-visible" fill="none" preserveAspectRatio="none" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+    <line stroke="#E2E8F0" stroke-dasharray="4 4" stroke-width="1" x1="0" x2="${width}" y1="${height}" y2="${height}"></line>
+    <line stroke="#E2E8F0" stroke-dasharray="4 4" stroke-width="1" x1="0" x2="${width}" y1="${height / 2}" y2="${height / 2}"></line>
+    ${bars}
+    <path d="${area}" fill="#137fec" fill-opacity="0.08"></path>
+    <path d="${line}" stroke="#137fec" stroke-linecap="round" stroke-linejoin="round" stroke-width="3"></path>
+    ${dots}
+  </svg>`;
+}
@@ -7,11 +7,27 @@
 
 import { initDB } from './db.js';
 import * as db from './db.js';
-import { setupAutoSync, fullSync } from './sync.js';
+import { setupAutoSync, fullSync, getSyncConflicts, resolveSyncConflict, getSyncStatus } from './sync.js';
 import * as items from './items.js';
 import * as inventory from './inventory.js';
 import * as supabase from './supabase.js';
 import { showConfirm, showDangerConfirm, showAlert, showModal, closeModal } from './modal.js';
+import { openLabelGenerator } from './labels.js';
+import { getZoneProgress } from './zones.js';
+import { loadVarianceThresholds, saveVarianceThresholds } from './variance.js';
+import * as movements from './movements.js';
+import { MOVEMENT_TYPES, REASON_REQUIRED_TYPES, WRITE_OFF_REASONS, getSignedQuantity, sumMovementsByItem, getSessionCutoff, getWriteOffReport, BASELINE_TYPES, DEFAULT_BASELINE_TYPE } from './stock.js';
+import { getCounterName, getCounterStats } from './counting.js';
+import { formatPurchaseOrderText, formatOrderDays, getNextOrderDate, getExpectedDeliveryDate, ORDER_DAY_LABELS } from './purchasing.js';
+import * as suppliers from './suppliers.js';
+import { buildTrendSeries, getChronicShortages, getConsumptionRates, getLastChangePercent, renderTrendChart } from './analytics.js';
+import { diffReports, DIFF_STATUS } from './report-diff.js';
+import { CORRECTION_ACTIONS, getOpenCorrections } from './corrections.js';
+import { AUDIT_ENTITIES, AUDIT_ACTIONS, AUDIT_SOURCES, formatAuditValue } from './audit.js';
+import { getAuditLog } from './audit-log.js';
+import * as auth from './auth.js';
+import { ROLES, PERMISSIONS } from './roles.js';
+import { formatMoney, roundMoney, COSTING_METHODS, loadCostingMethod, saveCostingMethod, buildCostLayers, getLayeredUnitCost } from './valuation.js';
 
 // Состояние приложения
 const appState = {
@@ -40,6 +56,17 @@ export async function initApp() {
     await initDB();
     console.log('База данных инициализирована');
 
+    // Завершаем вход по ссылке из письма (токены приходят во фрагменте адреса)
+    try {
+      const signedInUser = await auth.handleAuthRedirect();
+      if (signedInUser) {
+        showSuccess(`Вход выполнен: ${signedInUser.email || ''}`);
+      }
+    } catch (error) {
+      console.error('Ошибка входа по ссылке:', error);
+      showAlert(error.message, 'Вход');
+    }
+
     // Настраиваем автоматическую синхронизацию
     setupAutoSync();
     console.log('Автоматическая синхронизация настроена');
@@ -256,7 +283,7 @@ async function initInventoryPage() {
 
     if (activeSession) {
       // Обновляем информацию о сессии на странице
-      await updateInventoryOverview(activeSession, allItems.length);
+      await updateInventoryOverview(activeSession, allItems.length, allItems);
 
       // Показываем кнопку "Продолжить" и "Закончить", скрываем "Начать новую"
       if (continueButton) {
@@ -310,19 +337,7 @@ async function initInventoryPage() {
         // Удаляем старые обработчики, если они есть
         newSessionButton.replaceWith(newSessionButton.cloneNode(true));
         const newNewSessionButton = document.querySelector('[data-new-session]');
-        newNewSessionButton.addEventListener('click', async () => {
-          try {
-            const today = new Date().toISOString().split('T')[0];
-            const newSession = await inventory.createInventorySession({
-              date: today,
-              status: 'in_progress'
-            });
-            navigateTo(`inventory-session.html?id=${newSession.id}`);
-          } catch (error) {
-            console.error('Ошибка создания новой сессии:', error);
-            showError('Не удалось создать новую сессию инвентаризации');
-          }
-        });
+        newNewSessionButton.addEventListener('click', showNewSessionModal);
       }
     }
 
@@ -347,13 +362,105 @@ async function initInventoryPage() {
   }
 }
 
+/**
+ * Окно запуска новой инвентаризации
+ * Здесь выбирается слепой подсчет: считающие не видят прошлых количеств,
+ * пока руководитель не откроет их PIN-кодом (в отчете они видны всегда),
+ * и база сравнения «Было» (см. BASELINE_TYPES) — она закрепляется в сессии.
+ */
+async function showNewSessionModal() {
+  let completedSessions = [];
+  try {
+    completedSessions = (await inventory.getAllInventorySessions())
+      .filter(session => session.status === 'completed')
+      .sort((a, b) => String(b.date || '').localeCompare(String(a.date || ''))
+        || String(b.completed_at || b.updated_at || '').localeCompare(String(a.completed_at || a.updated_at || '')));
+  } catch (error) {
+    console.warn('Не удалось загрузить прошлые инвентаризации:', error);
+  }
+
+  const startSession = async () => {
+    const blindCount = document.getElementById('new-session-blind')?.checked || false;
+    const blindPin = document.getElementById('new-session-pin')?.value.trim() || '';
+    const baselineType = document.getElementById('new-session-baseline')?.value || DEFAULT_BASELINE_TYPE;
+    const baselineSessionId = baselineType === 'session'
+      ? document.getElementById('new-session-baseline-session')?.value || ''
+      : '';
+
+    if (baselineType === 'session' && !baselineSessionId) {
+      await showAlert('Выберите инвентаризацию, с которой сравнивать.', 'Новая инвентаризация');
+      return;
+    }
+
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const newSession = await inventory.createInventorySession({
+        date: today,
+        status: 'in_progress',
+        blind_count: blindCount,
+        blind_pin: blindPin,
+        baseline_type: baselineType,
+        baseline_session_id: baselineSessionId || null
+      });
+      navigateTo(`inventory-session.html?id=${newSession.id}`);
+    } catch (error) {
+      console.error('Ошибка создания новой сессии:', error);
+      showError('Не удалось создать новую сессию инвентаризации');
+    }
+  };
+
+  const selectClass = 'w-full h-12 px-3 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+  const baselineOptions = Object.entries(BASELINE_TYPES)
+    .filter(([type]) => type !== 'session' || completedSessions.length > 0)
+    .map(([type, { label }]) => `<option value="${type}" ${type === DEFAULT_BASELINE_TYPE ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+  const sessionOptions = completedSessions
+    .map(session => `<option value="${escapeHtml(session.id)}">${escapeHtml(new Date(session.date || session.created_at).toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' }))}${session.items_count ? ` · ${session.items_count} поз.` : ''}</option>`)
+    .join('');
+
+  showModal({
+    title: 'Новая инвентаризация',
+    message: `
+      <label class="flex items-start gap-3 cursor-pointer mb-3">
+        <input id="new-session-blind" type="checkbox" class="mt-1 size-5 rounded border-slate-300 text-primary focus:ring-primary" />
+        <span>
+          <span class="block font-bold text-slate-900 dark:text-white">Слепой подсчет</span>
+          <span class="block text-xs text-slate-500 dark:text-slate-400">Прошлые количества и разница скрыты на экране подсчета, чтобы их не переписывали. В отчете они видны.</span>
+        </span>
+      </label>
+      <input id="new-session-pin" type="password" inputmode="numeric" maxlength="8" autocomplete="off"
+        class="w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-base font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none"
+        placeholder="PIN руководителя (необязательно)" />
+      <div class="flex flex-col gap-2 mt-4 text-left">
+        <label class="text-xs font-bold uppercase text-slate-400">Сравнивать с («Было»)
+          <select id="new-session-baseline" class="${selectClass} mt-1">${baselineOptions}</select>
+        </label>
+        <p id="new-session-baseline-hint" class="text-xs text-slate-500 dark:text-slate-400">${escapeHtml(BASELINE_TYPES[DEFAULT_BASELINE_TYPE].description)}</p>
+        <select id="new-session-baseline-session" class="${selectClass} hidden">${sessionOptions}</select>
+      </div>
+    `,
+    buttons: [
+      { text: 'Начать', primary: true, onClick: startSession },
+      { text: 'Отмена' }
+    ]
+  });
+
+  const baselineSelect = document.getElementById('new-session-baseline');
+  baselineSelect?.addEventListener('change', () => {
+    const hint = document.getElementById('new-session-baseline-hint');
+    if (hint) hint.textContent = BASELINE_TYPES[baselineSelect.value]?.description || '';
+    document.getElementById('new-session-baseline-session')?.classList.toggle('hidden', baselineSelect.value !== 'session');
+  });
+}
+
 /**
  * Обновить обзор инвентаризации на главной странице
  * 
  * @param {Object} session - Сессия инвентаризации
  * @param {number} totalItems - Общее количество товаров в базе
+ * @param {Array} allItems - Товары (для прогресса по зонам)
  */
-async function updateInventoryOverview(session, totalItems) {
+async function updateInventoryOverview(session, totalItems, allItems = []) {
   try {
     // Получаем записи инвентаризации для этой сессии
     const inventoryItems = await inventory.getInventoryItemsBySession(session.id);
@@ -398,6 +505,9 @@ async function updateInventoryOverview(session, totalItems) {
       progressTextEl.textContent = `Обработано ${processedCount} из ${totalItems} позиций`;
     }
 
+    // Прогресс по зонам (Бар, Кухня, Склад…)
+    renderZonesProgress(getZoneProgress(session.zones || [], allItems, inventoryItems));
+
     // Проверяем расхождения
     const warningsSection = document.getElementById('warnings-section');
     const warningsText = document.getElementById('warnings-text');
@@ -421,6 +531,13 @@ async function updateInventoryOverview(session, totalItems) {
         warningMessage += `-${negativeCount} недостача`;
       }
 
+      // Расхождения больше порога, которые еще ждут пересчета
+      const recountQueue = await inventory.getSessionRecountQueue(session.id, inventoryItems).catch(() => []);
+      const pendingRecounts = recountQueue.filter(entry => !entry.resolved).length;
+      if (pendingRecounts > 0) {
+        warningMessage += `. Ждут пересчета: ${pendingRecounts}`;
+      }
+
       warningsText.textContent = warningMessage;
     } else if (warningsSection) {
       warningsSection.style.display = 'none';
@@ -430,6 +547,42 @@ async function updateInventoryOverview(session, totalItems) {
   }
 }
 
+/**
+ * Показать прогресс по зонам на главной странице
+ *
+ * @param {Array} zones - Зоны с прогрессом (getZoneProgress)
+ */
+function renderZonesProgress(zones) {
+  const zonesEl = document.getElementById('zones-progress');
+  if (!zonesEl) return;
+
+  if (zones.length === 0) {
+    zonesEl.classList.add('hidden');
+    zonesEl.innerHTML = '';
+    return;
+  }
+
+  zonesEl.classList.remove('hidden');
+  zonesEl.innerHTML = zones.map(zone => {
+    const isDone = zone.status === 'done';
+    return `
+      <div>
+        <div class="flex items-center justify-between text-xs mb-1 gap-2">
+          <span class="flex items-center gap-1 font-semibold text-slate-700 dark:text-slate-200 min-w-0">
+            <span class="material-symbols-outlined text-[16px] ${isDone ? 'text-green-500' : 'text-slate-400'}">${isDone ? 'check_circle' : 'radio_button_unchecked'}</span>
+            <span class="truncate">${escapeHtml(zone.location)}</span>
+            <span class="font-normal text-slate-400 dark:text-slate-500 truncate">${zone.counter ? '· ' + escapeHtml(zone.counter) : '· не назначена'}</span>
+          </span>
+          <span class="shrink-0 text-slate-500 dark:text-slate-400">${zone.counted} / ${zone.total}</span>
+        </div>
+        <div class="h-1.5 w-full bg-slate-100 dark:bg-slate-700 rounded-full overflow-hidden">
+          <div class="h-full ${isDone ? 'bg-green-500' : 'bg-primary'} rounded-full" style="width: ${zone.percent}%"></div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
 /**
  * Обновить историю инвентаризаций
  * 
@@ -475,14 +628,68 @@ function updateInventoryHistory(reports) {
   });
 }
 
+/**
+ * Проверить зоны перед завершением инвентаризации
+ * Если не все зоны отмечены готовыми, менеджер может завершить сессию под свою ответственность.
+ *
+ * @param {string} sessionId - ID сессии
+ * @param {HTMLElement} completeModal - Окно завершения (прячем его на время вопроса)
+ * @returns {Promise<{override: boolean}|null>} - Параметры завершения или null, если отменили
+ */
+async function confirmZonesOverride(sessionId, completeModal) {
+  const session = await inventory.refreshInventorySession(sessionId);
+  const openZones = (session?.zones || []).filter(zone => zone.status !== 'done');
+  if (openZones.length === 0) {
+    return { override: false };
+  }
+
+  completeModal.classList.add('hidden');
+  completeModal.classList.remove('flex');
+
+  const zonesList = openZones
+    .map(zone => `<li>${escapeHtml(zone.location)}${zone.counter ? ` — ${escapeHtml(zone.counter)}` : ''}</li>`)
+    .join('');
+  const confirmed = await showConfirm(
+    `<p class="mb-2">Не отмечены готовыми зоны:</p><ul class="list-disc pl-5 mb-3">${zonesList}</ul>` +
+    '<p>Завершить инвентаризацию от имени менеджера? Это будет записано в сессии.</p>',
+    'Не все зоны готовы'
+  );
+
+  return confirmed ? { override: true } : null;
+}
+
 /**
  * Показать модальное окно для завершения инвентаризации
  * 
  * @param {string} sessionId - ID сессии
  */
-function showCompleteModal(sessionId) {
+async function showCompleteModal(sessionId) {
   const modal = document.getElementById('complete-modal');
   if (!modal) return;
+  if (!requirePermission('complete_session')) return;
+
+  // Позиции с расхождением больше порога нужно пересчитать или прокомментировать
+  try {
+    const pendingRecounts = (await inventory.getSessionRecountQueue(sessionId)).filter(entry => !entry.resolved);
+    if (pendingRecounts.length > 0) {
+      const itemsList = pendingRecounts
+        .slice(0, 10)
+        .map(entry => `<li>${escapeHtml(entry.item?.name || 'Без названия')}</li>`)
+        .join('');
+      const more = pendingRecounts.length > 10 ? `<p class="mt-1">…и еще ${pendingRecounts.length - 10}</p>` : '';
+      await showAlert(
+        `<p class="mb-2">Расхождение больше порога, а пересчета или комментария нет:</p><ul class="list-disc pl-5">${itemsList}</ul>${more}` +
+        '<p class="mt-3">Откройте подсчет и закройте позиции в очереди «Нужен пересчет».</p>',
+        'Нужен пересчет'
+      );
+      return;
+    }
+  } catch (error) {
+    // Без проверки завершать нельзя: позиции с расхождением могли остаться без пересчета
+    console.error('Не удалось проверить очередь пересчета:', error);
+    showError('Не удалось проверить очередь пересчета: ' + error.message);
+    return;
+  }
 
   modal.classList.remove('hidden');
   modal.classList.add('flex');
@@ -494,25 +701,26 @@ function showCompleteModal(sessionId) {
 
   const handleYes = async () => {
     try {
+      const completeOptions = await confirmZonesOverride(sessionId, modal);
+      if (!completeOptions) return;
+
+      // Сначала завершаем сессию: она проверяет пересчет и зоны, и при отказе отчета не остается
+      await inventory.completeInventorySession(sessionId, completeOptions);
+
       // Создаем отчет
       const report = await inventory.createInventoryReport(sessionId);
 
-      // Завершаем сессию
-      await inventory.completeInventorySession(sessionId);
-
       showSuccess('Отчет сформирован и сохранен');
 
       // Закрываем модальное окно
       modal.classList.add('hidden');
       modal.classList.remove('flex');
 
-      // Обновляем страницу через небольшую задержку
-      setTimeout(() => {
-        window.location.reload();
-      }, 1500);
+      // Предлагаем заказ по минимальным запасам, затем обновляем страницу
+      await offerPurchaseOrderAfterCompletion(sessionId);
     } catch (error) {
       console.error('Ошибка завершения инвентаризации:', error);
-      showError('Не удалось завершить инвентаризацию и создать отчет');
+      showError('Не удалось завершить инвентаризацию и создать отчет: ' + error.message);
     }
   };
 
@@ -523,16 +731,17 @@ function showCompleteModal(sessionId) {
 
   const handleNoReport = async () => {
     try {
-      await inventory.completeInventorySession(sessionId);
+      const completeOptions = await confirmZonesOverride(sessionId, modal);
+      if (!completeOptions) return;
+
+      await inventory.completeInventorySession(sessionId, completeOptions);
 
       showSuccess('Инвентаризация завершена без отчета');
 
       modal.classList.add('hidden');
       modal.classList.remove('flex');
 
-      setTimeout(() => {
-        window.location.reload();
-      }, 1500);
+      await offerPurchaseOrderAfterCompletion(sessionId);
     } catch (error) {
       console.error('Ошибка завершения инвентаризации без отчета:', error);
       showError('Не удалось завершить инвентаризацию без отчета');
@@ -553,6 +762,30 @@ function showCompleteModal(sessionId) {
   newNoReportButton.addEventListener('click', handleNoReport);
 }
 
+/**
+ * После завершения инвентаризации показать предлагаемый заказ (если есть что заказать)
+ * Страница обновляется после закрытия окна заказа.
+ *
+ * @param {string} sessionId - ID завершенной сессии
+ */
+async function offerPurchaseOrderAfterCompletion(sessionId) {
+  const reloadPage = () => setTimeout(() => window.location.reload(), 1500);
+
+  let order = null;
+  try {
+    order = await inventory.getSessionPurchaseOrder(sessionId);
+  } catch (error) {
+    console.warn('Не удалось собрать заказ поставщикам:', error);
+  }
+
+  if (!order || order.total_lines === 0) {
+    reloadPage();
+    return;
+  }
+
+  showPurchaseOrder(order, new Date().toLocaleDateString('ru-RU'), reloadPage);
+}
+
 /**
  * Инициализация страницы списка товаров
  */
@@ -698,6 +931,15 @@ async function initItemsPage() {
       });
     }, 100);
 
+    // Печать этикеток для текущего фильтра категории
+    const labelsBtn = document.getElementById('labels-btn');
+    if (labelsBtn) {
+      labelsBtn.addEventListener('click', () => {
+        const category = window.currentCategory && window.currentCategory !== 'all' ? window.currentCategory : '';
+        openLabelGenerator({ category });
+      });
+    }
+
     // Инициализируем модальное окно добавления товара
     initAddItemModal();
   } catch (error) {
@@ -719,6 +961,7 @@ function initAddItemModal() {
 
   // Открытие модального окна
   const openModal = () => {
+    if (!requirePermission('edit_items')) return;
     modal.classList.remove('hidden');
     modal.classList.add('flex');
     // Сбрасываем форму
@@ -1353,11 +1596,17 @@ async function initInventorySessionPage() {
     const completeButton = document.querySelector('[data-complete-session]');
     if (completeButton) {
       completeButton.addEventListener('click', async () => {
-        await inventory.completeInventorySession(sessionId);
-        showSuccess('Инвентаризация завершена');
-        setTimeout(() => {
-          navigateTo('index.html');
-        }, 1500);
+        if (!requirePermission('complete_session')) return;
+        try {
+          await inventory.completeInventorySession(sessionId);
+          showSuccess('Инвентаризация завершена');
+          setTimeout(() => {
+            navigateTo('index.html');
+          }, 1500);
+        } catch (error) {
+          console.error('Ошибка завершения сессии:', error);
+          showError(error.message);
+        }
       });
     }
   } catch (error) {
@@ -1408,6 +1657,19 @@ async function initItemDetailsPage() {
 
     // Отображаем детали товара
     renderItemDetails(item);
+    renderItemMovements(item);
+
+    // Обработчик кнопки добавления движения
+    const addMovementButton = document.getElementById('add-movement-button');
+    if (addMovementButton) {
+      addMovementButton.addEventListener('click', () => showMovementModal(currentItem));
+    }
+
+    // Обработчик быстрого списания
+    const writeOffButton = document.getElementById('write-off-button');
+    if (writeOffButton) {
+      writeOffButton.addEventListener('click', () => showWriteOffModal(currentItem));
+    }
 
     // Обработчик кнопки "Назад"
     const backButton = document.getElementById('back-button');
@@ -1622,6 +1884,48 @@ function renderItemDetails(item) {
   if (skuDisplay) skuDisplay.textContent = item.sku || 'Не указан';
   if (skuEdit) skuEdit.value = item.sku || '';
 
+  // Штрихкод
+  const barcodeDisplay = document.getElementById('item-barcode-display');
+  const barcodeEdit = document.getElementById('item-barcode-edit');
+  if (barcodeDisplay) barcodeDisplay.textContent = item.barcode || 'Не указан';
+  if (barcodeEdit) barcodeEdit.value = item.barcode || '';
+
+  // Минимальный запас и кратность заказа
+  const parDisplay = document.getElementById('item-par-display');
+  const parEdit = document.getElementById('item-par-edit');
+  const reorderEdit = document.getElementById('item-reorder-edit');
+  if (parDisplay) {
+    const unit = item.unit || 'шт.';
+    parDisplay.textContent = item.par_level !== null && item.par_level !== undefined
+      ? `${item.par_level} ${unit}${item.reorder_qty ? ` · заказывать по ${item.reorder_qty} ${unit}` : ''}`
+      : 'Не указан';
+  }
+  if (parEdit) parEdit.value = item.par_level ?? '';
+  if (reorderEdit) reorderEdit.value = item.reorder_qty ?? '';
+
+  // Себестоимость и последние изменения цены
+  const costDisplay = document.getElementById('item-cost-display');
+  const costHistory = document.getElementById('item-cost-history');
+  const costEdit = document.getElementById('item-cost-edit');
+  if (costDisplay) {
+    costDisplay.textContent = item.unit_cost !== null && item.unit_cost !== undefined
+      ? `${formatMoney(item.unit_cost)} за ${item.unit || 'шт.'}`
+      : 'Не указана';
+  }
+  if (costHistory) {
+    const historyText = (Array.isArray(item.cost_history) ? item.cost_history : [])
+      .slice(-4)
+      .reverse()
+      .map(entry => `${new Date(entry.changed_at).toLocaleDateString('ru-RU')}: ${formatMoney(entry.unit_cost)}`)
+      .join(' · ');
+    costHistory.textContent = historyText ? `История: ${historyText}` : '';
+    costHistory.classList.toggle('hidden', isEditMode || !historyText);
+  }
+  if (costEdit) costEdit.value = item.unit_cost ?? '';
+
+  // Поставщик (справочник загружается отдельно)
+  renderItemSupplier(item);
+
   // Дата обновления
   const updatedDisplay = document.getElementById('item-updated-display');
   if (updatedDisplay && item.updated_at) {
@@ -1697,6 +2001,187 @@ function renderItemDetails(item) {
   }
 }
 
+/**
+ * Показать движения товара и ожидаемый остаток на странице товара
+ * Ожидаемый остаток = подсчет последней инвентаризации + движения после нее.
+ * Текущий остаток не берем: быстрое списание уже уменьшило его.
+ *
+ * @param {Object} item - Товар
+ */
+async function renderItemMovements(item) {
+  const expectedEl = document.getElementById('movements-expected');
+  const listEl = document.getElementById('movements-list');
+  if (!expectedEl || !listEl) return;
+
+  try {
+    const itemMovements = await movements.getStockMovementsByItem(item.id);
+
+    const sessions = await inventory.getAllInventorySessions();
+    const lastCompleted = sessions
+      .filter(s => ['completed', 'complete', 'done'].includes((s.status || '').toLowerCase()))
+      .sort((a, b) => new Date(getSessionCutoff(b)) - new Date(getSessionCutoff(a)))[0];
+
+    const net = sumMovementsByItem(itemMovements, { from: getSessionCutoff(lastCompleted) })[item.id] || 0;
+    const unit = item.unit || 'шт.';
+
+    let counted = getItemQuantityValue(item);
+    if (lastCompleted) {
+      const countRow = (await inventory.getInventoryItemsBySession(lastCompleted.id)).find(row => row.item_id === item.id);
+      counted = countRow ? (Number(countRow.quantity) || 0) : 0;
+    }
+
+    if (net !== 0) {
+      const expected = Math.round((counted + net) * 1000) / 1000;
+      expectedEl.innerHTML = `Ожидается при следующем подсчете: <span class="font-bold text-slate-900 dark:text-white">${expected} ${escapeHtml(unit)}</span> (движения после инвентаризации: ${net > 0 ? '+' : ''}${net})`;
+    } else {
+      expectedEl.textContent = 'После последней инвентаризации движений не было';
+    }
+
+    if (itemMovements.length === 0) {
+      listEl.innerHTML = '<p class="text-sm text-slate-400 py-2">Движений пока нет</p>';
+      return;
+    }
+
+    listEl.innerHTML = itemMovements.slice(0, 20).map(movement => {
+      const signed = getSignedQuantity(movement);
+      const price = movement.unit_cost !== null && movement.unit_cost !== undefined ? `по ${formatMoney(movement.unit_cost)}` : '';
+      const details = [movement.counterparty, price, movement.reason, movement.employee || movement.created_by].filter(Boolean).map(escapeHtml).join(' · ');
+      const date = new Date(movement.moved_at);
+      return `
+        <div class="flex items-center gap-3 py-2">
+          <div class="flex-1 min-w-0">
+            <p class="text-sm font-medium text-slate-900 dark:text-white">${escapeHtml(MOVEMENT_TYPES[movement.type]?.label || movement.type)}</p>
+            <p class="text-xs text-slate-500 dark:text-slate-400 truncate">${isNaN(date.getTime()) ? '' : date.toLocaleString('ru-RU', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}${details ? ' · ' + details : ''}</p>
+          </div>
+          ${movement.photo_url ? `<a href="${escapeHtml(movement.photo_url)}" target="_blank" rel="noopener" class="text-slate-400 hover:text-primary" title="Фото"><span class="material-symbols-outlined text-[20px]">photo_camera</span></a>` : ''}
+          <span class="text-sm font-bold ${signed > 0 ? 'text-green-600' : 'text-red-500'}">${signed > 0 ? '+' : ''}${signed}</span>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Ошибка загрузки движений товара:', error);
+    expectedEl.textContent = 'Не удалось загрузить движения';
+  }
+}
+
+/**
+ * Окно записи движения товара (поступление, списание, перемещение)
+ *
+ * @param {Object} item - Товар
+ */
+function showMovementModal(item) {
+  if (!item) return;
+  if (!requirePermission('edit_items')) return;
+
+  const saveMovement = async () => {
+    try {
+      const result = await movements.recordItemMovement(item, {
+        type: document.getElementById('movement-type')?.value,
+        quantity: document.getElementById('movement-quantity')?.value,
+        counterparty: document.getElementById('movement-counterparty')?.value,
+        unit_cost: document.getElementById('movement-unit-cost')?.value,
+        reason: document.getElementById('movement-reason')?.value
+      });
+      updateItemQuantityAfterMovement(item, result.item);
+    } catch (error) {
+      console.error('Ошибка записи движения:', error);
+      await showAlert(error.message);
+    }
+  };
+
+  const fieldClass = 'w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-base font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+
+  showModal({
+    title: `Движение: ${item.name}`,
+    message: `
+      <div class="flex flex-col gap-3">
+        <select id="movement-type" class="${fieldClass}">
+          ${Object.entries(MOVEMENT_TYPES).map(([type, { label }]) => `<option value="${type}">${label}</option>`).join('')}
+        </select>
+        <input id="movement-quantity" type="number" inputmode="decimal" min="0" step="any" class="${fieldClass}"
+          placeholder="Количество, ${escapeHtml(item.unit || 'шт.')}" />
+        <input id="movement-counterparty" type="text" class="${fieldClass}" placeholder="Поставщик или точка (необязательно)" />
+        <input id="movement-unit-cost" type="number" inputmode="decimal" min="0" step="any" class="${fieldClass}"
+          placeholder="Цена за ${escapeHtml(item.unit || 'шт.')}, ₽ (для поступления)" />
+        <input id="movement-reason" type="text" class="${fieldClass}"
+          placeholder="Причина (обязательна для: ${REASON_REQUIRED_TYPES.map(type => MOVEMENT_TYPES[type].label.toLowerCase()).join(', ')})" />
+      </div>
+    `,
+    buttons: [
+      { text: 'Записать', primary: true, onClick: saveMovement },
+      { text: 'Отмена' }
+    ]
+  });
+}
+
+/**
+ * Обновить остаток и список движений на странице товара после записи движения
+ *
+ * @param {Object} item - Товар до движения
+ * @param {Object} updatedItem - Товар после изменения остатка
+ */
+function updateItemQuantityAfterMovement(item, updatedItem) {
+  currentItem = { ...item, ...updatedItem };
+  const quantityInput = document.getElementById('item-quantity');
+  if (quantityInput) {
+    quantityInput.value = getItemQuantityValue(currentItem);
+  }
+  renderItemMovements(currentItem);
+}
+
+/**
+ * Окно быстрого списания: количество, причина, сотрудник и фото
+ *
+ * @param {Object} item - Товар
+ */
+function showWriteOffModal(item) {
+  if (!item) return;
+  if (!requirePermission('edit_items')) return;
+
+  const saveWriteOff = async () => {
+    const photoInput = document.getElementById('write-off-photo');
+    try {
+      const result = await movements.createWriteOff({
+        item,
+        quantity: document.getElementById('write-off-quantity')?.value,
+        reason: document.getElementById('write-off-reason')?.value,
+        employee: document.getElementById('write-off-employee')?.value,
+        photo: photoInput?.files?.[0] || null
+      });
+
+      updateItemQuantityAfterMovement(item, result.item);
+      showSuccess(`Списано: ${result.movement.quantity} ${item.unit || 'шт.'}`);
+    } catch (error) {
+      console.error('Ошибка списания:', error);
+      await showAlert(error.message);
+    }
+  };
+
+  const fieldClass = 'w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-base font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+
+  showModal({
+    title: `Списание: ${item.name}`,
+    message: `
+      <div class="flex flex-col gap-3">
+        <input id="write-off-quantity" type="number" inputmode="decimal" min="0" step="any" value="1" class="${fieldClass}"
+          placeholder="Количество, ${escapeHtml(item.unit || 'шт.')}" />
+        <select id="write-off-reason" class="${fieldClass}">
+          ${WRITE_OFF_REASONS.map(reason => `<option value="${reason}">${reason.charAt(0).toUpperCase() + reason.slice(1)}</option>`).join('')}
+        </select>
+        <input id="write-off-employee" type="text" class="${fieldClass}" value="${escapeHtml(getCounterName())}" placeholder="Сотрудник" />
+        <label class="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400">
+          <span class="material-symbols-outlined text-[20px]">photo_camera</span>
+          <input id="write-off-photo" type="file" accept="image/*" capture="environment" class="text-xs flex-1 min-w-0" />
+        </label>
+      </div>
+    `,
+    buttons: [
+      { text: 'Списать', danger: true, onClick: saveWriteOff },
+      { text: 'Отмена' }
+    ]
+  });
+}
+
 function getItemQuantityValue(item) {
   const rawQuantity = item?.current_quantity ?? item?.quantity;
   const normalizedQuantity = Number(rawQuantity);
@@ -1714,6 +2199,7 @@ function updateSaveButtonText(quantity) {
  * Переключить режим редактирования
  */
 function toggleEditMode() {
+  if (!isEditMode && !requirePermission('edit_items')) return;
   isEditMode = !isEditMode;
 
   // Элементы для отображения и редактирования
@@ -1723,7 +2209,11 @@ function toggleEditMode() {
     { display: 'item-unit-display', edit: 'item-unit-edit', wrapper: 'item-unit-edit-wrapper' },
     { display: 'item-description-display', edit: 'item-description-edit', wrapper: null },
     { display: 'item-location-display', edit: 'item-location-edit', wrapper: 'item-location-edit-wrapper' },
-    { display: 'item-sku-display', edit: 'item-sku-edit', wrapper: 'item-sku-edit-wrapper' }
+    { display: 'item-sku-display', edit: 'item-sku-edit', wrapper: 'item-sku-edit-wrapper' },
+    { display: 'item-barcode-display', edit: 'item-barcode-edit', wrapper: 'item-barcode-edit-wrapper' },
+    { display: 'item-par-display', edit: 'item-par-edit', wrapper: 'item-par-edit-wrapper' },
+    { display: 'item-cost-display', edit: 'item-cost-edit', wrapper: 'item-cost-edit-wrapper' },
+    { display: 'item-supplier-display', edit: 'item-supplier-edit', wrapper: 'item-supplier-edit-wrapper' }
   ];
 
   displayElements.forEach(({ display, edit, wrapper }) => {
@@ -1742,8 +2232,10 @@ function toggleEditMode() {
         }
         // Копируем значение из отображения в поле редактирования (только для текстовых полей)
         if ((editEl.tagName === 'TEXTAREA' || editEl.tagName === 'INPUT') && editEl.type !== 'file') {
-          if (editEl.value === '' || editEl.value === '-') {
-            editEl.value = displayEl.textContent.trim();
+          // Заглушки вроде "Не указан" не переносим, иначе они сохранятся как значение
+          const displayText = displayEl.textContent.trim();
+          if ((editEl.value === '' || editEl.value === '-') && !displayText.startsWith('Не указан')) {
+            editEl.value = displayText;
           }
         } else if (editEl.tagName === 'SELECT' && currentItem) {
           console.log('DEBUG: Setting SELECT value', edit, currentItem);
@@ -1823,6 +2315,14 @@ function toggleEditMode() {
     }
   });
 
+  // Контакты поставщика и история себестоимости в режиме правки не нужны
+  ['item-supplier-details', 'item-cost-history'].forEach(id => {
+    const detailsEl = document.getElementById(id);
+    if (detailsEl) {
+      detailsEl.classList.toggle('hidden', isEditMode || !detailsEl.textContent.trim());
+    }
+  });
+
   // Управление секцией редактирования изображения
   const imageEditSection = document.getElementById('item-image-edit-section');
   if (imageEditSection) {
@@ -1913,6 +2413,94 @@ function toggleEditMode() {
   }
 }
 
+/**
+ * Контакты и график поставщика одной строкой: "Иван · +7… · заказ пн, чт · поставка 2 дн."
+ *
+ * @param {Object} supplier - Поставщик
+ * @returns {string}
+ */
+function formatSupplierDetails(supplier) {
+  const orderDays = formatOrderDays(supplier.order_days);
+  return [
+    supplier.contact_name,
+    supplier.phone,
+    supplier.email,
+    orderDays ? `заказ ${orderDays}` : '',
+    supplier.lead_time_days !== null && supplier.lead_time_days !== undefined ? `поставка ${supplier.lead_time_days} дн.` : ''
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Показать поставщика товара и заполнить список выбора для режима правки
+ *
+ * @param {Object} item - Товар
+ */
+async function renderItemSupplier(item) {
+  const display = document.getElementById('item-supplier-display');
+  const details = document.getElementById('item-supplier-details');
+  const select = document.getElementById('item-supplier-edit');
+  const skuEdit = document.getElementById('item-supplier-sku-edit');
+  const priceEdit = document.getElementById('item-supplier-price-edit');
+  if (!display) return;
+
+  let allSuppliers = [];
+  try {
+    allSuppliers = await suppliers.getAllSuppliers();
+  } catch (error) {
+    console.warn('Не удалось загрузить поставщиков:', error);
+  }
+
+  const supplier = allSuppliers.find(entry => entry.id === item.supplier_id) || null;
+  const terms = [
+    item.supplier_sku ? `арт. ${item.supplier_sku}` : '',
+    item.supplier_price !== null && item.supplier_price !== undefined ? `${item.supplier_price} ₽` : ''
+  ].filter(Boolean).join(', ');
+
+  display.textContent = supplier ? `${supplier.name}${terms ? ` (${terms})` : ''}` : 'Не указан';
+  if (details) {
+    const detailsText = supplier ? formatSupplierDetails(supplier) : '';
+    details.textContent = detailsText;
+    details.classList.toggle('hidden', !detailsText);
+  }
+
+  if (select) {
+    select.innerHTML = [
+      '<option value="">Не указан</option>',
+      ...allSuppliers.map(entry => `<option value="${escapeHtml(entry.id)}">${escapeHtml(entry.name)}</option>`),
+      '<option value="__new__">+ Новый поставщик</option>'
+    ].join('');
+    select.value = supplier ? supplier.id : '';
+
+    // Новый поставщик создается прямо из карточки товара и сразу выбирается
+    select.onchange = () => {
+      if (select.value !== '__new__') return;
+      select.value = supplier ? supplier.id : '';
+      showSupplierFormModal(null, (created) => {
+        const option = document.createElement('option');
+        option.value = created.id;
+        option.textContent = created.name;
+        select.insertBefore(option, select.lastElementChild);
+        select.value = created.id;
+      });
+    };
+  }
+  if (skuEdit) skuEdit.value = item.supplier_sku || '';
+  if (priceEdit) priceEdit.value = item.supplier_price ?? '';
+}
+
+/**
+ * Привести необязательное количество к числу (пустое или некорректное — null)
+ * Понимает запятую как десятичный разделитель: "0,5" из Excel или с телефона.
+ *
+ * @param {*} value - Значение из формы или ячейки
+ * @returns {number|null}
+ */
+function parseOptionalQuantity(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(String(value).replace(',', '.').trim());
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
 /**
  * Сохранить изменения товара
  */
@@ -1937,6 +2525,13 @@ async function saveItemChanges() {
     const descriptionEdit = document.getElementById('item-description-edit');
     const locationEdit = document.getElementById('item-location-edit');
     const skuEdit = document.getElementById('item-sku-edit');
+    const barcodeEdit = document.getElementById('item-barcode-edit');
+    const parEdit = document.getElementById('item-par-edit');
+    const reorderEdit = document.getElementById('item-reorder-edit');
+    const supplierEdit = document.getElementById('item-supplier-edit');
+    const supplierSkuEdit = document.getElementById('item-supplier-sku-edit');
+    const supplierPriceEdit = document.getElementById('item-supplier-price-edit');
+    const costEdit = document.getElementById('item-cost-edit');
     const quantityInput = document.getElementById('item-quantity');
 
     // Название (обязательное поле)
@@ -1974,6 +2569,35 @@ async function saveItemChanges() {
       updates.sku = skuEdit.value.trim() || null;
     }
 
+    // Штрихкод
+    if (barcodeEdit) {
+      updates.barcode = barcodeEdit.value.trim() || null;
+    }
+
+    // Минимальный запас и кратность заказа (пустое поле — не задано)
+    if (parEdit) {
+      updates.par_level = parseOptionalQuantity(parEdit.value);
+    }
+    if (reorderEdit) {
+      updates.reorder_qty = parseOptionalQuantity(reorderEdit.value);
+    }
+
+    // Поставщик, артикул и цена у поставщика
+    if (supplierEdit && supplierEdit.value !== '__new__') {
+      updates.supplier_id = supplierEdit.value || null;
+    }
+    if (supplierSkuEdit) {
+      updates.supplier_sku = supplierSkuEdit.value.trim() || null;
+    }
+    if (supplierPriceEdit) {
+      updates.supplier_price = parseOptionalQuantity(supplierPriceEdit.value);
+    }
+
+    // Себестоимость (изменение попадает в историю, см. items.updateItem)
+    if (costEdit) {
+      updates.unit_cost = parseOptionalQuantity(costEdit.value);
+    }
+
     // Количество (Текущий остаток)
     if (quantityInput && quantityInput.value !== undefined) {
       updates.current_quantity = parseFloat(quantityInput.value) || 0;
@@ -2069,6 +2693,7 @@ async function handleDeleteItem() {
     showError('Товар не загружен');
     return;
   }
+  if (!requirePermission('edit_items')) return;
 
   // Показываем подтверждение удаления
   const confirmed = await showDangerConfirm(`Вы уверены, что хотите удалить позицию "${currentItem.name}"?\n\nЭто действие удалит позицию из локального хранилища и с сервера. Это действие нельзя отменить.`);
@@ -2812,7 +3437,7 @@ function parseExcelFile(file) {
         const result = [];
 
         // 2. Парсинг данных
-        // Структура колонок (1..8):
+        // Структура колонок (1..14):
         // 1: Артикул (sku)
         // 2: Фото (photo/image) - игнорируем здесь, берем из объектов
         // 3: Название (name)
@@ -2821,6 +3446,12 @@ function parseExcelFile(file) {
         // 6: Единицы измерения (unit)
         // 7: Место хранения (location)
         // 8: Текущее количество (quantity)
+        // 9: Минимальный запас (par_level) - необязательно
+        // 10: Кратность заказа (reorder_qty) - необязательно
+        // 11: Поставщик (supplier_name) - необязательно, создается в справочнике при импорте
+        // 12: Артикул поставщика (supplier_sku) - необязательно
+        // 13: Цена поставщика (supplier_price) - необязательно
+        // 14: Себестоимость (unit_cost) - необязательно
 
         for (let i = firstDataRowIndex; i < rawData.length; i++) {
           const row = rawData[i];
@@ -2844,6 +3475,12 @@ function parseExcelFile(file) {
             quantity: (row[7] !== null && row[7] !== undefined && row[7] !== '')
               ? Number(row[7])
               : 0,
+            par_level: parseOptionalQuantity(row[8]),
+            reorder_qty: parseOptionalQuantity(row[9]),
+            supplier_name: String(row[10] ?? '').trim(),
+            supplier_sku: String(row[11] ?? '').trim(),
+            supplier_price: parseOptionalQuantity(row[12]),
+            unit_cost: parseOptionalQuantity(row[13]),
             _excelRowNumber: i + 1 // Номер строки в Excel (1-based)
           };
 
@@ -3000,6 +3637,9 @@ async function processImportedData(rawData, extractedImages = new Map(), imageRo
   };
 
   const existingItems = await items.getAllItems();
+  // Справочник поставщиков: чтобы понять, изменился ли поставщик у существующего товара
+  const existingSuppliers = await suppliers.getAllSuppliers().catch(() => []);
+  const supplierNamesById = Object.fromEntries(existingSuppliers.map(supplier => [supplier.id, String(supplier.name).trim().toLowerCase()]));
   const { uploadFileToStorage } = await import('./supabase.js');
 
   // Отслеживание дубликатов и SKU внутри файла
@@ -3014,7 +3654,13 @@ async function processImportedData(rawData, extractedImages = new Map(), imageRo
     'категория': 'category', 'category': 'category',
     'единицы измерения': 'unit', 'единица': 'unit', 'unit': 'unit',
     'место хранения': 'location', 'location': 'location',
-    'количество': 'quantity', 'текущее количество': 'quantity'
+    'количество': 'quantity', 'текущее количество': 'quantity',
+    'минимальный запас': 'par_level', 'мин. запас': 'par_level', 'par_level': 'par_level',
+    'кратность заказа': 'reorder_qty', 'заказывать по': 'reorder_qty', 'reorder_qty': 'reorder_qty',
+    'поставщик': 'supplier_name', 'supplier': 'supplier_name',
+    'артикул поставщика': 'supplier_sku', 'supplier_sku': 'supplier_sku',
+    'цена поставщика': 'supplier_price', 'цена закупки': 'supplier_price', 'supplier_price': 'supplier_price',
+    'себестоимость': 'unit_cost', 'unit_cost': 'unit_cost'
   };
 
   // Список всех имен файлов изображений для отслеживания невостребованных
@@ -3112,7 +3758,13 @@ async function processImportedData(rawData, extractedImages = new Map(), imageRo
       const isFullDuplicate =
         existing.name === name &&
         (existing.category || '') === (data.category || '') &&
-        (existing.location || '') === (data.location || '');
+        (existing.location || '') === (data.location || '') &&
+        (parseOptionalQuantity(data.par_level) === null || parseOptionalQuantity(data.par_level) === (existing.par_level ?? null)) &&
+        (parseOptionalQuantity(data.reorder_qty) === null || parseOptionalQuantity(data.reorder_qty) === (existing.reorder_qty ?? null)) &&
+        (!String(data.supplier_name || '').trim() || String(data.supplier_name).trim().toLowerCase() === supplierNamesById[existing.supplier_id]) &&
+        (!String(data.supplier_sku || '').trim() || String(data.supplier_sku).trim() === (existing.supplier_sku || '')) &&
+        (parseOptionalQuantity(data.supplier_price) === null || parseOptionalQuantity(data.supplier_price) === (existing.supplier_price ?? null)) &&
+        (parseOptionalQuantity(data.unit_cost) === null || parseOptionalQuantity(data.unit_cost) === (existing.unit_cost ?? null));
 
       if (isFullDuplicate) {
         processed.duplicates.push({
@@ -3133,6 +3785,13 @@ async function processImportedData(rawData, extractedImages = new Map(), imageRo
       unit: data.unit || 'шт',
       location: data.location || null,
       quantity: Number.isFinite(normalizedQuantity) ? normalizedQuantity : 0,
+      par_level: parseOptionalQuantity(data.par_level),
+      reorder_qty: parseOptionalQuantity(data.reorder_qty),
+      // Название поставщика превращается в ссылку на справочник при импорте (см. getImportedSupplierFields)
+      supplier_name: String(data.supplier_name || '').trim() || null,
+      supplier_sku: String(data.supplier_sku || '').trim() || null,
+      supplier_price: parseOptionalQuantity(data.supplier_price),
+      unit_cost: parseOptionalQuantity(data.unit_cost),
       image_url: data.image_url || null,
       _extractedImage: data._extractedImage || null,
       _excelRow: excelRow
@@ -3162,6 +3821,30 @@ async function processImportedData(rawData, extractedImages = new Map(), imageRo
 }
 
 
+/**
+ * Поля поставщика из строки импорта
+ * Название поставщика ищется в справочнике; если его нет — поставщик создается.
+ * Пустые ячейки не затирают то, что уже указано у товара.
+ *
+ * @param {Object} data - Данные строки (supplier_name, supplier_sku, supplier_price)
+ * @param {Map} supplierCache - Кэш поставщиков на время одного импорта
+ * @returns {Promise<Object>} - { supplier_id, supplier_sku, supplier_price } (только заполненные)
+ */
+async function getImportedSupplierFields(data, supplierCache) {
+  const fields = {};
+
+  const supplier = await suppliers.findOrCreateSupplierByName(data.supplier_name, supplierCache);
+  if (supplier) fields.supplier_id = supplier.id;
+
+  const supplierSku = String(data.supplier_sku ?? '').trim();
+  if (supplierSku) fields.supplier_sku = supplierSku;
+
+  const supplierPrice = parseOptionalQuantity(data.supplier_price);
+  if (supplierPrice !== null) fields.supplier_price = supplierPrice;
+
+  return fields;
+}
+
 /**
  * Загрузить извлеченные изображения в Supabase Storage
  * 
@@ -3752,6 +4435,7 @@ async function handleBulkUpdate(duplicates) {
   if (!duplicates || duplicates.length === 0) {
     return;
   }
+  if (!requirePermission('import')) return;
 
   const confirmed = await showConfirm(
     `Вы уверены, что хотите обновить все ${duplicates.length} дубликатов данными из файла?`
@@ -3767,6 +4451,7 @@ async function handleBulkUpdate(duplicates) {
     let updated = 0;
     let updatedLocal = 0;
     let failed = 0;
+    const supplierCache = new Map();
 
     // Обновляем каждый дубликат
     for (const duplicate of duplicates) {
@@ -3792,7 +4477,16 @@ async function handleBulkUpdate(duplicates) {
           image_url: imageUrl
         };
 
-        const result = await items.updateItem(duplicate.existing.id, updateData);
+        // Минимальный запас и себестоимость обновляем, только если они указаны в файле
+        const importedParLevel = parseOptionalQuantity(duplicate.data.par_level);
+        const importedReorderQty = parseOptionalQuantity(duplicate.data.reorder_qty);
+        if (importedParLevel !== null) updateData.par_level = importedParLevel;
+        if (importedReorderQty !== null) updateData.reorder_qty = importedReorderQty;
+        const importedUnitCost = parseOptionalQuantity(duplicate.data.unit_cost);
+        if (importedUnitCost !== null) updateData.unit_cost = importedUnitCost;
+        Object.assign(updateData, await getImportedSupplierFields(duplicate.data, supplierCache));
+
+        const result = await items.updateItem(duplicate.existing.id, updateData, { source: 'import' });
 
         // Проверяем, синхронизирован ли товар с сервером
         const isSynced = result && result.synced === true;
@@ -4605,6 +5299,7 @@ function createDuplicateElement(duplicate) {
 
   if (updateBtn) {
     updateBtn.addEventListener('click', async () => {
+      if (!requirePermission('import')) return;
       // Обновляем существующий товар данными из файла
       try {
         // Подготавливаем данные для обновления
@@ -4631,7 +5326,16 @@ function createDuplicateElement(duplicate) {
           image_url: imageUrl
         };
 
-        const result = await items.updateItem(duplicate.existing.id, updateData);
+        // Минимальный запас и себестоимость обновляем, только если они указаны в файле
+        const importedParLevel = parseOptionalQuantity(duplicate.data.par_level);
+        const importedReorderQty = parseOptionalQuantity(duplicate.data.reorder_qty);
+        if (importedParLevel !== null) updateData.par_level = importedParLevel;
+        if (importedReorderQty !== null) updateData.reorder_qty = importedReorderQty;
+        const importedUnitCost = parseOptionalQuantity(duplicate.data.unit_cost);
+        if (importedUnitCost !== null) updateData.unit_cost = importedUnitCost;
+        Object.assign(updateData, await getImportedSupplierFields(duplicate.data, new Map()));
+
+        const result = await items.updateItem(duplicate.existing.id, updateData, { source: 'import' });
 
         // Проверяем, синхронизирован ли товар с сервером
         const isSynced = result && result.synced === true;
@@ -4749,6 +5453,7 @@ function createProcessedDuplicateElement(duplicate, status) {
  */
 async function handleImport() {
   console.log('handleImport вызвана. Данные:', importedData);
+  if (!requirePermission('import')) return;
 
   // Проверяем, есть ли данные для импорта (новые товары или дубликаты с изображениями)
   const duplicatesWithImages = importedData.duplicates?.filter(dup =>
@@ -4788,6 +5493,7 @@ async function handleImport() {
     let failed = 0;
     const totalItems = importedData.items.length + duplicatesWithImages.length;
     let processedCount = 0;
+    const supplierCache = new Map();
 
     // Импортируем каждый товар
     for (let i = 0; i < importedData.items.length; i++) {
@@ -4797,7 +5503,7 @@ async function handleImport() {
         if (itemData.image_url) {
           console.log(`  → image_url: "${itemData.image_url}"`);
         }
-        await items.createItem(itemData);
+        await items.createItem({ ...itemData, ...(await getImportedSupplierFields(itemData, supplierCache)) }, { source: 'import' });
         imported++;
         processedCount++;
 
@@ -4827,7 +5533,7 @@ async function handleImport() {
             console.log(`Обновление изображения для "${existingItem.name}": ${newImageUrl}`);
             await items.updateItem(existingItem.id, {
               image_url: newImageUrl
-            });
+            }, { source: 'import' });
             imported++;
             updatedCount++;
             console.log(`✅ Изображение обновлено для "${existingItem.name}"`);
@@ -5009,11 +5715,23 @@ function initItemsManagementPage() {
   loadDataStats();
 
   // Получаем элементы карточек
+  const accountCard = document.getElementById('account-card');
   const exportCard = document.getElementById('export-card');
   const importCard = document.getElementById('import-card');
+  const labelsCard = document.getElementById('labels-card');
+  const thresholdsCard = document.getElementById('thresholds-card');
+  const suppliersCard = document.getElementById('suppliers-card');
+  const costingCard = document.getElementById('costing-card');
+  const auditCard = document.getElementById('audit-card');
   const deleteCard = document.getElementById('delete-card');
   const helpBtn = document.getElementById('help-btn');
 
+  // Обработчик карточки входа
+  if (accountCard) {
+    renderAccountCard();
+    accountCard.addEventListener('click', handleAccountCardClick);
+  }
+
   // Обработчик кнопки "Экспорт данных"
   if (exportCard) {
     exportCard.addEventListener('click', async () => {
@@ -5026,14 +5744,43 @@ function initItemsManagementPage() {
   if (importCard) {
     importCard.addEventListener('click', () => {
       console.log('Клик по карточке "Импорт данных"');
+      if (!requirePermission('import')) return;
       navigateTo('items-import.html');
     });
   }
 
+  // Обработчик кнопки "Этикетки"
+  if (labelsCard) {
+    labelsCard.addEventListener('click', () => {
+      openLabelGenerator();
+    });
+  }
+
+  // Обработчик кнопки "Пороги расхождений"
+  if (thresholdsCard) {
+    thresholdsCard.addEventListener('click', showThresholdsModal);
+  }
+
+  // Обработчик кнопки "Поставщики"
+  if (suppliersCard) {
+    suppliersCard.addEventListener('click', showSuppliersModal);
+  }
+
+  // Обработчик кнопки "Оценка запасов"
+  if (costingCard) {
+    costingCard.addEventListener('click', showCostingMethodModal);
+  }
+
+  // Обработчик кнопки "Журнал изменений"
+  if (auditCard) {
+    auditCard.addEventListener('click', () => showAuditLogModal());
+  }
+
   // Обработчик кнопки "Удалить все данные"
   if (deleteCard) {
     deleteCard.addEventListener('click', () => {
       console.log('Клик по карточке "Удалить все данные"');
+      if (!requirePermission('delete_all')) return;
       showDeleteConfirmModal();
     });
   }
@@ -5053,27 +5800,430 @@ function initItemsManagementPage() {
 }
 
 /**
- * Инициализация секции мониторинга и кэша
+ * Журнал изменений с фильтром по товару или сессии
+ *
+ * @param {Object} filter - { itemId, sessionId } — начальный фильтр
  */
-function initMonitoringSection() {
-  const syncNowBtn = document.getElementById('sync-now-btn');
-  const updateAppBtn = document.getElementById('update-app-btn');
-  const clearCacheBtn = document.getElementById('clear-cache-btn');
+async function showAuditLogModal(filter = {}) {
+  let allItems = [];
+  let allSessions = [];
+  try {
+    [allItems, allSessions] = await Promise.all([db.getAllItems(), db.getAllInventorySessions()]);
+  } catch (error) {
+    console.warn('Не удалось загрузить товары и сессии для журнала:', error);
+  }
+
+  const namesById = Object.fromEntries(allItems.map(item => [item.id, item.name]));
+  const selectClass = 'w-full h-11 px-3 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+  const itemOptions = [...allItems]
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'ru'))
+    .map(item => `<option value="${escapeHtml(item.id)}" ${item.id === filter.itemId ? 'selected' : ''}>${escapeHtml(item.name)}</option>`)
+    .join('');
+  const sessionOptions = [...allSessions]
+    .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+    .map(session => `<option value="${escapeHtml(session.id)}" ${session.id === filter.sessionId ? 'selected' : ''}>${escapeHtml(new Date(session.date || session.created_at).toLocaleDateString('ru-RU'))} · ${escapeHtml(session.status || '')}</option>`)
+    .join('');
+
+  const renderEntries = async () => {
+    const list = document.getElementById('audit-list');
+    if (!list) return;
+    list.innerHTML = '<p class="py-4 text-center text-xs text-slate-400">Загрузка…</p>';
+
+    let entries = [];
+    try {
+      entries = await getAuditLog({
+        itemId: document.getElementById('audit-item')?.value || null,
+        sessionId: document.getElementById('audit-session')?.value || null
+      });
+    } catch (error) {
+      console.error('Ошибка загрузки журнала изменений:', error);
+    }
+
+    list.innerHTML = entries.length === 0
+      ? '<p class="py-4 text-center text-xs text-slate-400">Изменений нет</p>'
+      : entries.map(entry => {
+        const date = new Date(entry.changed_at);
+        const subject = entry.item_id ? namesById[entry.item_id] || entry.new_value?.name || entry.old_value?.name || '' : '';
+        const meta = [
+          isNaN(date.getTime()) ? '' : date.toLocaleString('ru-RU', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }),
+          entry.user_name,
+          entry.user_email,
+          entry.device_id ? `устр. ${String(entry.device_id).slice(0, 4).toUpperCase()}` : '',
+          AUDIT_SOURCES[entry.source] || entry.source
+        ].filter(Boolean).map(escapeHtml).join(' · ');
+        const change = entry.action === 'update'
+          ? `<span class="font-mono">${escapeHtml(entry.field)}</span>: ${escapeHtml(formatAuditValue(entry.old_value))} → ${escapeHtml(formatAuditValue(entry.new_value))}`
+          : escapeHtml(AUDIT_ACTIONS[entry.action] || entry.action);
+
+        return `
+          <li class="py-2 border-b border-slate-100 dark:border-slate-800 last:border-0">
+            <p class="text-[11px] font-bold uppercase text-slate-400">${escapeHtml(AUDIT_ENTITIES[entry.entity] || entry.entity)}${subject ? ` · ${escapeHtml(subject)}` : ''}</p>
+            <p class="text-sm text-slate-800 dark:text-slate-200 break-words">${change}</p>
+            <p class="text-[11px] text-slate-500 dark:text-slate-400">${meta}</p>
+          </li>`;
+      }).join('');
+  };
 
-  // Обновляем информацию при загрузке
-  updateSyncInfoUI();
+  showModal({
+    title: 'Журнал изменений',
+    message: `
+      <div class="flex flex-col gap-2 text-left">
+        <select id="audit-item" class="${selectClass}"><option value="">Все товары</option>${itemOptions}</select>
+        <select id="audit-session" class="${selectClass}"><option value="">Все сессии</option>${sessionOptions}</select>
+        <ul id="audit-list" class="max-h-[50vh] overflow-y-auto"></ul>
+      </div>
+    `,
+    buttons: [{ text: 'Закрыть', primary: true }]
+  });
 
-  // Кнопка ручной синхронизации
-  if (syncNowBtn) {
-    syncNowBtn.addEventListener('click', async () => {
-      syncNowBtn.disabled = true;
-      syncNowBtn.classList.add('opacity-50');
-      const icon = syncNowBtn.querySelector('.material-symbols-outlined');
-      if (icon) icon.classList.add('animate-spin');
+  document.getElementById('audit-item')?.addEventListener('change', renderEntries);
+  document.getElementById('audit-session')?.addEventListener('change', renderEntries);
+  await renderEntries();
+}
 
-      try {
-        await fullSync();
-        updateSyncInfoUI();
+/**
+ * Проверить право на действие
+ * Без права показываем, кому оно доступно, и предлагаем войти.
+ *
+ * @param {string} permission - Ключ действия (см. PERMISSIONS)
+ * @returns {boolean} - true, если действие разрешено
+ */
+function requirePermission(permission) {
+  if (auth.can(permission)) return true;
+
+  const rule = PERMISSIONS[permission];
+  const allowed = rule.roles.map(role => ROLES[role]).join(', ').toLowerCase();
+  const user = auth.getCurrentUser();
+
+  showModal({
+    title: 'Нет доступа',
+    message: `«${escapeHtml(rule.label)}» доступно ролям: ${escapeHtml(allowed)}. ` + (user
+      ? `Вы вошли как ${escapeHtml(user.email || '')} (${escapeHtml(ROLES[auth.getCurrentRole()].toLowerCase())}).`
+      : 'Войдите под своей учетной записью.'),
+    buttons: user
+      ? [{ text: 'Понятно', primary: true }]
+      : [{ text: 'Отмена' }, { text: 'Войти', primary: true, onClick: () => showSignInModal() }]
+  });
+  return false;
+}
+
+/**
+ * Окно входа: ссылка на почту или почта + PIN
+ */
+function showSignInModal() {
+  const fieldClass = 'w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-base font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+  const readEmail = () => document.getElementById('sign-in-email')?.value || '';
+
+  showModal({
+    title: 'Вход',
+    message: `
+      <div class="flex flex-col gap-3 text-left">
+        <input id="sign-in-email" type="email" autocomplete="email" class="${fieldClass}" placeholder="Почта" />
+        <input id="sign-in-pin" type="password" inputmode="numeric" autocomplete="current-password" class="${fieldClass}" placeholder="PIN (если выдан)" />
+        <p class="text-xs text-slate-500 dark:text-slate-400">Без PIN придет письмо со ссылкой для входа. Роль назначает администратор.</p>
+      </div>
+    `,
+    buttons: [
+      {
+        text: 'Войти по PIN',
+        primary: true,
+        onClick: async () => {
+          try {
+            const user = await auth.signInWithPin(readEmail(), document.getElementById('sign-in-pin')?.value);
+            showSuccess(`Вход выполнен: ${user?.email || ''} (${ROLES[auth.getCurrentRole()].toLowerCase()})`);
+            if (appState.currentPage === 'items-management') renderAccountCard();
+          } catch (error) {
+            console.error('Ошибка входа по PIN:', error);
+            await showAlert(error.message, 'Вход');
+          }
+        }
+      },
+      {
+        text: 'Отправить ссылку на почту',
+        onClick: async () => {
+          try {
+            await auth.sendMagicLink(readEmail());
+            await showAlert('Откройте письмо на этом устройстве и перейдите по ссылке.', 'Ссылка отправлена');
+          } catch (error) {
+            console.error('Ошибка отправки ссылки для входа:', error);
+            await showAlert(error.message, 'Вход');
+          }
+        }
+      },
+      { text: 'Отмена' }
+    ]
+  });
+}
+
+/**
+ * Карточка входа на странице управления: кто вошел и с какой ролью
+ */
+function renderAccountCard() {
+  const title = document.getElementById('account-title');
+  const subtitle = document.getElementById('account-subtitle');
+  if (!title || !subtitle) return;
+
+  const user = auth.getCurrentUser();
+  title.textContent = user ? user.email || 'Сотрудник' : 'Вход не выполнен';
+  subtitle.textContent = user
+    ? `Роль: ${ROLES[auth.getCurrentRole()].toLowerCase()}. Нажмите, чтобы выйти.`
+    : 'Без входа доступен только подсчет. Нажмите, чтобы войти.';
+}
+
+/**
+ * Нажатие на карточку входа: войти или выйти
+ */
+async function handleAccountCardClick() {
+  if (!auth.getCurrentUser()) {
+    showSignInModal();
+    return;
+  }
+
+  const confirmed = await showConfirm('Выйти на этом устройстве? Несохраненные на сервере изменения останутся в очереди синхронизации.', 'Выход');
+  if (!confirmed) return;
+
+  await auth.signOut();
+  renderAccountCard();
+}
+
+/**
+ * Окно настройки порогов расхождений
+ * Пороги сохраняются на этом устройстве, копируются в новые сессии
+ * и сразу применяются к активной сессии.
+ */
+function showThresholdsModal() {
+  const config = loadVarianceThresholds();
+  const inputClass = 'w-full h-10 px-2 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg text-sm font-medium text-center text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+  const valueOf = (value) => (value === null || value === undefined ? '' : value);
+
+  const row = (label, key, threshold, placeholder) => `
+    <div class="grid grid-cols-[1fr_4.5rem_4.5rem] gap-2 items-center" data-threshold-row="${escapeHtml(key)}">
+      <span class="text-sm font-semibold text-slate-700 dark:text-slate-200 truncate">${escapeHtml(label)}</span>
+      <input type="number" min="0" step="any" inputmode="decimal" data-threshold="absolute" value="${valueOf(threshold?.absolute)}" placeholder="${placeholder.absolute}" class="${inputClass}" />
+      <input type="number" min="0" step="any" inputmode="decimal" data-threshold="percent" value="${valueOf(threshold?.percent)}" placeholder="${placeholder.percent}" class="${inputClass}" />
+    </div>
+  `;
+
+  const defaultPlaceholder = { absolute: '—', percent: '—' };
+  const categoryPlaceholder = {
+    absolute: valueOf(config.default.absolute) === '' ? '—' : config.default.absolute,
+    percent: valueOf(config.default.percent) === '' ? '—' : config.default.percent
+  };
+
+  showModal({
+    title: 'Пороги расхождений',
+    message: `
+      <p class="mb-3 text-sm">Позиция попадает в очередь пересчета, если расхождение больше обоих порогов. Пустое поле не проверяется; у категории без значений действует общий порог.</p>
+      <div id="thresholds-form" class="space-y-2 max-h-[50vh] overflow-y-auto">
+        <div class="grid grid-cols-[1fr_4.5rem_4.5rem] gap-2 text-[11px] font-bold uppercase text-slate-400">
+          <span></span><span class="text-center">Ед.</span><span class="text-center">%</span>
+        </div>
+        ${row('Общий', '', config.default, defaultPlaceholder)}
+        ${VALID_CATEGORIES.map(category => row(category, category.toLowerCase(), config.categories[category.toLowerCase()], categoryPlaceholder)).join('')}
+      </div>
+    `,
+    buttons: [
+      {
+        text: 'Сохранить',
+        primary: true,
+        onClick: async () => {
+          const form = document.getElementById('thresholds-form');
+          const next = { default: {}, categories: {} };
+
+          form?.querySelectorAll('[data-threshold-row]').forEach(rowEl => {
+            const key = rowEl.dataset.thresholdRow;
+            const threshold = {
+              absolute: rowEl.querySelector('[data-threshold="absolute"]').value,
+              percent: rowEl.querySelector('[data-threshold="percent"]').value
+            };
+            if (key) {
+              next.categories[key] = threshold;
+            } else {
+              next.default = threshold;
+            }
+          });
+
+          const saved = saveVarianceThresholds(next);
+
+          // Активная сессия сразу начинает проверять новые пороги
+          try {
+            const sessions = await inventory.getAllInventorySessions();
+            for (const session of sessions.filter(s => s.status === 'in_progress')) {
+              await inventory.updateInventorySession(session.id, { variance_thresholds: saved });
+            }
+          } catch (error) {
+            console.warn('Не удалось применить пороги к активной сессии:', error);
+          }
+
+          showSuccess('Пороги расхождений сохранены');
+        }
+      },
+      { text: 'Отмена' }
+    ]
+  });
+}
+
+/**
+ * Окно выбора метода оценки запасов
+ * Метод хранится на этом устройстве и применяется к отчетам и выгрузке товаров.
+ */
+function showCostingMethodModal() {
+  const current = loadCostingMethod();
+
+  showModal({
+    title: 'Оценка запасов',
+    message: `
+      <p class="mb-3 text-sm">Остаток оценивается по партиям — поступлениям с ценой. Товары без поступлений с ценой оцениваются по себестоимости из карточки.</p>
+      <div class="space-y-2 text-left">
+        ${Object.entries(COSTING_METHODS).map(([method, { label, description }]) => `
+          <div class="p-3 rounded-xl border ${method === current ? 'border-primary bg-primary/5' : 'border-slate-200 dark:border-slate-700'}">
+            <p class="text-sm font-bold text-slate-900 dark:text-white">${escapeHtml(label)}${method === current ? ' · выбран' : ''}</p>
+            <p class="text-xs text-slate-500 dark:text-slate-400">${escapeHtml(description)}</p>
+          </div>
+        `).join('')}
+      </div>
+    `,
+    buttons: [
+      ...Object.entries(COSTING_METHODS).map(([method, { label }]) => ({
+        text: label,
+        primary: method === current,
+        onClick: () => {
+          saveCostingMethod(method);
+          showSuccess(`Метод оценки: ${label}`);
+        }
+      })),
+      { text: 'Отмена' }
+    ]
+  });
+}
+
+/**
+ * Справочник поставщиков: список с переходом к редактированию
+ */
+async function showSuppliersModal() {
+  let allSuppliers = [];
+  try {
+    allSuppliers = await suppliers.getAllSuppliers();
+  } catch (error) {
+    console.error('Ошибка загрузки поставщиков:', error);
+  }
+
+  const listHtml = allSuppliers.length === 0
+    ? '<p class="text-sm text-slate-500 dark:text-slate-400 py-2">Поставщиков пока нет. Добавьте первого или импортируйте товары с колонкой «Поставщик».</p>'
+    : allSuppliers.map(supplier => `
+        <button type="button" data-supplier-id="${escapeHtml(supplier.id)}"
+          class="w-full text-left p-3 rounded-xl border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors">
+          <span class="block font-bold text-slate-900 dark:text-white">${escapeHtml(supplier.name)}</span>
+          <span class="block text-xs text-slate-500 dark:text-slate-400">${escapeHtml(formatSupplierDetails(supplier) || 'Контакты не указаны')}</span>
+        </button>`).join('');
+
+  showModal({
+    title: 'Поставщики',
+    message: `<div id="suppliers-list" class="space-y-2 max-h-[50vh] overflow-y-auto">${listHtml}</div>`,
+    buttons: [
+      {
+        text: 'Добавить поставщика',
+        primary: true,
+        onClick: () => showSupplierFormModal(null, () => showSuppliersModal())
+      },
+      { text: 'Закрыть' }
+    ]
+  });
+
+  document.querySelectorAll('#suppliers-list [data-supplier-id]').forEach(button => {
+    button.addEventListener('click', () => {
+      const supplier = allSuppliers.find(entry => entry.id === button.dataset.supplierId);
+      showSupplierFormModal(supplier, () => showSuppliersModal());
+    });
+  });
+}
+
+/**
+ * Форма поставщика: название, контакты, срок поставки и дни заказа
+ *
+ * @param {Object|null} supplier - Поставщик для правки (null — новый)
+ * @param {Function} onSaved - Вызывается с сохраненным поставщиком
+ */
+function showSupplierFormModal(supplier, onSaved = null) {
+  const inputClass = 'w-full h-11 px-3 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+  const orderDays = supplier?.order_days || [];
+
+  showModal({
+    title: supplier ? 'Поставщик' : 'Новый поставщик',
+    message: `
+      <div id="supplier-form" class="space-y-2 text-left">
+        <input type="text" id="supplier-name" class="${inputClass}" placeholder="Название *" value="${escapeHtml(supplier?.name || '')}" />
+        <input type="text" id="supplier-contact" class="${inputClass}" placeholder="Контактное лицо" value="${escapeHtml(supplier?.contact_name || '')}" />
+        <div class="grid grid-cols-2 gap-2">
+          <input type="tel" id="supplier-phone" class="${inputClass}" placeholder="Телефон" value="${escapeHtml(supplier?.phone || '')}" />
+          <input type="email" id="supplier-email" class="${inputClass}" placeholder="Email" value="${escapeHtml(supplier?.email || '')}" />
+        </div>
+        <input type="number" id="supplier-lead-time" min="0" step="1" inputmode="numeric" class="${inputClass}" placeholder="Срок поставки, дней" value="${supplier?.lead_time_days ?? ''}" />
+        <p class="text-xs font-bold uppercase text-slate-400 pt-1">Дни заказа</p>
+        <div class="grid grid-cols-7 gap-1">
+          ${ORDER_DAY_LABELS.map((label, index) => `
+            <label class="flex flex-col items-center gap-1 text-xs font-semibold text-slate-600 dark:text-slate-300">
+              <input type="checkbox" data-order-day="${index + 1}" ${orderDays.includes(index + 1) ? 'checked' : ''} class="size-5 rounded text-primary focus:ring-primary" />
+              ${label}
+            </label>`).join('')}
+        </div>
+      </div>
+    `,
+    buttons: [
+      {
+        text: 'Сохранить',
+        primary: true,
+        onClick: async () => {
+          const data = {
+            name: document.getElementById('supplier-name')?.value,
+            contact_name: document.getElementById('supplier-contact')?.value,
+            phone: document.getElementById('supplier-phone')?.value,
+            email: document.getElementById('supplier-email')?.value,
+            lead_time_days: document.getElementById('supplier-lead-time')?.value,
+            order_days: Array.from(document.querySelectorAll('#supplier-form [data-order-day]:checked')).map(input => Number(input.dataset.orderDay))
+          };
+
+          try {
+            const saved = supplier
+              ? await suppliers.updateSupplier(supplier.id, data)
+              : await suppliers.createSupplier(data);
+            showSuccess('Поставщик сохранен');
+            if (onSaved) await onSaved(saved);
+          } catch (error) {
+            console.error('Ошибка сохранения поставщика:', error);
+            await showAlert(escapeHtml(error.message || 'Не удалось сохранить поставщика'));
+          }
+        }
+      },
+      { text: 'Отмена' }
+    ]
+  });
+}
+
+/**
+ * Инициализация секции мониторинга и кэша
+ */
+function initMonitoringSection() {
+  const syncNowBtn = document.getElementById('sync-now-btn');
+  const updateAppBtn = document.getElementById('update-app-btn');
+  const clearCacheBtn = document.getElementById('clear-cache-btn');
+
+  // Обновляем информацию при загрузке
+  updateSyncInfoUI();
+  renderSyncConflicts();
+
+  // Кнопка ручной синхронизации
+  if (syncNowBtn) {
+    syncNowBtn.addEventListener('click', async () => {
+      syncNowBtn.disabled = true;
+      syncNowBtn.classList.add('opacity-50');
+      const icon = syncNowBtn.querySelector('.material-symbols-outlined');
+      if (icon) icon.classList.add('animate-spin');
+
+      try {
+        await fullSync(updateSyncInfoUI);
+        updateSyncInfoUI();
+        await renderSyncConflicts();
       } catch (error) {
         console.error('Ошибка ручной синхронизации:', error);
       } finally {
@@ -5111,14 +6261,170 @@ function initMonitoringSection() {
   }
 }
 
+// Подписи полей для очереди конфликтов
+const CONFLICT_FIELD_LABELS = {
+  name: 'Название',
+  category: 'Категория',
+  unit: 'Ед. измерения',
+  location: 'Место хранения',
+  image_url: 'Фото',
+  sku: 'Артикул',
+  barcode: 'Штрихкод',
+  description: 'Описание',
+  current_quantity: 'Текущий остаток',
+  quantity: 'Количество',
+  previous_quantity: 'Было',
+  difference: 'Разница',
+  comment: 'Комментарий',
+  date: 'Дата',
+  status: 'Статус',
+  items_count: 'Позиций'
+};
+
+/**
+ * Экранировать HTML в пользовательских данных
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Получить понятное название записи, в которой возник конфликт
+ *
+ * @param {Object} conflict - Конфликт из очереди
+ * @returns {Promise<string>}
+ */
+async function getConflictRecordTitle(conflict) {
+  try {
+    if (conflict.store_name === db.STORES.ITEMS) {
+      const item = await db.getItemById(conflict.record_id);
+      return item?.name || 'Товар';
+    }
+    if (conflict.store_name === db.STORES.INVENTORY_SESSIONS) {
+      const session = await db.getInventorySessionById(conflict.record_id);
+      return session?.date ? `Инвентаризация от ${session.date}` : 'Инвентаризация';
+    }
+    if (conflict.store_name === db.STORES.INVENTORY_ITEMS) {
+      const record = await db.getInventoryItemById(conflict.record_id);
+      const item = record?.item_id ? await db.getItemById(record.item_id) : null;
+      return item?.name ? `Подсчет: ${item.name}` : 'Запись подсчета';
+    }
+    if (conflict.store_name === db.STORES.SUPPLIERS) {
+      const supplier = await db.getSupplierById(conflict.record_id);
+      return supplier?.name ? `Поставщик: ${supplier.name}` : 'Поставщик';
+    }
+  } catch (error) {
+    console.warn('Не удалось получить название записи для конфликта:', error);
+  }
+  return 'Запись';
+}
+
+/**
+ * Показать очередь конфликтов синхронизации в блоке мониторинга
+ * Для каждого поля менеджер выбирает: значение этого устройства или сервера.
+ */
+async function renderSyncConflicts() {
+  const block = document.getElementById('sync-conflicts-block');
+  const listEl = document.getElementById('sync-conflicts-list');
+  const countEl = document.getElementById('sync-conflicts-count');
+  if (!block || !listEl) return;
+
+  let conflicts = [];
+  try {
+    conflicts = await getSyncConflicts();
+  } catch (error) {
+    console.error('Ошибка загрузки конфликтов синхронизации:', error);
+  }
+
+  block.classList.toggle('hidden', conflicts.length === 0);
+  if (countEl) countEl.textContent = conflicts.length.toString();
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+  };
+
+  const rows = await Promise.all(conflicts.map(async (conflict) => {
+    const title = await getConflictRecordTitle(conflict);
+    const fieldLabel = CONFLICT_FIELD_LABELS[conflict.field] || conflict.field;
+    const optionClass = (isApplied) => isApplied
+      ? 'border-amber-500 bg-white dark:bg-slate-800 ring-1 ring-amber-500'
+      : 'border-slate-200 dark:border-slate-700 bg-white/60 dark:bg-slate-800/60';
+
+    return `
+      <div class="p-2.5 rounded-xl bg-white/70 dark:bg-slate-900/40 border border-amber-100 dark:border-amber-900/40">
+        <div class="text-xs font-bold text-slate-800 dark:text-slate-100 truncate">${escapeHtml(title)}</div>
+        <div class="text-[11px] text-slate-500 dark:text-slate-400 mb-2">${escapeHtml(fieldLabel)}</div>
+        <div class="grid grid-cols-2 gap-2">
+          <button class="conflict-choice text-left p-2 rounded-lg border ${optionClass(conflict.applied === 'local')}"
+            data-conflict-id="${escapeHtml(conflict.id)}" data-choice="local">
+            <span class="block text-[10px] uppercase font-bold text-slate-500 dark:text-slate-400">Это устройство</span>
+            <span class="block text-sm font-semibold text-slate-900 dark:text-white break-words">${formatValue(conflict.local_value)}</span>
+          </button>
+          <button class="conflict-choice text-left p-2 rounded-lg border ${optionClass(conflict.applied === 'remote')}"
+            data-conflict-id="${escapeHtml(conflict.id)}" data-choice="remote">
+            <span class="block text-[10px] uppercase font-bold text-slate-500 dark:text-slate-400">Другое устройство</span>
+            <span class="block text-sm font-semibold text-slate-900 dark:text-white break-words">${formatValue(conflict.remote_value)}</span>
+          </button>
+        </div>
+      </div>
+    `;
+  }));
+
+  listEl.innerHTML = rows.join('');
+
+  listEl.querySelectorAll('.conflict-choice').forEach(button => {
+    button.addEventListener('click', async () => {
+      const conflict = conflicts.find(c => c.id === button.dataset.conflictId);
+      if (!conflict) return;
+
+      try {
+        await resolveSyncConflict(conflict, button.dataset.choice);
+        showSuccess('Значение сохранено');
+        await renderSyncConflicts();
+        // Выбранное значение уходит на сервер в фоне
+        if (navigator.onLine) {
+          fullSync(updateSyncInfoUI).then(() => updateSyncInfoUI()).catch(error => {
+            console.error('Ошибка синхронизации после решения конфликта:', error);
+          });
+        }
+      } catch (error) {
+        console.error('Ошибка решения конфликта:', error);
+        showError('Не удалось применить выбранное значение: ' + error.message);
+      }
+    });
+  });
+}
+
 /**
  * Обновить интерфейс информацией о последней синхронизации
+ *
+ * @param {Object|null} progress - Текущий шаг идущей синхронизации ({ step, total, label });
+ *   без него полоса прогресса скрывается
  */
-function updateSyncInfoUI() {
+function updateSyncInfoUI(progress = null) {
   const timeEl = document.getElementById('last-sync-time');
   const statusTab = document.getElementById('last-sync-status');
   const dotEl = document.getElementById('last-sync-dot');
   const textEl = document.getElementById('last-sync-text');
+  const errorEl = document.getElementById('last-sync-error');
+  const progressEl = document.getElementById('sync-progress');
+
+  if (progressEl) {
+    progressEl.classList.toggle('hidden', !progress);
+    if (progress) {
+      const labelEl = document.getElementById('sync-progress-text');
+      const stepEl = document.getElementById('sync-progress-step');
+      const barEl = document.getElementById('sync-progress-bar');
+      if (labelEl) labelEl.textContent = progress.label;
+      if (stepEl) stepEl.textContent = `${progress.step} / ${progress.total}`;
+      if (barEl) barEl.style.width = `${Math.round(progress.step / progress.total * 100)}%`;
+    }
+  }
 
   const syncData = localStorage.getItem('last_sync_info');
 
@@ -5137,24 +6443,21 @@ function updateSyncInfoUI() {
       });
     }
 
-    if (success) {
-      statusTab?.classList.replace('bg-slate-200/50', 'bg-green-100');
-      statusTab?.classList.replace('dark:bg-slate-700/50', 'dark:bg-green-900/30');
-      dotEl?.classList.replace('bg-slate-400', 'bg-green-500');
-      if (textEl) {
-        textEl.textContent = 'Успешно';
-        textEl.classList.replace('text-slate-500', 'text-green-600');
-        textEl.classList.replace('dark:text-slate-400', 'dark:text-green-400');
-      }
-    } else {
-      statusTab?.classList.replace('bg-slate-200/50', 'bg-red-100');
-      statusTab?.classList.replace('dark:bg-slate-700/50', 'dark:bg-red-900/30');
-      dotEl?.classList.replace('bg-slate-400', 'bg-red-500');
-      if (textEl) {
-        textEl.textContent = 'Ошибка';
-        textEl.classList.replace('text-slate-500', 'text-red-600');
-        textEl.classList.replace('dark:text-slate-400', 'dark:text-red-400');
-      }
+    // Классы сбрасываем целиком: статус может смениться с успеха на ошибку и обратно
+    statusTab?.classList.remove('bg-slate-200/50', 'dark:bg-slate-700/50', 'bg-green-100', 'dark:bg-green-900/30', 'bg-red-100', 'dark:bg-red-900/30');
+    statusTab?.classList.add(...(success ? ['bg-green-100', 'dark:bg-green-900/30'] : ['bg-red-100', 'dark:bg-red-900/30']));
+    dotEl?.classList.remove('bg-slate-400', 'bg-green-500', 'bg-red-500');
+    dotEl?.classList.add(success ? 'bg-green-500' : 'bg-red-500');
+    if (textEl) {
+      textEl.textContent = success ? 'Успешно' : 'Ошибка';
+      textEl.classList.remove('text-slate-500', 'dark:text-slate-400', 'text-green-600', 'dark:text-green-400', 'text-red-600', 'dark:text-red-400');
+      textEl.classList.add(...(success ? ['text-green-600', 'dark:text-green-400'] : ['text-red-600', 'dark:text-red-400']));
+    }
+
+    // Что не получено или не отправлено (например, сколько изменений ждут повтора)
+    if (errorEl) {
+      errorEl.textContent = success ? '' : (error || '');
+      errorEl.classList.toggle('hidden', success || !error);
     }
   } catch (e) {
     console.error('Ошибка разбора данных синхронизации:', e);
@@ -5405,22 +6708,41 @@ async function handleExportData() {
       return;
     }
 
+    updateProgress(20);
+
+    // Партии поступлений для оценки остатка выбранным методом
+    const method = loadCostingMethod();
+    let layersByItem = {};
+    try {
+      layersByItem = buildCostLayers(await movements.getAllStockMovements());
+    } catch (error) {
+      console.warn('Не удалось получить партии из журнала движений:', error);
+    }
+
     updateProgress(30);
 
     // Подготавливаем данные для Excel
     // Заголовки столбцов на русском
-    const headers = ['Название', 'Категория', 'Единица измерения', 'Место хранения', 'Артикул', 'Изображение', 'Дата создания'];
+    const headers = ['Название', 'Категория', 'Единица измерения', 'Место хранения', 'Артикул', 'Изображение', 'Дата создания',
+      'Остаток', 'Себестоимость', `Стоимость остатка (${COSTING_METHODS[method].label})`];
 
     // Преобразуем данные
-    const rows = allItems.map(item => [
-      item.name || '',
-      item.category || '',
-      item.unit || '',
-      item.location || '',
-      item.sku || '',
-      item.image_url || '',
-      item.created_at ? new Date(item.created_at).toLocaleDateString('ru-RU') : ''
-    ]);
+    const rows = allItems.map(item => {
+      const quantity = getItemQuantityValue(item);
+      const unitCost = getLayeredUnitCost(layersByItem[item.id], quantity, method) ?? item.unit_cost ?? null;
+      return [
+        item.name || '',
+        item.category || '',
+        item.unit || '',
+        item.location || '',
+        item.sku || '',
+        item.image_url || '',
+        item.created_at ? new Date(item.created_at).toLocaleDateString('ru-RU') : '',
+        quantity,
+        unitCost ?? '',
+        unitCost !== null ? roundMoney(quantity * unitCost) : ''
+      ];
+    });
 
     updateProgress(50);
 
@@ -5437,7 +6759,10 @@ async function handleExportData() {
       { wch: 20 }, // Место хранения
       { wch: 15 }, // Артикул
       { wch: 50 }, // Изображение URL
-      { wch: 15 }  // Дата
+      { wch: 15 }, // Дата
+      { wch: 10 }, // Остаток
+      { wch: 14 }, // Себестоимость
+      { wch: 24 }  // Стоимость остатка
     ];
 
     updateProgress(70);
@@ -5478,6 +6803,7 @@ async function handleExportData() {
  */
 async function handleDeleteAllData() {
   console.log('Начинаем удаление всех данных...');
+  if (!requirePermission('delete_all')) return;
 
   try {
     // Показываем прогресс (красный цвет)
@@ -5498,44 +6824,29 @@ async function handleDeleteAllData() {
 
     updateProgress(20);
 
-    // Удаляем товары с сервера (Supabase)
-    let deletedFromServer = 0;
-    let serverErrors = 0;
-
-    for (let i = 0; i < allItems.length; i++) {
-      try {
-        // Пытаемся удалить с сервера
-        await supabase.deleteItem(allItems[i].id);
-        deletedFromServer++;
-      } catch (err) {
-        // Если товара нет на сервере, это не критическая ошибка
-        console.warn('Не удалось удалить с сервера:', allItems[i].id, err.message);
-        serverErrors++;
-      }
-
-      // Обновляем прогресс (от 20% до 60%)
-      const progress = 20 + (40 * (i + 1) / totalItems);
-      updateProgress(progress);
-    }
-
-    updateProgress(65);
-
-    // Удаляем товары из локальной базы (IndexedDB)
+    // Удаляем товары по одному, как с карточки: локально, с записью в журнал изменений
+    // и через очередь отправки (удаление на сервере дойдет и после обрыва связи)
     let deletedLocally = 0;
+    let failedDeletes = 0;
 
     for (let i = 0; i < allItems.length; i++) {
       try {
-        await db.deleteItem(allItems[i].id);
+        await items.deleteItem(allItems[i].id);
         deletedLocally++;
       } catch (err) {
-        console.error('Ошибка удаления из локальной базы:', err);
+        console.error('Ошибка удаления товара:', allItems[i].id, err);
+        failedDeletes++;
       }
 
-      // Обновляем прогресс (от 65% до 95%)
-      const progress = 65 + (30 * (i + 1) / totalItems);
+      // Обновляем прогресс (от 20% до 95%)
+      const progress = 20 + (75 * (i + 1) / totalItems);
       updateProgress(progress);
     }
 
+    // Удаления, которые сервер еще не принял, остаются в очереди
+    const syncStatus = await getSyncStatus();
+    const pendingDeletes = syncStatus.unsynced.items;
+
     updateProgress(100);
 
     // Вычисляем время выполнения
@@ -5546,8 +6857,11 @@ async function handleDeleteAllData() {
       hideProgressModal();
 
       let message = `Удалено ${deletedLocally} товаров за ${duration} сек.`;
-      if (serverErrors > 0) {
-        message += ` (${serverErrors} не было на сервере)`;
+      if (failedDeletes > 0) {
+        message += ` Не удалось удалить: ${failedDeletes}.`;
+      }
+      if (pendingDeletes > 0) {
+        message += ` Ждут отправки на сервер: ${pendingDeletes} — удалятся при следующей синхронизации.`;
       }
 
       showSuccessModal('Удаление завершено!', message);
@@ -5585,6 +6899,17 @@ function showManagementHelpModal() {
         </button>
       </div>
       <div class="flex-1 overflow-y-auto p-6 space-y-4">
+        <div>
+          <h3 class="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
+            <span class="material-symbols-outlined text-indigo-600">badge</span>
+            Вход и роли
+          </h3>
+          <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed">
+            Сотрудник входит по ссылке на почту или по почте и PIN. Счетчик ведет подсчет; менеджер дополнительно
+            изменяет товары, импортирует и завершает инвентаризации; администратор может удалить все данные.
+            Без входа доступен только подсчет. Роль назначает администратор в Supabase.
+          </p>
+        </div>
         <div>
           <h3 class="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
             <span class="material-symbols-outlined text-primary">download</span>
@@ -5607,38 +6932,99 @@ function showManagementHelpModal() {
         </div>
         <div>
           <h3 class="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
-            <span class="material-symbols-outlined text-red-600">delete_forever</span>
-            Удаление данных
+            <span class="material-symbols-outlined text-amber-600">qr_code_2</span>
+            Этикетки
           </h3>
           <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed">
-            <strong class="text-red-600">Внимание!</strong> Полностью удаляет все товары из локальной базы и с сервера. 
-            Это действие необратимо. Рекомендуется сделать экспорт перед удалением.
+            Печатает лист A4 с QR-кодами или штрихкодами Code 128 для полок. Код на этикетке читается сканером на экране подсчета.
+            Работает и без интернета.
           </p>
         </div>
-      </div>
-      <div class="p-6 border-t border-slate-200 dark:border-slate-700">
-        <button id="close-management-help-btn" class="w-full bg-primary hover:bg-blue-600 text-white font-bold py-3 px-4 rounded-xl transition-colors">
-          Понятно
-        </button>
-      </div>
-    </div>
-  `;
-
-  document.body.appendChild(modal);
-
-  // Обработчики закрытия
-  const closeButtons = modal.querySelectorAll('#close-management-help, #close-management-help-btn');
-  closeButtons.forEach(btn => {
-    btn.addEventListener('click', () => modal.remove());
-  });
-
-  // Закрытие по клику вне модального окна
-  modal.addEventListener('click', (e) => {
-    if (e.target === modal) modal.remove();
-  });
-
-  // Закрытие по Escape
-  const handleEscape = (e) => {
+        <div>
+          <h3 class="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
+            <span class="material-symbols-outlined text-orange-600">rule</span>
+            Пороги расхождений
+          </h3>
+          <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed">
+            Позиция с расхождением больше порога (в единицах и в процентах) попадает в очередь «Нужен пересчет» на экране подсчета.
+            Пока ее не пересчитают или не оставят комментарий, инвентаризацию нельзя завершить. Пороги можно задать для каждой категории.
+          </p>
+        </div>
+        <div>
+          <h3 class="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
+            <span class="material-symbols-outlined text-teal-600">local_shipping</span>
+            Поставщики
+          </h3>
+          <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed">
+            Справочник поставщиков с контактами, сроком поставки и днями заказа. Поставщик, его артикул и цена указываются на странице товара
+            или колонками при импорте. Заказ после инвентаризации группируется по поставщикам, а на экране подсчета можно показать товары одного поставщика.
+          </p>
+        </div>
+        <div>
+          <h3 class="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
+            <span class="material-symbols-outlined text-emerald-600">payments</span>
+            Оценка запасов
+          </h3>
+          <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed">
+            Каждое поступление с ценой — отдельная партия. Остаток оценивается по партиям выбранным методом: FIFO, средневзвешенной
+            или последней ценой. Метод применяется к суммам в отчетах и к колонке «Стоимость остатка» при экспорте товаров.
+          </p>
+        </div>
+        <div>
+          <h3 class="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
+            <span class="material-symbols-outlined text-cyan-600">manage_history</span>
+            Журнал изменений
+          </h3>
+          <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed">
+            Каждое изменение товара, сессии, записи подсчета и отчета записывается с полем, значением до и после, именем считающего,
+            устройством и временем. Записи не меняются и не удаляются. Выберите товар или сессию, чтобы увидеть только их изменения.
+          </p>
+        </div>
+        <div>
+          <h3 class="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
+            <span class="material-symbols-outlined text-amber-600">merge_type</span>
+            Конфликты правок
+          </h3>
+          <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed">
+            Если одно и то же поле изменили на двух устройствах, при синхронизации применяется более поздняя правка,
+            а поле появляется в блоке мониторинга. Нажмите на нужное значение — оно будет сохранено и отправлено на сервер.
+            Правки разных полей объединяются автоматически.
+          </p>
+        </div>
+        <div>
+          <h3 class="text-lg font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
+            <span class="material-symbols-outlined text-red-600">delete_forever</span>
+            Удаление данных
+          </h3>
+          <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed">
+            <strong class="text-red-600">Внимание!</strong> Полностью удаляет все товары из локальной базы и с сервера. 
+            Это действие необратимо. Рекомендуется сделать экспорт перед удалением.
+          </p>
+        </div>
+      </div>
+      <div class="p-6 border-t border-slate-200 dark:border-slate-700">
+        <button id="close-management-help-btn" class="w-full bg-primary hover:bg-blue-600 text-white font-bold py-3 px-4 rounded-xl transition-colors">
+          Понятно
+        </button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  // Обработчики закрытия
+  const closeButtons = modal.querySelectorAll('#close-management-help, #close-management-help-btn');
+  closeButtons.forEach(btn => {
+    btn.addEventListener('click', () => modal.remove());
+  });
+
+  // Закрытие по клику вне модального окна
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.remove();
+  });
+
+  // Закрытие по Escape
+  const handleEscape = (e) => {
     if (e.key === 'Escape') {
       modal.remove();
       document.removeEventListener('keydown', handleEscape);
@@ -5880,11 +7266,445 @@ async function initInventoryHistoryPage() {
       .sort((a, b) => new Date(b.date || b.created_at) - new Date(a.date || a.created_at));
 
     renderHistoryList(sortedReports);
+    renderHistoryAnalytics(sortedReports);
+    setupReportCompare(sortedReports);
   } catch (error) {
     console.error('Ошибка инициализации страницы истории:', error);
     // Показываем пустой список при ошибке
     renderHistoryList([]);
+    renderHistoryAnalytics([]);
   }
+
+  renderWriteOffReport();
+}
+
+/**
+ * Подпись отчета для списков выбора
+ *
+ * @param {Object} report - Отчет
+ * @returns {string}
+ */
+function getReportLabel(report) {
+  const reportDate = new Date(report.date || report.created_at).toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' });
+  return `${reportDate} · ${report.total_items || 0} поз.`;
+}
+
+/**
+ * Кнопка «Сравнить»: выбор двух отчетов для сравнения
+ *
+ * @param {Array} reports - Отчеты (от новых к старым)
+ */
+function setupReportCompare(reports) {
+  const compareBtn = document.getElementById('compare-reports-btn');
+  if (!compareBtn) return;
+
+  compareBtn.onclick = () => {
+    if (reports.length < 2) {
+      showAlert('Для сравнения нужно хотя бы два отчета.', 'Сравнение отчетов');
+      return;
+    }
+
+    const selectClass = 'w-full h-12 px-3 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+    const options = selected => reports
+      .map((report, index) => `<option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHtml(getReportLabel(report))}</option>`)
+      .join('');
+
+    showModal({
+      title: 'Сравнение отчетов',
+      message: `
+        <div class="flex flex-col gap-3 text-left">
+          <label class="text-xs font-bold uppercase text-slate-400">Было
+            <select id="diff-base-report" class="${selectClass} mt-1">${options(1)}</select>
+          </label>
+          <label class="text-xs font-bold uppercase text-slate-400">Стало
+            <select id="diff-target-report" class="${selectClass} mt-1">${options(0)}</select>
+          </label>
+        </div>
+      `,
+      buttons: [
+        {
+          text: 'Сравнить',
+          primary: true,
+          onClick: async () => {
+            const base = reports[Number(document.getElementById('diff-base-report')?.value)];
+            const target = reports[Number(document.getElementById('diff-target-report')?.value)];
+            if (!base || !target || base === target) {
+              await showAlert('Выберите два разных отчета.', 'Сравнение отчетов');
+              return;
+            }
+
+            let itemsById = {};
+            try {
+              itemsById = Object.fromEntries((await db.getAllItems()).map(item => [item.id, item]));
+            } catch (error) {
+              console.warn('Не удалось загрузить товары для сравнения:', error);
+            }
+            showReportDiff(base, target, diffReports(base, target, itemsById));
+          }
+        },
+        { text: 'Отмена' }
+      ]
+    });
+  };
+}
+
+/**
+ * Показать результат сравнения двух отчетов
+ *
+ * @param {Object} base - Первый отчет («было»)
+ * @param {Object} target - Второй отчет («стало»)
+ * @param {Object} diff - Результат diffReports
+ */
+function showReportDiff(base, target, diff) {
+  const { rows, summary } = diff;
+  const formatQuantity = value => (value === null || value === undefined ? '—' : value);
+  const statusClass = {
+    changed: 'text-slate-900 dark:text-white',
+    added: 'text-green-600 dark:text-green-400',
+    removed: 'text-red-600 dark:text-red-400',
+    same: 'text-slate-400'
+  };
+  const changedRows = rows.filter(row => row.status !== 'same');
+
+  const rowsHtml = changedRows.map(row => `
+    <div class="px-3 py-2 flex items-start gap-3 w-full border-b border-slate-50 dark:border-slate-800/50 last:border-0">
+      <div class="flex-1 min-w-0">
+        <p class="text-[12px] font-medium text-slate-700 dark:text-slate-300 leading-tight break-all">${escapeHtml(row.item_name)}</p>
+        <p class="text-[10px] text-slate-400">${row.status === 'changed' ? `${formatQuantity(row.base_quantity)} → ${formatQuantity(row.target_quantity)}` : DIFF_STATUS[row.status]}${row.matched_by && row.matched_by !== 'id' ? ` · сопоставлено по ${row.matched_by === 'sku' ? 'артикулу' : 'названию'}` : ''}</p>
+      </div>
+      <p class="shrink-0 text-[13px] font-black whitespace-nowrap ${row.delta < 0 ? 'text-red-600 dark:text-red-400' : row.delta > 0 ? 'text-green-600 dark:text-green-400' : statusClass[row.status]}">${row.delta > 0 ? '+' : ''}${row.delta}</p>
+    </div>
+  `).join('');
+
+  showModal({
+    title: 'Результат сравнения',
+    message: `
+      <div class="w-full space-y-3 text-left">
+        <p class="text-[11px] text-slate-500">${escapeHtml(getReportLabel(base))} → ${escapeHtml(getReportLabel(target))}</p>
+        <div class="grid grid-cols-2 gap-2 text-[11px]">
+          <div class="bg-slate-50 dark:bg-slate-800/50 p-2 rounded-xl">Изменилось: <b>${summary.changed}</b></div>
+          <div class="bg-slate-50 dark:bg-slate-800/50 p-2 rounded-xl">Без изменений: <b>${summary.same}</b></div>
+          <div class="bg-green-50/50 dark:bg-green-900/20 p-2 rounded-xl">Новые: <b>${summary.added}</b></div>
+          <div class="bg-red-50/50 dark:bg-red-900/20 p-2 rounded-xl">Пропали: <b>${summary.removed}</b></div>
+        </div>
+        <p class="text-[11px] text-slate-500">Всего: ${summary.base_total} → ${summary.target_total} (${summary.delta_total > 0 ? '+' : ''}${summary.delta_total})</p>
+        <div class="max-h-[45vh] overflow-y-auto bg-white dark:bg-slate-800/20 rounded-2xl border border-slate-100 dark:border-slate-800">
+          ${rowsHtml || '<p class="py-4 text-center text-slate-400 text-xs italic">Отчеты совпадают</p>'}
+        </div>
+      </div>
+    `,
+    buttons: [
+      { text: 'Сохранить в Excel', primary: true, onClick: () => exportReportDiffToExcel(base, target, diff) },
+      { text: 'Закрыть' }
+    ]
+  });
+}
+
+/**
+ * Экспорт сравнения отчетов в Excel
+ *
+ * @param {Object} base - Первый отчет
+ * @param {Object} target - Второй отчет
+ * @param {Object} diff - Результат diffReports
+ */
+function exportReportDiffToExcel(base, target, diff) {
+  try {
+    if (typeof XLSX === 'undefined') {
+      showAlert('Библиотека Excel не загружена. Проверьте подключение к интернету.');
+      return;
+    }
+
+    const baseDate = new Date(base.date || base.created_at).toLocaleDateString('ru-RU');
+    const targetDate = new Date(target.date || target.created_at).toLocaleDateString('ru-RU');
+    const matchedBy = { id: '', sku: 'по артикулу', name: 'по названию' };
+
+    const rows = diff.rows.map(row => ({
+      'Товар': row.item_name,
+      'Артикул': row.sku || '',
+      [`Было (${baseDate})`]: row.base_quantity ?? '',
+      [`Стало (${targetDate})`]: row.target_quantity ?? '',
+      'Разница': row.delta,
+      'Статус': DIFF_STATUS[row.status],
+      'Сопоставлено': matchedBy[row.matched_by] || ''
+    }));
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Сравнение');
+    XLSX.writeFile(wb, `Сравнение_${baseDate}_${targetDate}.xlsx`);
+  } catch (error) {
+    console.error('Ошибка экспорта сравнения:', error);
+    showAlert('Не удалось сохранить файл Excel.');
+  }
+}
+
+/**
+ * Аналитика на странице истории: динамика, хронические недостачи и расход между подсчетами
+ * Строится из строк отчетов и журнала движений, поэтому работает и без интернета.
+ *
+ * @param {Array} reports - Отчеты
+ */
+async function renderHistoryAnalytics(reports) {
+  const filterSelect = document.getElementById('trend-filter');
+  const topNSelect = document.getElementById('analytics-top-n');
+  if (!filterSelect) return;
+
+  let itemsById = {};
+  try {
+    itemsById = Object.fromEntries((await db.getAllItems()).map(item => [item.id, item]));
+  } catch (error) {
+    console.warn('Не удалось загрузить товары для аналитики:', error);
+  }
+
+  // Поступления между подсчетами нужны для расхода
+  let stockMovements = [];
+  try {
+    stockMovements = await movements.getAllStockMovements();
+  } catch (error) {
+    console.warn('Не удалось загрузить движения для аналитики:', error);
+  }
+
+  // В фильтре — категории и товары, которые встречаются в отчетах
+  const categories = new Set();
+  const reportItems = new Map();
+  reports.forEach(report => (report.items || []).forEach(line => {
+    const category = line.category ?? itemsById[line.item_id]?.category;
+    if (category && String(category).trim()) categories.add(String(category).trim());
+    if (line.item_id) reportItems.set(line.item_id, line.item_name || itemsById[line.item_id]?.name || 'Неизвестный товар');
+  }));
+
+  const sortByName = (a, b) => String(a).localeCompare(String(b), 'ru');
+  filterSelect.innerHTML = [
+    '<option value="">Все товары</option>',
+    categories.size ? `<optgroup label="Категории">${Array.from(categories).sort(sortByName)
+      .map(category => `<option value="category:${escapeHtml(category)}">${escapeHtml(category)}</option>`).join('')}</optgroup>` : '',
+    reportItems.size ? `<optgroup label="Товары">${Array.from(reportItems.entries()).sort((a, b) => sortByName(a[1], b[1]))
+      .map(([id, name]) => `<option value="item:${escapeHtml(id)}">${escapeHtml(name)}</option>`).join('')}</optgroup>` : ''
+  ].join('');
+
+  const renderTrend = () => {
+    const separator = filterSelect.value.indexOf(':');
+    const kind = separator === -1 ? '' : filterSelect.value.slice(0, separator);
+    const value = filterSelect.value.slice(separator + 1);
+    const filter = kind === 'category' ? { category: value } : kind === 'item' ? { itemId: value } : {};
+    // Для товара и категории пропускаем отчеты, где их не считали
+    const series = buildTrendSeries(reports, filter, itemsById).filter(point => !kind || point.lines > 0);
+    renderTrendSection(series, kind === 'item' ? (itemsById[value]?.unit || 'шт.') : 'ед.');
+  };
+  filterSelect.onchange = renderTrend;
+  renderTrend();
+
+  const showItemTrend = (itemId) => {
+    filterSelect.value = `item:${itemId}`;
+    renderTrend();
+    document.getElementById('trend-section')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const renderShortages = () => {
+    const container = document.getElementById('analytics-shortages');
+    if (!container) return;
+    const shortages = getChronicShortages(reports, Number(topNSelect?.value) || 10);
+
+    if (shortages.length === 0) {
+      container.innerHTML = '<div class="p-6 text-center text-sm text-slate-400 dark:text-slate-500">Товаров с недостачей в нескольких отчетах нет</div>';
+      return;
+    }
+
+    container.innerHTML = '';
+    shortages.forEach((entry, index) => {
+      const unit = itemsById[entry.item_id]?.unit || 'шт.';
+      const rowEl = document.createElement('div');
+      rowEl.className = 'flex items-center gap-4 p-4 active:bg-slate-50 dark:active:bg-slate-700/50 transition-colors cursor-pointer';
+      rowEl.innerHTML = `
+        <div class="flex items-center justify-center rounded-full bg-red-100 dark:bg-red-900/30 shrink-0 w-10 h-10 text-red-600 dark:text-red-400 text-sm font-bold">${index + 1}</div>
+        <div class="flex flex-col min-w-0 flex-1">
+          <p class="text-slate-900 dark:text-white text-base font-semibold leading-snug truncate">${escapeHtml(entry.item_name || 'Неизвестный товар')}</p>
+          <p class="text-slate-500 dark:text-slate-400 text-sm truncate">Недостача в ${entry.short_reports} из ${entry.counted_reports} отчетов</p>
+        </div>
+        <div class="px-2 py-0.5 rounded bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400 text-xs font-bold whitespace-nowrap">
+          −${entry.total_shortage} ${escapeHtml(unit)}
+        </div>
+      `;
+      rowEl.addEventListener('click', () => showItemTrend(entry.item_id));
+      container.appendChild(rowEl);
+    });
+  };
+  if (topNSelect) topNSelect.onchange = renderShortages;
+  renderShortages();
+
+  const consumptionContainer = document.getElementById('analytics-consumption');
+  if (consumptionContainer) {
+    const rates = getConsumptionRates(reports, stockMovements).slice(0, 20);
+    if (rates.length === 0) {
+      consumptionContainer.innerHTML = '<div class="p-6 text-center text-sm text-slate-400 dark:text-slate-500">Нужно хотя бы два отчета с одним товаром</div>';
+    } else {
+      consumptionContainer.innerHTML = '';
+      rates.forEach(entry => {
+        const unit = itemsById[entry.item_id]?.unit || 'шт.';
+        const rowEl = document.createElement('div');
+        rowEl.className = 'flex items-center gap-4 p-4 active:bg-slate-50 dark:active:bg-slate-700/50 transition-colors cursor-pointer';
+        rowEl.innerHTML = `
+          <div class="flex flex-col min-w-0 flex-1">
+            <p class="text-slate-900 dark:text-white text-base font-semibold leading-snug truncate">${escapeHtml(entry.item_name || 'Неизвестный товар')}</p>
+            <p class="text-slate-500 dark:text-slate-400 text-sm truncate">${entry.consumed} ${escapeHtml(unit)} за ${entry.days} дн. · последний интервал: ${entry.last_per_day} в день</p>
+          </div>
+          <div class="flex flex-col items-end shrink-0">
+            <span class="text-sm font-bold text-slate-900 dark:text-white whitespace-nowrap">${entry.per_day} ${escapeHtml(unit)}/день</span>
+            <span class="text-xs text-slate-400 whitespace-nowrap">${Math.round(entry.per_day * 7 * 10) / 10} в неделю</span>
+          </div>
+        `;
+        rowEl.addEventListener('click', () => showItemTrend(entry.item_id));
+        consumptionContainer.appendChild(rowEl);
+      });
+    }
+  }
+}
+
+/**
+ * Отобразить график динамики и итог последнего отчета
+ *
+ * @param {Array} series - Точки (см. buildTrendSeries)
+ * @param {string} unit - Единица для подписи итога
+ */
+function renderTrendSection(series, unit) {
+  const totalEl = document.getElementById('trend-total');
+  const changeEl = document.getElementById('trend-change');
+  const periodEl = document.getElementById('trend-period');
+  const chartEl = document.getElementById('trend-chart');
+  const labelsEl = document.getElementById('trend-labels');
+  if (!totalEl || !chartEl) return;
+
+  if (series.length === 0) {
+    totalEl.textContent = '—';
+    changeEl?.classList.add('hidden');
+    if (periodEl) periodEl.textContent = 'Отчетов пока нет';
+    chartEl.innerHTML = '';
+    if (labelsEl) labelsEl.innerHTML = '';
+    return;
+  }
+
+  const formatDate = (time, options) => new Date(time).toLocaleDateString('ru-RU', options);
+  const last = series[series.length - 1];
+  totalEl.textContent = `${last.quantity.toLocaleString('ru-RU')} ${unit}`;
+
+  const change = getLastChangePercent(series.map(point => point.quantity));
+  if (changeEl) {
+    changeEl.classList.toggle('hidden', change === null);
+    if (change !== null) {
+      const isUp = change >= 0;
+      changeEl.classList.toggle('bg-green-100', isUp);
+      changeEl.classList.toggle('text-green-700', isUp);
+      changeEl.classList.toggle('bg-red-100', !isUp);
+      changeEl.classList.toggle('text-red-700', !isUp);
+      document.getElementById('trend-change-icon').textContent = isUp ? 'trending_up' : 'trending_down';
+      document.getElementById('trend-change-value').textContent = `${isUp ? '+' : ''}${change}%`;
+    }
+  }
+
+  if (periodEl) {
+    const totalShortage = Math.round(series.reduce((sum, point) => sum + point.shortage, 0) * 1000) / 1000;
+    periodEl.textContent = series.length > 1
+      ? `${series.length} отчетов: ${formatDate(series[0].time)} — ${formatDate(last.time)} · недостача за период ${totalShortage}`
+      : `Один отчет от ${formatDate(last.time)}`;
+  }
+
+  chartEl.innerHTML = renderTrendChart(series);
+
+  // Подписи оси — не больше шести, равномерно
+  if (labelsEl) {
+    const labelCount = Math.min(6, series.length);
+    const indexes = labelCount === 1 ? [0] : Array.from({ length: labelCount }, (_, i) => Math.round(i * (series.length - 1) / (labelCount - 1)));
+    labelsEl.innerHTML = indexes
+      .map(index => `<span>${formatDate(series[index].time, { day: '2-digit', month: '2-digit' })}</span>`)
+      .join('');
+  }
+}
+
+/**
+ * Отобразить журнал списаний по месяцам на странице истории
+ */
+async function renderWriteOffReport() {
+  const container = document.getElementById('write-offs-list-container');
+  if (!container) return;
+
+  try {
+    const report = getWriteOffReport(await movements.getAllStockMovements());
+    const itemsById = new Map((await db.getAllItems()).map(item => [item.id, item]));
+
+    if (report.length === 0) {
+      container.innerHTML = `
+        <div class="p-6 text-center text-slate-400 dark:text-slate-500">
+          <span class="material-symbols-outlined text-3xl mb-1">remove_shopping_cart</span>
+          <p class="text-sm">Списаний пока нет</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = '';
+    report.forEach(group => {
+      const [year, month] = group.month.split('-').map(Number);
+      const monthLabel = new Date(year, month - 1, 1).toLocaleDateString('ru-RU', { month: 'long', year: 'numeric' });
+      const reasons = Object.entries(group.byReason)
+        .map(([reason, quantity]) => `${escapeHtml(reason)}: ${quantity}`)
+        .join(' · ');
+
+      const rowEl = document.createElement('div');
+      rowEl.className = 'flex items-center gap-4 p-4 active:bg-slate-50 dark:active:bg-slate-700/50 transition-colors cursor-pointer';
+      rowEl.innerHTML = `
+        <div class="flex items-center justify-center rounded-full bg-red-100 dark:bg-red-900/30 shrink-0 w-10 h-10 text-red-600 dark:text-red-400">
+          <span class="material-symbols-outlined text-[20px]">remove_shopping_cart</span>
+        </div>
+        <div class="flex flex-col min-w-0 flex-1">
+          <p class="text-slate-900 dark:text-white text-base font-semibold leading-snug truncate">${monthLabel}</p>
+          <p class="text-slate-500 dark:text-slate-400 text-sm truncate">${reasons}</p>
+        </div>
+        <div class="px-2 py-0.5 rounded bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400 text-xs font-bold whitespace-nowrap">
+          −${group.totalQuantity}
+        </div>
+      `;
+      rowEl.addEventListener('click', () => showWriteOffMonth(group, monthLabel, itemsById));
+      container.appendChild(rowEl);
+    });
+  } catch (error) {
+    console.error('Ошибка загрузки журнала списаний:', error);
+    container.innerHTML = '<div class="p-6 text-center text-sm text-slate-400">Не удалось загрузить списания</div>';
+  }
+}
+
+/**
+ * Показать списания за месяц: товар, количество, причина, сотрудник, фото
+ *
+ * @param {Object} group - Группа из getWriteOffReport
+ * @param {string} monthLabel - Название месяца
+ * @param {Map} itemsById - Товары по ID
+ */
+function showWriteOffMonth(group, monthLabel, itemsById) {
+  const rows = group.entries.map(entry => {
+    const item = itemsById.get(entry.item_id);
+    const date = new Date(entry.moved_at);
+    const details = [
+      isNaN(date.getTime()) ? '' : date.toLocaleString('ru-RU', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }),
+      entry.reason,
+      entry.employee || entry.created_by
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    return `
+      <div class="flex items-center gap-3 py-2 border-b border-slate-100 dark:border-slate-800 last:border-0">
+        <div class="flex-1 min-w-0">
+          <p class="text-sm font-bold text-slate-900 dark:text-white truncate">${escapeHtml(item?.name || 'Удаленный товар')}</p>
+          <p class="text-xs text-slate-500 dark:text-slate-400">${details}</p>
+        </div>
+        ${entry.photo_url ? `<a href="${escapeHtml(entry.photo_url)}" target="_blank" rel="noopener" class="text-primary" title="Фото"><span class="material-symbols-outlined text-[20px]">photo_camera</span></a>` : ''}
+        <span class="text-sm font-bold text-red-500 whitespace-nowrap">−${entry.quantity} ${escapeHtml(item?.unit || 'шт.')}</span>
+      </div>
+    `;
+  }).join('');
+
+  showModal({
+    title: `Списания: ${monthLabel}`,
+    message: `<div class="text-left">${rows}</div>`,
+    buttons: [{ text: 'Закрыть', primary: true }]
+  });
 }
 
 /**
@@ -5903,6 +7723,7 @@ async function initInventoryHistoryPage() {
  * @param {Object} report - Данные отчета
  */
 async function handleDeleteReport(report) {
+  if (!requirePermission('complete_session')) return;
   const confirmed = await showDangerConfirm(
     'Удалить отчет?',
     'Это действие удалит отчет и все данные этой инвентаризации. Восстановление невозможно.'
@@ -6035,35 +7856,413 @@ function handleReportAction(report) {
         text: 'Просмотреть',
         primary: false,
         onClick: () => viewReportDetails(report)
+      },
+      {
+        text: 'Заказ поставщикам',
+        primary: false,
+        onClick: () => showReportPurchaseOrder(report)
+      },
+      {
+        text: 'Исправить',
+        primary: false,
+        onClick: () => startReportCorrection(report)
+      }
+    ]
+  });
+}
+
+/**
+ * Исправление завершенной инвентаризации: открыть сессию с указанием причины
+ *
+ * @param {Object} report - Данные отчета
+ */
+async function startReportCorrection(report) {
+  if (!requirePermission('complete_session')) return;
+  let session = null;
+  try {
+    session = await inventory.getInventorySessionById(report.session_id);
+  } catch (error) {
+    console.warn('Не удалось загрузить сессию отчета:', error);
+  }
+
+  if (!session) {
+    await showAlert('Сессия этого отчета не найдена — исправить его нельзя.', 'Исправление');
+    return;
+  }
+  if (session.status === 'reopened') {
+    await showCorrectionModal(report);
+    return;
+  }
+
+  const fieldClass = 'w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-base font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+
+  showModal({
+    title: 'Исправить инвентаризацию',
+    message: `
+      <p class="mb-3 text-sm">Инвентаризация откроется для исправления. Каждое изменение попадет в журнал: кто, какую позицию, с чего на что и почему. Затем отчет сформируется заново, а остатки товаров изменятся на разницу исправления.</p>
+      <input id="correction-reopen-reason" type="text" class="${fieldClass}" placeholder="Причина исправления" />
+    `,
+    buttons: [
+      {
+        text: 'Открыть для исправления',
+        primary: true,
+        onClick: async () => {
+          try {
+            await inventory.reopenInventorySession(session.id, document.getElementById('correction-reopen-reason')?.value);
+            await showCorrectionModal(report);
+          } catch (error) {
+            console.error('Ошибка открытия сессии для исправления:', error);
+            await showAlert(error.message, 'Исправление');
+          }
+        }
+      },
+      { text: 'Отмена' }
+    ]
+  });
+}
+
+/**
+ * Строка журнала исправлений
+ *
+ * @param {Object} entry - Запись журнала (см. corrections.js)
+ * @param {Object} namesById - Названия товаров по ID
+ * @returns {string} - Разметка
+ */
+function renderCorrectionEntry(entry, namesById) {
+  const date = new Date(entry.at);
+  const meta = [
+    isNaN(date.getTime()) ? '' : date.toLocaleString('ru-RU', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }),
+    entry.by
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+  const title = entry.action === 'quantity'
+    ? `${escapeHtml(namesById[entry.item_id] || 'Удаленный товар')}: ${entry.from ?? '—'} → ${entry.to}`
+    : escapeHtml(CORRECTION_ACTIONS[entry.action] || entry.action);
+
+  return `
+    <li class="py-1.5 border-b border-slate-100 dark:border-slate-800 last:border-0">
+      <p class="text-[12px] font-bold text-slate-800 dark:text-slate-200">${title}</p>
+      <p class="text-[11px] text-slate-500 dark:text-slate-400">${entry.reason ? `${escapeHtml(entry.reason)} · ` : ''}${meta}</p>
+    </li>`;
+}
+
+/**
+ * Окно исправления открытой сессии: новое количество позиции с причиной
+ * Заголовок показывает число исправлений, поэтому после сохранения окно обновляется, а не закрывается.
+ *
+ * @param {Object} report - Данные отчета
+ */
+async function showCorrectionModal(report) {
+  let session = null;
+  let rows = [];
+  let namesById = {};
+  try {
+    [session, rows] = await Promise.all([
+      inventory.getInventorySessionById(report.session_id),
+      inventory.getInventoryItemsBySession(report.session_id)
+    ]);
+    namesById = Object.fromEntries((report.items || []).map(line => [line.item_id, line.item_name]));
+    (await db.getAllItems()).forEach(item => { namesById[item.id] = item.name; });
+  } catch (error) {
+    console.error('Ошибка загрузки записей для исправления:', error);
+    await showAlert('Не удалось загрузить записи инвентаризации.', 'Исправление');
+    return;
+  }
+
+  const openCorrections = getOpenCorrections(session?.corrections);
+  const fieldClass = 'w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-base font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+  const rowOptions = rows
+    .filter(row => row && row.item_id)
+    .sort((a, b) => String(namesById[a.item_id] || '').localeCompare(String(namesById[b.item_id] || ''), 'ru'))
+    .map(row => `<option value="${escapeHtml(row.item_id)}">${escapeHtml(namesById[row.item_id] || 'Удаленный товар')} · ${row.quantity ?? '—'}</option>`)
+    .join('');
+
+  showModal({
+    title: `Исправление: ${openCorrections.length} изм.`,
+    message: `
+      <div class="flex flex-col gap-3 text-left">
+        <select id="correction-item" class="${fieldClass}">${rowOptions}</select>
+        <input id="correction-quantity" type="number" inputmode="decimal" min="0" step="any" class="${fieldClass}" placeholder="Правильное количество" />
+        <input id="correction-reason" type="text" class="${fieldClass}" placeholder="Причина (например: не учли коробку на складе)" />
+        ${openCorrections.length > 0
+          ? `<ul class="max-h-40 overflow-y-auto">${openCorrections.slice().reverse().map(entry => renderCorrectionEntry(entry, namesById)).join('')}</ul>`
+          : '<p class="text-xs text-slate-500 dark:text-slate-400">Исправлений пока нет. Когда закончите, сформируйте отчет заново.</p>'}
+      </div>
+    `,
+    buttons: [
+      {
+        text: 'Сохранить исправление',
+        primary: true,
+        onClick: async () => {
+          try {
+            await inventory.correctInventoryItem(
+              report.session_id,
+              document.getElementById('correction-item')?.value,
+              document.getElementById('correction-quantity')?.value,
+              document.getElementById('correction-reason')?.value
+            );
+            await showCorrectionModal(report);
+          } catch (error) {
+            console.error('Ошибка исправления записи:', error);
+            await showAlert(error.message, 'Исправление');
+          }
+        }
+      },
+      {
+        text: 'Сформировать отчет заново',
+        onClick: async () => {
+          try {
+            const correctedReport = await inventory.finalizeInventoryCorrection(report.session_id);
+            showSuccess(correctedReport
+              ? `Отчет сформирован заново (версия ${correctedReport.revision}), остатки товаров обновлены`
+              : 'Исправление завершено, остатки товаров обновлены');
+            initInventoryHistoryPage();
+          } catch (error) {
+            console.error('Ошибка завершения исправления:', error);
+            await showAlert(error.message, 'Исправление');
+          }
+        }
+      },
+      { text: 'Закрыть' }
+    ]
+  });
+}
+
+/**
+ * Предлагаемый заказ по сессии отчета
+ *
+ * @param {Object} report - Данные отчета
+ */
+async function showReportPurchaseOrder(report) {
+  try {
+    const order = await inventory.getSessionPurchaseOrder(report.session_id);
+    showPurchaseOrder(order, new Date(report.date || report.created_at).toLocaleDateString('ru-RU'));
+  } catch (error) {
+    console.error('Ошибка формирования заказа:', error);
+    await showAlert('Не удалось сформировать заказ поставщикам.');
+  }
+}
+
+/**
+ * Показать предлагаемый заказ, сгруппированный по поставщикам
+ *
+ * @param {Object} order - Заказ (см. purchasing.js)
+ * @param {string} dateLabel - Дата инвентаризации
+ * @param {Function} onDone - Вызывается после любого действия с окном (необязательно)
+ */
+function showPurchaseOrder(order, dateLabel, onDone = null) {
+  if (!order || order.total_lines === 0) {
+    showAlert('Все товары с минимальным запасом в наличии — заказывать нечего.<br><br>Минимальный запас задается на странице товара или колонкой при импорте.', 'Заказ поставщикам');
+    return;
+  }
+
+  const groupsHtml = order.suppliers.map(group => `
+      <div class="mb-3">
+        <p class="text-xs font-black uppercase text-slate-500 mb-1">${escapeHtml(group.supplier)}</p>
+        ${group.details ? `<p class="text-[11px] text-slate-400 mb-1">${escapeHtml(formatSupplierSchedule(group.details))}</p>` : ''}
+        <ul class="space-y-1">
+          ${group.lines.map(line => `
+            <li class="flex justify-between gap-3 text-sm">
+              <span class="text-slate-700 dark:text-slate-300">${escapeHtml(line.item_name)}
+                <span class="text-xs text-slate-400">(есть ${line.counted} из ${line.par_level})</span>
+              </span>
+              <span class="font-bold text-slate-900 dark:text-white whitespace-nowrap">${line.order_qty} ${escapeHtml(line.unit)}</span>
+            </li>`).join('')}
+        </ul>
+      </div>`).join('');
+
+  const finish = async (action) => {
+    if (action) await action();
+    if (onDone) onDone();
+  };
+
+  showModal({
+    title: 'Заказ поставщикам',
+    message: `<p class="mb-3 text-sm">Товары ниже минимального запаса по инвентаризации от ${escapeHtml(dateLabel)}. Количество округлено до кратности заказа.</p>
+      <div class="max-h-[50vh] overflow-y-auto text-left">${groupsHtml}</div>`,
+    buttons: [
+      {
+        text: 'Сохранить',
+        primary: true,
+        onClick: () => finish(() => exportPurchaseOrderToExcel(order, dateLabel))
+      },
+      {
+        text: 'Отправить',
+        primary: true,
+        onClick: () => finish(() => sharePurchaseOrder(order, dateLabel))
+      },
+      {
+        text: 'Закрыть',
+        primary: false,
+        onClick: () => finish()
       }
     ]
   });
 }
 
+/**
+ * Контакты поставщика и сроки ближайшего заказа для окна заказа
+ *
+ * @param {Object} supplier - Поставщик из справочника
+ * @returns {string}
+ */
+function formatSupplierSchedule(supplier) {
+  const nextOrder = getNextOrderDate(supplier.order_days);
+  const delivery = getExpectedDeliveryDate(supplier);
+  return [
+    supplier.phone || supplier.email || '',
+    nextOrder ? `заказать ${nextOrder.toLocaleDateString('ru-RU')}` : '',
+    delivery ? `привезут ~${delivery.toLocaleDateString('ru-RU')}` : ''
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Экспорт заказа в Excel: общий лист и по листу на поставщика
+ *
+ * @param {Object} order - Заказ
+ * @param {string} dateLabel - Дата инвентаризации
+ */
+function exportPurchaseOrderToExcel(order, dateLabel) {
+  try {
+    if (typeof XLSX === 'undefined') {
+      showAlert('Библиотека Excel не загружена. Проверьте подключение к интернету.');
+      return;
+    }
+
+    const toRows = lines => lines.map(line => ({
+      'Артикул': line.sku || '',
+      'Артикул поставщика': line.supplier_sku || '',
+      'Товар': line.item_name,
+      'Ед. изм.': line.unit,
+      'Остаток': line.counted,
+      'Мин. запас': line.par_level,
+      'Кратность': line.reorder_qty ?? '',
+      'Заказать': line.order_qty,
+      'Цена': line.supplier_price ?? '',
+      'Сумма': line.supplier_price !== null && line.supplier_price !== undefined
+        ? Math.round(line.supplier_price * line.order_qty * 100) / 100
+        : ''
+    }));
+
+    const wb = XLSX.utils.book_new();
+    const allRows = order.suppliers.flatMap(group => toRows(group.lines).map(row => ({ 'Поставщик': group.supplier, ...row })));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(allRows), 'Заказ');
+
+    // Имя листа Excel: до 31 символа, без []:*?/\ и уникальное
+    const usedNames = new Set(['Заказ']);
+    order.suppliers.forEach(group => {
+      const baseName = group.supplier.replace(/[\[\]:*?/\\]/g, ' ').trim().slice(0, 28) || 'Поставщик';
+      let sheetName = baseName;
+      for (let n = 2; usedNames.has(sheetName); n++) {
+        sheetName = `${baseName} ${n}`;
+      }
+      usedNames.add(sheetName);
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(toRows(group.lines)), sheetName);
+    });
+
+    XLSX.writeFile(wb, `Заказ_${dateLabel || 'поставщикам'}.xlsx`);
+  } catch (error) {
+    console.error('Ошибка экспорта заказа:', error);
+    showAlert('Не удалось сохранить файл Excel.');
+  }
+}
+
+/**
+ * Отправить заказ (текстом, сгруппированным по поставщикам)
+ *
+ * @param {Object} order - Заказ
+ * @param {string} dateLabel - Дата инвентаризации
+ */
+async function sharePurchaseOrder(order, dateLabel) {
+  const text = formatPurchaseOrderText(order, dateLabel);
+
+  // Закрываем модалку сразу, чтобы она не "висела" на фоне выбора приложения
+  closeModal();
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: 'Заказ поставщикам', text });
+      return;
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.warn('Ошибка Web Share:', error);
+    }
+  }
+
+  // Фолбэк на буфер обмена
+  try {
+    await navigator.clipboard.writeText(text);
+    await showAlert('Текст заказа скопирован', 'Готово');
+  } catch (err) {
+    await showAlert(escapeHtml(text).replace(/\n/g, '<br>'), 'Текст заказа');
+  }
+}
+
 /**
  * Экспорт отчета в Excel
  * 
  * @param {Object} report - Данные отчета
  */
-function exportReportToExcel(report) {
+async function exportReportToExcel(report) {
   try {
     if (typeof XLSX === 'undefined') {
       showAlert('Библиотека Excel не загружена. Проверьте подключение к интернету.');
       return;
     }
 
-    const reportData = report.items.map(item => ({
+    const valuation = await getReportValuationSafe(report);
+    const lines = valuation ? valuation.lines : report.items;
+
+    const reportData = lines.map(item => ({
       'Товар': item.item_name,
+      'Категория': item.category || '',
+      'Место хранения': item.location || '',
       'Количество': item.quantity,
       'Предыдущее': item.previous_quantity || 0,
       'Разница': item.difference || 0,
-      'Комментарий': item.comment || ''
+      'Себестоимость': item.unit_cost ?? '',
+      'Сумма остатка': item.stock_value ?? '',
+      'Сумма разницы': item.difference_value ?? '',
+      'Комментарий': item.comment || '',
+      'Считал': item.counted_by || ''
     }));
 
     const ws = XLSX.utils.json_to_sheet(reportData);
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, "Отчет");
 
+    // Кто сколько посчитал и как часто расходилось
+    const counterStats = getCounterStats(lines);
+    if (counterStats.length > 0) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(counterStats.map(stats => ({
+        'Сотрудник': stats.name,
+        'Позиций': stats.items,
+        'С расхождением': stats.with_difference,
+        'Доля расхождений, %': stats.variance_percent,
+        'Излишки': stats.surplus,
+        'Недостачи': stats.shortage
+      }))), 'Сотрудники');
+    }
+
+    // Итоги в деньгах: по отчету, категориям и местам хранения
+    if (valuation) {
+      const toSummaryRow = (section, group) => ({
+        'Раздел': section,
+        'Название': group.name,
+        'Стоимость остатка': group.stock_value,
+        'Излишки': group.surplus_value,
+        'Недостачи': group.shortage_value,
+        'Итог расхождений': group.net_value,
+        'Без себестоимости': group.unpriced
+      });
+      const summaryRows = [
+        toSummaryRow('Отчет', valuation.summary.total),
+        ...valuation.summary.by_category.map(group => toSummaryRow('Категория', group)),
+        ...valuation.summary.by_location.map(group => toSummaryRow('Место хранения', group)),
+        { 'Раздел': 'Метод оценки', 'Название': COSTING_METHODS[valuation.method]?.label || valuation.method }
+      ];
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summaryRows), 'Итоги');
+    }
+
     const fileName = `Инвентаризация_${report.date || 'отчет'}.xlsx`;
     XLSX.writeFile(wb, fileName);
   } catch (error) {
@@ -6108,13 +8307,96 @@ async function shareReport(report) {
   }
 }
 
+/**
+ * Оценить отчет в деньгах, не прерывая показ и экспорт при ошибке
+ *
+ * @param {Object} report - Данные отчета
+ * @returns {Promise<Object|null>} - См. inventory.getReportValuation
+ */
+async function getReportValuationSafe(report) {
+  try {
+    return await inventory.getReportValuation(report);
+  } catch (error) {
+    console.warn('Не удалось оценить отчет в деньгах:', error);
+    return null;
+  }
+}
+
+/**
+ * Разметка итогов в деньгах по группам (категориям или местам хранения)
+ *
+ * @param {string} title - Заголовок
+ * @param {string} icon - Иконка Material Symbols
+ * @param {Array} groups - Итоги групп (см. summarizeReportValue)
+ * @returns {string}
+ */
+function renderValueGroups(title, icon, groups) {
+  const rows = groups.map(group => `
+          <div class="px-3 py-2 flex items-start gap-3 w-full border-b border-slate-50 dark:border-slate-800/50 last:border-0">
+            <div class="flex-1 min-w-0">
+              <p class="text-[12px] font-medium text-slate-700 dark:text-slate-300 leading-tight break-all">${escapeHtml(group.name)}</p>
+              <p class="text-[10px] text-slate-400">остаток ${formatMoney(group.stock_value)}</p>
+            </div>
+            <div class="shrink-0 text-right pt-0.5">
+              ${group.surplus_value ? `<p class="text-[11px] font-bold text-green-600 dark:text-green-400 whitespace-nowrap">+${formatMoney(group.surplus_value)}</p>` : ''}
+              ${group.shortage_value ? `<p class="text-[11px] font-bold text-red-600 dark:text-red-400 whitespace-nowrap">−${formatMoney(group.shortage_value)}</p>` : ''}
+            </div>
+          </div>`).join('');
+
+  return `
+      <div class="space-y-2 w-full">
+        <h4 class="text-[10px] font-black text-slate-400 uppercase tracking-tighter flex items-center gap-1.5 ml-1">
+          <span class="material-symbols-outlined text-[14px]">${icon}</span>
+          ${title}
+        </h4>
+        <div class="bg-white dark:bg-slate-800/20 rounded-2xl border border-slate-100 dark:border-slate-800 overflow-hidden w-full">${rows}
+        </div>
+      </div>`;
+}
+
+/**
+ * Блок отчета «По сотрудникам»: сколько позиций посчитал и доля расхождений
+ *
+ * @param {Array} stats - Результат getCounterStats
+ * @returns {string} - HTML (пустая строка, если авторов в отчете нет)
+ */
+function renderCounterStats(stats) {
+  if (stats.length === 0) return '';
+
+  const rows = stats.map(entry => `
+          <div class="px-3 py-2 flex items-start gap-3 w-full border-b border-slate-50 dark:border-slate-800/50 last:border-0">
+            <div class="flex-1 min-w-0">
+              <p class="text-[12px] font-medium text-slate-700 dark:text-slate-300 leading-tight break-all">${escapeHtml(entry.name)}</p>
+              <p class="text-[10px] text-slate-400">${entry.items} поз. · с расхождением ${entry.with_difference}</p>
+            </div>
+            <div class="shrink-0 text-right pt-0.5">
+              <p class="text-[12px] font-black ${entry.variance_percent > 0 ? 'text-amber-600 dark:text-amber-400' : 'text-slate-900 dark:text-white'} whitespace-nowrap">${entry.variance_percent}%</p>
+              ${entry.surplus ? `<p class="text-[10px] text-green-600 dark:text-green-400 whitespace-nowrap">+${entry.surplus}</p>` : ''}
+              ${entry.shortage ? `<p class="text-[10px] text-red-600 dark:text-red-400 whitespace-nowrap">−${entry.shortage}</p>` : ''}
+            </div>
+          </div>`).join('');
+
+  return `
+      <div class="space-y-2 w-full">
+        <h4 class="text-[10px] font-black text-slate-400 uppercase tracking-tighter flex items-center gap-1.5 ml-1">
+          <span class="material-symbols-outlined text-[14px]">groups</span>
+          По сотрудникам
+        </h4>
+        <div class="bg-white dark:bg-slate-800/20 rounded-2xl border border-slate-100 dark:border-slate-800 overflow-hidden w-full">${rows}
+        </div>
+      </div>`;
+}
+
 /**
  * Просмотреть детали отчета
  * 
  * @param {Object} report - Данные отчета
  */
-function viewReportDetails(report) {
+async function viewReportDetails(report) {
   const reportDate = new Date(report.date || report.created_at).toLocaleDateString('ru-RU');
+  const valuation = await getReportValuationSafe(report);
+  const total = valuation?.summary.total;
+  const hasValues = total && total.unpriced < valuation.lines.length;
 
   // Компактная разметка с принудительной шириной
   let html = `<div class="w-full space-y-4">
@@ -6135,7 +8417,54 @@ function viewReportDetails(report) {
           <p class="text-[9px] uppercase font-black text-red-500 mb-0.5">Недостачи</p>
           <p class="text-lg font-black text-red-600 dark:text-red-400 leading-none">${report.negative_difference}</p>
         </div>
+      </div>`;
+
+  // Отчет сформирован заново после исправления: журнал с первоначальными количествами
+  if (Number(report.revision) > 1) {
+    const session = await inventory.getInventorySessionById(report.session_id).catch(() => null);
+    const entries = (session?.corrections || []).filter(entry => entry.action === 'quantity');
+    const namesById = Object.fromEntries([...(report.original_items || []), ...(report.items || [])]
+      .map(line => [line.item_id, line.item_name]));
+    html += `
+      <div class="space-y-2 w-full">
+        <h4 class="text-[10px] font-black text-slate-400 uppercase tracking-tighter flex items-center gap-1.5 ml-1">
+          <span class="material-symbols-outlined text-[14px]">edit_note</span>
+          Исправления · версия ${report.revision}
+        </h4>
+        <div class="bg-white dark:bg-slate-800/20 rounded-2xl border border-slate-100 dark:border-slate-800 p-3 w-full">
+          ${entries.length > 0
+            ? `<ul>${entries.map(entry => renderCorrectionEntry(entry, namesById)).join('')}</ul>`
+            : '<p class="text-[11px] text-slate-400">Журнал исправлений не загружен</p>'}
+        </div>
+      </div>`;
+  }
+
+  // Оценка в деньгах (по себестоимости на дату отчета)
+  if (hasValues) {
+    html += `
+      <div class="space-y-2 w-full">
+        <h4 class="text-[10px] font-black text-slate-400 uppercase tracking-tighter flex items-center gap-1.5 ml-1">
+          <span class="material-symbols-outlined text-[14px]">payments</span>
+          В деньгах
+        </h4>
+        <div class="bg-white dark:bg-slate-800/20 rounded-2xl border border-slate-100 dark:border-slate-800 p-3 w-full space-y-1 text-[12px]">
+          <div class="flex justify-between gap-2"><span class="text-slate-500">Стоимость остатка</span><span class="font-bold text-slate-900 dark:text-white whitespace-nowrap">${formatMoney(total.stock_value)}</span></div>
+          <div class="flex justify-between gap-2"><span class="text-slate-500">Излишки</span><span class="font-bold text-green-600 dark:text-green-400 whitespace-nowrap">+${formatMoney(total.surplus_value)}</span></div>
+          <div class="flex justify-between gap-2"><span class="text-slate-500">Недостачи</span><span class="font-bold text-red-600 dark:text-red-400 whitespace-nowrap">−${formatMoney(total.shortage_value)}</span></div>
+          <div class="flex justify-between gap-2 pt-1 border-t border-slate-100 dark:border-slate-800"><span class="text-slate-500">Итог расхождений</span><span class="font-black ${total.net_value < 0 ? 'text-red-600 dark:text-red-400' : 'text-slate-900 dark:text-white'} whitespace-nowrap">${formatMoney(total.net_value)}</span></div>
+          ${total.unpriced ? `<p class="text-[10px] text-slate-400 pt-1">Без себестоимости: ${total.unpriced} поз. — не учтены в суммах</p>` : ''}
+          <p class="text-[10px] text-slate-400 pt-1">Метод оценки: ${escapeHtml(COSTING_METHODS[valuation.method]?.label || valuation.method)}</p>
+        </div>
       </div>
+      ${renderValueGroups('По категориям', 'category', valuation.summary.by_category)}
+      ${renderValueGroups('По местам хранения', 'shelves', valuation.summary.by_location)}`;
+  } else if (valuation) {
+    html += `<p class="text-[11px] text-slate-400 px-1">Чтобы видеть расхождения в деньгах, укажите себестоимость на странице товара или колонкой при импорте.</p>`;
+  }
+
+  html += renderCounterStats(getCounterStats(valuation ? valuation.lines : report.items));
+
+  html += `
       <div class="space-y-2 w-full">
         <h4 class="text-[10px] font-black text-slate-400 uppercase tracking-tighter flex items-center gap-1.5 ml-1">
           <span class="material-symbols-outlined text-[14px]">list_alt</span>
@@ -6143,7 +8472,7 @@ function viewReportDetails(report) {
         </h4>
         <div class="divide-y divide-slate-100 dark:divide-slate-800 bg-white dark:bg-slate-800/20 rounded-2xl border border-slate-100 dark:border-slate-800 overflow-hidden w-full">`;
 
-  const diffItems = report.items.filter(i => i.difference !== 0);
+  const diffItems = (valuation ? valuation.lines : report.items).filter(i => i.difference !== 0);
 
   if (diffItems.length > 0) {
     diffItems.forEach(i => {
@@ -6155,6 +8484,7 @@ function viewReportDetails(report) {
           </div>
           <div class="shrink-0 text-right pt-0.5">
             <p class="text-[13px] font-black ${colorClass} whitespace-nowrap">${i.difference > 0 ? '+' : ''}${i.difference}</p>
+            ${i.difference_value ? `<p class="text-[10px] text-slate-400 whitespace-nowrap">${i.difference_value > 0 ? '+' : ''}${formatMoney(i.difference_value)}</p>` : ''}
           </div>
         </div>`;
     });
@@ -6256,6 +8586,27 @@ function showPageHelp() {
             </h3>
             <p class="text-sm text-slate-600 dark:text-slate-400">Нажмите <b>"Начать"</b> для новой инвентаризации или <b>"Продолжить"</b>, если работа уже начата.</p>
           </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">grid_view</span>
+              Зоны
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Под общим прогрессом видно, сколько посчитано в каждой зоне (Бар, Кухня, Склад…) и кто ее считает. Закончить инвентаризацию можно, когда все зоны отмечены готовыми; иначе нужно подтверждение менеджера.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">visibility_off</span>
+              Слепой подсчет
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">При нажатии <b>"Начать"</b> можно включить слепой подсчет: считающие не увидят прошлых количеств. Задайте PIN, чтобы открыть их мог только руководитель.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">compare_arrows</span>
+              С чем сравнивать
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Там же выбирается, что показывать в <b>"Было"</b>: ожидаемый остаток (прошлый подсчет плюс движения), конкретную прошлую инвентаризацию или остаток в карточках товаров. Выбор сохраняется в сессии, поэтому расхождения не меняются, когда завершаются другие инвентаризации.</p>
+          </div>
           <div>
             <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
               <span class="material-symbols-outlined text-primary">history</span>
@@ -6277,6 +8628,13 @@ function showPageHelp() {
             </h3>
             <p class="text-sm text-slate-600 dark:text-slate-400">Используйте строку поиска для нахождения товара по названию или SKU. Кнопки выше позволяют фильтровать список по категориям.</p>
           </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">qr_code_2</span>
+              Этикетки
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Кнопка с QR-кодом в шапке печатает этикетки для полок по выбранной категории или месту хранения.</p>
+          </div>
           <div>
             <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
               <span class="material-symbols-outlined text-primary">add_circle</span>
@@ -6303,7 +8661,21 @@ function showPageHelp() {
               <span class="material-symbols-outlined text-primary">show_chart</span>
               Динамика остатков
             </h3>
-            <p class="text-sm text-slate-600 dark:text-slate-400">График показывает общее изменение количества товаров по месяцам. Рост или падение отображается в процентах.</p>
+            <p class="text-sm text-slate-600 dark:text-slate-400">График показывает количество и недостачу по каждому отчету — для всех товаров, категории или одного товара (выберите в списке над графиком). Процент — изменение относительно предыдущего отчета.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-red-600">trending_down</span>
+              Хронические недостачи и расход
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Список товаров, которых не хватало в нескольких отчетах, и средний расход каждого товара между подсчетами (в день и в неделю). Нажмите на товар, чтобы открыть его график.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">compare_arrows</span>
+              Сравнение отчетов
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Кнопка <b>"Сравнить"</b> вверху сравнивает любые два отчета — например, этот месяц с тем же месяцем прошлого года. Удаленные и заведенные заново товары сопоставляются по артикулу или названию. Результат можно сохранить в Excel.</p>
           </div>
           <div>
             <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
@@ -6312,6 +8684,34 @@ function showPageHelp() {
             </h3>
             <p class="text-sm text-slate-600 dark:text-slate-400">Все завершенные инвентаризации хранятся здесь. Вы можете открыть любой старый отчет для анализа расхождений.</p>
           </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-green-600">payments</span>
+              Расхождения в деньгах
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Если у товаров указана себестоимость, отчет показывает стоимость остатка, излишков и недостач — всего, по категориям и по местам хранения. В Excel эти суммы попадают в колонки отчета и на лист «Итоги».</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-red-600">remove_shopping_cart</span>
+              Списания
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Бой, кража и порча по месяцам с итогами по причинам. Нажмите на месяц, чтобы увидеть каждое списание: товар, количество, сотрудника и фото.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">shopping_cart</span>
+              Заказ поставщикам
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">В меню отчета кнопка <b>"Заказ поставщикам"</b> показывает товары ниже минимального запаса по этой инвентаризации, сгруппированные по поставщику последнего поступления. Заказ можно сохранить в Excel или отправить.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">edit_note</span>
+              Исправление
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Кнопка <b>"Исправить"</b> в меню последнего отчета открывает инвентаризацию заново. Для каждой позиции укажите правильное количество и причину — изменение попадет в журнал с автором и временем. Затем нажмите <b>"Сформировать отчет заново"</b>: отчет пересчитается, первоначальные цифры сохранятся, а остатки товаров изменятся на разницу.</p>
+          </div>
         </div>
       `;
       break;
@@ -6333,6 +8733,41 @@ function showPageHelp() {
             </h3>
             <p class="text-sm text-slate-600 dark:text-slate-400">В центральном блоке отображается количество, зафиксированное в текущей (или последней) сессии, и его отличие от предыдущего замера.</p>
           </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-amber-600">swap_vert</span>
+              Движения
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Записывайте поступления от поставщиков (с ценой — она станет себестоимостью и партией для оценки запасов), списания и бой (с причиной) и перемещения — текущий остаток изменится сразу. При следующей инвентаризации они попадут в ожидаемое количество, и разница покажет реальную недостачу.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-red-600">remove_shopping_cart</span>
+              Списание
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Кнопка <b>"Списать"</b> — быстрый способ отметить бой, кражу или порчу: укажите количество, причину и сотрудника, при необходимости сфотографируйте. Остаток уменьшится сразу, а запись появится в журнале списаний на странице «История».</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">shopping_cart</span>
+              Минимальный запас
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Задайте в режиме правки минимальный запас и кратность заказа (например, коробка по 24 шт.). После инвентаризации товары ниже минимума попадут в предлагаемый заказ поставщикам.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-green-600">payments</span>
+              Себестоимость
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Цена одной единицы для оценки расхождений в деньгах. Каждое изменение сохраняется в истории: старые отчеты считаются по цене, которая действовала на их дату.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-teal-600">local_shipping</span>
+              Поставщик
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">В режиме правки выберите поставщика (или создайте нового), укажите артикул товара у поставщика и цену закупки. Контакты и дни заказа редактируются в «Управлении данными».</p>
+          </div>
           <div>
             <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
               <span class="material-symbols-outlined text-red-600">delete</span>
@@ -6354,6 +8789,13 @@ function showPageHelp() {
             </h3>
             <p class="text-sm text-slate-600 dark:text-slate-400">Выбирайте категорию в верхней ленте или воспользуйтесь плавающим меню справа. Кнопка <b>"Все"</b> сбрасывает все фильтры.</p>
           </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">qr_code_scanner</span>
+              Сканер
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Кнопка сканера в шапке открывает камеру. Код ищется по штрихкоду и артикулу товара — найденная карточка прокручивается на экран, а курсор ставится в поле количества. Если код неизвестен, можно сразу создать новый товар. Без поддержки камеры код можно ввести вручную.</p>
+          </div>
           <div>
             <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
               <span class="material-symbols-outlined text-primary">add_box</span>
@@ -6368,6 +8810,48 @@ function showPageHelp() {
             </h3>
             <p class="text-sm text-slate-600 dark:text-slate-400">Приложение сохраняет данные автоматически каждые 30 сек. Также вы можете нажать <b>"Сохранить прогресс"</b> вручную перед выходом.</p>
           </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">group</span>
+              Совместный подсчет
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Одну сессию можно считать с нескольких телефонов одновременно: сохраненные количества появляются на других устройствах без перезагрузки. Товары, которые уже считали на другом устройстве, помечены строкой <b>"Считали: …"</b>, а чужие промежуточные значения выделены фиолетовым и не затираются вашими. Нажмите на строку под датой в шапке, чтобы выбрать, кто считает: на общем планшете каждый сотрудник добавляет себя один раз и дальше входит по своему PIN. Имя попадает в каждую посчитанную позицию, а в отчете появляется блок «По сотрудникам».</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">grid_view</span>
+              Зоны подсчета
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Кнопка с квадратами в шапке открывает зоны по местам хранения. Впишите, кто считает зону, нажмите <b>"Показать"</b>, чтобы оставить в списке только ее товары, и <b>"Зона готова"</b>, когда закончите.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">visibility_off</span>
+              Слепой подсчет
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Если инвентаризацию начали в режиме слепого подсчета, вместо <b>"Было"</b> и разницы показано <b>"Слепой подсчет"</b>, а непосчитанные товары начинаются с нуля. Руководитель может открыть прошлые количества на своем устройстве, нажав на эту строку и введя PIN.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-amber-600">local_shipping</span>
+              Ожидается
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Если после прошлой инвентаризации у товара были поступления, списания или перемещения, вместо <b>"Было"</b> показано <b>"Ожидается"</b>: прошлый подсчет плюс движения. Разница с ним — реальная недостача или излишек.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-primary">replay</span>
+              Пересчет
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Если расхождение больше порога, под поиском появляется плашка <b>"Нужен пересчет"</b>. Пересчитайте позицию заново или объясните расхождение комментарием — иначе инвентаризацию не завершить.</p>
+          </div>
+          <div>
+            <h3 class="font-bold text-slate-900 dark:text-white mb-1 flex items-center gap-2">
+              <span class="material-symbols-outlined text-teal-600">local_shipping</span>
+              По поставщикам
+            </h3>
+            <p class="text-sm text-slate-600 dark:text-slate-400">Если у товаров указаны поставщики, под поиском появляется список поставщиков — выберите одного, чтобы считать только его товары (например, перед звонком с заказом).</p>
+          </div>
         </div>
       `;
       break;
@@ -6454,4 +8938,4 @@ function createHelpModal(title, htmlContent) {
 }
 
 // Экспортируем функции для использования в других модулях
-export { navigateTo, showError, showSuccess, showPageHelp };
+export { navigateTo, showError, showSuccess, showPageHelp, requirePermission };
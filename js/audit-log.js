@@ -0,0 +1,84 @@
+/**
+ * Журнал изменений данных: запись на устройстве и на сервере
+ *
+ * Строки журнала (см. audit.js) сохраняются в IndexedDB вместе с изменением
+ * и отправляются на сервер при синхронизации (см. syncAuditLog в sync.js).
+ * Ошибка записи журнала не мешает сохранить сами данные.
+ */
+
+import * as db from './db.js';
+import * as supabase from './supabase.js';
+import { getDeviceId, getCounterName, getActiveCounter } from './counting.js';
+import { getCurrentUser } from './auth.js';
+import { buildAuditEntries, filterAuditEntries } from './audit.js';
+
+/**
+ * Генерировать уникальный ID
+ *
+ * @returns {string} - UUID
+ */
+function generateId() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * Записать изменение в журнал
+ *
+ * @param {string} entity - Что изменилось (см. AUDIT_ENTITIES)
+ * @param {Object|null} before - Запись до изменения (null — создание)
+ * @param {Object|null} after - Запись после изменения (null — удаление)
+ * @param {Object} options - { source, omitFields } (см. AUDIT_SOURCES)
+ * @returns {Promise<Array>} - Promise с записанными строками
+ */
+export async function recordAudit(entity, before, after, { source = null, omitFields = [] } = {}) {
+  try {
+    const user = getCurrentUser();
+    const entries = buildAuditEntries(entity, before, after, {
+      device_id: getDeviceId(),
+      user_name: getCounterName(),
+      counter_id: getActiveCounter()?.id || null,
+      user_id: user?.id || null,
+      user_email: user?.email || null,
+      source,
+      changed_at: new Date().toISOString(),
+      omitFields
+    }).map(entry => ({ id: generateId(), ...entry }));
+
+    if (entries.length === 0) {
+      return [];
+    }
+    return await db.addAuditEntries(entries);
+  } catch (error) {
+    console.error('Ошибка записи журнала изменений:', error);
+    return [];
+  }
+}
+
+/**
+ * Получить журнал изменений по товару или сессии
+ * Онлайн к строкам этого устройства добавляются строки других устройств с сервера.
+ *
+ * @param {Object} filter - { itemId, sessionId, limit }
+ * @returns {Promise<Array>} - Promise со строками журнала (новые первыми)
+ */
+export async function getAuditLog(filter = {}) {
+  const entriesById = new Map();
+
+  (await db.getAllAuditEntries()).forEach(entry => entriesById.set(entry.id, entry));
+
+  if (navigator.onLine) {
+    try {
+      (await supabase.fetchAuditLog(filter)).forEach(entry => {
+        entriesById.set(entry.id, { ...entry, synced: true });
+      });
+    } catch (error) {
+      console.warn('Не удалось получить журнал изменений с сервера:', error);
+    }
+  }
+
+  return filterAuditEntries(Array.from(entriesById.values()), filter);
+}
@@ -0,0 +1,131 @@
+/**
+ * Журнал изменений данных
+ *
+ * Каждое изменение товаров, сессий, записей подсчета и отчетов записывается отдельной
+ * строкой журнала (audit_log). Журнал только дополняется — строки не меняются и не удаляются:
+ *   { id, entity, entity_id, item_id, session_id, action, field, old_value, new_value,
+ *     device_id, user_name, counter_id, user_id, user_email, source, changed_at }
+ * user_name и counter_id — считающий на устройстве, user_id и user_email — вошедший сотрудник (если вход выполнен).
+ * Создание и удаление — одна строка со всей записью, изменение — строка на каждое поле.
+ */
+
+// Что изменилось
+export const AUDIT_ENTITIES = {
+  item: 'Товар',
+  inventory_session: 'Сессия',
+  inventory_item: 'Запись подсчета',
+  inventory_report: 'Отчет'
+};
+
+// Как изменилось
+export const AUDIT_ACTIONS = {
+  create: 'Создание',
+  update: 'Изменение',
+  delete: 'Удаление'
+};
+
+// Откуда пришло изменение (без источника — ручная правка в приложении)
+export const AUDIT_SOURCES = {
+  import: 'Импорт',
+  movement: 'Движение товара',
+  completion: 'Завершение инвентаризации',
+  correction: 'Исправление инвентаризации'
+};
+
+// Служебные поля: меняются при каждом сохранении и синхронизации, в журнал не попадают
+const TECHNICAL_FIELDS = new Set(['id', 'synced', 'created_at', 'updated_at', 'field_updated_at', '_base']);
+
+/**
+ * Значение поля без служебных данных (для создания и удаления — вся запись)
+ *
+ * @param {Object} record - Запись
+ * @param {Array<string>} omitFields - Поля, которые не нужно сохранять (большие массивы)
+ * @returns {Object}
+ */
+function cleanRecord(record, omitFields) {
+  return Object.fromEntries(Object.entries(record || {})
+    .filter(([field]) => !TECHNICAL_FIELDS.has(field) && !omitFields.includes(field)));
+}
+
+/**
+ * Одинаковы ли значения (массивы и объекты сравниваются по содержимому)
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Строки журнала для одного изменения записи
+ *
+ * @param {string} entity - Что изменилось (см. AUDIT_ENTITIES)
+ * @param {Object|null} before - Запись до изменения (null — создание)
+ * @param {Object|null} after - Запись после изменения (null — удаление)
+ * @param {Object} context - { device_id, user_name, counter_id, source, changed_at, omitFields }
+ * @returns {Array} - Строки журнала без id (пустой массив, если ничего не изменилось)
+ */
+export function buildAuditEntries(entity, before, after, context = {}) {
+  const { device_id = null, user_name = null, counter_id = null, user_id = null, user_email = null, source = null, changed_at, omitFields = [] } = context;
+  const record = after || before;
+  if (!record) return [];
+
+  const base = {
+    entity,
+    entity_id: record.id,
+    item_id: entity === 'item' ? record.id : record.item_id || null,
+    session_id: entity === 'inventory_session' ? record.id : record.session_id || null,
+    device_id,
+    user_name,
+    counter_id,
+    user_id,
+    user_email,
+    source,
+    changed_at
+  };
+
+  if (!before) {
+    return [{ ...base, action: 'create', field: null, old_value: null, new_value: cleanRecord(after, omitFields) }];
+  }
+  if (!after) {
+    return [{ ...base, action: 'delete', field: null, old_value: cleanRecord(before, omitFields), new_value: null }];
+  }
+
+  return Object.keys(after)
+    .filter(field => !TECHNICAL_FIELDS.has(field) && !omitFields.includes(field))
+    .filter(field => !isSameValue(before[field], after[field]))
+    .map(field => ({ ...base, action: 'update', field, old_value: before[field] ?? null, new_value: after[field] ?? null }));
+}
+
+/**
+ * Отобрать строки журнала по товару или сессии, новые первыми
+ *
+ * @param {Array} entries - Строки журнала
+ * @param {Object} filter - { itemId, sessionId, limit }
+ * @returns {Array}
+ */
+export function filterAuditEntries(entries, { itemId = null, sessionId = null, limit = 200 } = {}) {
+  return (entries || [])
+    .filter(entry => !itemId || entry.item_id === itemId)
+    .filter(entry => !sessionId || entry.session_id === sessionId)
+    .sort((a, b) => String(b.changed_at || '').localeCompare(String(a.changed_at || '')))
+    .slice(0, limit);
+}
+
+/**
+ * Значение поля для просмотра журнала
+ *
+ * @param {*} value - Старое или новое значение
+ * @returns {string}
+ */
+export function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return `[${value.length}]`;
+  if (typeof value === 'object') {
+    return value.name ? String(value.name) : `{${Object.keys(value).length} полей}`;
+  }
+  const text = String(value);
+  return text.length > 60 ? text.slice(0, 57) + '…' : text;
+}
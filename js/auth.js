@@ -0,0 +1,288 @@
+/**
+ * Вход сотрудников через Supabase Auth
+ *
+ * Два способа входа: ссылка на почту (magic link) и почта + PIN (пароль пользователя
+ * в Supabase Auth, не короче 6 цифр). Сессия входа хранится в localStorage, поэтому
+ * роль известна и без сети. Токен доступа подставляется во все запросы к Supabase
+ * (см. getHeaders в supabase.js); без входа запросы идут с anon key.
+ * Роли и права — в roles.js.
+ *
+ * Копия сессии лежит в IndexedDB: сервис-воркер отправляет очередь изменений
+ * от имени сотрудника, когда вкладка закрыта (в воркере нет localStorage).
+ */
+
+import { supabaseConfig } from '../config/supabase-config.js';
+import { getUserRole, hasPermission, isSessionExpired, normalizeAuthSession, parseAuthRedirect, pickNewerSession } from './roles.js';
+import * as db from './db.js';
+
+// Адрес API Supabase Auth
+const AUTH_URL = `${supabaseConfig.url}/auth/v1`;
+
+// Ключ в localStorage и в общем состоянии IndexedDB
+const AUTH_SESSION_KEY = 'auth_session';
+
+// В сервис-воркере localStorage нет: копия сессии хранится в памяти (см. restoreAuthSession)
+const hasLocalStorage = typeof localStorage !== 'undefined';
+let workerRecord = null;
+
+/**
+ * Текст ошибки из ответа Supabase Auth
+ *
+ * @param {Response} response - Ответ сервера
+ * @returns {Promise<string>}
+ */
+async function readAuthError(response) {
+  try {
+    const error = await response.json();
+    return error.error_description || error.msg || error.message || error.error || response.statusText;
+  } catch (parseError) {
+    return response.statusText || `HTTP ${response.status}`;
+  }
+}
+
+/**
+ * Запрос к Supabase Auth
+ *
+ * @param {string} path - Путь относительно /auth/v1
+ * @param {Object} options - { method, body, accessToken }
+ * @returns {Promise<Object|null>} - Ответ сервера (null, если тела нет)
+ */
+async function authRequest(path, { method = 'POST', body = null, accessToken = null } = {}) {
+  const response = await fetch(`${AUTH_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'apikey': supabaseConfig.anonKey,
+      'Authorization': `Bearer ${accessToken || supabaseConfig.anonKey}`
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    throw new Error('Ошибка входа: ' + await readAuthError(response));
+  }
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Своя копия сессии: localStorage страницы или память сервис-воркера
+ *
+ * @returns {Object|null} - Сессия или отметка выхода { signed_out, saved_at }
+ */
+function readOwnRecord() {
+  if (!hasLocalStorage) return workerRecord;
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_SESSION_KEY) || 'null');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Записать копию сессии в localStorage (память воркера) и в IndexedDB
+ *
+ * @param {Object} record - Сессия или отметка выхода
+ * @returns {Promise<void>} - Promise, который разрешается после записи в IndexedDB
+ */
+async function storeAuthRecord(record) {
+  if (hasLocalStorage) {
+    localStorage.setItem(AUTH_SESSION_KEY, JSON.stringify(record));
+  } else {
+    workerRecord = record;
+  }
+
+  try {
+    await db.setAppState(AUTH_SESSION_KEY, record);
+  } catch (error) {
+    console.warn('Не удалось сохранить копию сессии входа:', error);
+  }
+}
+
+/**
+ * Сохранить сессию входа (null — выйти)
+ * Копии получают время сохранения saved_at; выход записывается отметкой
+ * { signed_out: true }, чтобы более старая копия сессии не вернула вход (см. pickNewerSession).
+ *
+ * @param {Object|null} session - { access_token, refresh_token, expires_at, user }
+ * @returns {Promise<void>}
+ */
+function saveAuthSession(session) {
+  const savedAt = Date.now();
+  return storeAuthRecord(session ? { ...session, saved_at: savedAt } : { signed_out: true, saved_at: savedAt });
+}
+
+/**
+ * Получить сохраненную сессию входа
+ *
+ * @returns {Object|null}
+ */
+export function getAuthSession() {
+  const record = readOwnRecord();
+  return record && !record.signed_out ? record : null;
+}
+
+/**
+ * Токен доступа для запросов к Supabase
+ * Просроченный токен не отдаем: сервер все равно отклонит запрос.
+ *
+ * @returns {string|null}
+ */
+export function getAccessToken() {
+  const session = getAuthSession();
+  return session && !isSessionExpired(session, Date.now(), 0) ? session.access_token : null;
+}
+
+/**
+ * Вошедший пользователь
+ *
+ * @returns {Object|null} - Пользователь Supabase Auth ({ id, email, app_metadata, user_metadata })
+ */
+export function getCurrentUser() {
+  return getAuthSession()?.user || null;
+}
+
+/**
+ * Роль на этом устройстве (без входа — счетчик)
+ *
+ * @returns {string} - Ключ роли (см. ROLES)
+ */
+export function getCurrentRole() {
+  return getUserRole(getCurrentUser());
+}
+
+/**
+ * Разрешено ли действие вошедшему сотруднику
+ *
+ * @param {string} permission - Ключ действия (см. PERMISSIONS)
+ * @returns {boolean}
+ */
+export function can(permission) {
+  return hasPermission(getCurrentRole(), permission);
+}
+
+/**
+ * Отправить ссылку для входа на почту
+ * Новые пользователи не создаются: сотрудников заводит администратор.
+ *
+ * @param {string} email - Почта сотрудника
+ * @returns {Promise<void>}
+ */
+export async function sendMagicLink(email) {
+  const address = String(email || '').trim();
+  if (!address) {
+    throw new Error('Ошибка входа: укажите почту');
+  }
+
+  const redirectTo = encodeURIComponent(window.location.origin + window.location.pathname);
+  await authRequest(`/otp?redirect_to=${redirectTo}`, {
+    body: { email: address, create_user: false }
+  });
+}
+
+/**
+ * Войти по почте и PIN
+ *
+ * @param {string} email - Почта сотрудника
+ * @param {string} pin - PIN (пароль в Supabase Auth)
+ * @returns {Promise<Object>} - Promise с пользователем
+ */
+export async function signInWithPin(email, pin) {
+  const address = String(email || '').trim();
+  const code = String(pin || '').trim();
+  if (!address || !code) {
+    throw new Error('Ошибка входа: укажите почту и PIN');
+  }
+
+  const session = normalizeAuthSession(await authRequest('/token?grant_type=password', {
+    body: { email: address, password: code }
+  }));
+  await saveAuthSession(session);
+  return session.user;
+}
+
+/**
+ * Завершить вход по ссылке из письма
+ * Токены приходят во фрагменте адреса; после сохранения фрагмент убирается.
+ *
+ * @returns {Promise<Object|null>} - Promise с пользователем (null, если это не переход по ссылке)
+ */
+export async function handleAuthRedirect() {
+  const redirect = parseAuthRedirect(window.location.hash);
+  if (!redirect) return null;
+
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+
+  if (redirect.error) {
+    throw new Error('Ошибка входа: ' + redirect.error);
+  }
+
+  const user = await authRequest('/user', { method: 'GET', accessToken: redirect.access_token });
+  const session = normalizeAuthSession({ ...redirect, user });
+  await saveAuthSession(session);
+  return user;
+}
+
+/**
+ * Сверить сессию входа с копией в IndexedDB
+ * Остается более свежая копия (см. pickNewerSession) и записывается в обе копии.
+ *
+ * @returns {Promise<Object|null>} - Promise с сессией (null — вход не выполнен)
+ */
+export async function restoreAuthSession() {
+  const own = readOwnRecord();
+  const shared = await db.getAppState(AUTH_SESSION_KEY).catch(() => null);
+  const record = pickNewerSession(own, shared);
+
+  if (record && (JSON.stringify(record) !== JSON.stringify(own) || JSON.stringify(record) !== JSON.stringify(shared))) {
+    await storeAuthRecord(record);
+  }
+  return getAuthSession();
+}
+
+/**
+ * Обновить сессию входа, если токен скоро истечет
+ * Вызывается при запуске и перед синхронизацией. Без сети сессия остается как есть.
+ *
+ * @returns {Promise<Object|null>} - Promise с актуальной сессией
+ */
+export async function refreshAuthSession() {
+  const session = await restoreAuthSession();
+  if (!session?.refresh_token || !isSessionExpired(session) || !navigator.onLine) {
+    return session;
+  }
+
+  try {
+    const refreshed = normalizeAuthSession(await authRequest('/token?grant_type=refresh_token', {
+      body: { refresh_token: session.refresh_token }
+    }));
+    await saveAuthSession(refreshed);
+    return refreshed;
+  } catch (error) {
+    console.warn('Не удалось обновить сессию входа:', error);
+    // Сбой сети — попробуем позже; отказ сервера — сессия отозвана, роль больше не подтверждается
+    if (error instanceof TypeError) return session;
+    await saveAuthSession(null);
+    return null;
+  }
+}
+
+/**
+ * Выйти на этом устройстве
+ *
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+  const token = getAccessToken();
+  // Отметку выхода дожидаемся: иначе копия сессии в IndexedDB вернет вход
+  await saveAuthSession(null);
+
+  if (token && navigator.onLine) {
+    try {
+      await authRequest('/logout', { accessToken: token });
+    } catch (error) {
+      console.warn('Не удалось завершить сессию на сервере:', error);
+    }
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Сканер штрихкодов и QR-кодов через камеру
+ *
+ * Если браузер поддерживает BarcodeDetector (Chrome/Android), используем его —
+ * он читает и QR, и линейные коды. Иначе берем кадры с камеры и разбираем
+ * их программным декодером: несколько горизонтальных строк (Code 128 / EAN-13)
+ * и весь кадр целиком (QR-коды с этикеток).
+ */
+
+import { decodeBarcodeRow, normalizeBarcode } from './barcode.js';
+import { decodeQrCode } from './qr-decoder.js';
+
+// Форматы, которые просим у BarcodeDetector (берем только поддерживаемые устройством)
+const PREFERRED_FORMATS = ['qr_code', 'code_128', 'ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_39'];
+
+// Как часто анализировать кадр (мс) — чаще не нужно, а батарею экономим
+const SCAN_INTERVAL = 150;
+
+// Ширина кадра для программного декодера (уменьшаем, чтобы не тормозить телефон)
+const FALLBACK_FRAME_WIDTH = 640;
+
+// Какие строки кадра проверяем программным декодером (доли высоты)
+const FALLBACK_SCAN_LINES = [0.5, 0.4, 0.6, 0.3, 0.7];
+
+/**
+ * Проверить, доступна ли камера в этом браузере
+ *
+ * @returns {boolean}
+ */
+export function isCameraSupported() {
+  return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * Создать BarcodeDetector, если браузер его поддерживает
+ * Детектор без QR не подходит: этикетки печатаются QR-кодами, а программный
+ * декодер читает и QR, и штрихкоды.
+ *
+ * @returns {Promise<Object|null>} - Детектор или null
+ */
+async function createNativeDetector() {
+  if (!('BarcodeDetector' in window)) return null;
+
+  try {
+    const supported = await window.BarcodeDetector.getSupportedFormats();
+    if (!supported.includes('qr_code')) return null;
+
+    const formats = PREFERRED_FORMATS.filter(format => supported.includes(format));
+    return new window.BarcodeDetector({ formats });
+  } catch (error) {
+    console.warn('BarcodeDetector недоступен, используем программный декодер:', error);
+    return null;
+  }
+}
+
+/**
+ * Распознать код в текущем кадре программным декодером
+ *
+ * @param {HTMLVideoElement} video - Видео с камеры
+ * @param {HTMLCanvasElement} canvas - Вспомогательный canvas
+ * @returns {string|null}
+ */
+function decodeFrameFallback(video, canvas) {
+  if (!video.videoWidth || !video.videoHeight) return null;
+
+  const scale = Math.min(1, FALLBACK_FRAME_WIDTH / video.videoWidth);
+  const width = Math.round(video.videoWidth * scale);
+  const height = Math.round(video.videoHeight * scale);
+
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, width, height);
+
+  const pixels = context.getImageData(0, 0, width, height).data;
+  const luminance = new Uint8ClampedArray(width * height);
+
+  for (let i = 0; i < luminance.length; i++) {
+    const offset = i * 4;
+    luminance[i] = pixels[offset] * 0.299 + pixels[offset + 1] * 0.587 + pixels[offset + 2] * 0.114;
+  }
+
+  // Сначала линейные коды — строки кадра разбираются быстро
+  for (const position of FALLBACK_SCAN_LINES) {
+    const y = Math.min(height - 1, Math.round(height * position));
+    const code = decodeBarcodeRow(luminance.subarray(y * width, (y + 1) * width));
+    if (code) return code;
+  }
+
+  return decodeQrCode(luminance, width, height);
+}
+
+/**
+ * Запустить сканирование
+ * Колбэк onDetected вызывается один раз — после первого распознанного кода сканер останавливается.
+ *
+ * @param {HTMLVideoElement} video - Элемент video для предпросмотра камеры
+ * @param {Function} onDetected - Колбэк (code) => void
+ * @returns {Promise<Object>} - { stop, mode } где mode: 'native' | 'fallback'
+ */
+export async function startBarcodeScanner(video, onDetected) {
+  if (!isCameraSupported()) {
+    throw new Error('Камера недоступна в этом браузере');
+  }
+
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: { ideal: 'environment' } },
+      audio: false
+    });
+  } catch (error) {
+    throw new Error('Нет доступа к камере: ' + (error.message || error.name));
+  }
+
+  video.srcObject = stream;
+  video.setAttribute('playsinline', '');
+  video.muted = true;
+  await video.play().catch(() => { });
+
+  const detector = await createNativeDetector();
+  const canvas = detector ? null : document.createElement('canvas');
+  let stopped = false;
+  let timer = null;
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+  };
+
+  const scanFrame = async () => {
+    if (stopped) return;
+
+    let code = null;
+    try {
+      if (detector) {
+        const results = await detector.detect(video);
+        if (results && results.length > 0) {
+          code = results[0].rawValue;
+        }
+      } else {
+        code = decodeFrameFallback(video, canvas);
+      }
+    } catch (error) {
+      // Ошибки отдельных кадров (например, видео еще не готово) не критичны
+      console.warn('Ошибка анализа кадра:', error);
+    }
+
+    const normalizedCode = normalizeBarcode(code);
+    if (normalizedCode && !stopped) {
+      stop();
+      onDetected(normalizedCode);
+      return;
+    }
+
+    if (!stopped) {
+      timer = setTimeout(scanFrame, SCAN_INTERVAL);
+    }
+  };
+
+  scanFrame();
+
+  return { stop, mode: detector ? 'native' : 'fallback' };
+}
@@ -0,0 +1,464 @@
+/**
+ * Работа со штрихкодами
+ *
+ * Чистые функции без DOM: нормализация кода, поиск товара по коду,
+ * генератор Code 128 для этикеток и программный декодер Code 128 / EAN-13
+ * по одной строке пикселей. Декодер используется как запасной вариант,
+ * когда в браузере нет BarcodeDetector.
+ */
+
+// Ширины элементов (штрих, пробел, штрих...) для символов Code 128, индекс = значение символа.
+// Символ 106 (STOP) здесь без завершающего штриха — его проверяем отдельно.
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '233111'
+].map(pattern => pattern.split('').map(Number));
+
+const CODE128_START_A = 103;
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+// Коды цифр EAN (ширины пробел-штрих-пробел-штрих для L-набора)
+const EAN_L_PATTERNS = [
+  '3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'
+].map(pattern => pattern.split('').map(Number));
+
+// G-набор — это L-набор в обратном порядке
+const EAN_G_PATTERNS = EAN_L_PATTERNS.map(pattern => [...pattern].reverse());
+
+// Чётность левой половины EAN-13 кодирует первую цифру
+const EAN_FIRST_DIGIT_PARITY = [
+  'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLL', 'LGLGGL', 'LGGLGL'
+];
+
+// Допустимое среднее отклонение ширин от эталона (доля от общей ширины символа)
+const MAX_AVG_VARIANCE = 0.25;
+
+// Минимальный контраст строки, при котором имеет смысл искать штрихкод
+const MIN_CONTRAST = 40;
+
+/**
+ * Нормализовать отсканированный или введённый код
+ *
+ * @param {*} value - Исходное значение
+ * @returns {string} - Код без пробелов и управляющих символов
+ */
+export function normalizeBarcode(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[\s\u0000-\u001f]+/g, '').trim();
+}
+
+/**
+ * Найти товар по коду: сначала по полю barcode, затем по артикулу (sku),
+ * затем по ID (его печатаем на этикетках товаров без артикула)
+ * Сравнение без учета регистра, чтобы "inv-01" и "INV-01" считались одним кодом.
+ *
+ * @param {Array} itemsList - Список товаров
+ * @param {string} code - Отсканированный код
+ * @returns {Object|null} - Найденный товар или null
+ */
+export function findItemByBarcode(itemsList, code) {
+  const normalizedCode = normalizeBarcode(code).toLowerCase();
+  if (!normalizedCode || !Array.isArray(itemsList)) return null;
+
+  const byBarcode = itemsList.find(item => normalizeBarcode(item.barcode).toLowerCase() === normalizedCode);
+  if (byBarcode) return byBarcode;
+
+  const bySku = itemsList.find(item => normalizeBarcode(item.sku).toLowerCase() === normalizedCode);
+  if (bySku) return bySku;
+
+  return itemsList.find(item => normalizeBarcode(item.id).toLowerCase() === normalizedCode) || null;
+}
+
+/**
+ * Получить код, который печатается на этикетке товара
+ *
+ * @param {Object} item - Товар
+ * @returns {string} - Штрихкод, артикул или ID товара
+ */
+export function getItemLabelCode(item) {
+  return normalizeBarcode(item?.barcode) || normalizeBarcode(item?.sku) || normalizeBarcode(item?.id);
+}
+
+/**
+ * Проверить, можно ли закодировать текст в Code 128 (только ASCII 32-126)
+ *
+ * @param {string} text - Текст
+ * @returns {boolean}
+ */
+export function canEncodeCode128(text) {
+  return typeof text === 'string' && text.length > 0 && /^[\x20-\x7e]+$/.test(text);
+}
+
+/**
+ * Закодировать текст в Code 128
+ * Строки только из цифр четной длины кодируются набором C (в два раза короче),
+ * остальные — набором B.
+ *
+ * @param {string} text - Текст (ASCII 32-126)
+ * @returns {Array<number>} - Ширины элементов в модулях (штрих, пробел, штрих...)
+ */
+export function encodeCode128(text) {
+  if (!canEncodeCode128(text)) {
+    throw new Error('Текст нельзя закодировать в Code 128 (допустимы только латиница, цифры и знаки)');
+  }
+
+  const useCodeC = /^\d+$/.test(text) && text.length % 2 === 0;
+  const startCode = useCodeC ? CODE128_START_C : CODE128_START_B;
+  const values = [];
+
+  if (useCodeC) {
+    for (let i = 0; i < text.length; i += 2) {
+      values.push(Number(text.slice(i, i + 2)));
+    }
+  } else {
+    for (const char of text) {
+      values.push(char.charCodeAt(0) - 32);
+    }
+  }
+
+  const checksum = values.reduce((acc, value, index) => acc + value * (index + 1), startCode) % 103;
+
+  const widths = [];
+  [startCode, ...values, checksum, CODE128_STOP].forEach(value => {
+    widths.push(...CODE128_PATTERNS[value]);
+  });
+  // Завершающий штрих символа STOP
+  widths.push(2);
+
+  return widths;
+}
+
+/**
+ * Нарисовать Code 128 как SVG
+ *
+ * @param {string} text - Текст для кодирования
+ * @param {Object} options - Параметры
+ * @param {number} options.height - Высота штрихов в модулях
+ * @param {number} options.quietZone - Белое поле слева и справа в модулях
+ * @returns {string} - SVG разметка (масштабируется по размеру контейнера)
+ */
+export function code128ToSvg(text, { height = 40, quietZone = 10 } = {}) {
+  const widths = encodeCode128(text);
+  const totalWidth = widths.reduce((sum, width) => sum + width, 0) + quietZone * 2;
+
+  let x = quietZone;
+  let path = '';
+  widths.forEach((width, index) => {
+    // Четные элементы — штрихи, нечетные — пробелы
+    if (index % 2 === 0) {
+      path += `M${x} 0h${width}v${height}h-${width}z`;
+    }
+    x += width;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+/**
+ * Разбить строку яркостей на чередующиеся отрезки (темный/светлый)
+ *
+ * @param {ArrayLike<number>} luminance - Яркость пикселей строки (0-255)
+ * @returns {Array<number>|null} - Ширины отрезков, начиная с первого темного, или null
+ */
+function getRuns(luminance) {
+  let min = 255;
+  let max = 0;
+  for (let i = 0; i < luminance.length; i++) {
+    if (luminance[i] < min) min = luminance[i];
+    if (luminance[i] > max) max = luminance[i];
+  }
+
+  if (max - min < MIN_CONTRAST) return null;
+
+  const threshold = (min + max) / 2;
+  const runs = [];
+  let currentDark = null;
+  let width = 0;
+
+  for (let i = 0; i < luminance.length; i++) {
+    const isDark = luminance[i] < threshold;
+    // Пропускаем светлое поле слева до первого штриха
+    if (currentDark === null) {
+      if (!isDark) continue;
+      currentDark = true;
+    }
+    if (isDark === currentDark) {
+      width++;
+    } else {
+      runs.push(width);
+      currentDark = isDark;
+      width = 1;
+    }
+  }
+
+  if (currentDark) {
+    runs.push(width);
+  }
+
+  return runs.length > 0 ? runs : null;
+}
+
+/**
+ * Посчитать отклонение ширин отрезков от эталонного шаблона
+ *
+ * @param {Array<number>} runs - Все отрезки строки
+ * @param {number} offset - С какого отрезка сравнивать
+ * @param {Array<number>} pattern - Эталонные ширины в модулях
+ * @returns {number} - Среднее отклонение (Infinity, если отрезков не хватает)
+ */
+function patternVariance(runs, offset, pattern) {
+  if (offset + pattern.length > runs.length) return Infinity;
+
+  let total = 0;
+  let modules = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    total += runs[offset + i];
+    modules += pattern[i];
+  }
+  if (total === 0) return Infinity;
+
+  const unit = total / modules;
+  let variance = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    variance += Math.abs(runs[offset + i] - pattern[i] * unit);
+  }
+
+  return variance / total;
+}
+
+/**
+ * Подобрать наиболее похожий шаблон из набора
+ *
+ * @returns {number} - Индекс шаблона или -1
+ */
+function matchPattern(runs, offset, patterns, firstIndex = 0, lastIndex = patterns.length - 1) {
+  let bestIndex = -1;
+  let bestVariance = MAX_AVG_VARIANCE;
+
+  for (let i = firstIndex; i <= lastIndex; i++) {
+    const variance = patternVariance(runs, offset, patterns[i]);
+    if (variance < bestVariance) {
+      bestVariance = variance;
+      bestIndex = i;
+    }
+  }
+
+  return bestIndex;
+}
+
+/**
+ * Перевести значения символов Code 128 в текст с учетом наборов A/B/C
+ *
+ * @param {number} startCode - Стартовый символ (103/104/105)
+ * @param {Array<number>} values - Значения символов данных (без контрольного)
+ * @returns {string}
+ */
+function code128ValuesToText(startCode, values) {
+  let codeSet = startCode === CODE128_START_A ? 'A' : startCode === CODE128_START_B ? 'B' : 'C';
+  let shiftNext = false;
+  let result = '';
+
+  values.forEach(value => {
+    const activeSet = shiftNext ? (codeSet === 'A' ? 'B' : 'A') : codeSet;
+    shiftNext = false;
+
+    if (activeSet === 'C') {
+      if (value < 100) {
+        result += String(value).padStart(2, '0');
+      } else if (value === 100) {
+        codeSet = 'B';
+      } else if (value === 101) {
+        codeSet = 'A';
+      }
+      // 102 (FNC1) не несет символов
+      return;
+    }
+
+    if (value < 96) {
+      if (activeSet === 'B') {
+        result += String.fromCharCode(value + 32);
+      } else {
+        result += String.fromCharCode(value < 64 ? value + 32 : value - 64);
+      }
+      return;
+    }
+
+    switch (value) {
+      case 98:
+        shiftNext = true;
+        break;
+      case 99:
+        codeSet = 'C';
+        break;
+      case 100:
+        if (activeSet === 'A') codeSet = 'B';
+        break;
+      case 101:
+        if (activeSet === 'B') codeSet = 'A';
+        break;
+      default:
+        // FNC1-FNC4 пропускаем
+        break;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Декодировать Code 128 из отрезков строки
+ *
+ * @param {Array<number>} runs - Ширины отрезков, начиная с темного
+ * @returns {string|null}
+ */
+function decodeCode128(runs) {
+  // Стартовый символ может начинаться с любого темного отрезка (четные индексы)
+  for (let start = 0; start + 6 <= runs.length; start += 2) {
+    const startCode = matchPattern(runs, start, CODE128_PATTERNS, CODE128_START_A, CODE128_START_C);
+    if (startCode === -1) continue;
+
+    const values = [];
+    let offset = start + 6;
+    let stopped = false;
+
+    while (offset + 6 <= runs.length) {
+      const value = matchPattern(runs, offset, CODE128_PATTERNS);
+      if (value === -1 || (value >= CODE128_START_A && value <= CODE128_START_C)) break;
+
+      if (value === CODE128_STOP) {
+        // У STOP есть завершающий штрих шириной 2 модуля
+        stopped = offset + 6 < runs.length;
+        break;
+      }
+
+      values.push(value);
+      offset += 6;
+    }
+
+    // Нужен хотя бы один символ данных и контрольный символ
+    if (!stopped || values.length < 2) continue;
+
+    const checksum = values.pop();
+    const sum = values.reduce((acc, value, index) => acc + value * (index + 1), startCode);
+    if (sum % 103 !== checksum) continue;
+
+    const text = code128ValuesToText(startCode, values);
+    if (text) return text;
+  }
+
+  return null;
+}
+
+/**
+ * Проверить контрольную цифру EAN-13
+ *
+ * @param {string} digits - 13 цифр
+ * @returns {boolean}
+ */
+function isValidEan13(digits) {
+  if (!/^\d{13}$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(digits[12]);
+}
+
+/**
+ * Декодировать EAN-13 из отрезков строки
+ *
+ * @param {Array<number>} runs - Ширины отрезков, начиная с темного
+ * @returns {string|null}
+ */
+function decodeEan13(runs) {
+  // Левая охранная зона (1-1-1) + 6 цифр + центр (1-1-1-1-1) + 6 цифр + правая зона
+  const totalRuns = 3 + 24 + 5 + 24 + 3;
+  const guard = [1, 1, 1];
+  const centerGuard = [1, 1, 1, 1, 1];
+
+  for (let start = 0; start + totalRuns <= runs.length; start += 2) {
+    if (patternVariance(runs, start, guard) >= MAX_AVG_VARIANCE) continue;
+
+    let offset = start + 3;
+    let parity = '';
+    let digits = '';
+    let failed = false;
+
+    for (let i = 0; i < 6; i++) {
+      const lDigit = matchPattern(runs, offset, EAN_L_PATTERNS);
+      const gDigit = matchPattern(runs, offset, EAN_G_PATTERNS);
+      if (lDigit === -1 && gDigit === -1) {
+        failed = true;
+        break;
+      }
+
+      // Если подходят оба набора — берем более точное совпадение
+      const useL = gDigit === -1 ||
+        (lDigit !== -1 && patternVariance(runs, offset, EAN_L_PATTERNS[lDigit]) <= patternVariance(runs, offset, EAN_G_PATTERNS[gDigit]));
+      digits += useL ? lDigit : gDigit;
+      parity += useL ? 'L' : 'G';
+      offset += 4;
+    }
+    if (failed) continue;
+
+    if (patternVariance(runs, offset, centerGuard) >= MAX_AVG_VARIANCE) continue;
+    offset += 5;
+
+    for (let i = 0; i < 6; i++) {
+      const rDigit = matchPattern(runs, offset, EAN_L_PATTERNS);
+      if (rDigit === -1) {
+        failed = true;
+        break;
+      }
+      digits += rDigit;
+      offset += 4;
+    }
+    if (failed) continue;
+
+    if (patternVariance(runs, offset, guard) >= MAX_AVG_VARIANCE) continue;
+
+    const firstDigit = EAN_FIRST_DIGIT_PARITY.indexOf(parity);
+    if (firstDigit === -1) continue;
+
+    const code = `${firstDigit}${digits}`;
+    if (isValidEan13(code)) return code;
+  }
+
+  return null;
+}
+
+/**
+ * Распознать штрихкод (Code 128 или EAN-13) в одной строке пикселей
+ * Строка проверяется в обоих направлениях, чтобы читать перевернутые этикетки.
+ *
+ * @param {ArrayLike<number>} luminance - Яркость пикселей строки (0-255)
+ * @returns {string|null} - Распознанный код или null
+ */
+export function decodeBarcodeRow(luminance) {
+  if (!luminance || luminance.length === 0) return null;
+
+  const directions = [Array.from(luminance), Array.from(luminance).reverse()];
+
+  for (const row of directions) {
+    const runs = getRuns(row);
+    if (!runs) continue;
+
+    const code = decodeCode128(runs) || decodeEan13(runs);
+    if (code) return code;
+  }
+
+  return null;
+}
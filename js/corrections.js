@@ -0,0 +1,137 @@
+/**
+ * Исправление завершенной инвентаризации
+ *
+ * Завершенную сессию можно открыть для исправления. Каждое действие попадает
+ * в журнал сессии (поле corrections):
+ *   { action: 'reopen' | 'quantity' | 'finalize', row_id, item_id, from, to, reason, by, at }
+ * После исправления отчет формируется заново (первоначальные строки остаются в original_items),
+ * а остаток товара меняется на разницу между подсчетом до и после исправления —
+ * движения, прошедшие после инвентаризации, при этом не теряются.
+ */
+
+// Действия журнала исправлений
+export const CORRECTION_ACTIONS = {
+  reopen: 'Открыта для исправления',
+  quantity: 'Исправлено количество',
+  finalize: 'Отчет сформирован заново'
+};
+
+/**
+ * Округлить количество до тысячных
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function roundQuantity(value) {
+  return Math.round((Number(value) || 0) * 1000) / 1000;
+}
+
+/**
+ * Запись журнала об открытии или повторном завершении сессии
+ *
+ * @param {string} action - reopen или finalize
+ * @param {string} reason - Причина (для reopen обязательна)
+ * @param {Object} author - { by, at }
+ * @returns {Object}
+ */
+export function buildSessionEntry(action, reason, { by, at }) {
+  const text = String(reason || '').trim();
+  if (action === 'reopen' && !text) {
+    throw new Error('Ошибка исправления: укажите причину');
+  }
+  return { action, reason: text || null, by: by || null, at };
+}
+
+/**
+ * Запись журнала об исправлении количества
+ *
+ * @param {Object} row - Запись подсчета (inventory_items)
+ * @param {number} quantity - Новое количество
+ * @param {string} reason - Почему исправлено
+ * @param {Object} author - { by, at }
+ * @returns {Object}
+ */
+export function buildCorrectionEntry(row, quantity, reason, { by, at }) {
+  const value = Number(quantity);
+  const text = String(reason || '').trim();
+
+  if (!row?.id) {
+    throw new Error('Ошибка исправления: запись подсчета не найдена');
+  }
+  if (quantity === '' || quantity === null || !Number.isFinite(value) || value < 0) {
+    throw new Error('Ошибка исправления: количество должно быть числом не меньше нуля');
+  }
+  if (!text) {
+    throw new Error('Ошибка исправления: укажите причину');
+  }
+
+  const from = row.quantity ?? null;
+  if (from !== null && roundQuantity(from) === roundQuantity(value)) {
+    throw new Error('Ошибка исправления: количество не изменилось');
+  }
+
+  return {
+    action: 'quantity',
+    row_id: row.id,
+    item_id: row.item_id,
+    from,
+    to: roundQuantity(value),
+    reason: text,
+    by: by || null,
+    at
+  };
+}
+
+/**
+ * Поля записи подсчета после исправления: количество и разница с «Было»
+ *
+ * @param {Object} row - Запись подсчета
+ * @param {number} quantity - Новое количество
+ * @returns {{quantity: number, difference: number|null}}
+ */
+export function getCorrectedRow(row, quantity) {
+  const value = roundQuantity(quantity);
+  const previous = row?.previous_quantity;
+  return {
+    quantity: value,
+    difference: previous !== null && previous !== undefined ? roundQuantity(value - Number(previous)) : null
+  };
+}
+
+/**
+ * Исправления после последнего открытия сессии
+ *
+ * @param {Array} corrections - Журнал сессии
+ * @returns {Array}
+ */
+export function getOpenCorrections(corrections) {
+  const entries = corrections || [];
+  let start = 0;
+  entries.forEach((entry, index) => {
+    if (entry.action === 'reopen') start = index + 1;
+  });
+  return entries.slice(start).filter(entry => entry.action === 'quantity');
+}
+
+/**
+ * На сколько изменить остаток товаров после исправления
+ * Для каждого товара: количество в записи сейчас минус количество до первого исправления.
+ *
+ * @param {Array} corrections - Журнал сессии
+ * @param {Array} rows - Текущие записи подсчета
+ * @returns {Object} - { itemId: изменение } (только ненулевые)
+ */
+export function getQuantityDeltas(corrections, rows) {
+  const originalByRow = new Map();
+  getOpenCorrections(corrections).forEach(entry => {
+    if (!originalByRow.has(entry.row_id)) originalByRow.set(entry.row_id, entry);
+  });
+
+  return (rows || []).reduce((deltas, row) => {
+    const entry = originalByRow.get(row?.id);
+    if (!entry) return deltas;
+    const delta = roundQuantity((Number(row.quantity) || 0) - (Number(entry.from) || 0));
+    if (delta !== 0) deltas[row.item_id] = roundQuantity((deltas[row.item_id] || 0) + delta);
+    return deltas;
+  }, {});
+}
@@ -0,0 +1,351 @@
+/**
+ * Общий подсчет одной сессии с нескольких устройств
+ *
+ * Количество товара в сессии = базовое количество + промежуточные значения
+ * (additions). Каждое промежуточное значение — отдельная запись с id и автором,
+ * поэтому при слиянии двух устройств списки просто объединяются (см. mergeEntryLists),
+ * и чужие значения не теряются. Удаление — это пометка removed, а не вырезание из списка.
+ *
+ * На общем планшете считают по очереди: сотрудники этого устройства хранятся
+ * в localStorage с PIN (только хеш), а имя и ID выбранного сотрудника
+ * записываются в каждую запись подсчета и в журнал изменений.
+ */
+
+import { mergeEntryLists } from './merge.js';
+
+// Ключи в localStorage
+const DEVICE_ID_KEY = 'counter_device_id';
+const COUNTER_NAME_KEY = 'counter_name';
+const COUNTER_ROSTER_KEY = 'counter_roster';
+const ACTIVE_COUNTER_KEY = 'active_counter_id';
+
+/**
+ * Генерировать уникальный ID
+ *
+ * @returns {string} - UUID
+ */
+function generateId() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * Получить ID этого устройства (создается один раз и хранится в localStorage)
+ *
+ * @returns {string}
+ */
+export function getDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = generateId();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * Получить имя считающего на этом устройстве
+ * Выбранный сотрудник важнее имени, заданного раньше для всего устройства.
+ *
+ * @returns {string} - Имя или "Устройство XXXX", если имя не задано
+ */
+export function getCounterName() {
+  const active = getActiveCounter();
+  if (active) return active.name;
+  const name = (localStorage.getItem(COUNTER_NAME_KEY) || '').trim();
+  return name || `Устройство ${getDeviceId().slice(0, 4).toUpperCase()}`;
+}
+
+/**
+ * Хеш PIN сотрудника
+ * Храним только хеш (с ID сотрудника как солью), как и PIN слепого подсчета.
+ *
+ * @param {string} counterId - ID сотрудника
+ * @param {string} pin - PIN
+ * @returns {Promise<string>} - SHA-256 в hex
+ */
+export async function hashCounterPin(counterId, pin) {
+  const data = new TextEncoder().encode(`${counterId}:${String(pin).trim()}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Проверить имя и PIN нового сотрудника
+ *
+ * @param {string} name - Имя
+ * @param {string} pin - PIN (пустой — без PIN)
+ * @param {Array} roster - Уже добавленные сотрудники
+ * @returns {{name: string, pin: string}} - Очищенные значения
+ */
+export function validateCounter(name, pin, roster = []) {
+  const trimmedName = String(name || '').trim();
+  const trimmedPin = String(pin || '').trim();
+
+  if (!trimmedName) {
+    throw new Error('Ошибка сотрудника: укажите имя');
+  }
+  if ((roster || []).some(counter => counter.name.toLowerCase() === trimmedName.toLowerCase())) {
+    throw new Error('Ошибка сотрудника: такое имя уже есть');
+  }
+  if (trimmedPin && !/^\d{4,8}$/.test(trimmedPin)) {
+    throw new Error('Ошибка сотрудника: PIN — от 4 до 8 цифр');
+  }
+
+  return { name: trimmedName, pin: trimmedPin };
+}
+
+/**
+ * Сотрудники, считающие на этом устройстве
+ *
+ * @returns {Array} - [{ id, name, pin_hash, created_at }]
+ */
+export function getCounterRoster() {
+  try {
+    const roster = JSON.parse(localStorage.getItem(COUNTER_ROSTER_KEY) || '[]');
+    return Array.isArray(roster) ? roster : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Добавить сотрудника на это устройство
+ *
+ * @param {string} name - Имя
+ * @param {string} pin - PIN (пустой — выбирается без PIN)
+ * @returns {Promise<Object>} - Promise с сотрудником
+ */
+export async function addCounter(name, pin) {
+  const roster = getCounterRoster();
+  const values = validateCounter(name, pin, roster);
+  const id = generateId();
+  const counter = {
+    id,
+    name: values.name,
+    pin_hash: values.pin ? await hashCounterPin(id, values.pin) : null,
+    created_at: new Date().toISOString()
+  };
+
+  localStorage.setItem(COUNTER_ROSTER_KEY, JSON.stringify([...roster, counter]));
+  return counter;
+}
+
+/**
+ * Проверить PIN сотрудника (без PIN достаточно выбора)
+ *
+ * @param {Object} counter - Сотрудник
+ * @param {string} pin - Введенный PIN
+ * @returns {Promise<boolean>}
+ */
+export async function verifyCounterPin(counter, pin) {
+  if (!counter?.pin_hash) return true;
+  return (await hashCounterPin(counter.id, pin)) === counter.pin_hash;
+}
+
+/**
+ * Удалить сотрудника с этого устройства
+ * Записи, которые он уже посчитал, сохраняют его имя.
+ *
+ * @param {string} counterId - ID сотрудника
+ */
+export function removeCounter(counterId) {
+  const roster = getCounterRoster().filter(counter => counter.id !== counterId);
+  localStorage.setItem(COUNTER_ROSTER_KEY, JSON.stringify(roster));
+  if (localStorage.getItem(ACTIVE_COUNTER_KEY) === counterId) {
+    localStorage.removeItem(ACTIVE_COUNTER_KEY);
+  }
+}
+
+/**
+ * Сотрудник, который сейчас считает на этом устройстве
+ *
+ * @returns {Object|null}
+ */
+export function getActiveCounter() {
+  const activeId = localStorage.getItem(ACTIVE_COUNTER_KEY);
+  if (!activeId) return null;
+  return getCounterRoster().find(counter => counter.id === activeId) || null;
+}
+
+/**
+ * Сменить считающего сотрудника
+ *
+ * @param {string|null} counterId - ID сотрудника (null — никто, считаем от имени устройства)
+ * @param {string} pin - PIN сотрудника
+ * @returns {Promise<Object|null>} - Promise с выбранным сотрудником
+ */
+export async function switchCounter(counterId, pin = '') {
+  if (!counterId) {
+    localStorage.removeItem(ACTIVE_COUNTER_KEY);
+    return null;
+  }
+
+  const counter = getCounterRoster().find(entry => entry.id === counterId);
+  if (!counter) {
+    throw new Error('Ошибка сотрудника: сотрудник не найден');
+  }
+  if (!(await verifyCounterPin(counter, pin))) {
+    throw new Error('Ошибка сотрудника: неверный PIN');
+  }
+
+  localStorage.setItem(ACTIVE_COUNTER_KEY, counter.id);
+  return counter;
+}
+
+/**
+ * Статистика по сотрудникам для отчета: сколько позиций посчитал и как часто расходилось
+ *
+ * @param {Array} lines - Строки отчета ({ counted_by, difference })
+ * @returns {Array} - [{ name, items, with_difference, variance_percent, surplus, shortage }],
+ *   больше посчитавшие — выше; пустой массив, если авторов в отчете нет
+ */
+export function getCounterStats(lines) {
+  const rows = (lines || []).filter(Boolean);
+  if (!rows.some(line => line.counted_by)) return [];
+
+  const byName = new Map();
+  rows.forEach(line => {
+    const name = String(line.counted_by || '').trim() || 'Не указан';
+    if (!byName.has(name)) {
+      byName.set(name, { name, items: 0, with_difference: 0, surplus: 0, shortage: 0 });
+    }
+
+    const stats = byName.get(name);
+    const difference = Number(line.difference) || 0;
+    stats.items += 1;
+    if (difference !== 0) stats.with_difference += 1;
+    if (difference > 0) stats.surplus = Math.round((stats.surplus + difference) * 1000) / 1000;
+    if (difference < 0) stats.shortage = Math.round((stats.shortage - difference) * 1000) / 1000;
+  });
+
+  return Array.from(byName.values())
+    .map(stats => ({
+      ...stats,
+      variance_percent: Math.round(stats.with_difference / stats.items * 1000) / 10
+    }))
+    .sort((a, b) => b.items - a.items || a.name.localeCompare(b.name, 'ru'));
+}
+
+/**
+ * Создать промежуточное значение подсчета
+ *
+ * @param {number} value - Значение
+ * @param {Object} author - { deviceId, counterName }
+ * @returns {Object} - { id, value, device_id, counted_by, created_at }
+ */
+export function createAddition(value, { deviceId, counterName }) {
+  return {
+    id: generateId(),
+    value: Number(value) || 0,
+    device_id: deviceId,
+    counted_by: counterName,
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Привести промежуточные значения к записям
+ * Старые записи могли хранить просто числа — превращаем их в записи без автора.
+ *
+ * @param {Array} additions - Значения из БД или состояния страницы
+ * @returns {Array} - Список записей
+ */
+export function normalizeAdditions(additions) {
+  if (!Array.isArray(additions)) return [];
+
+  return additions.map((entry, index) => {
+    if (entry && typeof entry === 'object') return entry;
+    return { id: `legacy-${index}`, value: Number(entry) || 0, device_id: null, counted_by: null, created_at: '' };
+  });
+}
+
+/**
+ * Активные (не удаленные) промежуточные значения
+ *
+ * @param {Array} additions - Список записей
+ * @returns {Array}
+ */
+export function getActiveAdditions(additions) {
+  return normalizeAdditions(additions).filter(entry => !entry.removed);
+}
+
+/**
+ * Сумма активных промежуточных значений
+ *
+ * @param {Array} additions - Список записей
+ * @returns {number}
+ */
+export function sumAdditions(additions) {
+  return getActiveAdditions(additions).reduce((sum, entry) => sum + (Number(entry.value) || 0), 0);
+}
+
+/**
+ * Объединить промежуточные значения двух устройств
+ *
+ * @param {Array} local - Значения этого устройства
+ * @param {Array} remote - Значения с сервера
+ * @returns {Array}
+ */
+export function mergeAdditions(local, remote) {
+  return mergeEntryLists(normalizeAdditions(local), normalizeAdditions(remote));
+}
+
+/**
+ * Пересчитать итог записи подсчета после слияния
+ * quantity и difference — производные поля: base_quantity + additions.
+ *
+ * @param {Object} record - Запись inventory_items
+ * @returns {Object} - Запись с пересчитанными quantity и difference
+ */
+export function applyCountTotals(record) {
+  if (record.base_quantity === undefined || record.base_quantity === null) {
+    return record;
+  }
+
+  const quantity = (Number(record.base_quantity) || 0) + sumAdditions(record.additions);
+  const previous = record.previous_quantity;
+
+  return {
+    ...record,
+    quantity,
+    difference: previous !== null && previous !== undefined ? quantity - Number(previous) : null
+  };
+}
+
+/**
+ * Стабильный ID записи подсчета для пары (сессия, товар)
+ * Два устройства, впервые посчитавшие один товар, создадут запись с одним и тем же ID,
+ * и вторая попадет в слияние, а не в дубликат.
+ *
+ * @param {string} sessionId - ID сессии
+ * @param {string} itemId - ID товара
+ * @returns {string} - ID в формате UUID
+ */
+export function getCountRowId(sessionId, itemId) {
+  const text = `${sessionId}:${itemId}`;
+  const seeds = [0x811c9dc5, 0x01000193, 0x9e3779b9, 0x85ebca6b];
+
+  const hex = seeds.map(seed => {
+    let hash = seed >>> 0;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }).join('');
+
+  // Ставим биты версии и варианта, чтобы значение было валидным UUID для Postgres
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    '5' + hex.slice(13, 16),
+    ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16) + hex.slice(17, 20),
+    hex.slice(20, 32)
+  ].join('-');
+}
@@ -4,23 +4,41 @@
  * IndexedDB - это встроенная база данных в браузере, которая позволяет
  * хранить большие объемы данных локально. Данные сохраняются даже после
  * закрытия браузера.
+ *
+ * Модуль используется и страницами, и сервис-воркером (фоновая синхронизация, см. sw.js),
+ * поэтому здесь нельзя обращаться к window, document и localStorage.
  */
 
+import { threeWayMerge, takeSnapshot, stampChangedFields, getChangedFields } from './merge.js';
+import { applyCountTotals } from './counting.js';
+import { mergeZones } from './zones.js';
+import { coalesceOperation, createOutboxOperation, createTombstone, getOutboxKey } from './outbox.js';
+
 // Название базы данных
 const DB_NAME = 'InventuraDB';
 // Версия базы данных (увеличиваем при изменении структуры)
-const DB_VERSION = 5;
+const DB_VERSION = 13;
 
 // Названия хранилищ (таблиц) в базе данных
 const STORES = {
   ITEMS: 'items',                    // Товары
   INVENTORY_SESSIONS: 'sessions',    // Сессии инвентаризации
   INVENTORY_ITEMS: 'inventory_items',  // Записи инвентаризации
-  INVENTORY_REPORTS: 'inventory_reports'  // Отчеты инвентаризации
+  INVENTORY_REPORTS: 'inventory_reports',  // Отчеты инвентаризации
+  SYNC_CONFLICTS: 'sync_conflicts',  // Конфликты синхронизации, ожидающие решения менеджера
+  STOCK_MOVEMENTS: 'stock_movements', // Движения товара между инвентаризациями
+  SUPPLIERS: 'suppliers',            // Поставщики
+  AUDIT_LOG: 'audit_log',            // Журнал изменений (только дополняется)
+  OUTBOX: 'outbox',                  // Очередь отправки изменений на сервер (см. outbox.js)
+  TOMBSTONES: 'tombstones',          // Надгробия записей, удаление которых еще не дошло до сервера
+  SYNC_CURSORS: 'sync_cursors',      // Курсоры получения изменений с сервера по таблицам (см. delta.js)
+  APP_STATE: 'app_state'             // Состояние, общее для страниц и сервис-воркера (ключ — значение)
 };
 
+// Хранилища, изменения которых отправляются через очередь outbox
+const OUTBOX_STORES = [STORES.ITEMS, STORES.INVENTORY_SESSIONS, STORES.INVENTORY_ITEMS, STORES.INVENTORY_REPORTS];
+
 let db = null; // Переменная для хранения подключения к базе данных
-let isDeleting = false; // Флаг для предотвращения бесконечной рекурсии при удалении базы
 
 /**
  * Инициализация базы данных
@@ -45,77 +63,11 @@ export async function initDB() {
       }
     }
 
-    // Функция для обработки ошибки версии
-    // Автоматически удаляет базу и создает новую при конфликте версий
-    const handleVersionError = () => {
-      // Защита от бесконечной рекурсии
-      if (isDeleting) {
-        console.error('Попытка удаления базы уже выполняется. Ждем...');
-        // Ждем и пробуем снова
-        setTimeout(() => {
-          initDB().then(resolve).catch(reject);
-        }, 500);
-        return;
-      }
-
-      isDeleting = true;
-      console.warn('Обнаружен конфликт версий базы данных. Автоматически исправляем...');
-
-      // Закрываем текущее подключение, если оно есть
-      if (db) {
-        db.close();
-        db = null;
-      }
-
-      // Удаляем базу данных при конфликте версий
-      const deleteRequest = indexedDB.deleteDatabase(DB_NAME);
-
-      deleteRequest.onsuccess = () => {
-        console.log('База данных удалена. Создаем новую с версией', DB_VERSION);
-        isDeleting = false;
-        // Небольшая задержка перед повторной попыткой
-        setTimeout(() => {
-          initDB().then(resolve).catch(reject);
-        }, 100);
-      };
-
-      deleteRequest.onerror = (deleteEvent) => {
-        const deleteError = deleteRequest.error || deleteEvent.target.error;
-        console.error('Не удалось удалить базу данных:', deleteError);
-        // Пытаемся еще раз через задержку
-        setTimeout(() => {
-          const retryDelete = indexedDB.deleteDatabase(DB_NAME);
-          retryDelete.onsuccess = () => {
-            isDeleting = false;
-            setTimeout(() => {
-              initDB().then(resolve).catch(reject);
-            }, 100);
-          };
-          retryDelete.onerror = () => {
-            isDeleting = false;
-            reject(new Error('Не удалось удалить базу данных. Закройте другие вкладки и обновите страницу (Ctrl+R).'));
-          };
-        }, 500);
-      };
-
-      deleteRequest.onblocked = () => {
-        console.warn('База данных заблокирована. Закройте другие вкладки и попробуйте снова.');
-        // Пытаемся удалить через задержку
-        setTimeout(() => {
-          const retryDelete = indexedDB.deleteDatabase(DB_NAME);
-          retryDelete.onsuccess = () => {
-            console.log('База данных удалена после повторной попытки');
-            isDeleting = false;
-            setTimeout(() => {
-              initDB().then(resolve).catch(reject);
-            }, 100);
-          };
-          retryDelete.onerror = () => {
-            isDeleting = false;
-            reject(new Error('Не удалось удалить базу данных. Закройте другие вкладки и обновите страницу (Ctrl+R).'));
-          };
-        }, 1000);
-      };
+    // Ошибка версии: база на устройстве новее этого кода (устаревшая вкладка или сервис-воркер).
+    // Базу не удаляем: в ней могут быть неотправленные изменения (outbox).
+    const rejectVersionError = (error) => {
+      console.error('Версия базы данных новее приложения:', error);
+      reject(new Error('Ошибка открытия базы данных: версия базы новее приложения. Обновите страницу (Ctrl+R), чтобы загрузить новую версию.'));
     };
 
     let request;
@@ -125,7 +77,7 @@ export async function initDB() {
     } catch (error) {
       // Если ошибка версии возникла сразу при вызове open()
       if (error && (error.name === 'VersionError' || error.message?.includes('version') || error.message?.includes('less than'))) {
-        handleVersionError();
+        rejectVersionError(error);
         return;
       }
       reject(error);
@@ -140,7 +92,7 @@ export async function initDB() {
       // Если ошибка версии (запрашиваемая версия меньше существующей),
       // обрабатываем её специальным образом
       if (error && (error.name === 'VersionError' || error.message?.includes('version') || error.message?.includes('less than'))) {
-        handleVersionError();
+        rejectVersionError(error);
         return;
       }
 
@@ -149,7 +101,14 @@ export async function initDB() {
 
     // Вызывается при успешном открытии
     request.onsuccess = () => {
-      db = request.result;
+      const connection = request.result;
+      // Другая вкладка или сервис-воркер обновляет базу: освобождаем подключение,
+      // иначе обновление будет заблокировано. Следующий запрос откроет базу заново.
+      connection.onversionchange = () => {
+        connection.close();
+        if (db === connection) db = null;
+      };
+      db = connection;
       console.log('База данных успешно открыта');
       resolve(db);
     };
@@ -219,6 +178,100 @@ export async function initDB() {
           }
         }
 
+        // Создаем хранилище для конфликтов синхронизации
+        if (!database.objectStoreNames.contains(STORES.SYNC_CONFLICTS)) {
+          const conflictsStore = database.createObjectStore(STORES.SYNC_CONFLICTS, {
+            keyPath: 'id',
+            autoIncrement: false
+          });
+          if (!conflictsStore.indexNames.contains('store_name')) {
+            conflictsStore.createIndex('store_name', 'store_name', { unique: false });
+          }
+        }
+
+        // Создаем хранилище для движений товара (поступления, списания, перемещения)
+        if (!database.objectStoreNames.contains(STORES.STOCK_MOVEMENTS)) {
+          const movementsStore = database.createObjectStore(STORES.STOCK_MOVEMENTS, {
+            keyPath: 'id',
+            autoIncrement: false
+          });
+          if (!movementsStore.indexNames.contains('item_id')) {
+            movementsStore.createIndex('item_id', 'item_id', { unique: false });
+          }
+          if (!movementsStore.indexNames.contains('moved_at')) {
+            movementsStore.createIndex('moved_at', 'moved_at', { unique: false });
+          }
+        }
+
+        // Создаем хранилище для поставщиков
+        if (!database.objectStoreNames.contains(STORES.SUPPLIERS)) {
+          const suppliersStore = database.createObjectStore(STORES.SUPPLIERS, {
+            keyPath: 'id',
+            autoIncrement: false
+          });
+          if (!suppliersStore.indexNames.contains('name')) {
+            suppliersStore.createIndex('name', 'name', { unique: false });
+          }
+        }
+
+        // Создаем хранилище для журнала изменений
+        if (!database.objectStoreNames.contains(STORES.AUDIT_LOG)) {
+          const auditStore = database.createObjectStore(STORES.AUDIT_LOG, {
+            keyPath: 'id',
+            autoIncrement: false
+          });
+          if (!auditStore.indexNames.contains('item_id')) {
+            auditStore.createIndex('item_id', 'item_id', { unique: false });
+          }
+          if (!auditStore.indexNames.contains('session_id')) {
+            auditStore.createIndex('session_id', 'session_id', { unique: false });
+          }
+          if (!auditStore.indexNames.contains('changed_at')) {
+            auditStore.createIndex('changed_at', 'changed_at', { unique: false });
+          }
+        }
+
+        // Создаем очередь отправки изменений на сервер
+        if (!database.objectStoreNames.contains(STORES.OUTBOX)) {
+          const outboxStore = database.createObjectStore(STORES.OUTBOX, {
+            keyPath: 'seq',
+            autoIncrement: true      // порядок операций задает сама очередь
+          });
+          if (!outboxStore.indexNames.contains('entity_key')) {
+            outboxStore.createIndex('entity_key', 'entity_key', { unique: false });
+          }
+
+          // Несинхронизированные записи прежних версий ставим в очередь правкой:
+          // при отправке запись создается на сервере, если ее там еще нет
+          if (event.oldVersion > 0) {
+            queueLegacyUnsynced(event.target.transaction, outboxStore);
+          }
+        }
+
+        // Создаем хранилище надгробий удаленных записей
+        if (!database.objectStoreNames.contains(STORES.TOMBSTONES)) {
+          database.createObjectStore(STORES.TOMBSTONES, {
+            keyPath: 'key',
+            autoIncrement: false
+          });
+        }
+
+        // Создаем хранилище курсоров получения изменений
+        if (!database.objectStoreNames.contains(STORES.SYNC_CURSORS)) {
+          database.createObjectStore(STORES.SYNC_CURSORS, {
+            keyPath: 'table',
+            autoIncrement: false
+          });
+        }
+
+        // Создаем хранилище общего состояния страниц и сервис-воркера
+        if (!database.objectStoreNames.contains(STORES.APP_STATE)) {
+          database.createObjectStore(STORES.APP_STATE, {
+            keyPath: 'key',
+            autoIncrement: false
+          });
+        }
+
         console.log('База данных создана/обновлена');
       } catch (upgradeError) {
         console.error('Ошибка при обновлении базы данных:', upgradeError);
@@ -234,6 +287,27 @@ export async function initDB() {
   });
 }
 
+/**
+ * Поставить в очередь outbox несинхронизированные записи (при обновлении базы до очереди)
+ *
+ * @param {IDBTransaction} transaction - Транзакция обновления версии
+ * @param {IDBObjectStore} outboxStore - Хранилище очереди
+ */
+function queueLegacyUnsynced(transaction, outboxStore) {
+  OUTBOX_STORES.forEach(storeName => {
+    if (!transaction.db.objectStoreNames.contains(storeName)) return;
+
+    transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.synced === false) {
+        outboxStore.add(createOutboxOperation(storeName, 'update', cursor.value.id));
+      }
+      cursor.continue();
+    };
+  });
+}
+
 /**
  * Получить подключение к базе данных
  * Если база еще не открыта, открывает ее
@@ -258,6 +332,130 @@ async function getDB() {
   return await initDB();
 }
 
+/**
+ * Подготовить новую запись к сохранению
+ * Если запись пришла с сервера (synced: true), сохраняем её даты
+ * и запоминаем как базовую версию для будущего слияния.
+ *
+ * @param {Object} record - Запись
+ * @returns {Object} - Запись с метаданными
+ */
+function prepareNewRecord(record) {
+  const now = new Date().toISOString();
+
+  if (record.synced === true) {
+    return {
+      ...record,
+      created_at: record.created_at || now,
+      updated_at: record.updated_at || now,
+      _base: takeSnapshot(record)
+    };
+  }
+
+  return {
+    ...record,
+    created_at: now,
+    updated_at: now,
+    synced: false // Флаг синхронизации с сервером
+  };
+}
+
+/**
+ * Подготовить обновление существующей записи
+ *
+ * - Локальная правка: отмечаем время изменения каждого поля (field_updated_at)
+ *   и помечаем запись как несинхронизированную.
+ * - Версия с сервера (updates.synced === true): если локальных правок нет,
+ *   просто принимаем её. Если есть — делаем трехстороннее слияние с базовой
+ *   версией, чтобы не затереть ни свои, ни чужие изменения.
+ *
+ * @param {Object} existing - Текущая запись в базе
+ * @param {Object} updates - Изменения
+ * @param {string} storeName - Хранилище записи
+ * @returns {{record: Object, conflicts: Array}}
+ */
+function prepareRecordUpdate(existing, updates, storeName) {
+  const now = new Date().toISOString();
+
+  if (updates.synced !== true) {
+    return {
+      record: {
+        ...existing,
+        ...updates,
+        field_updated_at: stampChangedFields(existing, updates, now),
+        updated_at: now,
+        synced: false // Помечаем как не синхронизированный
+      },
+      conflicts: []
+    };
+  }
+
+  const { synced, ...serverRecord } = updates;
+
+  if (existing.synced !== false) {
+    const record = { ...existing, ...serverRecord, synced: true };
+    return { record: { ...record, _base: takeSnapshot(record) }, conflicts: [] };
+  }
+
+  let { merged, fieldTimes, conflicts } = threeWayMerge(existing._base || null, existing, serverRecord);
+
+  // В записях подсчета итог считается из базового количества и промежуточных значений,
+  // поэтому после объединения additions пересчитываем его, а не спорим о нем
+  if (storeName === STORES.INVENTORY_ITEMS && merged.base_quantity !== undefined && merged.base_quantity !== null) {
+    merged = applyCountTotals(merged);
+    conflicts = conflicts.filter(conflict => conflict.field !== 'quantity' && conflict.field !== 'difference');
+  }
+
+  // Зоны сессии правят разные люди независимо — сливаем по зонам, а не целиком
+  if (storeName === STORES.INVENTORY_SESSIONS && (Array.isArray(existing.zones) || Array.isArray(serverRecord.zones))) {
+    merged.zones = mergeZones(existing.zones, serverRecord.zones);
+    conflicts = conflicts.filter(conflict => conflict.field !== 'zones');
+  }
+  const serverSnapshot = takeSnapshot(serverRecord);
+  // Если после слияния запись совпадает с серверной — отправлять нечего
+  const hasLocalChanges = Object.keys(getChangedFields(serverSnapshot, merged)).length > 0;
+
+  return {
+    record: {
+      ...existing,
+      ...merged,
+      field_updated_at: fieldTimes,
+      updated_at: hasLocalChanges ? existing.updated_at : (serverRecord.updated_at || existing.updated_at),
+      synced: !hasLocalChanges,
+      _base: serverSnapshot
+    },
+    conflicts
+  };
+}
+
+/**
+ * Сохранить конфликты слияния в очередь (в той же транзакции, что и запись)
+ * Один конфликт на поле записи: новый конфликт по тому же полю заменяет старый.
+ *
+ * @param {IDBTransaction} transaction - Транзакция, включающая хранилище конфликтов
+ * @param {string} storeName - Хранилище записи
+ * @param {Object} record - Запись после слияния
+ * @param {Array} conflicts - Конфликты из threeWayMerge
+ */
+function queueConflicts(transaction, storeName, record, conflicts) {
+  if (!conflicts.length) return;
+
+  const conflictsStore = transaction.objectStore(STORES.SYNC_CONFLICTS);
+  const now = new Date().toISOString();
+
+  conflicts.forEach(conflict => {
+    conflictsStore.put({
+      ...conflict,
+      id: `${storeName}:${record.id}:${conflict.field}`,
+      store_name: storeName,
+      record_id: record.id,
+      created_at: now
+    });
+  });
+
+  console.warn(`Конфликт синхронизации (${storeName}, ${record.id}):`, conflicts.map(c => c.field));
+}
+
 /**
  * Добавить товар в локальную базу
  * 
@@ -271,12 +469,7 @@ export async function addItem(item) {
     const store = transaction.objectStore(STORES.ITEMS);
 
     // Добавляем метаданные
-    const itemWithMeta = {
-      ...item,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      synced: false // Флаг синхронизации с сервером
-    };
+    const itemWithMeta = prepareNewRecord(item);
 
     const request = store.add(itemWithMeta);
 
@@ -349,7 +542,7 @@ export async function getItemById(id) {
 export async function updateItem(id, updates) {
   const database = await getDB();
   return new Promise((resolve, reject) => {
-    const transaction = database.transaction([STORES.ITEMS], 'readwrite');
+    const transaction = database.transaction([STORES.ITEMS, STORES.SYNC_CONFLICTS], 'readwrite');
     const store = transaction.objectStore(STORES.ITEMS);
 
     // Сначала получаем существующий товар
@@ -362,13 +555,9 @@ export async function updateItem(id, updates) {
         return;
       }
 
-      // Обновляем данные
-      const updatedItem = {
-        ...item,
-        ...updates,
-        updated_at: new Date().toISOString(),
-        synced: false // Помечаем как не синхронизированный
-      };
+      // Обновляем данные (версию с сервера сливаем с локальными правками)
+      const { record: updatedItem, conflicts } = prepareRecordUpdate(item, updates, STORES.ITEMS);
+      queueConflicts(transaction, STORES.ITEMS, updatedItem, conflicts);
 
       const putRequest = store.put(updatedItem);
 
@@ -426,12 +615,7 @@ export async function addInventorySession(session) {
     const transaction = database.transaction([STORES.INVENTORY_SESSIONS], 'readwrite');
     const store = transaction.objectStore(STORES.INVENTORY_SESSIONS);
 
-    const sessionWithMeta = {
-      ...session,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      synced: false
-    };
+    const sessionWithMeta = prepareNewRecord(session);
 
     const request = store.add(sessionWithMeta);
 
@@ -504,7 +688,7 @@ export async function getInventorySessionById(id) {
 export async function updateInventorySession(id, updates) {
   const database = await getDB();
   return new Promise((resolve, reject) => {
-    const transaction = database.transaction([STORES.INVENTORY_SESSIONS], 'readwrite');
+    const transaction = database.transaction([STORES.INVENTORY_SESSIONS, STORES.SYNC_CONFLICTS], 'readwrite');
     const store = transaction.objectStore(STORES.INVENTORY_SESSIONS);
 
     const getRequest = store.get(id);
@@ -516,12 +700,8 @@ export async function updateInventorySession(id, updates) {
         return;
       }
 
-      const updatedSession = {
-        ...session,
-        ...updates,
-        updated_at: new Date().toISOString(),
-        synced: false
-      };
+      const { record: updatedSession, conflicts } = prepareRecordUpdate(session, updates, STORES.INVENTORY_SESSIONS);
+      queueConflicts(transaction, STORES.INVENTORY_SESSIONS, updatedSession, conflicts);
 
       const putRequest = store.put(updatedSession);
 
@@ -553,12 +733,7 @@ export async function addInventoryItem(inventoryItem) {
     const transaction = database.transaction([STORES.INVENTORY_ITEMS], 'readwrite');
     const store = transaction.objectStore(STORES.INVENTORY_ITEMS);
 
-    const itemWithMeta = {
-      ...inventoryItem,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      synced: false
-    };
+    const itemWithMeta = prepareNewRecord(inventoryItem);
 
     const request = store.add(itemWithMeta);
 
@@ -599,6 +774,29 @@ export async function getInventoryItemsBySession(sessionId) {
   });
 }
 
+/**
+ * Получить запись инвентаризации по ID
+ * 
+ * @param {string} id - ID записи
+ * @returns {Promise<Object>} - Promise с записью
+ */
+export async function getInventoryItemById(id) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.INVENTORY_ITEMS], 'readonly');
+    const store = transaction.objectStore(STORES.INVENTORY_ITEMS);
+    const request = store.get(id);
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      reject(request.error);
+    };
+  });
+}
+
 /**
  * Обновить запись инвентаризации
  * 
@@ -609,7 +807,7 @@ export async function getInventoryItemsBySession(sessionId) {
 export async function updateInventoryItem(id, updates) {
   const database = await getDB();
   return new Promise((resolve, reject) => {
-    const transaction = database.transaction([STORES.INVENTORY_ITEMS], 'readwrite');
+    const transaction = database.transaction([STORES.INVENTORY_ITEMS, STORES.SYNC_CONFLICTS], 'readwrite');
     const store = transaction.objectStore(STORES.INVENTORY_ITEMS);
 
     const getRequest = store.get(id);
@@ -621,12 +819,8 @@ export async function updateInventoryItem(id, updates) {
         return;
       }
 
-      const updatedItem = {
-        ...item,
-        ...updates,
-        updated_at: new Date().toISOString(),
-        synced: false
-      };
+      const { record: updatedItem, conflicts } = prepareRecordUpdate(item, updates, STORES.INVENTORY_ITEMS);
+      queueConflicts(transaction, STORES.INVENTORY_ITEMS, updatedItem, conflicts);
 
       const putRequest = store.put(updatedItem);
 
@@ -674,12 +868,15 @@ export async function getUnsyncedItems(storeName) {
 
 /**
  * Пометить запись как синхронизированную
+ * Если передан expectedUpdatedAt, а запись успели изменить во время отправки
+ * (updated_at другой), она остается несинхронизированной — новая правка уйдет следующей.
  * 
  * @param {string} storeName - Название хранилища
  * @param {string} id - ID записи
- * @returns {Promise} - Promise с результатом операции
+ * @param {string} expectedUpdatedAt - updated_at отправленной версии (необязательно)
+ * @returns {Promise<boolean>} - Promise: true, если запись помечена синхронизированной
  */
-export async function markAsSynced(storeName, id) {
+export async function markAsSynced(storeName, id, expectedUpdatedAt = null) {
   const database = await getDB();
   return new Promise((resolve, reject) => {
     const transaction = database.transaction([storeName], 'readwrite');
@@ -694,11 +891,16 @@ export async function markAsSynced(storeName, id) {
         return;
       }
 
+      if (expectedUpdatedAt && item.updated_at !== expectedUpdatedAt) {
+        resolve(false);
+        return;
+      }
+
       item.synced = true;
       const putRequest = store.put(item);
 
       putRequest.onsuccess = () => {
-        resolve();
+        resolve(true);
       };
 
       putRequest.onerror = () => {
@@ -740,12 +942,11 @@ export async function addInventoryReport(report) {
       const transaction = database.transaction([STORES.INVENTORY_REPORTS], 'readwrite');
       const store = transaction.objectStore(STORES.INVENTORY_REPORTS);
 
-      const reportWithMeta = {
-        ...report,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        synced: false
-      };
+      // Копия с сервера сохраняет свои даты (см. prepareNewRecord)
+      const now = new Date().toISOString();
+      const reportWithMeta = report.synced === true
+        ? { ...report, created_at: report.created_at || now, updated_at: report.updated_at || now }
+        : { ...report, created_at: now, updated_at: now, synced: false };
 
       const request = store.add(reportWithMeta);
 
@@ -859,12 +1060,23 @@ export async function updateInventoryReport(id, updates) {
         return;
       }
 
-      const updatedReport = {
-        ...report,
-        ...updates,
-        updated_at: new Date().toISOString(),
-        synced: false
-      };
+      let updatedReport;
+      if (updates.synced === true) {
+        // Версия с сервера не затирает правку отчета, еще не отправленную на сервер:
+        // очередь отправит ее следом
+        if (report.synced === false) {
+          resolve(report);
+          return;
+        }
+        updatedReport = { ...report, ...updates };
+      } else {
+        updatedReport = {
+          ...report,
+          ...updates,
+          updated_at: new Date().toISOString(),
+          synced: false
+        };
+      }
 
       const putRequest = store.put(updatedReport);
 
@@ -986,5 +1198,598 @@ export async function deleteInventoryReport(id) {
   });
 }
 
+/**
+ * Добавить движение товара
+ * Движения не редактируются: исправление — это новое движение обратного типа.
+ * Копию с сервера (synced: true) сохраняем поверх локальной.
+ *
+ * @param {Object} movement - Объект движения
+ * @returns {Promise<Object>} - Promise с сохраненным движением
+ */
+export async function addStockMovement(movement) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.STOCK_MOVEMENTS], 'readwrite');
+    const store = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+
+    const movementWithMeta = prepareNewRecord(movement);
+    const request = movement.synced === true ? store.put(movementWithMeta) : store.add(movementWithMeta);
+
+    request.onsuccess = () => {
+      resolve(movementWithMeta);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка добавления движения:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Получить все движения товаров
+ *
+ * @returns {Promise<Array>} - Promise с массивом движений
+ */
+export async function getAllStockMovements() {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.STOCK_MOVEMENTS], 'readonly');
+    const store = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения движений:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Получить движения одного товара
+ *
+ * @param {string} itemId - ID товара
+ * @returns {Promise<Array>} - Promise с массивом движений
+ */
+export async function getStockMovementsByItem(itemId) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.STOCK_MOVEMENTS], 'readonly');
+    const store = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    const index = store.index('item_id');
+    const request = index.getAll(itemId);
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения движений товара:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Добавить поставщика в локальную базу
+ *
+ * @param {Object} supplier - Объект поставщика
+ * @returns {Promise<Object>} - Promise с сохраненным поставщиком
+ */
+export async function addSupplier(supplier) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.SUPPLIERS], 'readwrite');
+    const store = transaction.objectStore(STORES.SUPPLIERS);
+
+    const supplierWithMeta = prepareNewRecord(supplier);
+    const request = store.add(supplierWithMeta);
+
+    request.onsuccess = () => {
+      resolve(supplierWithMeta);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка добавления поставщика:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Получить всех поставщиков из локальной базы
+ *
+ * @returns {Promise<Array>} - Promise с массивом поставщиков
+ */
+export async function getAllSuppliers() {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.SUPPLIERS], 'readonly');
+    const store = transaction.objectStore(STORES.SUPPLIERS);
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения поставщиков:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Получить поставщика по ID
+ *
+ * @param {string} id - ID поставщика
+ * @returns {Promise<Object>} - Promise с поставщиком
+ */
+export async function getSupplierById(id) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.SUPPLIERS], 'readonly');
+    const store = transaction.objectStore(STORES.SUPPLIERS);
+    const request = store.get(id);
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения поставщика:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Обновить поставщика в локальной базе
+ *
+ * @param {string} id - ID поставщика
+ * @param {Object} updates - Объект с изменениями
+ * @returns {Promise<Object>} - Promise с обновленным поставщиком
+ */
+export async function updateSupplier(id, updates) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.SUPPLIERS, STORES.SYNC_CONFLICTS], 'readwrite');
+    const store = transaction.objectStore(STORES.SUPPLIERS);
+
+    const getRequest = store.get(id);
+
+    getRequest.onsuccess = () => {
+      const supplier = getRequest.result;
+      if (!supplier) {
+        reject(new Error('Поставщик не найден'));
+        return;
+      }
+
+      // Версию с сервера сливаем с локальными правками, как у товаров
+      const { record: updatedSupplier, conflicts } = prepareRecordUpdate(supplier, updates, STORES.SUPPLIERS);
+      queueConflicts(transaction, STORES.SUPPLIERS, updatedSupplier, conflicts);
+
+      const putRequest = store.put(updatedSupplier);
+
+      putRequest.onsuccess = () => {
+        resolve(updatedSupplier);
+      };
+
+      putRequest.onerror = () => {
+        console.error('Ошибка обновления поставщика:', putRequest.error);
+        reject(putRequest.error);
+      };
+    };
+
+    getRequest.onerror = () => {
+      reject(getRequest.error);
+    };
+  });
+}
+
+/**
+ * Добавить строки журнала изменений (одной транзакцией)
+ * Строки с сервера (synced: true) перезаписываются, свои — только добавляются.
+ *
+ * @param {Array} entries - Строки журнала (см. audit.js)
+ * @returns {Promise<Array>} - Promise с сохраненными строками
+ */
+export async function addAuditEntries(entries) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.AUDIT_LOG], 'readwrite');
+    const store = transaction.objectStore(STORES.AUDIT_LOG);
+    const saved = entries.map(entry => (entry.synced === true ? entry : { ...entry, synced: false }));
+
+    saved.forEach(entry => {
+      if (entry.synced === true) {
+        store.put(entry);
+      } else {
+        store.add(entry);
+      }
+    });
+
+    transaction.oncomplete = () => {
+      resolve(saved);
+    };
+
+    transaction.onerror = () => {
+      console.error('Ошибка записи журнала изменений:', transaction.error);
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Получить весь журнал изменений
+ *
+ * @returns {Promise<Array>} - Promise с массивом строк журнала
+ */
+export async function getAllAuditEntries() {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.AUDIT_LOG], 'readonly');
+    const store = transaction.objectStore(STORES.AUDIT_LOG);
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения журнала изменений:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Получить все конфликты синхронизации, ожидающие решения
+ *
+ * @returns {Promise<Array>} - Promise с массивом конфликтов (новые первыми)
+ */
+export async function getAllSyncConflicts() {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.SYNC_CONFLICTS], 'readonly');
+    const store = transaction.objectStore(STORES.SYNC_CONFLICTS);
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      const conflicts = request.result.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+      resolve(conflicts);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения конфликтов:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Удалить конфликт синхронизации (после решения менеджера)
+ *
+ * @param {string} id - ID конфликта
+ * @returns {Promise} - Promise с результатом операции
+ */
+export async function deleteSyncConflict(id) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.SYNC_CONFLICTS], 'readwrite');
+    const store = transaction.objectStore(STORES.SYNC_CONFLICTS);
+    const request = store.delete(id);
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка удаления конфликта:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Поставить изменение записи в очередь отправки
+ * Операция сливается с последней неотправленной операцией той же записи (см. coalesceOperation).
+ * Удаление в той же транзакции оставляет надгробие, любая другая операция его снимает.
+ *
+ * @param {string} storeName - Хранилище записи
+ * @param {string} action - create, update или delete
+ * @param {string} recordId - ID записи
+ * @param {Object|null} payload - Запись при создании, изменения при правке
+ * @returns {Promise<Object>} - Promise с операцией в очереди
+ */
+export async function addOutboxOperation(storeName, action, recordId, payload = null) {
+  const database = await getDB();
+  const next = createOutboxOperation(storeName, action, recordId, payload);
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.OUTBOX, STORES.TOMBSTONES], 'readwrite');
+    const store = transaction.objectStore(STORES.OUTBOX);
+    const request = store.index('entity_key').getAll(next.entity_key);
+    let saved = null;
+
+    if (action === 'delete') {
+      transaction.objectStore(STORES.TOMBSTONES).put(createTombstone(storeName, recordId, next.queued_at));
+    } else {
+      transaction.objectStore(STORES.TOMBSTONES).delete(next.entity_key);
+    }
+
+    request.onsuccess = () => {
+      const pending = request.result.sort((a, b) => a.seq - b.seq).pop() || null;
+      saved = coalesceOperation(pending, next);
+
+      const putRequest = saved.seq !== undefined ? store.put(saved) : store.add(saved);
+      putRequest.onsuccess = () => {
+        saved = { ...saved, seq: putRequest.result };
+      };
+    };
+
+    transaction.oncomplete = () => {
+      resolve(saved);
+    };
+
+    transaction.onerror = () => {
+      console.error('Ошибка постановки в очередь отправки:', transaction.error);
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Получить все операции очереди отправки
+ *
+ * @returns {Promise<Array>} - Promise с операциями по порядку очереди
+ */
+export async function getOutboxOperations() {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.OUTBOX], 'readonly');
+    const store = transaction.objectStore(STORES.OUTBOX);
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения очереди отправки:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Убрать отправленную операцию из очереди
+ * Если пока операция отправлялась, с ней слилось новое изменение (revision выросла),
+ * операция остается в очереди и уйдет еще раз. После удаления на сервере
+ * надгробие записи больше не нужно: сервер ее уже не вернет.
+ *
+ * @param {number} seq - Номер операции
+ * @param {number} revision - Версия операции, которую отправили
+ * @returns {Promise<boolean>} - Promise: true, если операция удалена
+ */
+export async function completeOutboxOperation(seq, revision) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.OUTBOX, STORES.TOMBSTONES], 'readwrite');
+    const store = transaction.objectStore(STORES.OUTBOX);
+    const getRequest = store.get(seq);
+    let removed = false;
+
+    getRequest.onsuccess = () => {
+      const operation = getRequest.result;
+      if (operation && operation.revision === revision) {
+        store.delete(seq);
+        removed = true;
+        if (operation.action === 'delete') {
+          transaction.objectStore(STORES.TOMBSTONES).delete(operation.entity_key);
+        }
+      }
+    };
+
+    transaction.oncomplete = () => {
+      resolve(removed);
+    };
+
+    transaction.onerror = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Обновить операцию очереди (попытки, пауза, ошибка)
+ *
+ * @param {number} seq - Номер операции
+ * @param {Object} changes - Изменения
+ * @returns {Promise} - Promise с результатом операции
+ */
+export async function updateOutboxOperation(seq, changes) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.OUTBOX], 'readwrite');
+    const store = transaction.objectStore(STORES.OUTBOX);
+    const getRequest = store.get(seq);
+
+    getRequest.onsuccess = () => {
+      if (getRequest.result) {
+        store.put({ ...getRequest.result, ...changes });
+      }
+    };
+
+    transaction.oncomplete = () => {
+      resolve();
+    };
+
+    transaction.onerror = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Отменить неотправленные операции записей
+ * Например, записи подсчета удаленной сессии: на сервере их удалит удаление сессии.
+ *
+ * @param {string} storeName - Хранилище записей
+ * @param {Array<string>} recordIds - ID записей
+ * @returns {Promise} - Promise с результатом операции
+ */
+export async function cancelOutboxOperations(storeName, recordIds) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.OUTBOX], 'readwrite');
+    const index = transaction.objectStore(STORES.OUTBOX).index('entity_key');
+
+    recordIds.forEach(recordId => {
+      index.openCursor(getOutboxKey(storeName, recordId)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+
+    transaction.oncomplete = () => {
+      resolve();
+    };
+
+    transaction.onerror = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Получить надгробия записей, удаленных на этом устройстве
+ *
+ * @returns {Promise<Array>} - Promise с надгробиями (см. createTombstone)
+ */
+export async function getTombstones() {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.TOMBSTONES], 'readonly');
+    const store = transaction.objectStore(STORES.TOMBSTONES);
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения надгробий:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Получить курсор получения изменений таблицы
+ *
+ * @param {string} table - Таблица на сервере
+ * @returns {Promise<Object|null>} - Promise с курсором ({ table, updated_at, id }) или null
+ */
+export async function getSyncCursor(table) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.SYNC_CURSORS], 'readonly');
+    const store = transaction.objectStore(STORES.SYNC_CURSORS);
+    const request = store.get(table);
+
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения курсора синхронизации:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Сохранить курсор получения изменений таблицы
+ *
+ * @param {Object} cursor - { table, updated_at, id }
+ * @returns {Promise} - Promise с результатом операции
+ */
+export async function setSyncCursor(cursor) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.SYNC_CURSORS], 'readwrite');
+    const store = transaction.objectStore(STORES.SYNC_CURSORS);
+    const request = store.put(cursor);
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка сохранения курсора синхронизации:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Получить значение общего состояния
+ * В сервис-воркере нет localStorage, поэтому то, что нужно и ему, хранится здесь.
+ *
+ * @param {string} key - Ключ
+ * @returns {Promise<*>} - Promise со значением или null
+ */
+export async function getAppState(key) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.APP_STATE], 'readonly');
+    const store = transaction.objectStore(STORES.APP_STATE);
+    const request = store.get(key);
+
+    request.onsuccess = () => {
+      resolve(request.result ? request.result.value : null);
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка получения состояния:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Сохранить значение общего состояния
+ *
+ * @param {string} key - Ключ
+ * @param {*} value - Значение (null — удалить)
+ * @returns {Promise} - Promise с результатом операции
+ */
+export async function setAppState(key, value) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORES.APP_STATE], 'readwrite');
+    const store = transaction.objectStore(STORES.APP_STATE);
+    const request = value === null || value === undefined
+      ? store.delete(key)
+      : store.put({ key, value });
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      console.error('Ошибка сохранения состояния:', request.error);
+      reject(request.error);
+    };
+  });
+}
+
 export { STORES };
 
@@ -0,0 +1,100 @@
+/**
+ * Получение изменений с сервера по курсорам (delta sync)
+ *
+ * Для каждой таблицы на устройстве хранится курсор — последняя полученная строка
+ * { table, updated_at, id } (хранилище sync_cursors в IndexedDB). При синхронизации
+ * запрашиваются только строки с updated_at позже курсора, страницами по порядку
+ * (updated_at, id), поэтому стоимость синхронизации не растет вместе с каталогом и историей.
+ *
+ * Курсор отступает назад на CURSOR_OVERLAP_MS: строка, записанная транзакцией, которая
+ * началась раньше, но завершилась позже, не потеряется. Повторно полученные строки
+ * безопасны — версия с сервера сливается с локальной (см. prepareRecordUpdate в db.js).
+ */
+
+// Размер страницы запроса
+export const DELTA_PAGE_SIZE = 500;
+
+// Запас назад от курсора
+export const CURSOR_OVERLAP_MS = 60 * 1000;
+
+/**
+ * С какого момента запрашивать изменения
+ *
+ * @param {Object|null} cursor - Курсор таблицы ({ updated_at, id })
+ * @param {number} overlapMs - Запас назад
+ * @returns {string|null} - Время (ISO) или null, если таблица еще не загружалась
+ */
+export function getDeltaSince(cursor, overlapMs = CURSOR_OVERLAP_MS) {
+  const time = Date.parse(cursor?.updated_at);
+  if (!Number.isFinite(time)) return null;
+  return new Date(time - overlapMs).toISOString();
+}
+
+/**
+ * Значение для фильтра PostgREST внутри or=(…): даты содержат «.» и «:», их берем в кавычки
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Параметры запроса страницы изменений
+ * Первая страница — строки позже since, следующие — после последней строки
+ * предыдущей страницы (по updated_at, затем по id), чтобы не пропустить строки
+ * с одинаковым updated_at.
+ *
+ * @param {string|null} since - С какого момента (см. getDeltaSince)
+ * @param {Object|null} after - Последняя строка предыдущей страницы ({ updated_at, id })
+ * @param {number} pageSize - Размер страницы
+ * @returns {string} - Строка запроса без «?»
+ */
+export function buildDeltaQuery(since, after = null, pageSize = DELTA_PAGE_SIZE) {
+  const params = [];
+
+  if (after?.updated_at) {
+    const time = quoteFilterValue(after.updated_at);
+    params.push('or=' + encodeURIComponent(`(updated_at.gt.${time},and(updated_at.eq.${time},id.gt.${quoteFilterValue(after.id)}))`));
+  } else if (since) {
+    params.push('updated_at=gt.' + encodeURIComponent(since));
+  }
+
+  params.push('order=updated_at.asc,id.asc');
+  params.push(`limit=${pageSize}`);
+  return params.join('&');
+}
+
+/**
+ * Последняя строка по порядку (updated_at, id)
+ *
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {Object|null}
+ */
+function laterRow(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const byTime = Date.parse(a.updated_at) - Date.parse(b.updated_at);
+  if (byTime !== 0) return byTime > 0 ? a : b;
+  return String(a.id) >= String(b.id) ? a : b;
+}
+
+/**
+ * Курсор после получения строк
+ * Строки без updated_at курсор не сдвигают.
+ *
+ * @param {string} table - Таблица на сервере
+ * @param {Object|null} cursor - Текущий курсор
+ * @param {Array} rows - Полученные строки
+ * @returns {Object|null} - { table, updated_at, id } или прежний курсор
+ */
+export function getNextCursor(table, cursor, rows) {
+  const latest = (rows || [])
+    .filter(row => row && Number.isFinite(Date.parse(row.updated_at)))
+    .reduce((found, row) => laterRow(found, row), cursor?.updated_at ? cursor : null);
+
+  if (!latest) return cursor || null;
+  return { table, updated_at: new Date(Date.parse(latest.updated_at)).toISOString(), id: latest.id ?? null };
+}
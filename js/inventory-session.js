@@ -5,25 +5,55 @@
  * со страницей подсчета товаров во время инвентаризации.
  */
 
-import { initApp, showPageHelp } from './app.js';
+import { initApp, showPageHelp, requirePermission } from './app.js';
 import * as items from './items.js';
 import * as inventory from './inventory.js';
-import { showAlert } from './modal.js';
+import { showAlert, showModal, closeModal } from './modal.js';
+import { findItemByBarcode } from './barcode.js';
+import { startBarcodeScanner, isCameraSupported } from './barcode-scanner.js';
+import {
+  getDeviceId, getCounterName, createAddition,
+  normalizeAdditions, getActiveAdditions, sumAdditions, mergeAdditions,
+  getCounterRoster, getActiveCounter, addCounter, removeCounter, switchCounter, verifyCounterPin
+} from './counting.js';
+import { subscribeToSessionCounts } from './realtime.js';
+import { getItemZone, getZoneProgress } from './zones.js';
+import { loadVarianceThresholds, getRecountQueue } from './variance.js';
+import { getAllSuppliers } from './suppliers.js';
+
+// Значение фильтра для товаров без поставщика
+const NO_SUPPLIER_FILTER = '__none__';
 
 // Состояние страницы
 const pageState = {
   sessionId: null,
   // Прошлая завершенная сессия (для сравнения)
   previousSession: null,
+  // База сравнения сессии (см. BASELINE_TYPES в stock.js)
+  baseline: null,
+  // Прошлый подсчет и движения товара после него: { itemId: количество }
+  countedQuantities: {},
+  movementsByItemId: {},
   currentCategory: '',
+  // Слепой подсчет: прошлые количества открыты руководителем на этом устройстве
+  blindRevealed: false,
+  // Зоны подсчета сессии и выбранная зона ('' — все зоны)
+  zones: [],
+  currentZone: '',
+  // Выбранный поставщик ('' — все, NO_SUPPLIER_FILTER — товары без поставщика)
+  currentSupplier: '',
   searchQuery: '',
   allItems: [],
-  inventoryItems: {}, // { itemId: { quantity, comment, saved } }
+  inventoryItems: {}, // { itemId: { baseQuantity, previousQuantity, comment, saved, additions, countedBy, counted, recount } }
   currentItemId: null, // Для модальных окон
   calculatorValue: '0',
   calculatorResult: null,
   // Флаг для предотвращения повторных кликов по категориям
   isNavigating: false,
+  // Активный сканер штрихкодов ({ stop, mode }) или null
+  scanner: null,
+  // Подписка на подсчет с других устройств ({ stop, refresh }) или null
+  liveCounts: null,
   // Интервал автосохранения
   autoSaveInterval: null,
   // Состояние виртуализации
@@ -74,6 +104,15 @@ async function initPage() {
 
     // Отображаем товары
     renderItems();
+    updateRecountBanner();
+
+    // Подключаемся к подсчету с других устройств
+    setupLiveCounting();
+
+    // На общем планшете сначала выбираем, кто считает
+    if (getCounterRoster().length > 0 && !getActiveCounter()) {
+      showCounterSwitcher();
+    }
 
   } catch (error) {
     console.error('Ошибка инициализации страницы:', error);
@@ -105,7 +144,9 @@ function updateDateWithComparisonInfo() {
   const options = { day: 'numeric', month: 'long', year: 'numeric' };
   let text = now.toLocaleDateString('ru-RU', options);
 
-  if (pageState.previousSession && pageState.previousSession.date) {
+  if (pageState.baseline?.type === 'current') {
+    text += ' · сравнение с остатком в карточках на начало';
+  } else if (pageState.previousSession && pageState.previousSession.date) {
     const prev = new Date(pageState.previousSession.date);
     // Если дата в неверном формате — просто покажем строкой
     const prevText = isNaN(prev.getTime())
@@ -125,6 +166,7 @@ async function loadData() {
     // Загружаем саму сессию (нужна дата, чтобы понять "предыдущую" инвентаризацию)
     const currentSession = await inventory.getInventorySessionById(pageState.sessionId);
     pageState.currentSession = currentSession || null;
+    pageState.blindRevealed = sessionStorage.getItem(`blind_unlocked:${pageState.sessionId}`) === '1';
 
     // Загружаем все товары
     pageState.allItems = await items.getAllItems();
@@ -135,28 +177,43 @@ async function loadData() {
     // Обновляем UI категорий
     renderCategoryButtons();
 
+    // Фильтр по поставщику (если у товаров указаны поставщики)
+    await renderSupplierFilter();
+
     // Загружаем записи инвентаризации для этой сессии
     const inventoryItems = await inventory.getInventoryItemsBySession(pageState.sessionId);
 
     // Преобразуем в удобный формат
     inventoryItems.forEach(item => {
+      const additions = normalizeAdditions(item.additions);
       pageState.inventoryItems[item.item_id] = {
-        baseQuantity: item.quantity || 0, // При загрузке базовое = сохраненное количество
+        // Базовое количество хранится отдельно; в старых записях его нет — берем итог
+        baseQuantity: item.base_quantity ?? ((item.quantity || 0) - sumAdditions(additions)),
         // Важно: используем ??, чтобы не терять "0" (0 — валидное значение)
         // Если previous_quantity не было — оставляем null и заполним из прошлой инвентаризации ниже
         previousQuantity: item.previous_quantity ?? null,
         comment: item.comment || '',
         saved: true,
-        additions: [] // Промежуточные значения не сохраняются в БД, только в памяти
+        // Промежуточные значения всех устройств (записи с автором)
+        additions,
+        countedBy: getOtherCounters(item, additions),
+        // Товар уже посчитан в этой сессии (есть запись в БД)
+        counted: true,
+        // Повторный подсчет для позиции с большим расхождением
+        recount: item.recount || null
       };
     });
 
-    // Подтягиваем "прошлые количества" из предыдущей завершенной инвентаризации
-    // (если она есть). Это делает сравнение "месяц к месяцу" автоматически.
+    // Подтягиваем "прошлые количества" по базе сравнения, выбранной при запуске сессии
+    // (по умолчанию — предыдущая завершенная инвентаризация плюс движения после нее).
     const comparison = await inventory.getPreviousSessionComparison(pageState.sessionId);
     pageState.previousSession = comparison.previousSession || null;
+    pageState.baseline = comparison.baseline || null;
 
     const prevMap = comparison.previousQuantitiesByItemId || {};
+    pageState.countedQuantities = comparison.countedQuantitiesByItemId || {};
+    pageState.movementsByItemId = comparison.movementsByItemId || {};
+    const isInProgress = pageState.currentSession?.status === 'in_progress';
 
     // Для каждого товара гарантируем, что у нас есть запись в pageState.inventoryItems
     // и заполнено previousQuantity (по умолчанию 0).
@@ -167,12 +224,17 @@ async function loadData() {
       if (existing) {
         if (existing.previousQuantity === null || typeof existing.previousQuantity !== 'number') {
           existing.previousQuantity = prevQty;
+        } else if (isInProgress && it.id in pageState.movementsByItemId && existing.previousQuantity !== prevQty) {
+          // После сохранения подсчета товар пришел или был списан — ожидание изменилось
+          existing.previousQuantity = prevQty;
+          existing.saved = false;
         }
         return;
       }
 
       // Если товар ещё не считали в этой сессии — создаем "пустую" запись
-      const currentQuantity = Number(it.current_quantity ?? it.quantity ?? 0);
+      // (при слепом подсчете не подставляем текущий остаток — считаем с нуля)
+      const currentQuantity = isBlindHidden() ? 0 : Number(it.current_quantity ?? it.quantity ?? 0);
       pageState.inventoryItems[it.id] = {
         baseQuantity: Number.isFinite(currentQuantity) ? currentQuantity : 0,
         previousQuantity: prevQty,
@@ -182,6 +244,14 @@ async function loadData() {
       };
     });
 
+    // Зоны подсчета (для старых сессий создаются здесь же)
+    try {
+      pageState.zones = await inventory.ensureSessionZones(pageState.sessionId, pageState.allItems);
+    } catch (error) {
+      console.warn('Не удалось загрузить зоны сессии:', error);
+      pageState.zones = pageState.currentSession?.zones || [];
+    }
+
     // Обновляем дату в шапке с информацией о сравнении
     updateDateWithComparisonInfo();
 
@@ -307,6 +377,15 @@ function setupEventHandlers() {
     });
   }
 
+  // Фильтр по поставщику
+  const supplierFilter = document.getElementById('supplier-filter');
+  if (supplierFilter) {
+    supplierFilter.addEventListener('change', (e) => {
+      pageState.currentSupplier = e.target.value;
+      renderItems();
+    });
+  }
+
   // Кнопки категорий (обычные и плавающие)
   // Используем делегирование событий для лучшей производительности
   const categoryNav = document.getElementById('category-navigation');
@@ -415,6 +494,15 @@ function setupEventHandlers() {
   // Модальное окно просмотра товара (фото + название)
   setupPreviewModal();
 
+  // Сканер штрихкодов / QR
+  setupScannerModal();
+
+  // Зоны подсчета
+  setupZonesModal();
+
+  // Очередь пересчета
+  setupRecountModal();
+
   // Обработчики кликов на карточках товаров (один раз, делегирование)
   setupItemHandlers();
 
@@ -690,12 +778,56 @@ function updateCategoryButtons(activeCategory) {
   });
 }
 
+/**
+ * Заполнить фильтр по поставщику: показываем его, только если у товаров сессии есть поставщики
+ */
+async function renderSupplierFilter() {
+  const select = document.getElementById('supplier-filter');
+  if (!select) return;
+
+  let suppliers = [];
+  try {
+    suppliers = await getAllSuppliers();
+  } catch (error) {
+    console.warn('Не удалось загрузить поставщиков:', error);
+  }
+
+  const counts = {};
+  pageState.allItems.forEach(item => {
+    const key = item.supplier_id || NO_SUPPLIER_FILTER;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  const used = suppliers.filter(supplier => counts[supplier.id]);
+
+  select.classList.toggle('hidden', used.length === 0);
+  if (used.length === 0) return;
+
+  select.innerHTML = [
+    '<option value="">Все поставщики</option>',
+    ...used.map(supplier => `<option value="${escapeHtml(supplier.id)}">${escapeHtml(supplier.name)} (${counts[supplier.id]})</option>`),
+    counts[NO_SUPPLIER_FILTER] ? `<option value="${NO_SUPPLIER_FILTER}">Без поставщика (${counts[NO_SUPPLIER_FILTER]})</option>` : ''
+  ].join('');
+  select.value = pageState.currentSupplier;
+}
+
 /**
  * Отфильтровать товары по категории и поисковому запросу
  */
 function getFilteredItems() {
   let filtered = pageState.allItems;
 
+  // Фильтр по зоне
+  if (pageState.currentZone) {
+    filtered = filtered.filter(item => getItemZone(item) === pageState.currentZone);
+  }
+
+  // Фильтр по поставщику
+  if (pageState.currentSupplier) {
+    filtered = filtered.filter(item => pageState.currentSupplier === NO_SUPPLIER_FILTER
+      ? !item.supplier_id
+      : item.supplier_id === pageState.currentSupplier);
+  }
+
   // Фильтр по категории
   if (pageState.currentCategory) {
     // Нормализуем категории для сравнения (приводим к нижнему регистру)
@@ -983,9 +1115,13 @@ function debounce(func, wait) {
 function renderItemCard(item) {
   const itemData = pageState.inventoryItems[item.id] || { quantity: 0, previousQuantity: 0, comment: '', saved: false, additions: [] };
   const baseQuantity = Math.floor(itemData.baseQuantity || itemData.quantity || 0);
-  const additions = itemData.additions || [];
-  const additionsSum = additions.reduce((sum, val) => sum + val, 0);
+  const additions = getActiveAdditions(itemData.additions);
+  const additionsSum = sumAdditions(additions);
   const totalQuantity = baseQuantity + additionsSum; // Общее количество
+  const deviceId = getDeviceId();
+  const otherCounters = itemData.countedBy || [];
+  const recountEntry = getItemRecountEntry(item);
+  const needsRecount = Boolean(recountEntry && !recountEntry.resolved);
   const isSaved = itemData.saved;
   const hasComment = itemData.comment && itemData.comment.trim() !== '';
   const itemSku = item.sku ? String(item.sku).trim().replace(/</g, '&lt;').replace(/>/g, '&gt;') : '';
@@ -993,6 +1129,8 @@ function renderItemCard(item) {
   // Предыдущее количество (для сравнения)
   const previousQuantity = typeof itemData.previousQuantity === 'number' ? itemData.previousQuantity : 0;
   const diff = totalQuantity - previousQuantity;
+  // Были движения после прошлой инвентаризации — сравниваем с ожидаемым количеством
+  const movementNet = pageState.movementsByItemId[item.id];
   const diffLabel = diff > 0 ? `+${diff}` : `${diff}`;
   const diffClass =
     diff === 0
@@ -1028,6 +1166,20 @@ function renderItemCard(item) {
                     title="Нажмите для увеличения">${item.name || 'Без названия'}</button>
             ${itemSku ? `<p class="text-xs text-slate-500 dark:text-slate-400">арт. ${itemSku}</p>` : ''}
             
+            ${needsRecount ? `
+            <p class="flex items-center gap-1 text-[11px] font-semibold text-amber-600 dark:text-amber-400 mt-0.5" title="Расхождение больше порога: пересчитайте или оставьте комментарий">
+              <span class="material-symbols-outlined text-[14px]">replay</span>
+              <span class="truncate">Нужен пересчет</span>
+            </p>
+            ` : ''}
+
+            ${otherCounters.length > 0 ? `
+            <p class="flex items-center gap-1 text-[11px] font-semibold text-violet-600 dark:text-violet-400 mt-0.5" title="Этот товар уже считали на другом устройстве">
+              <span class="material-symbols-outlined text-[14px]">group</span>
+              <span class="truncate">Считали: ${escapeHtml(otherCounters.join(', '))}</span>
+            </p>
+            ` : ''}
+
             <!-- Единица измерения и статус сохранения -->
             <div class="flex items-center gap-2 mt-1">
               <span class="text-sm text-slate-500 dark:text-slate-400">${item.unit || 'шт.'}</span>
@@ -1066,14 +1218,20 @@ function renderItemCard(item) {
           
           ${additions.length > 0 ? `
           <div class="flex items-center justify-center gap-2 flex-wrap">
-            ${additions.map((val, idx) => `
-              <div class="group flex items-center gap-0.5 pl-2.5 pr-1.5 py-1.5 rounded-xl bg-blue-50 dark:bg-blue-900/20 border border-blue-100 dark:border-blue-800/50">
-                <span class="text-xs font-bold text-blue-600 dark:text-blue-400">+ ${val}</span>
-                <button class="item-remove-addition size-5 flex items-center justify-center rounded-lg text-blue-400 hover:text-red-500 hover:bg-white dark:hover:bg-slate-800 transition-colors ml-1" data-item-id="${item.id}" data-index="${idx}">
+            ${additions.map(entry => {
+              // Чужие значения показываем другим цветом и с именем автора
+              const isOwn = !entry.device_id || entry.device_id === deviceId;
+              return `
+              <div class="group flex items-center gap-0.5 pl-2.5 pr-1.5 py-1.5 rounded-xl ${isOwn ? 'bg-blue-50 dark:bg-blue-900/20 border-blue-100 dark:border-blue-800/50' : 'bg-violet-50 dark:bg-violet-900/20 border-violet-100 dark:border-violet-800/50'} border"
+                   ${isOwn ? '' : `title="Автор: ${escapeHtml(entry.counted_by || 'другое устройство')}"`}>
+                <span class="text-xs font-bold ${isOwn ? 'text-blue-600 dark:text-blue-400' : 'text-violet-600 dark:text-violet-400'}">+ ${entry.value}</span>
+                ${isOwn ? '' : `<span class="text-[10px] text-violet-500 dark:text-violet-300 ml-1 max-w-[5rem] truncate">${escapeHtml(entry.counted_by || '')}</span>`}
+                <button class="item-remove-addition size-5 flex items-center justify-center rounded-lg ${isOwn ? 'text-blue-400' : 'text-violet-400'} hover:text-red-500 hover:bg-white dark:hover:bg-slate-800 transition-colors ml-1" data-item-id="${item.id}" data-addition-id="${escapeHtml(entry.id)}">
                   <span class="material-symbols-outlined text-[14px]">close</span>
                 </button>
               </div>
-            `).join('')}
+            `;
+            }).join('')}
             <button class="item-add-addition size-8 rounded-xl border border-dashed border-slate-300 dark:border-slate-600 flex items-center justify-center text-slate-400 hover:text-primary hover:border-primary hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors" data-item-id="${item.id}" title="Добавить значение">
               <span class="material-symbols-outlined text-[16px]">add</span>
             </button>
@@ -1088,13 +1246,20 @@ function renderItemCard(item) {
         </div>
         
         <div class="flex items-center gap-2 mt-4 pt-4 border-t border-slate-100 dark:border-slate-800">
-          <button class="flex-1 py-2 px-3 rounded-xl bg-slate-50 dark:bg-slate-800/50 text-xs font-semibold text-slate-600 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700 active:scale-95 transition-all flex items-center justify-center gap-2">
-            <span class="material-symbols-outlined text-[18px]">history</span>
+          ${isBlindHidden() ? `
+          <button class="item-blind-btn flex-1 py-2 px-3 rounded-xl bg-slate-50 dark:bg-slate-800/50 text-xs font-semibold text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700 active:scale-95 transition-all flex items-center justify-center gap-2" data-item-id="${item.id}" title="Прошлое количество скрыто">
+            <span class="material-symbols-outlined text-[18px]">visibility_off</span>
+            <span class="truncate">Слепой подсчет</span>
+          </button>
+          ` : `
+          <button class="flex-1 py-2 px-3 rounded-xl bg-slate-50 dark:bg-slate-800/50 text-xs font-semibold text-slate-600 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700 active:scale-95 transition-all flex items-center justify-center gap-2"${movementNet !== undefined ? ` title="Прошлый подсчет: ${pageState.countedQuantities[item.id] ?? 0} · Движения: ${movementNet > 0 ? '+' : ''}${movementNet}"` : ''}>
+            <span class="material-symbols-outlined text-[18px]">${movementNet !== undefined ? 'local_shipping' : 'history'}</span>
             <span class="truncate">
-              Было: ${previousQuantity}
+              ${movementNet !== undefined ? 'Ожидается' : 'Было'}: ${previousQuantity}
               <span class="${diffClass}"> · Разница: ${diffLabel}</span>
             </span>
           </button>
+          `}
           <button class="item-comment-btn size-9 rounded-xl flex items-center justify-center ${hasComment ? 'text-primary bg-blue-50 dark:bg-blue-900/20' : 'text-slate-400 hover:text-primary hover:bg-blue-50 dark:hover:bg-slate-800'} active:scale-95 transition-all" data-item-id="${item.id}" title="Комментарий">
             <span class="material-symbols-outlined text-[20px]">${hasComment ? 'comment' : 'comment'}</span>
           </button>
@@ -1148,6 +1313,14 @@ function setupItemHandlers() {
       return;
     }
 
+    // Слепой подсчет: прошлые количества открывает руководитель
+    if (target.classList.contains('item-blind-btn')) {
+      e.preventDefault();
+      e.stopPropagation();
+      showBlindUnlockModal();
+      return;
+    }
+
     // Добавление промежуточного значения (через модальное окно)
     if (target.classList.contains('item-add-addition') || target.closest('.item-add-addition')) {
       e.preventDefault();
@@ -1160,8 +1333,8 @@ function setupItemHandlers() {
     if (target.classList.contains('item-remove-addition') || target.closest('.item-remove-addition')) {
       e.preventDefault();
       e.stopPropagation();
-      const index = parseInt(target.getAttribute('data-index') || target.closest('[data-index]')?.getAttribute('data-index') || '0');
-      removeAddition(itemId, index);
+      const additionId = target.getAttribute('data-addition-id') || target.closest('[data-addition-id]')?.getAttribute('data-addition-id');
+      removeAddition(itemId, additionId);
       return;
     }
 
@@ -1212,7 +1385,7 @@ function setupItemHandlers() {
 
       // Вычитаем промежуточные значения из введенного значения, чтобы получить базовое
       const itemData = pageState.inventoryItems[itemId] || { additions: [] };
-      const additionsSum = (itemData.additions || []).reduce((sum, val) => sum + val, 0);
+      const additionsSum = sumAdditions(itemData.additions);
       const baseQuantity = Math.max(0, value - additionsSum);
 
       setQuantity(itemId, baseQuantity);
@@ -1256,7 +1429,7 @@ function setQuantity(itemId, baseQuantity) {
   pageState.inventoryItems[itemId].saved = false;
 
   // Обновляем отображение (показываем общее количество)
-  const additionsSum = (pageState.inventoryItems[itemId].additions || []).reduce((sum, val) => sum + val, 0);
+  const additionsSum = sumAdditions(pageState.inventoryItems[itemId].additions);
   const totalQuantity = pageState.inventoryItems[itemId].baseQuantity + additionsSum;
 
   // Обновляем значение в инпуте, если он существует
@@ -1302,8 +1475,10 @@ function addAddition(itemId, value) {
     pageState.inventoryItems[itemId].additions = [];
   }
 
-  // Добавляем новое промежуточное значение
-  pageState.inventoryItems[itemId].additions.push(value);
+  // Добавляем новое промежуточное значение (с автором, чтобы другие устройства его не затерли)
+  pageState.inventoryItems[itemId].additions.push(
+    createAddition(value, { deviceId: getDeviceId(), counterName: getCounterName() })
+  );
   pageState.inventoryItems[itemId].saved = false;
 
   // Обновляем только эту карточку (вместо перерисовки всего списка)
@@ -1312,14 +1487,19 @@ function addAddition(itemId, value) {
 
 /**
  * Удалить промежуточное значение
+ * Значение не вырезается из списка, а помечается removed — так удаление
+ * дойдет и до других устройств, и значение не "воскреснет" при слиянии.
  */
-function removeAddition(itemId, index) {
+function removeAddition(itemId, additionId) {
   if (!pageState.inventoryItems[itemId] || !pageState.inventoryItems[itemId].additions) {
     return;
   }
 
-  // Удаляем промежуточное значение
-  pageState.inventoryItems[itemId].additions.splice(index, 1);
+  const entry = pageState.inventoryItems[itemId].additions.find(a => a.id === additionId);
+  if (!entry) return;
+
+  // Помечаем промежуточное значение удаленным
+  entry.removed = true;
   pageState.inventoryItems[itemId].saved = false;
 
   // Обновляем только эту карточку (вместо перерисовки всего списка)
@@ -1375,7 +1555,7 @@ async function saveItem(itemId) {
     const currentScrollTop = document.getElementById('items-container')?.scrollTop || 0;
 
     // Вычисляем общее количество (базовое + промежуточные)
-    const additionsSum = (itemData.additions || []).reduce((sum, val) => sum + val, 0);
+    const additionsSum = sumAdditions(itemData.additions);
     const totalQuantity = (itemData.baseQuantity || 0) + additionsSum;
 
     // Получаем предыдущее количество
@@ -1392,7 +1572,15 @@ async function saveItem(itemId) {
       itemId,
       totalQuantity,
       previousQuantity,
-      itemData.comment || null
+      itemData.comment || null,
+      {
+        base_quantity: itemData.baseQuantity || 0,
+        additions: normalizeAdditions(itemData.additions),
+        counted_by: getCounterName(),
+        counted_by_id: getActiveCounter()?.id || null,
+        counted_by_device: getDeviceId(),
+        recount: itemData.recount || null
+      }
     );
 
     const timeoutPromise = new Promise((_, reject) =>
@@ -1402,9 +1590,11 @@ async function saveItem(itemId) {
     try {
       await Promise.race([savePromise, timeoutPromise]);
       itemData.saved = true;
+      itemData.counted = true;
 
       // Обновляем только визуальное отображение сохраненного товара
       updateItemCard(itemId);
+      updateRecountBanner();
 
       // Восстанавливаем позицию прокрутки
       const container = document.getElementById('items-container');
@@ -1550,6 +1740,13 @@ function setupCommentModal() {
         // Обновляем только эту карточку
         updateSingleItemCard(pageState.currentItemId);
 
+        // Комментарий закрывает пересчет — сохраняем сразу, чтобы это увидела проверка завершения
+        const commentedItem = pageState.allItems.find(it => it.id === pageState.currentItemId);
+        if (commentedItem && getItemRecountEntry(commentedItem)) {
+          saveItem(pageState.currentItemId);
+        }
+        updateRecountBanner();
+
         showToast(comment ? 'Комментарий сохранён' : 'Комментарий удалён', 'success');
       }
       modal.classList.add('hidden');
@@ -1968,6 +2165,1056 @@ function showPreviewModal(imageUrl, name, unit) {
   modal.classList.add('flex');
 }
 
+/**
+ * Настроить модальное окно сканера штрихкодов
+ */
+function setupScannerModal() {
+  const scanBtn = document.getElementById('scan-btn');
+  const modal = document.getElementById('scanner-modal');
+  const closeBtn = document.getElementById('scanner-close');
+  const manualInput = document.getElementById('scanner-manual-input');
+  const manualSubmit = document.getElementById('scanner-manual-submit');
+
+  if (!scanBtn || !modal) return;
+
+  scanBtn.addEventListener('click', openScanner);
+
+  if (closeBtn) {
+    closeBtn.addEventListener('click', closeScanner);
+  }
+
+  // Ручной ввод кода (или ввод с внешнего сканера, который работает как клавиатура)
+  const submitManualCode = () => {
+    const code = manualInput?.value.trim();
+    if (!code) return;
+    handleScannedCode(code);
+  };
+
+  if (manualSubmit) {
+    manualSubmit.addEventListener('click', submitManualCode);
+  }
+
+  if (manualInput) {
+    manualInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        submitManualCode();
+      } else if (e.key === 'Escape') {
+        closeScanner();
+      }
+    });
+  }
+
+  // Закрытие по клику на фон
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeScanner();
+    }
+  });
+}
+
+/**
+ * Открыть сканер и запустить камеру
+ */
+async function openScanner() {
+  const modal = document.getElementById('scanner-modal');
+  const video = document.getElementById('scanner-video');
+  const status = document.getElementById('scanner-status');
+  const manualInput = document.getElementById('scanner-manual-input');
+
+  if (!modal || !video) return;
+
+  if (manualInput) manualInput.value = '';
+  modal.classList.remove('hidden');
+  modal.classList.add('flex');
+
+  if (!isCameraSupported()) {
+    if (status) status.textContent = 'Камера недоступна — введите код вручную';
+    setTimeout(() => manualInput?.focus(), 100);
+    return;
+  }
+
+  if (status) status.textContent = 'Запуск камеры...';
+
+  try {
+    pageState.scanner = await startBarcodeScanner(video, (code) => {
+      pageState.scanner = null;
+      handleScannedCode(code);
+    });
+
+    // Если окно успели закрыть, пока камера запускалась, — сразу останавливаем
+    if (modal.classList.contains('hidden')) {
+      stopScanner();
+      return;
+    }
+
+    if (status) {
+      status.textContent = pageState.scanner.mode === 'native'
+        ? 'Наведите камеру на штрихкод или QR-код'
+        : 'Наведите камеру на QR-код или красную линию на штрихкод (Code 128 / EAN-13)';
+    }
+  } catch (error) {
+    console.error('Ошибка запуска сканера:', error);
+    if (status) status.textContent = `${error.message}. Введите код вручную`;
+    manualInput?.focus();
+  }
+}
+
+/**
+ * Остановить камеру (если запущена)
+ */
+function stopScanner() {
+  if (pageState.scanner) {
+    pageState.scanner.stop();
+    pageState.scanner = null;
+  }
+}
+
+/**
+ * Закрыть сканер
+ */
+function closeScanner() {
+  stopScanner();
+
+  const modal = document.getElementById('scanner-modal');
+  if (modal) {
+    modal.classList.add('hidden');
+    modal.classList.remove('flex');
+  }
+}
+
+/**
+ * Обработать отсканированный код: найти товар по штрихкоду/артикулу
+ * или предложить создать новый
+ *
+ * @param {string} code - Отсканированный код
+ */
+async function handleScannedCode(code) {
+  closeScanner();
+
+  const item = findItemByBarcode(pageState.allItems, code);
+  if (item) {
+    focusItemCard(item.id);
+    showToast(item.name || 'Товар найден', 'success');
+    return;
+  }
+
+  const createdItem = await offerCreateItemForCode(code);
+  if (createdItem) {
+    focusItemCard(createdItem.id);
+  }
+}
+
+/**
+ * Прокрутить к карточке товара и поставить фокус в поле количества
+ * Если товар скрыт фильтром (категория/поиск/зона), фильтры сбрасываются.
+ *
+ * @param {string} itemId - ID товара
+ */
+function focusItemCard(itemId) {
+  const isVisible = getFilteredItems().some(item => item.id === itemId);
+
+  if (!isVisible) {
+    pageState.searchQuery = '';
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = '';
+
+    pageState.currentCategory = '';
+    updateCategoryButtons('');
+    const titleEl = document.getElementById('category-title');
+    if (titleEl) titleEl.textContent = 'Все категории';
+
+    pageState.currentZone = '';
+    updateZonesButton();
+
+    pageState.currentSupplier = '';
+    const supplierFilter = document.getElementById('supplier-filter');
+    if (supplierFilter) supplierFilter.value = '';
+
+    renderItems();
+  }
+
+  const container = document.getElementById('items-container');
+  if (!container) return;
+
+  // В режиме виртуализации карточка может быть еще не отрисована:
+  // прокручиваем к ее позиции и дорисовываем видимую область
+  let input = container.querySelector(`.item-quantity-input[data-item-id="${itemId}"]`);
+  if (!input) {
+    const index = pageState.virtualScroll.itemsData.findIndex(data => data.type === 'item' && data.item.id === itemId);
+    if (index === -1) return;
+
+    container.scrollTop = index * pageState.virtualScroll.itemHeight;
+    renderItemsWithVirtualization(container);
+    input = container.querySelector(`.item-quantity-input[data-item-id="${itemId}"]`);
+    if (!input) return;
+  }
+
+  input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  // Подсвечиваем карточку, чтобы было видно, какой товар найден
+  const card = input.closest('.rounded-3xl');
+  if (card) {
+    card.classList.add('ring-4', 'ring-primary/40');
+    setTimeout(() => card.classList.remove('ring-4', 'ring-primary/40'), 2000);
+  }
+
+  setTimeout(() => {
+    input.focus({ preventScroll: true });
+    input.select();
+  }, 300);
+}
+
+/**
+ * Предложить создать товар для неизвестного кода
+ * Создавать товары может только менеджер: сервер (RLS) отклонит товар от счетчика.
+ *
+ * @param {string} code - Отсканированный код
+ * @returns {Promise<Object|null>} - Созданный товар или null
+ */
+function offerCreateItemForCode(code) {
+  if (!requirePermission('edit_items')) return Promise.resolve(null);
+
+  const safeCode = escapeHtml(code);
+  const categoryName = pageState.currentCategory ? (CATEGORIES[pageState.currentCategory] || pageState.currentCategory) : '';
+
+  return new Promise((resolve) => {
+    showModal({
+      title: 'Товар не найден',
+      message: `
+        <p class="mb-3">Код <b>${safeCode}</b> не найден в базе. Создать новый товар с этим кодом?</p>
+        <input id="scanned-item-name" type="text"
+          class="w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-base font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none"
+          placeholder="Название товара" />
+        ${categoryName ? `<p class="text-xs text-slate-500 dark:text-slate-400 mt-2">Категория: ${escapeHtml(categoryName)}</p>` : ''}
+      `,
+      buttons: [
+        {
+          text: 'Создать',
+          primary: true,
+          onClick: async () => {
+            const nameInput = document.getElementById('scanned-item-name');
+            const name = (nameInput?.value || '').trim() || `Товар ${code}`;
+
+            try {
+              const newItem = await items.createItem({
+                name,
+                barcode: code,
+                category: categoryName || null
+              });
+
+              // Добавляем товар на страницу, чтобы его сразу можно было посчитать
+              pageState.allItems.push(newItem);
+              pageState.inventoryItems[newItem.id] = {
+                baseQuantity: 0,
+                previousQuantity: 0,
+                comment: '',
+                saved: true,
+                additions: []
+              };
+              await loadCategoriesFromItems();
+              renderCategoryButtons();
+              renderItems();
+
+              showToast('Товар создан', 'success');
+              resolve(newItem);
+            } catch (error) {
+              console.error('Ошибка создания товара по коду:', error);
+              showToast('Не удалось создать товар', 'error');
+              resolve(null);
+            }
+          }
+        },
+        {
+          text: 'Отмена',
+          onClick: () => resolve(null)
+        }
+      ]
+    });
+
+    setTimeout(() => document.getElementById('scanned-item-name')?.focus(), 100);
+  });
+}
+
+/**
+ * Скрыты ли прошлые количества (слепой подсчет, еще не открытый руководителем)
+ *
+ * @returns {boolean}
+ */
+function isBlindHidden() {
+  return Boolean(pageState.currentSession?.blind_count) && !pageState.blindRevealed;
+}
+
+/**
+ * Окно руководителя: показать прошлые количества в слепом подсчете
+ */
+function showBlindUnlockModal() {
+  const session = pageState.currentSession;
+  const needsPin = Boolean(session?.blind_pin_hash);
+
+  showModal({
+    title: 'Слепой подсчет',
+    message: `
+      <p class="${needsPin ? 'mb-3' : ''}">Прошлые количества и разница скрыты, чтобы считать без подсказок. Показать их может руководитель — только на этом устройстве.</p>
+      ${needsPin ? `
+      <input id="blind-pin-input" type="password" inputmode="numeric" maxlength="8" autocomplete="off"
+        class="w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-base font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none"
+        placeholder="PIN руководителя" />
+      ` : ''}
+    `,
+    buttons: [
+      {
+        text: 'Показать',
+        primary: true,
+        onClick: async () => {
+          const pin = document.getElementById('blind-pin-input')?.value || '';
+          if (!(await inventory.verifyBlindPin(session, pin))) {
+            showToast('Неверный PIN', 'error');
+            return;
+          }
+
+          pageState.blindRevealed = true;
+          sessionStorage.setItem(`blind_unlocked:${pageState.sessionId}`, '1');
+          renderItems();
+          showToast('Прошлые количества показаны', 'success');
+        }
+      },
+      { text: 'Отмена' }
+    ]
+  });
+
+  if (needsPin) {
+    setTimeout(() => document.getElementById('blind-pin-input')?.focus(), 100);
+  }
+}
+
+/**
+ * Запись подсчета из состояния страницы (для проверки порогов)
+ *
+ * @param {string} itemId - ID товара
+ * @returns {Object|null} - null, если товар еще не считали
+ */
+function getPageCountRow(itemId) {
+  const state = pageState.inventoryItems[itemId];
+  if (!state || (!state.counted && state.saved)) return null;
+
+  return {
+    item_id: itemId,
+    quantity: (state.baseQuantity || 0) + sumAdditions(state.additions),
+    previous_quantity: state.previousQuantity,
+    comment: state.comment,
+    recount: state.recount || null
+  };
+}
+
+/**
+ * Пороги расхождений сессии (для старых сессий — с этого устройства)
+ *
+ * @returns {Object}
+ */
+function getPageThresholds() {
+  return pageState.currentSession?.variance_thresholds || loadVarianceThresholds();
+}
+
+/**
+ * Запись очереди пересчета для одного товара
+ *
+ * @param {Object} item - Товар
+ * @returns {Object|null} - null, если расхождение в пределах порога
+ */
+function getItemRecountEntry(item) {
+  const row = getPageCountRow(item.id);
+  if (!row) return null;
+  return getRecountQueue([row], { [item.id]: item }, getPageThresholds())[0] || null;
+}
+
+/**
+ * Очередь пересчета по текущему состоянию страницы
+ *
+ * @returns {Array} - См. getRecountQueue
+ */
+function getPageRecountQueue() {
+  const itemsById = Object.fromEntries(pageState.allItems.map(item => [item.id, item]));
+  const rows = pageState.allItems.map(item => getPageCountRow(item.id)).filter(Boolean);
+  return getRecountQueue(rows, itemsById, getPageThresholds());
+}
+
+/**
+ * Обновить плашку очереди пересчета под поиском
+ */
+function updateRecountBanner() {
+  const banner = document.getElementById('recount-banner');
+  const text = document.getElementById('recount-banner-text');
+  if (!banner || !text) return;
+
+  const pending = getPageRecountQueue().filter(entry => !entry.resolved).length;
+  banner.classList.toggle('hidden', pending === 0);
+  banner.classList.toggle('flex', pending > 0);
+  text.textContent = `Нужен пересчет: ${pending} поз.`;
+
+  const modal = document.getElementById('recount-modal');
+  if (modal && !modal.classList.contains('hidden')) {
+    renderRecountList();
+  }
+}
+
+/**
+ * Настроить окно очереди пересчета
+ */
+function setupRecountModal() {
+  const banner = document.getElementById('recount-banner');
+  const modal = document.getElementById('recount-modal');
+  const closeBtn = document.getElementById('recount-close');
+  const list = document.getElementById('recount-list');
+
+  if (!banner || !modal || !list) return;
+
+  const close = () => {
+    modal.classList.add('hidden');
+    modal.classList.remove('flex');
+  };
+
+  banner.addEventListener('click', () => {
+    renderRecountList();
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+  });
+
+  if (closeBtn) {
+    closeBtn.addEventListener('click', close);
+  }
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      close();
+    }
+  });
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-recount-action]');
+    if (!btn) return;
+
+    const itemId = btn.closest('[data-recount-item]')?.dataset.recountItem;
+    if (!itemId) return;
+
+    close();
+    const action = btn.dataset.recountAction;
+    if (action === 'recount') {
+      showRecountModal(itemId);
+    } else if (action === 'comment') {
+      showCommentModal(itemId);
+    } else if (action === 'show') {
+      focusItemCard(itemId);
+    }
+  });
+}
+
+/**
+ * Отрисовать очередь пересчета
+ */
+function renderRecountList() {
+  const list = document.getElementById('recount-list');
+  if (!list) return;
+
+  const queue = getPageRecountQueue()
+    .sort((a, b) => Number(a.resolved) - Number(b.resolved));
+
+  if (queue.length === 0) {
+    list.innerHTML = '<p class="text-sm text-slate-500 dark:text-slate-400 text-center py-4">Расхождений больше порога нет</p>';
+    return;
+  }
+
+  list.innerHTML = queue.map(entry => {
+    const diffLabel = entry.difference > 0 ? `+${entry.difference}` : `${entry.difference}`;
+    // При слепом подсчете не подсказываем прошлые количества
+    const details = isBlindHidden()
+      ? 'Расхождение больше порога'
+      : `Было ${entry.row.previous_quantity} · Посчитано ${entry.row.quantity} · ${diffLabel}${entry.percent !== null ? ` (${entry.percent}%)` : ''}`;
+    const status = entry.row.recount
+      ? 'Пересчитано'
+      : (entry.resolved ? 'Есть комментарий' : '');
+
+    return `
+      <div class="rounded-2xl border ${entry.resolved ? 'border-slate-200 dark:border-slate-700' : 'border-amber-300 dark:border-amber-700'} p-3" data-recount-item="${escapeHtml(entry.row.item_id)}">
+        <div class="flex items-start justify-between gap-2 mb-1">
+          <span class="font-bold text-slate-900 dark:text-white leading-snug">${escapeHtml(entry.item?.name || 'Без названия')}</span>
+          ${status ? `<span class="text-xs font-semibold text-green-600 dark:text-green-400 shrink-0">${status}</span>` : ''}
+        </div>
+        <p class="text-xs text-slate-500 dark:text-slate-400 mb-3">${details}</p>
+        <div class="flex gap-2">
+          <button data-recount-action="recount"
+            class="flex-1 h-10 px-3 bg-primary text-white rounded-xl text-sm font-bold hover:bg-blue-600 active:scale-95 transition-all">
+            Пересчитать
+          </button>
+          <button data-recount-action="comment"
+            class="flex-1 h-10 px-3 bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 rounded-xl text-sm font-bold hover:bg-slate-200 dark:hover:bg-slate-600 active:scale-95 transition-all">
+            Комментарий
+          </button>
+          <button data-recount-action="show" title="Показать в списке"
+            class="size-10 shrink-0 flex items-center justify-center bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 rounded-xl hover:bg-slate-200 dark:hover:bg-slate-600 active:scale-95 transition-all">
+            <span class="material-symbols-outlined text-[20px]">my_location</span>
+          </button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Окно повторного подсчета позиции
+ * Повторный подсчет заменяет итог: промежуточные значения помечаются удаленными,
+ * а первое количество сохраняется в recount для отчета.
+ *
+ * @param {string} itemId - ID товара
+ */
+function showRecountModal(itemId) {
+  const item = pageState.allItems.find(it => it.id === itemId);
+  const state = pageState.inventoryItems[itemId];
+  if (!item || !state) return;
+
+  showModal({
+    title: 'Повторный подсчет',
+    message: `
+      <p class="mb-3">Пересчитайте «${escapeHtml(item.name || 'Без названия')}» заново и введите общее количество.</p>
+      <input id="recount-input" type="number" min="0" step="1" inputmode="decimal"
+        class="w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-2xl font-bold text-center text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none"
+        placeholder="0" />
+    `,
+    buttons: [
+      {
+        text: 'Сохранить',
+        primary: true,
+        onClick: async () => {
+          const value = Number(document.getElementById('recount-input')?.value);
+          if (!Number.isFinite(value) || value < 0) {
+            showToast('Введите количество', 'error');
+            return;
+          }
+
+          const firstQuantity = (state.baseQuantity || 0) + sumAdditions(state.additions);
+          state.recount = {
+            first_quantity: firstQuantity,
+            quantity: value,
+            counted_by: getCounterName(),
+            counted_at: new Date().toISOString()
+          };
+          state.additions = normalizeAdditions(state.additions).map(entry => ({ ...entry, removed: true }));
+          state.baseQuantity = value;
+          state.saved = false;
+
+          updateSingleItemCard(itemId);
+          await saveItem(itemId);
+          showToast('Повторный подсчет сохранен', 'success');
+        }
+      },
+      { text: 'Отмена' }
+    ]
+  });
+
+  setTimeout(() => document.getElementById('recount-input')?.focus(), 100);
+}
+
+/**
+ * Настроить окно зон подсчета
+ */
+function setupZonesModal() {
+  const zonesBtn = document.getElementById('zones-btn');
+  const modal = document.getElementById('zones-modal');
+  const closeBtn = document.getElementById('zones-close');
+  const showAllBtn = document.getElementById('zones-show-all');
+  const list = document.getElementById('zones-list');
+
+  if (!zonesBtn || !modal || !list) return;
+
+  zonesBtn.addEventListener('click', openZonesModal);
+
+  const close = () => {
+    modal.classList.add('hidden');
+    modal.classList.remove('flex');
+  };
+
+  if (closeBtn) {
+    closeBtn.addEventListener('click', close);
+  }
+
+  if (showAllBtn) {
+    showAllBtn.addEventListener('click', () => {
+      selectZone('');
+      close();
+    });
+  }
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      close();
+    }
+  });
+
+  // Действия с зоной (делегирование)
+  list.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-zone-action]');
+    if (!btn) return;
+
+    const location = btn.closest('[data-zone]')?.dataset.zone;
+    const action = btn.dataset.zoneAction;
+    if (!location) return;
+
+    if (action === 'show') {
+      selectZone(location);
+      close();
+      return;
+    }
+
+    const changes = {
+      me: { counter: getCounterName() },
+      done: { status: 'done' },
+      reopen: { status: 'open' }
+    }[action];
+    if (changes) {
+      await changeZone(location, changes);
+    }
+  });
+
+  // Имя считающего вводится вручную
+  list.addEventListener('change', async (e) => {
+    const input = e.target.closest('.zone-counter-input');
+    if (!input) return;
+
+    const location = input.closest('[data-zone]')?.dataset.zone;
+    if (location) {
+      await changeZone(location, { counter: input.value.trim() || null });
+    }
+  });
+}
+
+/**
+ * Открыть окно зон со свежим прогрессом
+ */
+async function openZonesModal() {
+  const modal = document.getElementById('zones-modal');
+  if (!modal) return;
+
+  modal.classList.remove('hidden');
+  modal.classList.add('flex');
+  renderZonesList([]);
+
+  try {
+    // Забираем отметки других устройств и посчитанные записи
+    pageState.zones = await inventory.ensureSessionZones(pageState.sessionId, pageState.allItems);
+    const rows = await inventory.getInventoryItemsBySession(pageState.sessionId);
+    renderZonesList(rows);
+  } catch (error) {
+    console.warn('Не удалось обновить зоны:', error);
+  }
+}
+
+/**
+ * Отрисовать список зон
+ *
+ * @param {Array} rows - Записи inventory_items сессии (для прогресса)
+ */
+function renderZonesList(rows) {
+  const list = document.getElementById('zones-list');
+  if (!list) return;
+
+  const zones = getZoneProgress(pageState.zones, pageState.allItems, rows);
+  if (zones.length === 0) {
+    list.innerHTML = '<p class="text-sm text-slate-500 dark:text-slate-400 text-center py-4">В сессии пока нет зон: у товаров не указано место хранения</p>';
+    return;
+  }
+
+  list.innerHTML = zones.map(zone => {
+    const isDone = zone.status === 'done';
+    const isCurrent = pageState.currentZone === zone.location;
+    return `
+      <div class="rounded-2xl border ${isCurrent ? 'border-primary' : 'border-slate-200 dark:border-slate-700'} p-3" data-zone="${escapeHtml(zone.location)}">
+        <div class="flex items-center justify-between gap-2 mb-1">
+          <span class="font-bold text-slate-900 dark:text-white truncate">${escapeHtml(zone.location)}</span>
+          <span class="text-xs font-semibold ${isDone ? 'text-green-600 dark:text-green-400' : 'text-slate-500 dark:text-slate-400'} shrink-0">
+            ${isDone ? 'Готово' : `${zone.counted} / ${zone.total}`}
+          </span>
+        </div>
+        <div class="h-1.5 w-full bg-slate-100 dark:bg-slate-700 rounded-full overflow-hidden mb-3">
+          <div class="h-full ${isDone ? 'bg-green-500' : 'bg-primary'} rounded-full" style="width: ${zone.percent}%"></div>
+        </div>
+        <div class="flex gap-2 mb-2">
+          <input type="text" maxlength="30" value="${escapeHtml(zone.counter || '')}" placeholder="Кто считает"
+            class="zone-counter-input flex-1 min-w-0 h-10 px-3 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none" />
+          <button data-zone-action="me"
+            class="h-10 px-3 bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 rounded-xl text-sm font-bold hover:bg-slate-200 dark:hover:bg-slate-600 active:scale-95 transition-all">
+            Я
+          </button>
+        </div>
+        <div class="flex gap-2">
+          <button data-zone-action="show"
+            class="flex-1 h-10 px-3 bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 rounded-xl text-sm font-bold hover:bg-slate-200 dark:hover:bg-slate-600 active:scale-95 transition-all">
+            Показать
+          </button>
+          ${isDone
+            ? `<button data-zone-action="reopen"
+                class="flex-1 h-10 px-3 bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-200 rounded-xl text-sm font-bold hover:bg-amber-200 dark:hover:bg-amber-900/50 active:scale-95 transition-all">
+                Открыть заново
+              </button>`
+            : `<button data-zone-action="done"
+                class="flex-1 h-10 px-3 bg-green-600 text-white rounded-xl text-sm font-bold hover:bg-green-700 active:scale-95 transition-all">
+                Зона готова
+              </button>`}
+        </div>
+        ${isDone && zone.done_by ? `<p class="text-[11px] text-slate-400 dark:text-slate-500 mt-2">Готовность отметили: ${escapeHtml(zone.done_by)}</p>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Изменить зону и перерисовать список
+ *
+ * @param {string} location - Название зоны
+ * @param {Object} changes - { counter } или { status }
+ */
+async function changeZone(location, changes) {
+  try {
+    // Перед отметкой "готово" сохраняем подсчет, чтобы зона не закрылась с несохраненными числами
+    if (changes.status === 'done') {
+      await handleSaveAll(true);
+    }
+
+    pageState.zones = await inventory.updateSessionZone(pageState.sessionId, location, changes);
+    const rows = await inventory.getInventoryItemsBySession(pageState.sessionId);
+    renderZonesList(rows);
+
+    if (changes.status === 'done') {
+      showToast(`Зона «${location}» готова`, 'success');
+    }
+  } catch (error) {
+    console.error('Ошибка изменения зоны:', error);
+    showToast('Не удалось изменить зону', 'error');
+  }
+}
+
+/**
+ * Подсветить кнопку зон, если список отфильтрован по зоне
+ */
+function updateZonesButton() {
+  const zonesBtn = document.getElementById('zones-btn');
+  if (!zonesBtn) return;
+
+  const location = pageState.currentZone;
+  zonesBtn.classList.toggle('text-primary', Boolean(location));
+  zonesBtn.classList.toggle('text-slate-800', !location);
+  zonesBtn.title = location ? `Зона: ${location}` : 'Зоны подсчета';
+}
+
+/**
+ * Показать товары только одной зоны
+ *
+ * @param {string} location - Название зоны ('' — все зоны)
+ */
+function selectZone(location) {
+  pageState.currentZone = location;
+  updateZonesButton();
+
+  renderItems();
+  if (location) {
+    showToast(`Показана зона «${location}»`, 'info', 1500);
+  }
+}
+
+/**
+ * Экранировать HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Имена других считающих, которые уже трогали товар в этой сессии
+ *
+ * @param {Object} row - Запись inventory_items
+ * @param {Array} additions - Промежуточные значения
+ * @returns {Array<string>}
+ */
+function getOtherCounters(row, additions) {
+  const deviceId = getDeviceId();
+  const names = new Set();
+
+  if (row && row.counted_by_device && row.counted_by_device !== deviceId && row.counted_by) {
+    names.add(row.counted_by);
+  }
+
+  getActiveAdditions(additions).forEach(entry => {
+    if (entry.device_id && entry.device_id !== deviceId && entry.counted_by) {
+      names.add(entry.counted_by);
+    }
+  });
+
+  return Array.from(names);
+}
+
+/**
+ * Подключить совместный подсчет: изменения с других устройств
+ * приходят через Supabase Realtime (или опросом, если Realtime недоступен)
+ */
+function setupLiveCounting() {
+  // updated_at последней принятой версии каждой записи — чтобы не обрабатывать одно и то же
+  pageState.liveSeen = {};
+
+  pageState.liveCounts = subscribeToSessionCounts(pageState.sessionId, {
+    onRows: (rows) => {
+      handleRemoteCounts(rows).catch(error => {
+        console.warn('Ошибка применения подсчета с другого устройства:', error);
+      });
+    },
+    onModeChange: updateCollabStatus
+  });
+
+  // При возврате на вкладку сразу забираем свежие данные
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      pageState.liveCounts?.refresh();
+    }
+  });
+
+  window.addEventListener('pagehide', () => {
+    pageState.liveCounts?.stop();
+  });
+
+  const statusBtn = document.getElementById('collab-status');
+  if (statusBtn) {
+    statusBtn.addEventListener('click', showCounterSwitcher);
+  }
+}
+
+/**
+ * Принять записи подсчета с других устройств
+ * Если по товару нет несохраненных правок — показываем серверное состояние.
+ * Если есть — добавляем только чужие промежуточные значения, свои правки не трогаем.
+ *
+ * @param {Array} rows - Записи inventory_items с сервера
+ */
+async function handleRemoteCounts(rows) {
+  const freshRows = (rows || []).filter(row => {
+    if (!row || !row.id || !row.item_id) return false;
+    return pageState.liveSeen[row.id] !== row.updated_at;
+  });
+  if (freshRows.length === 0) return;
+
+  const mergedRows = await inventory.applyRemoteInventoryItems(freshRows);
+  freshRows.forEach(row => {
+    pageState.liveSeen[row.id] = row.updated_at;
+  });
+
+  mergedRows.forEach(row => {
+    const state = pageState.inventoryItems[row.item_id];
+    if (!state) return;
+
+    const remoteAdditions = normalizeAdditions(row.additions);
+    const snapshotBefore = JSON.stringify([state.baseQuantity, state.comment, state.additions, state.countedBy]);
+
+    state.counted = true;
+    if (state.saved) {
+      state.baseQuantity = row.base_quantity ?? ((row.quantity || 0) - sumAdditions(remoteAdditions));
+      state.comment = row.comment || '';
+      state.additions = remoteAdditions;
+      state.recount = row.recount || null;
+    } else {
+      state.additions = mergeAdditions(state.additions, remoteAdditions);
+    }
+    state.countedBy = getOtherCounters(row, state.additions);
+
+    if (JSON.stringify([state.baseQuantity, state.comment, state.additions, state.countedBy]) === snapshotBefore) {
+      return;
+    }
+
+    // Не перерисовываем карточку, пока в ней вводят число
+    const input = document.querySelector(`.item-quantity-input[data-item-id="${row.item_id}"]`);
+    if (input && document.activeElement !== input) {
+      updateItemCard(row.item_id);
+    }
+  });
+
+  updateRecountBanner();
+}
+
+/**
+ * Показать режим совместного подсчета в шапке
+ *
+ * @param {string} mode - 'realtime' | 'polling' | 'offline'
+ */
+function updateCollabStatus(mode) {
+  const dot = document.getElementById('collab-status-dot');
+  const text = document.getElementById('collab-status-text');
+  if (!dot || !text) return;
+
+  const modes = {
+    realtime: { dot: 'bg-green-500', label: 'Вместе · онлайн' },
+    polling: { dot: 'bg-amber-500', label: 'Вместе · обновление раз в 10 с' },
+    offline: { dot: 'bg-slate-400', label: 'Офлайн' }
+  };
+  const current = modes[mode] || modes.offline;
+
+  dot.className = `size-1.5 rounded-full ${current.dot}`;
+  text.textContent = `${current.label} · ${getCounterName()}`;
+  text.dataset.mode = mode;
+}
+
+/**
+ * Обновить имя считающего в шапке
+ */
+function refreshCounterStatus() {
+  const text = document.getElementById('collab-status-text');
+  updateCollabStatus(text?.dataset.mode || 'offline');
+}
+
+/**
+ * Окно смены считающего: сотрудники этого устройства, выбор по PIN
+ * Имя выбранного сотрудника видят другие устройства, оно попадает в записи подсчета и в отчет.
+ */
+function showCounterSwitcher() {
+  const active = getActiveCounter();
+  const fieldClass = 'w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-base font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+  const rows = getCounterRoster().map(counter => `
+        <div class="flex items-center gap-2">
+          <button type="button" data-counter-id="${escapeHtml(counter.id)}"
+            class="counter-pick flex-1 min-w-0 h-12 px-4 rounded-xl flex items-center gap-2 text-left text-base font-bold active:scale-95 transition-all ${counter.id === active?.id ? 'bg-primary text-white' : 'bg-slate-100 dark:bg-slate-800 text-slate-800 dark:text-slate-200'}">
+            <span class="material-symbols-outlined text-[18px]">${counter.pin_hash ? 'lock' : 'person'}</span>
+            <span class="truncate">${escapeHtml(counter.name)}</span>
+          </button>
+          <button type="button" data-counter-remove="${escapeHtml(counter.id)}" title="Удалить с этого устройства"
+            class="counter-remove size-12 shrink-0 rounded-xl flex items-center justify-center bg-slate-50 dark:bg-slate-800/50 text-slate-400 hover:text-red-500">
+            <span class="material-symbols-outlined text-[20px]">person_remove</span>
+          </button>
+        </div>`).join('');
+
+  showModal({
+    title: 'Кто считает',
+    message: `
+      <p class="mb-3">Выберите себя перед подсчетом: имя попадет в каждую посчитанную позицию и в отчет.</p>
+      <div class="flex flex-col gap-2 mb-4">
+        ${rows || '<p class="text-xs text-slate-400">Сотрудников на этом устройстве пока нет — добавьте себя ниже.</p>'}
+      </div>
+      <div class="flex flex-col gap-2">
+        <input id="counter-new-name" type="text" maxlength="30" class="${fieldClass}" placeholder="Имя нового сотрудника" />
+        <input id="counter-new-pin" type="password" inputmode="numeric" maxlength="8" autocomplete="off" class="${fieldClass}" placeholder="PIN, 4–8 цифр (необязательно)" />
+      </div>
+    `,
+    buttons: [
+      {
+        text: 'Добавить и начать считать',
+        primary: true,
+        onClick: async () => {
+          try {
+            const counter = await addCounter(
+              document.getElementById('counter-new-name')?.value,
+              document.getElementById('counter-new-pin')?.value
+            );
+            await switchCounter(counter.id, document.getElementById('counter-new-pin')?.value);
+            refreshCounterStatus();
+            showToast(`Считает: ${counter.name}`, 'success');
+          } catch (error) {
+            showToast(error.message, 'error');
+          }
+        }
+      },
+      {
+        text: active ? `Выйти (${active.name})` : 'Считать от имени устройства',
+        onClick: async () => {
+          await switchCounter(null);
+          refreshCounterStatus();
+        }
+      },
+      { text: 'Отмена' }
+    ]
+  });
+
+  document.querySelectorAll('.counter-pick').forEach(button => {
+    button.addEventListener('click', () => pickCounter(button.dataset.counterId));
+  });
+  document.querySelectorAll('.counter-remove').forEach(button => {
+    button.addEventListener('click', () => confirmCounterRemoval(button.dataset.counterId));
+  });
+}
+
+/**
+ * Попросить PIN сотрудника и выполнить действие (без PIN — сразу)
+ *
+ * @param {Object} counter - Сотрудник
+ * @param {string} title - Заголовок окна
+ * @param {Function} onValid - async (pin) => void
+ */
+function askCounterPin(counter, title, onValid) {
+  if (!counter.pin_hash) {
+    closeModal();
+    onValid('');
+    return;
+  }
+
+  showModal({
+    title,
+    message: `
+      <input id="counter-pin-input" type="password" inputmode="numeric" maxlength="8" autocomplete="off"
+        class="w-full h-12 px-4 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-2xl font-bold text-center tracking-widest text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none"
+        placeholder="PIN" />
+    `,
+    buttons: [
+      {
+        text: 'Подтвердить',
+        primary: true,
+        onClick: () => onValid(document.getElementById('counter-pin-input')?.value || '')
+      },
+      { text: 'Отмена' }
+    ]
+  });
+
+  setTimeout(() => document.getElementById('counter-pin-input')?.focus(), 100);
+}
+
+/**
+ * Выбрать сотрудника, который считает на этом устройстве
+ *
+ * @param {string} counterId - ID сотрудника
+ */
+function pickCounter(counterId) {
+  const counter = getCounterRoster().find(entry => entry.id === counterId);
+  if (!counter) return;
+
+  askCounterPin(counter, counter.name, async (pin) => {
+    try {
+      await switchCounter(counter.id, pin);
+      refreshCounterStatus();
+      showToast(`Считает: ${counter.name}`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+}
+
+/**
+ * Удалить сотрудника с этого устройства (с PIN, если он задан)
+ *
+ * @param {string} counterId - ID сотрудника
+ */
+function confirmCounterRemoval(counterId) {
+  const counter = getCounterRoster().find(entry => entry.id === counterId);
+  if (!counter) return;
+
+  askCounterPin(counter, `Удалить: ${counter.name}`, async (pin) => {
+    try {
+      if (!(await verifyCounterPin(counter, pin))) {
+        throw new Error('Ошибка сотрудника: неверный PIN');
+      }
+      removeCounter(counter.id);
+      refreshCounterStatus();
+      showToast(`Сотрудник «${counter.name}» удален с устройства`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+}
+
 /**
  * Настроить отслеживание активной категории при прокрутке
  */
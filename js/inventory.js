@@ -8,6 +8,23 @@
 import * as db from './db.js';
 import * as supabase from './supabase.js';
 import * as items from './items.js';
+import { pushLocalChanges, queueChange } from './sync.js';
+import { STORES } from './db.js';
+import { getCountRowId, getCounterName, getActiveCounter, getDeviceId } from './counting.js';
+import { buildZones, updateZone, getOpenZones } from './zones.js';
+import { loadVarianceThresholds, getRecountQueue } from './variance.js';
+import { getAllStockMovements } from './movements.js';
+import { sumMovementsByItem, getSessionCutoff, getCurrentQuantities, getBaselineQuantities, BASELINE_TYPES, DEFAULT_BASELINE_TYPE } from './stock.js';
+import { buildPurchaseOrder, getItemSuppliers } from './purchasing.js';
+import { getAllSuppliers } from './suppliers.js';
+import { buildSessionEntry, buildCorrectionEntry, getCorrectedRow, getQuantityDeltas } from './corrections.js';
+import { recordAudit } from './audit-log.js';
+import { getUnitCostAt, getLineValue, summarizeReportValue, buildCostLayers, getLayeredUnitCost, loadCostingMethod } from './valuation.js';
+import { removeDeleted } from './outbox.js';
+
+// Поля сессии, которые не пишутся в журнал изменений: хеш PIN, снимок остатков
+// и журнал исправлений (он сам — журнал)
+const SESSION_AUDIT_OMIT = ['blind_pin_hash', 'baseline', 'corrections'];
 
 /**
  * Генерировать уникальный ID
@@ -22,35 +39,100 @@ function generateId() {
   });
 }
 
+/**
+ * Хеш PIN руководителя для слепого подсчета
+ * Храним только хеш (с ID сессии как солью), чтобы PIN не был виден в данных сессии.
+ *
+ * @param {string} sessionId - ID сессии
+ * @param {string} pin - PIN
+ * @returns {Promise<string>} - SHA-256 в hex
+ */
+async function hashBlindPin(sessionId, pin) {
+  const data = new TextEncoder().encode(`${sessionId}:${String(pin).trim()}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Проверить PIN руководителя для показа прошлых количеств в слепом подсчете
+ * Если PIN при создании сессии не задавали, достаточно подтверждения.
+ *
+ * @param {Object} session - Сессия
+ * @param {string} pin - Введенный PIN
+ * @returns {Promise<boolean>}
+ */
+export async function verifyBlindPin(session, pin) {
+  if (!session?.blind_pin_hash) {
+    return true;
+  }
+  return (await hashBlindPin(session.id, pin)) === session.blind_pin_hash;
+}
+
+/**
+ * База сравнения для новой сессии
+ *
+ * @param {Object} sessionData - Данные сессии (baseline_type, baseline_session_id)
+ * @param {Array} allItems - Все товары (для снимка остатков)
+ * @returns {Promise<Object>} - { type, session_id, quantities? }
+ */
+async function resolveSessionBaseline(sessionData, allItems) {
+  const type = BASELINE_TYPES[sessionData.baseline_type] ? sessionData.baseline_type : DEFAULT_BASELINE_TYPE;
+
+  if (type === 'current') {
+    return { type, session_id: null, quantities: getCurrentQuantities(allItems) };
+  }
+
+  if (type === 'session' && !sessionData.baseline_session_id) {
+    throw new Error('Ошибка создания сессии: не выбрана инвентаризация для сравнения');
+  }
+
+  const sessionId = sessionData.baseline_session_id
+    || (await findLatestCountedSession().catch(() => ({ session: null }))).session?.id
+    || null;
+  return { type, session_id: sessionId };
+}
+
 /**
  * Создать новую сессию инвентаризации
  * 
  * @param {Object} sessionData - Данные сессии
  * @param {string} sessionData.date - Дата инвентаризации (YYYY-MM-DD)
  * @param {string} sessionData.status - Статус (in_progress, completed, draft)
+ * @param {boolean} sessionData.blind_count - Слепой подсчет: прошлые количества скрыты (опционально)
+ * @param {string} sessionData.blind_pin - PIN руководителя для показа прошлых количеств (опционально)
+ * @param {string} sessionData.baseline_type - С чем сравнивать: expected, session, current (см. BASELINE_TYPES)
+ * @param {string} sessionData.baseline_session_id - Сессия для сравнения (для expected — по умолчанию последняя)
  * @returns {Promise<Object>} - Promise с созданной сессией
  */
 export async function createInventorySession(sessionData) {
+  const id = generateId();
+  const allItems = await items.getAllItems().catch(() => []);
   const session = {
-    id: generateId(),
+    id,
     date: sessionData.date || new Date().toISOString().split('T')[0],
     status: sessionData.status || 'in_progress',
-    items_count: 0
+    items_count: 0,
+    // Зоны подсчета по местам хранения товаров (Бар, Кухня, Склад…)
+    zones: buildZones(allItems),
+    // База сравнения («Было») закрепляется при запуске, чтобы расхождения можно было воспроизвести
+    baseline: await resolveSessionBaseline(sessionData, allItems),
+    // Пороги расхождений с устройства руководителя — одинаковые для всех считающих
+    variance_thresholds: loadVarianceThresholds(),
+    blind_count: Boolean(sessionData.blind_count),
+    blind_pin_hash: sessionData.blind_count && sessionData.blind_pin
+      ? await hashBlindPin(id, sessionData.blind_pin)
+      : null
   };
 
   try {
     // Сохраняем локально
     const localSession = await db.addInventorySession(session);
+    await recordAudit('inventory_session', null, localSession, { omitFields: SESSION_AUDIT_OMIT });
 
-    // Пытаемся синхронизировать с сервером
-    try {
-      const serverSession = await supabase.createInventorySession(session);
-      await db.updateInventorySession(session.id, { ...serverSession, synced: true });
-      return { ...serverSession, synced: true };
-    } catch (syncError) {
-      console.warn('Не удалось синхронизировать сессию с сервером:', syncError);
-      return localSession;
-    }
+    await queueChange(STORES.INVENTORY_SESSIONS, 'create', session.id, session);
+    return (await db.getInventorySessionById(session.id)) || localSession;
   } catch (error) {
     console.error('Ошибка создания сессии инвентаризации:', error);
     throw error;
@@ -67,7 +149,8 @@ export async function getAllInventorySessions() {
     const localSessions = await db.getAllInventorySessions();
 
     try {
-      const serverSessions = await supabase.fetchAllInventorySessions();
+      // Сессии, удаленные здесь, но еще не удаленные на сервере, не возвращаем
+      const serverSessions = removeDeleted(await supabase.fetchAllInventorySessions(), STORES.INVENTORY_SESSIONS, await db.getTombstones());
 
       // Объединяем данные
       const sessionsMap = new Map();
@@ -82,11 +165,15 @@ export async function getAllInventorySessions() {
         }
       });
 
-      // Обновляем локальную базу
+      // Обновляем локальную базу. Если у сессии есть несинхронизированные правки,
+      // db сольет их с серверной версией — показываем результат слияния
       for (const session of serverSessions) {
-        await db.updateInventorySession(session.id, { ...session, synced: true }).catch(() => {
-          db.addInventorySession({ ...session, synced: true }).catch(() => { });
+        const savedSession = await db.updateInventorySession(session.id, { ...session, synced: true }).catch(() => {
+          return db.addInventorySession({ ...session, synced: true }).catch(() => null);
         });
+        if (savedSession) {
+          sessionsMap.set(session.id, savedSession);
+        }
       }
 
       return Array.from(sessionsMap.values());
@@ -112,14 +199,12 @@ export async function getInventorySessionById(id) {
 
     if (!session || !session.synced) {
       try {
-        const serverSession = await supabase.fetchInventorySessionById(id);
+        const [serverSession] = removeDeleted([await supabase.fetchInventorySessionById(id)], STORES.INVENTORY_SESSIONS, await db.getTombstones());
         if (serverSession) {
           if (session) {
-            await db.updateInventorySession(id, { ...serverSession, synced: true });
-          } else {
-            await db.addInventorySession({ ...serverSession, synced: true });
+            return await db.updateInventorySession(id, { ...serverSession, synced: true });
           }
-          return { ...serverSession, synced: true };
+          return await db.addInventorySession({ ...serverSession, synced: true });
         }
       } catch (syncError) {
         console.warn('Не удалось получить сессию с сервера:', syncError);
@@ -133,89 +218,158 @@ export async function getInventorySessionById(id) {
   }
 }
 
+/**
+ * Найти последнюю завершенную сессию с записями подсчета
+ *
+ * @param {string|null} excludeId - ID текущей сессии (не учитывается)
+ * @returns {Promise<{session: Object|null, rows: Array}>}
+ */
+export async function findLatestCountedSession(excludeId = null) {
+  // Получаем все сессии и находим "последнюю завершенную до текущей"
+  const allSessions = await getAllInventorySessions();
+
+  // В реальности пользователь может сделать 2 инвентаризации в один день.
+  // Поэтому НЕ требуем строго s.date < currentDate. Берем самую последнюю completed,
+  // исключая текущую сессию. Если даты равны — выбираем по updated_at/created_at.
+  const candidateSessions =
+    (allSessions || [])
+      .filter(s => {
+        if (!s || s.id === excludeId) return false;
+        return isCompletedStatus(s.status);
+      })
+      .sort((a, b) => {
+        // Сортируем по date DESC (если есть)
+        const ad = String(a.date || '');
+        const bd = String(b.date || '');
+        if (ad && bd && ad !== bd) return ad < bd ? 1 : -1;
+
+        // Если даты нет или равны — сортируем по updated_at/created_at DESC
+        const aUpdated = String(a.updated_at || a.created_at || '');
+        const bUpdated = String(b.updated_at || b.created_at || '');
+        if (aUpdated && bUpdated && aUpdated !== bUpdated) return aUpdated < bUpdated ? 1 : -1;
+
+        // Фолбэк: стабильный порядок
+        return 0;
+      });
+
+  // Важно: иногда бывают "пустые" завершенные сессии (без сохраненных позиций).
+  // Тогда "прошлый" будет всегда 0. Поэтому ищем последнюю завершенную сессию,
+  // в которой реально есть хотя бы 1 запись inventory_items.
+  for (const candidate of candidateSessions.slice(0, 20)) {
+    const rows = await getInventoryItemsBySession(candidate.id);
+    if (Array.isArray(rows) && rows.length > 0) {
+      return { session: candidate, rows };
+    }
+  }
+
+  return { session: null, rows: [] };
+}
+
+/**
+ * Завершена ли сессия (в старых данных встречаются разные написания статуса)
+ *
+ * @param {string} status - Статус сессии
+ * @returns {boolean}
+ */
+function isCompletedStatus(status) {
+  return ['completed', 'complete', 'done'].includes(String(status || '').trim().toLowerCase());
+}
+
 /**
  * Получить данные для сравнения текущей инвентаризации с предыдущей
  *
  * Логика (простыми словами):
- * - Берем текущую сессию
- * - Находим последнюю ЗАВЕРШЕННУЮ сессию до неё
- * - Берем количества товаров из той сессии и возвращаем "словарь" { itemId: quantity }
+ * - Берем текущую сессию и ее базу сравнения (baseline), выбранную при запуске
+ * - Ожидаемый остаток: количества базовой сессии + движения после нее
+ *   (поступления, списания, перемещения — см. stock.js)
+ * - Выбранная инвентаризация: количества этой сессии без движений
+ * - Остаток в карточках: снимок current_quantity, сохраненный в сессии
+ * - Возвращаем "словарь" количеств { itemId: quantity }
  *
- * Это нужно, чтобы при новой инвентаризации автоматически подставлять "Прошлый: X"
- * и считать расхождения (разницу).
+ * У старых сессий без baseline база — последняя завершенная сессия с записями.
+ *
+ * Это нужно, чтобы при новой инвентаризации автоматически подставлять "Было: X"
+ * и считать расхождения. Благодаря движениям разница — это реальная недостача,
+ * а не приход или списание, прошедшие мимо подсчета.
  *
  * @param {string} sessionId - ID текущей сессии
- * @returns {Promise<{previousSession: Object|null, previousQuantitiesByItemId: Object}>}
+ * @returns {Promise<{previousSession: Object|null, baseline: Object, previousQuantitiesByItemId: Object,
+ *   countedQuantitiesByItemId: Object, movementsByItemId: Object}>}
  */
 export async function getPreviousSessionComparison(sessionId) {
+  const emptyComparison = {
+    previousSession: null,
+    baseline: { type: DEFAULT_BASELINE_TYPE, session_id: null },
+    previousQuantitiesByItemId: {},
+    countedQuantitiesByItemId: {},
+    movementsByItemId: {}
+  };
+
   try {
     const currentSession = await getInventorySessionById(sessionId);
-    const currentDate =
-      (currentSession && currentSession.date) || new Date().toISOString().split('T')[0];
-
-    // Получаем все сессии и находим "последнюю завершенную до текущей"
-    const allSessions = await getAllInventorySessions();
-    const normalizedCompletedStatuses = new Set(['completed', 'complete', 'done']);
-
-    // В реальности пользователь может сделать 2 инвентаризации в один день.
-    // Поэтому НЕ требуем строго s.date < currentDate. Берем самую последнюю completed,
-    // исключая текущую сессию. Если даты равны — выбираем по updated_at/created_at.
-    const candidateSessions =
-      (allSessions || [])
-        .filter(s => {
-          if (!s || s.id === sessionId) return false;
-          const status = String(s.status || '').trim().toLowerCase();
-          if (!normalizedCompletedStatuses.has(status)) return false;
-          return true;
-        })
-        .sort((a, b) => {
-          // Сортируем по date DESC (если есть)
-          const ad = String(a.date || '');
-          const bd = String(b.date || '');
-          if (ad && bd && ad !== bd) return ad < bd ? 1 : -1;
-
-          // Если даты нет или равны — сортируем по updated_at/created_at DESC
-          const aUpdated = String(a.updated_at || a.created_at || '');
-          const bUpdated = String(b.updated_at || b.created_at || '');
-          if (aUpdated && bUpdated && aUpdated !== bUpdated) return aUpdated < bUpdated ? 1 : -1;
-
-          // Фолбэк: стабильный порядок
-          return 0;
-        });
+    const baseline = currentSession?.baseline || null;
+
+    // Снимок остатков хранится в самой сессии
+    if (baseline?.type === 'current') {
+      const quantities = getBaselineQuantities(baseline, {}, {});
+      return {
+        ...emptyComparison,
+        baseline,
+        previousQuantitiesByItemId: quantities,
+        countedQuantitiesByItemId: quantities
+      };
+    }
 
-    // Важно: иногда бывают "пустые" завершенные сессии (без сохраненных позиций).
-    // Тогда "прошлый" будет всегда 0. Поэтому ищем последнюю завершенную сессию,
-    // в которой реально есть хотя бы 1 запись inventory_items.
     let previousSession = null;
     let prevItems = [];
 
-    for (const candidate of candidateSessions.slice(0, 20)) {
-      const rows = await getInventoryItemsBySession(candidate.id);
-      if (Array.isArray(rows) && rows.length > 0) {
-        previousSession = candidate;
-        prevItems = rows;
-        break;
+    if (baseline) {
+      // База закреплена при запуске — сравнение не меняется, когда завершаются другие сессии
+      if (baseline.session_id) {
+        previousSession = await getInventorySessionById(baseline.session_id);
+        prevItems = previousSession ? await getInventoryItemsBySession(baseline.session_id) : [];
       }
+    } else {
+      ({ session: previousSession, rows: prevItems } = await findLatestCountedSession(sessionId));
     }
 
     // Если прошлой сессии нет — сравнивать не с чем
     if (!previousSession) {
-      return { previousSession: null, previousQuantitiesByItemId: {} };
+      return { ...emptyComparison, baseline: baseline || emptyComparison.baseline };
     }
 
     // Берем все записи прошлой сессии и строим map item_id -> quantity
-    const previousQuantitiesByItemId = {};
+    const countedQuantitiesByItemId = {};
 
     (prevItems || []).forEach(row => {
       if (!row || !row.item_id) return;
       const qty = typeof row.quantity === 'number' ? row.quantity : Number(row.quantity);
-      previousQuantitiesByItemId[row.item_id] = Number.isFinite(qty) ? qty : 0;
+      countedQuantitiesByItemId[row.item_id] = Number.isFinite(qty) ? qty : 0;
     });
 
-    return { previousSession, previousQuantitiesByItemId };
+    // Движения между прошлой инвентаризацией и текущей (для завершенной — до ее завершения)
+    let movementsByItemId = {};
+    if (baseline?.type !== 'session') {
+      try {
+        movementsByItemId = sumMovementsByItem(await getAllStockMovements(), {
+          from: getSessionCutoff(previousSession),
+          to: isCompletedStatus(currentSession?.status) ? getSessionCutoff(currentSession) : null
+        });
+      } catch (error) {
+        console.warn('Не удалось учесть движения товаров:', error);
+      }
+    }
+
+    return {
+      previousSession,
+      baseline: baseline || { type: DEFAULT_BASELINE_TYPE, session_id: previousSession.id },
+      previousQuantitiesByItemId: getBaselineQuantities(baseline, countedQuantitiesByItemId, movementsByItemId),
+      countedQuantitiesByItemId,
+      movementsByItemId
+    };
   } catch (error) {
     console.error('Ошибка подготовки сравнения с прошлой сессией:', error);
-    return { previousSession: null, previousQuantitiesByItemId: {} };
+    return emptyComparison;
   }
 }
 
@@ -224,20 +378,18 @@ export async function getPreviousSessionComparison(sessionId) {
  * 
  * @param {string} id - ID сессии
  * @param {Object} updates - Объект с изменениями
+ * @param {Object} options - { source } — откуда изменение, для журнала (см. AUDIT_SOURCES)
  * @returns {Promise<Object>} - Promise с обновленной сессией
  */
-export async function updateInventorySession(id, updates) {
+export async function updateInventorySession(id, updates, { source = null } = {}) {
   try {
+    const previousSession = await db.getInventorySessionById(id);
     const localSession = await db.updateInventorySession(id, updates);
+    await recordAudit('inventory_session', previousSession, localSession, { source, omitFields: SESSION_AUDIT_OMIT });
 
-    try {
-      const serverSession = await supabase.updateInventorySession(id, updates);
-      await db.updateInventorySession(id, { ...serverSession, synced: true });
-      return { ...serverSession, synced: true };
-    } catch (syncError) {
-      console.warn('Не удалось синхронизировать обновление сессии:', syncError);
-      return localSession;
-    }
+    // При отправке правка сливается с серверной версией (зоны отмечают разные люди)
+    await queueChange(STORES.INVENTORY_SESSIONS, 'update', id, updates);
+    return (await db.getInventorySessionById(id)) || localSession;
   } catch (error) {
     console.error('Ошибка обновления сессии:', error);
     throw error;
@@ -245,23 +397,118 @@ export async function updateInventorySession(id, updates) {
 }
 
 /**
- * Завершить сессию инвентаризации
- * 
+ * Получить сессию вместе с правками других устройств
+ * Онлайн забираем серверную версию и сливаем с локальной (зоны отмечают разные люди),
+ * офлайн — возвращаем локальную.
+ *
  * @param {string} id - ID сессии
- * @returns {Promise<Object>} - Promise с обновленной сессией
+ * @returns {Promise<Object|null>} - Promise с сессией
+ */
+export async function refreshInventorySession(id) {
+  try {
+    const freshSession = await pushLocalChanges(STORES.INVENTORY_SESSIONS, id);
+    if (freshSession) {
+      return freshSession;
+    }
+  } catch (syncError) {
+    console.warn('Не удалось обновить сессию с сервера:', syncError);
+  }
+  return await getInventorySessionById(id);
+}
+
+/**
+ * Дополнить зоны сессии местами хранения, которые появились после ее создания
+ * (а старым сессиям без зон — создать их)
+ *
+ * @param {string} sessionId - ID сессии
+ * @param {Array} allItems - Все товары (если уже загружены)
+ * @returns {Promise<Array>} - Promise с зонами сессии
+ */
+export async function ensureSessionZones(sessionId, allItems = null) {
+  const session = await refreshInventorySession(sessionId);
+  if (!session) {
+    throw new Error('Ошибка зон: сессия не найдена');
+  }
+
+  const currentZones = Array.isArray(session.zones) ? session.zones : [];
+  const zones = buildZones(allItems || await items.getAllItems(), currentZones);
+
+  if (session.status !== 'in_progress' || zones.length === currentZones.length) {
+    return currentZones;
+  }
+
+  const updated = await updateInventorySession(sessionId, { zones });
+  return updated.zones || zones;
+}
+
+/**
+ * Изменить зону сессии: назначить считающего или отметить готовность
+ *
+ * @param {string} sessionId - ID сессии
+ * @param {string} location - Название зоны
+ * @param {Object} changes - { counter } или { status: 'done'|'open' }
+ * @returns {Promise<Array>} - Promise с обновленными зонами
  */
+export async function updateSessionZone(sessionId, location, changes) {
+  const session = await getInventorySessionById(sessionId);
+  if (!session) {
+    throw new Error('Ошибка зон: сессия не найдена');
+  }
+
+  const zoneChanges = { ...changes };
+  if (changes.status === 'done') {
+    zoneChanges.done_by = getCounterName();
+  }
+
+  const zones = updateZone(session.zones || [], location, zoneChanges);
+  const updated = await updateInventorySession(sessionId, { zones });
+  return updated.zones || zones;
+}
+
 /**
  * Завершить сессию инвентаризации и обновить текущие остатки товаров
+ * Если сессия разбита на зоны, завершить ее можно, только когда все зоны готовы,
+ * либо с подтверждением менеджера (options.override).
+ * Позиции из очереди пересчета должны быть пересчитаны или прокомментированы — это не обходится.
  * 
  * @param {string} id - ID сессии
+ * @param {Object} options - Параметры
+ * @param {boolean} options.override - Завершить, даже если не все зоны готовы
  * @returns {Promise<Object>} - Promise с обновленной сессией
  */
-export async function completeInventorySession(id) {
-  // 1. Обновляем статус сессии на 'completed'
-  const session = await updateInventorySession(id, {
+export async function completeInventorySession(id, { override = false } = {}) {
+  const currentSession = await refreshInventorySession(id);
+
+  // Позиции с большим расхождением должны быть пересчитаны или прокомментированы
+  const pendingRecounts = (await getSessionRecountQueue(id)).filter(entry => !entry.resolved);
+  if (pendingRecounts.length > 0) {
+    throw new Error(`Ошибка завершения: ${pendingRecounts.length} поз. ждут пересчета или комментария`);
+  }
+
+  const openZones = getOpenZones(currentSession?.zones);
+
+  if (openZones.length > 0 && !override) {
+    throw new Error('Ошибка завершения: не готовы зоны ' + openZones.map(zone => zone.location).join(', '));
+  }
+
+  const now = new Date().toISOString();
+  const sessionUpdates = {
     status: 'completed',
-    updated_at: new Date().toISOString()
-  });
+    // С этого момента движения товаров относятся к следующей инвентаризации
+    completed_at: now,
+    updated_at: now
+  };
+  // Запоминаем, кто и какие зоны закрыл без отметки готовности
+  if (openZones.length > 0) {
+    sessionUpdates.completion_override = {
+      by: getCounterName(),
+      at: now,
+      open_zones: openZones.map(zone => zone.location)
+    };
+  }
+
+  // 1. Обновляем статус сессии на 'completed'
+  const session = await updateInventorySession(id, sessionUpdates, { source: 'completion' });
 
   // 2. Получаем все записи инвентаризации для этой сессии
   const inventoryItems = await getInventoryItemsBySession(id);
@@ -273,7 +520,7 @@ export async function completeInventorySession(id) {
         // Мы используем items.updateItem, который сам позаботится о локальном сохранении и синхронизации
         await items.updateItem(invItem.item_id, {
           current_quantity: Number(invItem.quantity) || 0
-        });
+        }, { source: 'completion' });
       } catch (error) {
         console.error(`Ошибка обновления остатка для товара ${invItem.item_id} при завершении сессии:`, error);
       }
@@ -283,6 +530,127 @@ export async function completeInventorySession(id) {
   return session;
 }
 
+/**
+ * Открыть завершенную сессию для исправления
+ * Исправить можно только последнюю завершенную инвентаризацию: остатки после более поздней
+ * уже пересчитаны заново, и разница от исправления в них не попадет.
+ *
+ * @param {string} id - ID сессии
+ * @param {string} reason - Причина исправления
+ * @returns {Promise<Object>} - Promise с обновленной сессией
+ */
+export async function reopenInventorySession(id, reason) {
+  const session = await refreshInventorySession(id);
+  if (!session) {
+    throw new Error('Ошибка исправления: сессия не найдена');
+  }
+  if (session.status === 'reopened') {
+    return session;
+  }
+  if (!isCompletedStatus(session.status)) {
+    throw new Error('Ошибка исправления: инвентаризация еще не завершена');
+  }
+
+  const { session: latestSession } = await findLatestCountedSession();
+  if (latestSession && latestSession.id !== id) {
+    throw new Error('Ошибка исправления: после этой инвентаризации уже проведена другая');
+  }
+
+  const entry = buildSessionEntry('reopen', reason, { by: getCounterName(), at: new Date().toISOString() });
+  return await updateInventorySession(id, {
+    status: 'reopened',
+    corrections: [...(session.corrections || []), entry]
+  }, { source: 'correction' });
+}
+
+/**
+ * Исправить количество в записи подсчета открытой сессии
+ * В журнал сессии записывается, кто и почему изменил запись и с чего на что.
+ *
+ * @param {string} sessionId - ID сессии
+ * @param {string} itemId - ID товара
+ * @param {number} quantity - Новое количество
+ * @param {string} reason - Причина исправления
+ * @returns {Promise<Object>} - Promise с исправленной записью
+ */
+export async function correctInventoryItem(sessionId, itemId, quantity, reason) {
+  const session = await refreshInventorySession(sessionId);
+  if (session?.status !== 'reopened') {
+    throw new Error('Ошибка исправления: сессия не открыта для исправления');
+  }
+
+  const rows = await getInventoryItemsBySession(sessionId);
+  const row = rows.find(entry => entry.item_id === itemId);
+  const entry = buildCorrectionEntry(row, quantity, reason, { by: getCounterName(), at: new Date().toISOString() });
+
+  const correctedRow = getCorrectedRow(row, entry.to);
+  const localRow = await db.updateInventoryItem(row.id, correctedRow);
+  await recordAudit('inventory_item', row, localRow, { source: 'correction' });
+  await updateInventorySession(sessionId, { corrections: [...(session.corrections || []), entry] }, { source: 'correction' });
+
+  await queueChange(STORES.INVENTORY_ITEMS, 'update', row.id, correctedRow);
+  return (await db.getInventoryItemById(row.id)) || localRow;
+}
+
+/**
+ * Завершить исправление: сформировать отчет заново и поправить остатки товаров
+ * Первоначальные строки отчета сохраняются в original_items, момент завершения
+ * (completed_at) не меняется — движения после инвентаризации относятся к следующей.
+ *
+ * @param {string} sessionId - ID сессии
+ * @returns {Promise<Object|null>} - Promise с новым отчетом (null, если сессию завершили без отчета)
+ */
+export async function finalizeInventoryCorrection(sessionId) {
+  const session = await refreshInventorySession(sessionId);
+  if (session?.status !== 'reopened') {
+    throw new Error('Ошибка исправления: сессия не открыта для исправления');
+  }
+
+  const rows = (await getInventoryItemsBySession(sessionId)).filter(row => row && row.item_id);
+
+  // 1. Остаток меняется на разницу исправления, а не перезаписывается подсчетом
+  const deltas = getQuantityDeltas(session.corrections, rows);
+  for (const [itemId, delta] of Object.entries(deltas)) {
+    try {
+      const item = await items.getItemById(itemId);
+      if (!item) continue;
+      const current = Number(item.current_quantity ?? item.quantity ?? 0) || 0;
+      await items.updateItem(itemId, { current_quantity: Math.round((current + delta) * 1000) / 1000 }, { source: 'correction' });
+    } catch (error) {
+      console.error(`Ошибка обновления остатка для товара ${itemId} при исправлении:`, error);
+    }
+  }
+
+  // 2. Отчет формируется заново в той же строке inventory_reports
+  let report = null;
+  const previousReport = await db.getInventoryReportBySessionId(sessionId)
+    || (await getAllInventoryReports().catch(() => [])).find(entry => entry.session_id === sessionId)
+    || null;
+  if (previousReport) {
+    const itemsById = Object.fromEntries((await items.getAllItems()).map(item => [item.id, item]));
+    const updates = {
+      ...buildReportContent(rows, itemsById, previousReport.items || []),
+      original_items: previousReport.original_items || previousReport.items || [],
+      revision: (Number(previousReport.revision) || 1) + 1,
+      corrected_at: new Date().toISOString()
+    };
+
+    report = await db.updateInventoryReport(previousReport.id, updates);
+    await recordAudit('inventory_report', previousReport, report, { source: 'correction', omitFields: ['items', 'original_items'] });
+    await queueChange(STORES.INVENTORY_REPORTS, 'update', previousReport.id, updates);
+    report = (await db.getInventoryReportById(previousReport.id)) || report;
+  }
+
+  // 3. Сессия снова завершена
+  const entry = buildSessionEntry('finalize', null, { by: getCounterName(), at: new Date().toISOString() });
+  await updateInventorySession(sessionId, {
+    status: 'completed',
+    corrections: [...(session.corrections || []), entry]
+  }, { source: 'correction' });
+
+  return report;
+}
+
 /**
  * Добавить или обновить запись инвентаризации для товара
  * 
@@ -291,52 +659,47 @@ export async function completeInventorySession(id) {
  * @param {number} quantity - Количество
  * @param {number} previousQuantity - Предыдущее количество (опционально)
  * @param {string} comment - Комментарий (опционально)
+ * @param {Object} countDetails - Детали общего подсчета (опционально):
+ *   { base_quantity, additions, counted_by, counted_by_id, counted_by_device }
+ *   Без автора запись получает сотрудника, который сейчас считает на этом устройстве.
  * @returns {Promise<Object>} - Promise с записью инвентаризации
  */
-export async function addOrUpdateInventoryItem(sessionId, itemId, quantity, previousQuantity = null, comment = null) {
+export async function addOrUpdateInventoryItem(sessionId, itemId, quantity, previousQuantity = null, comment = null, countDetails = {}) {
   try {
     // Получаем существующие записи для этой сессии и товара
     const existingItems = await db.getInventoryItemsBySession(sessionId);
     const existingItem = existingItems.find(item => item.item_id === itemId);
 
     const inventoryItem = {
-      id: existingItem ? existingItem.id : generateId(),
+      // Новую запись создаем со стабильным ID, чтобы второе устройство не создало дубликат
+      id: existingItem ? existingItem.id : getCountRowId(sessionId, itemId),
       session_id: sessionId,
       item_id: itemId,
       quantity: quantity,
       previous_quantity: previousQuantity,
       difference: previousQuantity !== null ? quantity - previousQuantity : null,
-      comment: comment
+      comment: comment,
+      counted_by: getCounterName(),
+      counted_by_id: getActiveCounter()?.id || null,
+      counted_by_device: getDeviceId(),
+      ...countDetails
     };
 
     if (existingItem) {
       // Обновляем существующую запись
       const localItem = await db.updateInventoryItem(existingItem.id, inventoryItem);
+      await recordAudit('inventory_item', existingItem, localItem);
 
-      try {
-        const serverItem = await supabase.updateInventoryItem(existingItem.id, inventoryItem);
-        await db.updateInventoryItem(existingItem.id, { ...serverItem, synced: true });
-        return { ...serverItem, synced: true };
-      } catch (syncError) {
-        console.warn('Не удалось синхронизировать обновление записи:', syncError);
-        return localItem;
-      }
+      await queueChange(STORES.INVENTORY_ITEMS, 'update', existingItem.id, inventoryItem);
+      return (await db.getInventoryItemById(existingItem.id)) || localItem;
     } else {
       // Создаем новую запись
       const localItem = await db.addInventoryItem(inventoryItem);
+      await recordAudit('inventory_item', null, localItem);
 
-      try {
-        const serverItem = await supabase.createInventoryItem(inventoryItem);
-        await db.updateInventoryItem(inventoryItem.id, { ...serverItem, synced: true });
-        return { ...serverItem, synced: true };
-      } catch (syncError) {
-        // Тихо игнорируем ошибки синхронизации - товар сохранен локально
-        // Синхронизация произойдет позже автоматически
-        if (syncError.message && !syncError.message.includes('Таймаут')) {
-          // Логируем только не-таймауты, чтобы не засорять консоль
-        }
-        return localItem;
-      }
+      // Если запись уже создало другое устройство, при отправке наши значения сольются с его
+      await queueChange(STORES.INVENTORY_ITEMS, 'create', inventoryItem.id, inventoryItem);
+      return (await db.getInventoryItemById(inventoryItem.id)) || localItem;
     }
   } catch (error) {
     console.error('Ошибка добавления записи инвентаризации:', error);
@@ -344,6 +707,34 @@ export async function addOrUpdateInventoryItem(sessionId, itemId, quantity, prev
   }
 }
 
+/**
+ * Принять записи подсчета, полученные от других устройств
+ * Каждая запись сливается с локальной (чужие промежуточные значения добавляются,
+ * свои несохраненные на сервер правки не теряются).
+ *
+ * @param {Array} serverRows - Записи inventory_items с сервера
+ * @returns {Promise<Array>} - Promise с записями после слияния
+ */
+export async function applyRemoteInventoryItems(serverRows) {
+  const mergedRows = [];
+  const tombstones = await db.getTombstones();
+
+  for (const row of removeDeleted(serverRows, STORES.INVENTORY_ITEMS, tombstones)) {
+    if (!row.id) continue;
+    try {
+      const localRow = await db.getInventoryItemById(row.id);
+      const savedRow = localRow
+        ? await db.updateInventoryItem(row.id, { ...row, synced: true })
+        : await db.addInventoryItem({ ...row, synced: true });
+      mergedRows.push(savedRow);
+    } catch (error) {
+      console.warn('Не удалось принять запись другого устройства:', row.id, error);
+    }
+  }
+
+  return mergedRows;
+}
+
 /**
  * Получить все записи инвентаризации для сессии
  * 
@@ -355,7 +746,7 @@ export async function getInventoryItemsBySession(sessionId) {
     const localItems = await db.getInventoryItemsBySession(sessionId);
 
     try {
-      const serverItems = await supabase.fetchInventoryItemsBySession(sessionId);
+      const serverItems = removeDeleted(await supabase.fetchInventoryItemsBySession(sessionId), STORES.INVENTORY_ITEMS, await db.getTombstones());
 
       // Объединяем данные
       const itemsMap = new Map();
@@ -370,11 +761,14 @@ export async function getInventoryItemsBySession(sessionId) {
         }
       });
 
-      // Обновляем локальную базу
+      // Обновляем локальную базу (с учетом несинхронизированных локальных правок)
       for (const item of serverItems) {
-        await db.updateInventoryItem(item.id, { ...item, synced: true }).catch(() => {
-          db.addInventoryItem({ ...item, synced: true }).catch(() => { });
+        const savedItem = await db.updateInventoryItem(item.id, { ...item, synced: true }).catch(() => {
+          return db.addInventoryItem({ ...item, synced: true }).catch(() => null);
         });
+        if (savedItem) {
+          itemsMap.set(item.id, savedItem);
+        }
       }
 
       return Array.from(itemsMap.values());
@@ -402,13 +796,17 @@ export async function getSessionStatistics(sessionId) {
     const withDifference = items.filter(item => item.difference !== null && item.difference !== 0).length;
     const positiveDifference = items.filter(item => item.difference !== null && item.difference > 0).length;
     const negativeDifference = items.filter(item => item.difference !== null && item.difference < 0).length;
+    const recountQueue = await getSessionRecountQueue(sessionId, items);
 
     return {
       total,
       withDifference,
       positiveDifference,
       negativeDifference,
-      noDifference: total - withDifference
+      noDifference: total - withDifference,
+      // Расхождения больше порога и сколько из них еще не пересчитано
+      needsRecount: recountQueue.length,
+      pendingRecount: recountQueue.filter(entry => !entry.resolved).length
     };
   } catch (error) {
     console.error('Ошибка получения статистики:', error);
@@ -416,6 +814,50 @@ export async function getSessionStatistics(sessionId) {
   }
 }
 
+/**
+ * Очередь пересчета сессии: позиции с расхождением больше порога
+ * Пороги берутся из сессии (для старых сессий — с этого устройства).
+ *
+ * @param {string} sessionId - ID сессии
+ * @param {Array} rows - Записи подсчета (если уже загружены)
+ * @returns {Promise<Array>} - Promise с очередью (см. getRecountQueue)
+ */
+export async function getSessionRecountQueue(sessionId, rows = null) {
+  const session = await getInventorySessionById(sessionId);
+  const sessionRows = rows || await getInventoryItemsBySession(sessionId);
+  const allItems = await items.getAllItems();
+  const itemsById = Object.fromEntries(allItems.map(item => [item.id, item]));
+
+  return getRecountQueue(sessionRows, itemsById, session?.variance_thresholds || loadVarianceThresholds());
+}
+
+/**
+ * Предлагаемый заказ поставщикам по итогам сессии
+ * Посчитанное сравнивается с минимальным запасом товара; поставщик — из карточки товара,
+ * а если он не указан — из последнего поступления.
+ *
+ * @param {string} sessionId - ID сессии
+ * @returns {Promise<Object>} - Promise с заказом (см. buildPurchaseOrder)
+ */
+export async function getSessionPurchaseOrder(sessionId) {
+  const sessionRows = await getInventoryItemsBySession(sessionId);
+  const allItems = await items.getAllItems();
+  const countedByItemId = Object.fromEntries(sessionRows
+    .filter(row => row.item_id && row.quantity !== null && row.quantity !== undefined)
+    .map(row => [row.item_id, Number(row.quantity) || 0]));
+
+  let movements = [];
+  try {
+    movements = await getAllStockMovements();
+  } catch (error) {
+    // Без журнала движений заказ все равно собирается по поставщикам из карточек
+    console.warn('Не удалось получить поставщиков из журнала движений:', error.message || error);
+  }
+
+  const supplierByItemId = getItemSuppliers(allItems, await getAllSuppliers(), movements);
+  return buildPurchaseOrder(allItems, countedByItemId, supplierByItemId);
+}
+
 /**
  * Обновить количество обработанных товаров в сессии
  * 
@@ -434,6 +876,53 @@ export async function updateSessionItemsCount(sessionId) {
   }
 }
 
+/**
+ * Итоги и строки отчета по записям подсчета
+ * Себестоимость, категория и место хранения запоминаются на момент отчета:
+ * по ним расхождения оцениваются в деньгах, даже если карточка товара потом изменится.
+ * При повторном формировании снимок берется из прежних строк отчета.
+ *
+ * @param {Array} inventoryItems - Записи подсчета
+ * @param {Object} itemsById - Товары по ID
+ * @param {Array} previousLines - Строки прежней версии отчета (опционально)
+ * @returns {Object} - { total_items, items_with_difference, positive_difference, negative_difference, items }
+ */
+function buildReportContent(inventoryItems, itemsById, previousLines = []) {
+  const previousByItemId = Object.fromEntries(previousLines.map(line => [line.item_id, line]));
+  const hasDifference = item => item.difference !== null && item.difference !== undefined;
+
+  return {
+    total_items: inventoryItems.length,
+    items_with_difference: inventoryItems.filter(item => hasDifference(item) && item.difference !== 0).length,
+    positive_difference: inventoryItems.filter(item => hasDifference(item) && item.difference > 0).length,
+    negative_difference: inventoryItems.filter(item => hasDifference(item) && item.difference < 0).length,
+    items: inventoryItems.map(item => {
+      const card = itemsById[item.item_id];
+      const snapshot = previousByItemId[item.item_id] || {
+        item_name: card?.name || 'Неизвестный товар',
+        // Артикул нужен, чтобы сравнивать отчеты, даже если товар потом удалят
+        sku: card?.sku || null,
+        category: card?.category || null,
+        location: card?.location || null,
+        unit_cost: card?.unit_cost ?? null
+      };
+      return {
+        item_id: item.item_id,
+        item_name: snapshot.item_name,
+        sku: snapshot.sku ?? null,
+        category: snapshot.category ?? null,
+        location: snapshot.location ?? null,
+        unit_cost: snapshot.unit_cost ?? null,
+        quantity: item.quantity,
+        previous_quantity: item.previous_quantity,
+        difference: item.difference,
+        comment: item.comment,
+        counted_by: item.counted_by || null
+      };
+    })
+  };
+}
+
 /**
  * Создать отчет по инвентаризации
  * 
@@ -454,56 +943,68 @@ export async function createInventoryReport(sessionId) {
 
     // Получаем все товары для расчета статистики
     const allItems = await items.getAllItems();
-
-    // Вычисляем статистику
-    const totalItems = validInventoryItems.length;
-    const itemsWithDifference = validInventoryItems.filter(item =>
-      item.difference !== null && item.difference !== 0
-    ).length;
-    const positiveDifference = validInventoryItems.filter(item =>
-      item.difference !== null && item.difference > 0
-    ).length;
-    const negativeDifference = validInventoryItems.filter(item =>
-      item.difference !== null && item.difference < 0
-    ).length;
+    const itemsById = Object.fromEntries(allItems.map(item => [item.id, item]));
 
     // Создаем отчет
     const report = {
       id: generateId(),
       session_id: sessionId,
       date: session.date,
-      total_items: totalItems,
-      items_with_difference: itemsWithDifference,
-      positive_difference: positiveDifference,
-      negative_difference: negativeDifference,
-      items: validInventoryItems.map(item => ({
-        item_id: item.item_id,
-        item_name: allItems.find(i => i.id === item.item_id)?.name || 'Неизвестный товар',
-        quantity: item.quantity,
-        previous_quantity: item.previous_quantity,
-        difference: item.difference,
-        comment: item.comment
-      }))
+      ...buildReportContent(validInventoryItems, itemsById)
     };
 
     // Сохраняем локально
     const localReport = await db.addInventoryReport(report);
+    await recordAudit('inventory_report', null, localReport, { omitFields: ['items'] });
 
-    // Пытаемся синхронизировать с сервером
-    try {
-      const serverReport = await supabase.createInventoryReport(report);
-      await db.updateInventoryReport(report.id, { ...serverReport, synced: true });
-      return { ...serverReport, synced: true };
-    } catch (syncError) {
-      console.warn('Не удалось синхронизировать отчет с сервером:', syncError);
-      return localReport;
-    }
+    await queueChange(STORES.INVENTORY_REPORTS, 'create', report.id, report);
+    return (await db.getInventoryReportById(report.id)) || localReport;
   } catch (error) {
     console.error('Ошибка создания отчета:', error);
     throw error;
   }
 }
 
+/**
+ * Оценить отчет в деньгах
+ * Если у товара есть поступления с ценой до даты отчета, посчитанное количество
+ * оценивается по партиям выбранным методом. Иначе — по себестоимости из отчета,
+ * а в старых отчетах без нее — по истории себестоимости товара на дату отчета.
+ * Категория и место хранения старых отчетов берутся из текущей карточки.
+ *
+ * @param {Object} report - Отчет
+ * @param {string} method - Метод оценки (см. COSTING_METHODS), по умолчанию выбранный на устройстве
+ * @returns {Promise<{method: string, lines: Array, summary: Object}>} - Строки со стоимостью (stock_value, difference_value) и итоги (см. summarizeReportValue)
+ */
+export async function getReportValuation(report, method = loadCostingMethod()) {
+  const allItems = await items.getAllItems();
+  const itemsById = Object.fromEntries(allItems.map(item => [item.id, item]));
+  const reportDate = report.created_at || report.date;
+
+  let movements = [];
+  try {
+    movements = await getAllStockMovements();
+  } catch (error) {
+    // Без журнала движений отчет оценивается по себестоимости из карточек
+    console.warn('Не удалось получить партии из журнала движений:', error.message || error);
+  }
+  const layersByItem = buildCostLayers(movements, reportDate);
+
+  const lines = (report.items || []).map(line => {
+    const item = itemsById[line.item_id];
+    const filled = {
+      ...line,
+      category: 'category' in line ? line.category : item?.category || null,
+      location: 'location' in line ? line.location : item?.location || null,
+      unit_cost: getLayeredUnitCost(layersByItem[line.item_id], line.quantity, method)
+        ?? (line.unit_cost !== undefined ? line.unit_cost : (item ? getUnitCostAt(item, reportDate) : null))
+    };
+    return { ...filled, ...getLineValue(filled) };
+  });
+
+  return { method, lines, summary: summarizeReportValue(lines) };
+}
+
 /**
  * Получить все отчеты инвентаризации
  * 
@@ -514,7 +1015,7 @@ export async function getAllInventoryReports() {
     const localReports = await db.getAllInventoryReports();
 
     try {
-      const serverReports = await supabase.fetchAllInventoryReports();
+      const serverReports = removeDeleted(await supabase.fetchAllInventoryReports(), STORES.INVENTORY_REPORTS, await db.getTombstones());
 
       // Объединяем данные
       const reportsMap = new Map();
@@ -559,7 +1060,7 @@ export async function getInventoryReportById(id) {
 
     if (!report || !report.synced) {
       try {
-        const serverReport = await supabase.fetchInventoryReportById(id);
+        const [serverReport] = removeDeleted([await supabase.fetchInventoryReportById(id)], STORES.INVENTORY_REPORTS, await db.getTombstones());
         if (serverReport) {
           if (report) {
             await db.updateInventoryReport(id, { ...serverReport, synced: true });
@@ -600,31 +1101,32 @@ export async function deleteInventoryReportAndSession(reportId, sessionId) {
         }
       }
 
+      const deletedReport = await db.getInventoryReportById(reportId).catch(() => null);
       await db.deleteInventoryReport(reportId);
-      try {
-        await supabase.deleteInventoryReport(reportId);
-      } catch (e) {
-        console.warn('Не удалось удалить отчет с сервера:', e);
+      if (deletedReport) {
+        await recordAudit('inventory_report', deletedReport, null, { omitFields: ['items', 'original_items'] });
       }
+      await queueChange(STORES.INVENTORY_REPORTS, 'delete', reportId, { id: reportId });
     }
 
     // 2. Если есть ID сессии, удаляем сессию и записи
     if (sessionId) {
       // Удаляем записи товаров
+      const deletedRows = await db.getInventoryItemsBySession(sessionId).catch(() => []);
       await db.deleteInventoryItemsBySession(sessionId);
-      try {
-        await supabase.deleteInventoryItemsBySession(sessionId);
-      } catch (e) {
-        console.warn('Не удалось удалить записи инвентаризации с сервера:', e);
+      for (const row of deletedRows) {
+        await recordAudit('inventory_item', row, null);
       }
+      // Неотправленные записи не отправляем: на сервере записи удалит удаление сессии
+      await db.cancelOutboxOperations(STORES.INVENTORY_ITEMS, deletedRows.map(row => row.id));
 
       // Удаляем сессию
+      const deletedSession = await db.getInventorySessionById(sessionId).catch(() => null);
       await db.deleteInventorySession(sessionId);
-      try {
-        await supabase.deleteInventorySession(sessionId);
-      } catch (e) {
-        console.warn('Не удалось удалить сессию с сервера:', e);
+      if (deletedSession) {
+        await recordAudit('inventory_session', deletedSession, null, { omitFields: SESSION_AUDIT_OMIT });
       }
+      await queueChange(STORES.INVENTORY_SESSIONS, 'delete', sessionId, { id: sessionId });
     }
   } catch (error) {
     console.error('Ошибка полного удаления инвентаризации:', error);
@@ -3,12 +3,16 @@
  * 
  * Этот файл объединяет работу с локальной базой данных (IndexedDB)
  * и облачной базой (Supabase). Все операции сначала выполняются локально,
- * а затем синхронизируются с сервером.
+ * а затем через очередь outbox отправляются на сервер (см. queueChange в sync.js).
  */
 
 import * as db from './db.js';
 import * as supabase from './supabase.js';
 import { STORES } from './db.js';
+import { queueChange } from './sync.js';
+import { getCostHistoryUpdate } from './valuation.js';
+import { recordAudit } from './audit-log.js';
+import { removeDeleted } from './outbox.js';
 
 /**
  * Генерировать уникальный ID для товара
@@ -34,10 +38,16 @@ function generateId() {
  * @param {string} itemData.location - Место хранения
  * @param {string} itemData.image_url - URL изображения
  * @param {string} itemData.sku - Артикул
+ * @param {string} itemData.barcode - Штрихкод (EAN, Code 128 или содержимое QR)
  * @param {string} itemData.description - Описание
+ * @param {string} itemData.supplier_id - Поставщик (см. suppliers.js)
+ * @param {string} itemData.supplier_sku - Артикул у поставщика
+ * @param {number} itemData.supplier_price - Цена закупки у поставщика
+ * @param {number} itemData.unit_cost - Себестоимость единицы (для оценки расхождений в деньгах)
+ * @param {Object} options - { source } — откуда изменение, для журнала (см. AUDIT_SOURCES)
  * @returns {Promise<Object>} - Promise с созданным товаром
  */
-export async function createItem(itemData) {
+export async function createItem(itemData, { source = null } = {}) {
   // Валидация обязательных полей
   if (!itemData.name || itemData.name.trim() === '') {
     throw new Error('Название товара обязательно');
@@ -53,39 +63,27 @@ export async function createItem(itemData) {
     location: itemData.location || null,
     image_url: itemData.image_url || null,
     sku: itemData.sku || null,
+    barcode: itemData.barcode || null,
     description: itemData.description || null,
-    current_quantity: Number.isFinite(parsedCurrentQuantity) ? parsedCurrentQuantity : 0
+    current_quantity: Number.isFinite(parsedCurrentQuantity) ? parsedCurrentQuantity : 0,
+    par_level: itemData.par_level ?? null,
+    reorder_qty: itemData.reorder_qty ?? null,
+    supplier_id: itemData.supplier_id || null,
+    supplier_sku: itemData.supplier_sku || null,
+    supplier_price: itemData.supplier_price ?? null,
+    unit_cost: null,
+    cost_history: []
   };
+  Object.assign(item, getCostHistoryUpdate(item, itemData.unit_cost ?? null));
 
   try {
     // Сначала сохраняем локально
     const localItem = await db.addItem(item);
+    await recordAudit('item', null, localItem, { source });
 
-    // Пытаемся синхронизировать с сервером (если есть интернет)
-    // Проверяем наличие интернета перед попыткой синхронизации
-    if (navigator.onLine) {
-      try {
-        const serverItem = await supabase.createItem(item);
-        // Обновляем локальную запись с данными с сервера
-        if (serverItem && serverItem.id) {
-          await db.updateItem(item.id, { ...serverItem, synced: true });
-          return { ...serverItem, synced: true };
-        } else {
-          // Если сервер вернул невалидные данные, оставляем локальную версию
-          console.warn('Сервер вернул невалидные данные, используем локальную версию');
-          return localItem;
-        }
-      } catch (syncError) {
-        // Если синхронизация не удалась, возвращаем локальную версию
-        // Это нормально - товар уже сохранен локально, синхронизация произойдет позже
-        console.warn('Не удалось синхронизировать товар с сервером:', syncError.message || syncError);
-        return localItem;
-      }
-    } else {
-      // Нет интернета - просто возвращаем локальную версию
-      console.log('Нет интернета, товар сохранен только локально');
-      return localItem;
-    }
+    // Ставим создание в очередь отправки; если есть интернет, очередь уходит сразу
+    await queueChange(STORES.ITEMS, 'create', item.id, item);
+    return (await db.getItemById(item.id)) || localItem;
   } catch (error) {
     console.error('Ошибка создания товара:', error);
     throw error;
@@ -105,7 +103,8 @@ export async function getAllItems() {
 
     // Пытаемся получить товары с сервера (если есть интернет)
     try {
-      const serverItems = await supabase.fetchAllItems();
+      // Товары, удаленные здесь, но еще не удаленные на сервере, не возвращаем
+      const serverItems = removeDeleted(await supabase.fetchAllItems(), STORES.ITEMS, await db.getTombstones());
 
       // Объединяем данные: приоритет у ЛОКАЛЬНЫХ несинхронизированных изменений
       const itemsMap = new Map();
@@ -177,15 +176,13 @@ export async function getItemById(id) {
     // Если товар не найден локально или не синхронизирован, пытаемся получить с сервера
     if (!item || !item.synced) {
       try {
-        const serverItem = await supabase.fetchItemById(id);
+        const [serverItem] = removeDeleted([await supabase.fetchItemById(id)], STORES.ITEMS, await db.getTombstones());
         if (serverItem) {
-          // Сохраняем в локальную базу
+          // Сохраняем в локальную базу (несинхронизированные правки сливаются с серверной версией)
           if (item) {
-            await db.updateItem(id, { ...serverItem, synced: true });
-          } else {
-            await db.addItem({ ...serverItem, synced: true });
+            return await db.updateItem(id, { ...serverItem, synced: true });
           }
-          return { ...serverItem, synced: true };
+          return await db.addItem({ ...serverItem, synced: true });
         }
       } catch (syncError) {
         console.warn('Не удалось получить товар с сервера:', syncError);
@@ -204,36 +201,28 @@ export async function getItemById(id) {
  * 
  * @param {string} id - ID товара
  * @param {Object} updates - Объект с изменениями
+ * @param {Object} options - { source } — откуда изменение, для журнала (см. AUDIT_SOURCES)
  * @returns {Promise<Object>} - Promise с обновленным товаром
  */
-export async function updateItem(id, updates) {
+export async function updateItem(id, updates, { source = null } = {}) {
   try {
+    const previousItem = await db.getItemById(id);
+
+    // Смена себестоимости записывается в историю, чтобы старые отчеты оценивались по своей цене
+    if ('unit_cost' in updates) {
+      const { unit_cost, ...rest } = updates;
+      updates = { ...rest, ...getCostHistoryUpdate(previousItem, unit_cost) };
+    }
+
     // Обновляем локально
     const localItem = await db.updateItem(id, updates);
+    await recordAudit('item', previousItem, localItem, { source });
 
-    // Пытаемся синхронизировать с сервером
-    try {
-      const serverItem = await supabase.updateItem(id, updates);
-
-      // Важно: если мы обновляем image_url, убеждаемся, что он сохранился
-      // Объединяем серверный ответ с локальными изменениями
-      const mergedItem = {
-        ...serverItem,
-        // Если обновляли image_url, сохраняем его (даже если сервер вернул старую версию)
-        ...(updates.image_url && { image_url: updates.image_url }),
-        // Сохраняем введенный остаток, чтобы он не затерся сервером при merge
-        ...('current_quantity' in updates && { current_quantity: updates.current_quantity }),
-        synced: true
-      };
-
-      // Обновляем локальную запись объединенными данными
-      await db.updateItem(id, mergedItem);
-      return mergedItem;
-    } catch (syncError) {
-      console.warn('Не удалось синхронизировать обновление с сервером:', syncError);
-      // Возвращаем локальную версию (с synced: false)
-      return localItem;
-    }
+    // Ставим правку в очередь отправки.
+    // Отправляются только измененные поля после слияния со свежей серверной версией,
+    // поэтому правки с другого устройства в остальных полях не затираются.
+    await queueChange(STORES.ITEMS, 'update', id, updates);
+    return (await db.getItemById(id)) || localItem;
   } catch (error) {
     console.error('Ошибка обновления товара:', error);
     throw error;
@@ -248,17 +237,17 @@ export async function updateItem(id, updates) {
  */
 export async function deleteItem(id) {
   try {
+    const previousItem = await db.getItemById(id);
+
     // Удаляем локально
     await db.deleteItem(id);
-
-    // Пытаемся удалить с сервера
-    try {
-      await supabase.deleteItem(id);
-    } catch (syncError) {
-      console.warn('Не удалось удалить товар с сервера:', syncError);
-      // В реальном приложении можно добавить в очередь на удаление
+    if (previousItem) {
+      await recordAudit('item', previousItem, null);
     }
 
+    // Удаление уйдет на сервер через очередь, даже если сейчас нет интернета
+    await queueChange(STORES.ITEMS, 'delete', id, { id });
+
     return true;
   } catch (error) {
     console.error('Ошибка удаления товара:', error);
@@ -0,0 +1,261 @@
+/**
+ * Генератор этикеток для полок
+ *
+ * Собирает печатный лист A4 (3 x 8 этикеток 70 x 37 мм) с QR-кодами
+ * или штрихкодами Code 128. Коды рисуются локально в SVG, поэтому
+ * печать работает и без интернета.
+ */
+
+import * as items from './items.js';
+import { showModal, showAlert } from './modal.js';
+import { qrCodeToSvg } from './qrcode.js';
+import { code128ToSvg, canEncodeCode128, getItemLabelCode } from './barcode.js';
+
+// Этикеток на одном листе A4 (3 колонки x 8 рядов)
+const LABELS_PER_PAGE = 24;
+
+/**
+ * Экранировать HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Отфильтровать товары для печати по категории и месту хранения
+ * Пустое значение фильтра означает "все".
+ *
+ * @param {Array} itemsList - Все товары
+ * @param {Object} filters - { category, location }
+ * @returns {Array} - Отфильтрованные товары, отсортированные по названию
+ */
+export function filterItemsForLabels(itemsList, { category = '', location = '' } = {}) {
+  const normalizedCategory = category.toLowerCase().trim();
+  const normalizedLocation = location.toLowerCase().trim();
+
+  return (itemsList || [])
+    .filter(item => !normalizedCategory || (item.category || '').toLowerCase().trim() === normalizedCategory)
+    .filter(item => !normalizedLocation || (item.location || '').toLowerCase().trim() === normalizedLocation)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || '', 'ru'));
+}
+
+/**
+ * Отрисовать одну этикетку
+ *
+ * @param {Object} item - Товар
+ * @param {string} format - 'qr' или 'code128'
+ * @returns {string} - HTML этикетки
+ */
+function renderLabel(item, format) {
+  const code = getItemLabelCode(item);
+  const name = escapeHtml(item.name || 'Без названия');
+  const sku = item.sku ? `арт. ${escapeHtml(item.sku)}` : '';
+  const unit = escapeHtml(item.unit || 'шт.');
+
+  // Code 128 не умеет кириллицу — для таких кодов печатаем QR
+  if (format === 'code128' && canEncodeCode128(code)) {
+    return `
+      <div class="label label-barcode">
+        <div class="label-name">${name}</div>
+        <div class="barcode">${code128ToSvg(code)}</div>
+        <div class="label-meta"><span>${escapeHtml(code)}</span><span>${unit}</span></div>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="label label-qr">
+      <div class="qr">${qrCodeToSvg(code)}</div>
+      <div class="label-text">
+        <div class="label-name">${name}</div>
+        ${sku ? `<div class="label-sku">${sku}</div>` : ''}
+        <div class="label-unit">${unit}</div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Собрать HTML-документ листа этикеток для печати
+ *
+ * @param {Array} itemsList - Товары для печати
+ * @param {Object} options - Параметры
+ * @param {string} options.format - 'qr' или 'code128'
+ * @param {string} options.title - Заголовок документа
+ * @returns {string} - Полный HTML-документ
+ */
+export function buildLabelSheetHtml(itemsList, { format = 'qr', title = 'Этикетки' } = {}) {
+  const pages = [];
+  for (let i = 0; i < itemsList.length; i += LABELS_PER_PAGE) {
+    const pageLabels = itemsList.slice(i, i + LABELS_PER_PAGE).map(item => renderLabel(item, format)).join('');
+    pages.push(`<section class="sheet">${pageLabels}</section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: A4; margin: 0; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; }
+    .sheet {
+      width: 210mm; height: 297mm; padding: 0.5mm 0;
+      display: grid; grid-template-columns: repeat(3, 70mm); grid-auto-rows: 37mm;
+      page-break-after: always; break-after: page; overflow: hidden;
+    }
+    .sheet:last-child { page-break-after: auto; break-after: auto; }
+    .label { padding: 2.5mm; overflow: hidden; border: 0.1mm dashed #ccc; }
+    .label-qr { display: flex; gap: 2.5mm; align-items: center; }
+    .qr { width: 30mm; height: 30mm; flex-shrink: 0; }
+    .qr svg, .barcode svg { width: 100%; height: 100%; display: block; }
+    .label-text { min-width: 0; display: flex; flex-direction: column; gap: 1mm; }
+    .label-name { font-weight: bold; font-size: 10pt; line-height: 1.15; max-height: 3.45em; overflow: hidden; }
+    .label-sku, .label-unit { font-size: 8pt; }
+    .label-barcode { display: flex; flex-direction: column; justify-content: space-between; }
+    .label-barcode .label-name { font-size: 9pt; max-height: 2.3em; }
+    .barcode { height: 16mm; }
+    .label-meta { display: flex; justify-content: space-between; font-size: 8pt; font-family: monospace; }
+    @media print { .label { border-color: transparent; } }
+  </style>
+</head>
+<body>
+  ${pages.join('')}
+</body>
+</html>`;
+}
+
+/**
+ * Отправить лист этикеток на печать через скрытый iframe
+ *
+ * @param {string} html - HTML-документ листа
+ */
+export function printLabelSheet(html) {
+  const oldFrame = document.getElementById('labels-print-frame');
+  if (oldFrame) oldFrame.remove();
+
+  const frame = document.createElement('iframe');
+  frame.id = 'labels-print-frame';
+  frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; right: 0; bottom: 0;';
+  document.body.appendChild(frame);
+
+  const frameDoc = frame.contentWindow.document;
+  frameDoc.open();
+  frameDoc.write(html);
+  frameDoc.close();
+
+  // Даем браузеру отрисовать SVG перед печатью
+  setTimeout(() => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  }, 300);
+}
+
+/**
+ * Открыть окно генератора этикеток
+ *
+ * @param {Object} options - Начальные фильтры
+ * @param {string} options.category - Категория (пусто — все)
+ * @param {string} options.location - Место хранения (пусто — все)
+ */
+export async function openLabelGenerator({ category = '', location = '' } = {}) {
+  let allItems;
+  let categories;
+  let locations;
+
+  try {
+    [allItems, categories, locations] = await Promise.all([
+      items.getAllItems(),
+      items.getAllCategories(),
+      items.getAllLocations()
+    ]);
+  } catch (error) {
+    console.error('Ошибка загрузки товаров для этикеток:', error);
+    await showAlert('Не удалось загрузить товары для этикеток', 'Ошибка');
+    return;
+  }
+
+  if (allItems.length === 0) {
+    await showAlert('В базе пока нет товаров — печатать нечего.', 'Этикетки');
+    return;
+  }
+
+  const renderOptions = (values, selected) => values.map(value => {
+    const isSelected = value.toLowerCase() === selected.toLowerCase();
+    return `<option value="${escapeHtml(value)}" ${isSelected ? 'selected' : ''}>${escapeHtml(value)}</option>`;
+  }).join('');
+
+  const selectClasses = 'w-full h-11 px-3 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-medium text-slate-900 dark:text-white focus:ring-2 focus:ring-primary focus:border-primary outline-none';
+
+  showModal({
+    title: 'Печать этикеток',
+    message: `
+      <div class="flex flex-col gap-3 text-left">
+        <label class="flex flex-col gap-1">
+          <span class="text-xs font-semibold text-slate-500 dark:text-slate-400">Категория</span>
+          <select id="labels-category" class="${selectClasses}">
+            <option value="">Все категории</option>
+            ${renderOptions(categories, category)}
+          </select>
+        </label>
+        <label class="flex flex-col gap-1">
+          <span class="text-xs font-semibold text-slate-500 dark:text-slate-400">Место хранения</span>
+          <select id="labels-location" class="${selectClasses}">
+            <option value="">Все места</option>
+            ${renderOptions(locations, location)}
+          </select>
+        </label>
+        <label class="flex flex-col gap-1">
+          <span class="text-xs font-semibold text-slate-500 dark:text-slate-400">Тип кода</span>
+          <select id="labels-format" class="${selectClasses}">
+            <option value="qr">QR-код</option>
+            <option value="code128">Штрихкод Code 128</option>
+          </select>
+        </label>
+        <p id="labels-count" class="text-sm font-semibold text-slate-700 dark:text-slate-300"></p>
+        <p class="text-xs text-slate-500 dark:text-slate-400">На этикетке печатается штрихкод товара, а если его нет — артикул. Лист A4, 24 этикетки 70 × 37 мм.</p>
+      </div>
+    `,
+    buttons: [
+      {
+        text: 'Печать',
+        primary: true,
+        onClick: () => {
+          const filters = {
+            category: document.getElementById('labels-category')?.value || '',
+            location: document.getElementById('labels-location')?.value || ''
+          };
+          const format = document.getElementById('labels-format')?.value || 'qr';
+          const selectedItems = filterItemsForLabels(allItems, filters);
+
+          if (selectedItems.length === 0) {
+            return showAlert('По выбранным фильтрам товаров нет', 'Этикетки');
+          }
+
+          printLabelSheet(buildLabelSheetHtml(selectedItems, { format, title: 'Этикетки — Инвентура' }));
+        }
+      },
+      { text: 'Отмена' }
+    ]
+  });
+
+  // Показываем, сколько этикеток получится при текущих фильтрах
+  const updateCount = () => {
+    const count = filterItemsForLabels(allItems, {
+      category: document.getElementById('labels-category')?.value || '',
+      location: document.getElementById('labels-location')?.value || ''
+    }).length;
+    const pages = Math.ceil(count / LABELS_PER_PAGE);
+    const countEl = document.getElementById('labels-count');
+    if (countEl) countEl.textContent = `Этикеток: ${count} (листов: ${pages})`;
+  };
+
+  document.getElementById('labels-category')?.addEventListener('change', updateCount);
+  document.getElementById('labels-location')?.addEventListener('change', updateCount);
+  updateCount();
+}
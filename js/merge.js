@@ -0,0 +1,236 @@
+/**
+ * Трехстороннее слияние записей при синхронизации
+ *
+ * Когда одну и ту же запись правят на двух устройствах, у нас есть три версии:
+ * - base   — то, что было на сервере при последней синхронизации (общий предок)
+ * - local  — версия на этом устройстве
+ * - remote — текущая версия на сервере
+ *
+ * Поле, которое поменяли только с одной стороны, берем оттуда без вопросов.
+ * Списки записей с id (например, промежуточные значения подсчета) объединяются.
+ * Поле, которое поменяли с обеих сторон по-разному, — конфликт: временно
+ * выигрывает более поздняя правка (по времени изменения поля), а конфликт
+ * попадает в очередь, где менеджер может выбрать другое значение.
+ */
+
+// Служебные поля, которые не участвуют в слиянии
+const META_FIELDS = new Set(['id', 'created_at', 'updated_at', 'synced', '_base', 'field_updated_at']);
+
+/**
+ * Является ли поле служебным
+ *
+ * @param {string} field - Название поля
+ * @returns {boolean}
+ */
+export function isMetaField(field) {
+  return META_FIELDS.has(field);
+}
+
+/**
+ * Сравнить два значения поля
+ * null и undefined считаем одинаковыми, числа сравниваем со строками
+ * (PostgREST может вернуть numeric строкой).
+ *
+ * @param {*} a - Первое значение
+ * @param {*} b - Второе значение
+ * @returns {boolean}
+ */
+export function valuesEqual(a, b) {
+  const left = a ?? null;
+  const right = b ?? null;
+
+  if (left === right) return true;
+  if (left === null || right === null) return false;
+
+  if (typeof left === 'object' || typeof right === 'object') {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+
+  return String(left) === String(right);
+}
+
+/**
+ * Снимок данных записи без служебных полей
+ * Сохраняется в записи как _base после каждой синхронизации.
+ *
+ * @param {Object} record - Запись
+ * @returns {Object} - Только поля с данными
+ */
+export function takeSnapshot(record) {
+  const snapshot = {};
+  Object.keys(record || {}).forEach(field => {
+    if (!isMetaField(field)) {
+      snapshot[field] = record[field];
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * Время последнего изменения поля
+ * Если по полю нет отдельной отметки, используем updated_at всей записи.
+ *
+ * @param {Object} record - Запись
+ * @param {string} field - Поле
+ * @returns {string} - ISO-время или пустая строка
+ */
+export function getFieldTime(record, field) {
+  return (record?.field_updated_at && record.field_updated_at[field]) || record?.updated_at || '';
+}
+
+/**
+ * Отметить время изменения полей, которые реально поменялись
+ *
+ * @param {Object} existing - Запись до изменения
+ * @param {Object} updates - Изменения
+ * @param {string} now - Время изменения (ISO)
+ * @returns {Object} - Новая карта field_updated_at
+ */
+export function stampChangedFields(existing, updates, now) {
+  const fieldTimes = { ...(existing?.field_updated_at || {}) };
+  Object.keys(updates || {}).forEach(field => {
+    if (!isMetaField(field) && !valuesEqual(existing?.[field], updates[field])) {
+      fieldTimes[field] = now;
+    }
+  });
+  return fieldTimes;
+}
+
+/**
+ * Найти поля записи, которые отличаются от базовой версии
+ * Без базовой версии считаем измененными все поля.
+ *
+ * @param {Object|null} base - Базовая версия (снимок)
+ * @param {Object} record - Текущая запись
+ * @returns {Object} - { поле: значение } только для измененных полей
+ */
+export function getChangedFields(base, record) {
+  const changes = {};
+  Object.keys(record || {}).forEach(field => {
+    if (isMetaField(field)) return;
+    if (!base || !valuesEqual(base[field], record[field])) {
+      changes[field] = record[field];
+    }
+  });
+  return changes;
+}
+
+/**
+ * Является ли значение списком записей с id (например, additions подсчета)
+ *
+ * @param {*} value - Значение поля
+ * @returns {boolean}
+ */
+function isEntryList(value) {
+  return Array.isArray(value) && value.every(entry => entry && typeof entry === 'object' && entry.id);
+}
+
+/**
+ * Объединить два списка записей с id
+ * Записи только добавляются; удаленная запись помечается removed: true
+ * и остается удаленной, даже если в другом списке она еще активна.
+ *
+ * @param {Array} left - Первый список
+ * @param {Array} right - Второй список
+ * @returns {Array} - Объединенный список (порядок по created_at)
+ */
+export function mergeEntryLists(left, right) {
+  const byId = new Map();
+
+  [...(left || []), ...(right || [])].forEach(entry => {
+    const existing = byId.get(entry.id);
+    if (!existing) {
+      byId.set(entry.id, { ...entry });
+    } else if (entry.removed && !existing.removed) {
+      byId.set(entry.id, { ...existing, removed: true });
+    }
+  });
+
+  return Array.from(byId.values())
+    .sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+}
+
+/**
+ * Трехстороннее слияние локальной и серверной версий записи
+ *
+ * @param {Object|null} base - Общий предок (снимок последней синхронизированной версии)
+ * @param {Object} local - Локальная запись
+ * @param {Object} remote - Серверная запись
+ * @returns {{merged: Object, fieldTimes: Object, conflicts: Array}}
+ *   merged — данные после слияния (без служебных полей),
+ *   fieldTimes — карта field_updated_at для результата,
+ *   conflicts — поля, измененные с обеих сторон:
+ *   { field, base_value, local_value, remote_value, local_time, remote_time, applied: 'local'|'remote' }
+ */
+export function threeWayMerge(base, local, remote) {
+  const merged = {};
+  const fieldTimes = {};
+  const conflicts = [];
+
+  const fields = new Set([
+    ...Object.keys(local || {}),
+    ...Object.keys(remote || {})
+  ]);
+
+  fields.forEach(field => {
+    if (isMetaField(field)) return;
+
+    const localValue = local?.[field];
+    const remoteValue = remote?.[field];
+    const localTime = getFieldTime(local, field);
+    const remoteTime = getFieldTime(remote, field);
+
+    const takeLocal = () => {
+      merged[field] = localValue;
+      if (localTime) fieldTimes[field] = localTime;
+    };
+    const takeRemote = () => {
+      merged[field] = remoteValue;
+      if (remoteTime) fieldTimes[field] = remoteTime;
+    };
+
+    // Поле отсутствует с одной из сторон (например, новая колонка) — берем то, что есть
+    if (!(field in (remote || {}))) return takeLocal();
+    if (!(field in (local || {}))) return takeRemote();
+
+    if (valuesEqual(localValue, remoteValue)) {
+      return localTime > remoteTime ? takeLocal() : takeRemote();
+    }
+
+    // Списки записей (промежуточные значения подсчета) не конфликтуют — объединяем
+    if (isEntryList(localValue) && isEntryList(remoteValue)) {
+      merged[field] = mergeEntryLists(localValue, remoteValue);
+      fieldTimes[field] = localTime > remoteTime ? localTime : remoteTime;
+      return;
+    }
+
+    // Без базовой версии нельзя понять, кто что менял — выбираем по времени правки поля
+    if (!base) {
+      return localTime > remoteTime ? takeLocal() : takeRemote();
+    }
+
+    const baseValue = base[field];
+    if (valuesEqual(localValue, baseValue)) return takeRemote();
+    if (valuesEqual(remoteValue, baseValue)) return takeLocal();
+
+    // Поле изменили с обеих сторон — конфликт. Пока побеждает более поздняя правка.
+    const applied = localTime > remoteTime ? 'local' : 'remote';
+    if (applied === 'local') {
+      takeLocal();
+    } else {
+      takeRemote();
+    }
+
+    conflicts.push({
+      field,
+      base_value: baseValue ?? null,
+      local_value: localValue ?? null,
+      remote_value: remoteValue ?? null,
+      local_time: localTime || null,
+      remote_time: remoteTime || null,
+      applied
+    });
+  });
+
+  return { merged, fieldTimes, conflicts };
+}
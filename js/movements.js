@@ -0,0 +1,196 @@
+/**
+ * Журнал движений товара: поступления, списания, бой, перемещения
+ *
+ * Как и остальные данные, движение сначала сохраняется локально,
+ * а затем отправляется на сервер (если есть интернет).
+ * Движения не редактируются и не удаляются: ошибку исправляют обратным движением.
+ */
+
+import * as db from './db.js';
+import * as supabase from './supabase.js';
+import { STORES } from './db.js';
+import * as items from './items.js';
+import { getCounterName } from './counting.js';
+import { MOVEMENT_TYPES, REASON_REQUIRED_TYPES, WRITE_OFF_REASONS, getSignedQuantity } from './stock.js';
+import { roundMoney } from './valuation.js';
+import { requestBackgroundSync } from './sync.js';
+
+/**
+ * Генерировать уникальный ID
+ *
+ * @returns {string} - UUID
+ */
+function generateId() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * Записать движение товара
+ *
+ * @param {Object} movementData - Данные движения
+ * @param {string} movementData.item_id - ID товара (обязательно)
+ * @param {string} movementData.type - Тип: receipt, write_off, breakage, transfer_in, transfer_out
+ * @param {number} movementData.quantity - Количество (больше нуля)
+ * @param {string} movementData.reason - Причина (обязательна для списания и боя)
+ * @param {string} movementData.counterparty - Поставщик или точка перемещения
+ * @param {string} movementData.moved_at - Когда произошло движение (ISO), по умолчанию сейчас
+ * @param {string} movementData.employee - Сотрудник, отвечающий за списание
+ * @param {string} movementData.photo_url - Фото (например, разбитого товара)
+ * @param {number} movementData.unit_cost - Цена за единицу (для поступления — партия себестоимости)
+ * @returns {Promise<Object>} - Promise с сохраненным движением
+ */
+export async function createStockMovement(movementData) {
+  if (!movementData.item_id) {
+    throw new Error('Ошибка записи движения: не указан товар');
+  }
+  if (!MOVEMENT_TYPES[movementData.type]) {
+    throw new Error('Ошибка записи движения: неизвестный тип ' + movementData.type);
+  }
+
+  const quantity = Number(String(movementData.quantity ?? '').replace(',', '.'));
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new Error('Ошибка записи движения: количество должно быть больше нуля');
+  }
+
+  const reason = String(movementData.reason || '').trim();
+  if (REASON_REQUIRED_TYPES.includes(movementData.type) && !reason) {
+    throw new Error('Ошибка записи движения: укажите причину');
+  }
+
+  // Цена нужна только поступлениям: из них складываются партии для оценки остатка
+  const unitCost = Number(String(movementData.unit_cost ?? '').replace(',', '.'));
+  const hasUnitCost = movementData.type === 'receipt' && String(movementData.unit_cost ?? '').trim() !== '';
+  if (hasUnitCost && (!Number.isFinite(unitCost) || unitCost < 0)) {
+    throw new Error('Ошибка записи движения: некорректная цена');
+  }
+
+  const movement = {
+    id: generateId(),
+    item_id: movementData.item_id,
+    type: movementData.type,
+    quantity,
+    reason: reason || null,
+    counterparty: String(movementData.counterparty || '').trim() || null,
+    moved_at: movementData.moved_at || new Date().toISOString(),
+    employee: String(movementData.employee || '').trim() || null,
+    photo_url: movementData.photo_url || null,
+    unit_cost: hasUnitCost ? roundMoney(unitCost) : null,
+    created_by: getCounterName()
+  };
+
+  // Сначала сохраняем локально
+  const localMovement = await db.addStockMovement(movement);
+
+  if (!navigator.onLine) {
+    requestBackgroundSync();
+    return localMovement;
+  }
+
+  try {
+    await supabase.createStockMovement(localMovement);
+    await db.markAsSynced(STORES.STOCK_MOVEMENTS, movement.id);
+    return { ...localMovement, synced: true };
+  } catch (syncError) {
+    // Движение уже сохранено локально — отправит следующая синхронизация или сервис-воркер
+    console.warn('Не удалось отправить движение на сервер:', syncError.message || syncError);
+    requestBackgroundSync();
+    return localMovement;
+  }
+}
+
+/**
+ * Изменить текущий остаток товара на величину движения
+ * Остаток не уходит в минус: отрицательное количество на полке не бывает.
+ * Цена поступления становится себестоимостью товара (и попадает в ее историю).
+ *
+ * @param {Object} item - Товар
+ * @param {Object} movement - Записанное движение
+ * @returns {Promise<Object>} - Обновленный товар
+ */
+async function applyMovementToItem(item, movement) {
+  const currentQuantity = Number(item.current_quantity ?? item.quantity ?? 0) || 0;
+  const nextQuantity = Math.round((currentQuantity + getSignedQuantity(movement)) * 1000) / 1000;
+  const updates = { current_quantity: Math.max(0, nextQuantity) };
+  if (movement.unit_cost !== null && movement.unit_cost !== undefined) {
+    updates.unit_cost = movement.unit_cost;
+  }
+  return await items.updateItem(item.id, updates, { source: 'movement' });
+}
+
+/**
+ * Записать движение товара со страницы товара
+ * В отличие от createStockMovement, сразу меняет текущий остаток товара.
+ *
+ * @param {Object} item - Товар
+ * @param {Object} movementData - Данные движения (см. createStockMovement)
+ * @returns {Promise<{movement: Object, item: Object}>}
+ */
+export async function recordItemMovement(item, movementData) {
+  const movement = await createStockMovement({ ...movementData, item_id: item.id });
+  return { movement, item: await applyMovementToItem(item, movement) };
+}
+
+/**
+ * Быстрое списание товара (бой, кража, порча)
+ * Записывает движение в журнал и уменьшает текущий остаток товара.
+ * Фото загружается в Supabase Storage, поэтому приложить его можно только онлайн.
+ *
+ * @param {Object} writeOffData - Данные списания
+ * @param {Object} writeOffData.item - Товар
+ * @param {number} writeOffData.quantity - Количество
+ * @param {string} writeOffData.reason - Причина из WRITE_OFF_REASONS
+ * @param {string} writeOffData.employee - Сотрудник
+ * @param {File} writeOffData.photo - Фото (необязательно)
+ * @returns {Promise<{movement: Object, item: Object}>}
+ */
+export async function createWriteOff({ item, quantity, reason, employee, photo = null }) {
+  if (!WRITE_OFF_REASONS.includes(reason)) {
+    throw new Error('Ошибка списания: выберите причину');
+  }
+
+  let photoUrl = null;
+  if (photo) {
+    if (!navigator.onLine) {
+      throw new Error('Ошибка списания: фото можно приложить только при подключении к интернету');
+    }
+    photoUrl = await supabase.uploadFileToStorage(photo, 'item-images', `write-offs/${item.id}-${Date.now()}.${photo.name ? photo.name.split('.').pop() : 'jpg'}`);
+  }
+
+  const movement = await createStockMovement({
+    item_id: item.id,
+    type: 'write_off',
+    quantity,
+    reason,
+    employee: employee || getCounterName(),
+    photo_url: photoUrl
+  });
+
+  return { movement, item: await applyMovementToItem(item, movement) };
+}
+
+/**
+ * Получить все движения товаров
+ * Читаются из локальной базы: движения с других устройств приходят
+ * при синхронизации (pullFromServer в sync.js).
+ *
+ * @returns {Promise<Array>} - Promise с движениями, отсортированными по времени
+ */
+export async function getAllStockMovements() {
+  const movements = await db.getAllStockMovements();
+  return movements.sort((a, b) => String(a.moved_at).localeCompare(String(b.moved_at)));
+}
+
+/**
+ * Получить движения одного товара (новые первыми)
+ *
+ * @param {string} itemId - ID товара
+ * @returns {Promise<Array>}
+ */
+export async function getStockMovementsByItem(itemId) {
+  const movements = await db.getStockMovementsByItem(itemId);
+  return movements.sort((a, b) => String(b.moved_at).localeCompare(String(a.moved_at)));
+}
@@ -0,0 +1,211 @@
+/**
+ * Очередь отправки изменений на сервер (outbox)
+ *
+ * Каждое локальное изменение товаров, сессий, записей подсчета и отчетов записывается
+ * в хранилище outbox операцией:
+ *   { seq, entity_key, store_name, action, record_id, payload, revision,
+ *     attempts, next_attempt_at, last_error, queued_at }
+ * Операции отправляются по порядку seq (см. replayOutbox в sync.js). Новая операция
+ * над той же записью сливается с еще не отправленной, поэтому на запись в очереди
+ * обычно одна операция. Неудачная попытка откладывает операцию с растущей паузой,
+ * следующие операции той же записи ждут ее.
+ *
+ * Удаление оставляет надгробие (tombstone) { key, store_name, record_id, deleted_at },
+ * пока сервер не подтвердит удаление: записи с сервера, у которых есть надгробие
+ * (а для записей подсчета и отчетов — надгробие их сессии), не возвращаются в базу.
+ */
+
+// Виды операций
+export const OUTBOX_ACTIONS = {
+  create: 'Создание',
+  update: 'Изменение',
+  delete: 'Удаление'
+};
+
+// Записи подсчета и отчеты удаляются вместе со своей сессией
+const SESSIONS_STORE = 'sessions';
+const SESSION_CHILD_STORES = ['inventory_items', 'inventory_reports'];
+
+// Пауза перед повтором: 5 секунд, дальше вдвое больше, но не дольше 30 минут
+export const RETRY_BASE_DELAY = 5 * 1000;
+export const RETRY_MAX_DELAY = 30 * 60 * 1000;
+
+/**
+ * Ключ записи в очереди
+ *
+ * @param {string} storeName - Хранилище
+ * @param {string} recordId - ID записи
+ * @returns {string}
+ */
+export function getOutboxKey(storeName, recordId) {
+  return `${storeName}:${recordId}`;
+}
+
+/**
+ * Новая операция очереди (seq назначает IndexedDB)
+ *
+ * @param {string} storeName - Хранилище
+ * @param {string} action - Вид операции (см. OUTBOX_ACTIONS)
+ * @param {string} recordId - ID записи
+ * @param {Object|null} payload - Данные: запись целиком при создании, изменения при правке
+ * @param {string} queuedAt - Время постановки в очередь (ISO)
+ * @returns {Object}
+ */
+export function createOutboxOperation(storeName, action, recordId, payload = null, queuedAt = new Date().toISOString()) {
+  if (!OUTBOX_ACTIONS[action]) {
+    throw new Error('Ошибка очереди отправки: неизвестная операция ' + action);
+  }
+  return {
+    entity_key: getOutboxKey(storeName, recordId),
+    store_name: storeName,
+    action,
+    record_id: recordId,
+    payload: payload || null,
+    revision: 1,
+    attempts: 0,
+    next_attempt_at: null,
+    last_error: null,
+    queued_at: queuedAt
+  };
+}
+
+/**
+ * Слить новую операцию с последней неотправленной операцией той же записи
+ *
+ * - создание или правка + правка — одна операция с объединенными данными;
+ * - создание или правка + удаление — удаление на месте прежней операции
+ *   (создание могло уже дойти до сервера, поэтому удаление не отбрасываем);
+ * - после удаления новые операции встают в очередь следом.
+ * Слитая операция сохраняет свой seq (место в очереди), получает новую revision
+ * и сбрасывает паузу: это новое действие пользователя.
+ *
+ * @param {Object|null} pending - Последняя операция записи в очереди
+ * @param {Object} next - Новая операция
+ * @returns {Object} - Операция для сохранения (с seq — замена, без seq — добавление)
+ */
+export function coalesceOperation(pending, next) {
+  if (!pending || pending.action === 'delete') {
+    return next;
+  }
+
+  const merged = {
+    ...pending,
+    revision: (pending.revision || 1) + 1,
+    attempts: 0,
+    next_attempt_at: null,
+    last_error: null,
+    queued_at: next.queued_at
+  };
+
+  if (next.action === 'delete') {
+    return { ...merged, action: 'delete', payload: next.payload };
+  }
+  if (next.action === 'create') {
+    return { ...merged, payload: next.payload };
+  }
+  return { ...merged, payload: { ...(pending.payload || {}), ...(next.payload || {}) } };
+}
+
+/**
+ * Пауза перед следующей попыткой
+ *
+ * @param {number} attempts - Сколько попыток уже не удалось
+ * @returns {number} - Миллисекунды
+ */
+export function getRetryDelay(attempts) {
+  if (!attempts || attempts < 1) return 0;
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+/**
+ * Изменения операции после неудачной попытки
+ *
+ * @param {Object} operation - Операция
+ * @param {string} error - Текст ошибки
+ * @param {number} now - Текущее время (мс)
+ * @returns {{attempts: number, next_attempt_at: string, last_error: string}}
+ */
+export function getRetryState(operation, error, now = Date.now()) {
+  const attempts = (operation.attempts || 0) + 1;
+  return {
+    attempts,
+    next_attempt_at: new Date(now + getRetryDelay(attempts)).toISOString(),
+    last_error: error || null
+  };
+}
+
+/**
+ * Операции, которые пора отправить, по порядку очереди
+ * Если операция записи еще ждет паузы, следующие операции этой записи тоже ждут.
+ *
+ * @param {Array} operations - Операции очереди
+ * @param {number} now - Текущее время (мс)
+ * @returns {Array}
+ */
+export function getDueOperations(operations, now = Date.now()) {
+  const waiting = new Set();
+
+  return [...(operations || [])]
+    .sort((a, b) => a.seq - b.seq)
+    .filter(operation => {
+      if (waiting.has(operation.entity_key)) return false;
+      if (operation.next_attempt_at && Date.parse(operation.next_attempt_at) > now) {
+        waiting.add(operation.entity_key);
+        return false;
+      }
+      return true;
+    });
+}
+
+/**
+ * Сводка очереди для статуса синхронизации
+ *
+ * @param {Array} operations - Операции очереди
+ * @returns {{total: number, failing: number, byStore: Object}}
+ */
+export function summarizeOutbox(operations) {
+  const byStore = {};
+  let failing = 0;
+
+  (operations || []).forEach(operation => {
+    byStore[operation.store_name] = (byStore[operation.store_name] || 0) + 1;
+    if (operation.attempts > 0) failing++;
+  });
+
+  return { total: (operations || []).length, failing, byStore };
+}
+
+/**
+ * Надгробие удаленной записи
+ *
+ * @param {string} storeName - Хранилище
+ * @param {string} recordId - ID записи
+ * @param {string} deletedAt - Время удаления (ISO)
+ * @returns {Object}
+ */
+export function createTombstone(storeName, recordId, deletedAt = new Date().toISOString()) {
+  return {
+    key: getOutboxKey(storeName, recordId),
+    store_name: storeName,
+    record_id: recordId,
+    deleted_at: deletedAt
+  };
+}
+
+/**
+ * Убрать из записей с сервера удаленные на этом устройстве
+ *
+ * @param {Array} records - Записи с сервера
+ * @param {string} storeName - Хранилище записей
+ * @param {Array} tombstones - Надгробия
+ * @returns {Array}
+ */
+export function removeDeleted(records, storeName, tombstones) {
+  const deletedKeys = new Set((tombstones || []).map(tombstone => tombstone.key));
+  if (deletedKeys.size === 0) return records || [];
+
+  const checkSession = SESSION_CHILD_STORES.includes(storeName);
+  return (records || []).filter(record => record
+    && !deletedKeys.has(getOutboxKey(storeName, record.id))
+    && !(checkSession && record.session_id && deletedKeys.has(getOutboxKey(SESSIONS_STORE, record.session_id))));
+}
@@ -0,0 +1,227 @@
+/**
+ * Предлагаемый заказ поставщикам по минимальному запасу
+ *
+ * У товара может быть минимальный запас (par_level) и кратность заказа (reorder_qty —
+ * например, бокалы приходят коробками по 24). После инвентаризации товары,
+ * посчитанные ниже минимума, попадают в заказ: недостающее до минимума,
+ * округленное вверх до кратности. Заказ группируется по поставщикам: из справочника
+ * (поставщик в карточке товара), а для остальных — по последнему поступлению.
+ */
+
+// Группа для товаров, поставщик которых неизвестен
+export const NO_SUPPLIER = 'Без поставщика';
+
+// Дни заказа поставщика хранятся номерами: 1 — понедельник … 7 — воскресенье
+export const ORDER_DAY_LABELS = ['пн', 'вт', 'ср', 'чт', 'пт', 'сб', 'вс'];
+
+/**
+ * Разобрать дни заказа: массив номеров или строка "пн, чт" / "1,4" (из Excel или формы)
+ *
+ * @param {Array|string} value - Дни заказа
+ * @returns {Array<number>} - Номера дней по порядку, без повторов
+ */
+export function parseOrderDays(value) {
+  const parts = Array.isArray(value) ? value : String(value ?? '').toLowerCase().split(/[\s,;]+/);
+  const days = new Set();
+
+  parts.forEach(part => {
+    const text = String(part).trim().toLowerCase();
+    if (!text) return;
+    const number = Number(text);
+    if (Number.isInteger(number) && number >= 1 && number <= 7) {
+      days.add(number);
+      return;
+    }
+    const index = ORDER_DAY_LABELS.findIndex(label => text.startsWith(label));
+    if (index !== -1) days.add(index + 1);
+  });
+
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+/**
+ * Дни заказа для показа: "пн, чт"
+ *
+ * @param {Array<number>} days - Номера дней
+ * @returns {string}
+ */
+export function formatOrderDays(days) {
+  return parseOrderDays(days).map(day => ORDER_DAY_LABELS[day - 1]).join(', ');
+}
+
+/**
+ * Ближайший день заказа (сегодня тоже подходит)
+ *
+ * @param {Array<number>} orderDays - Дни заказа поставщика
+ * @param {Date} from - С какой даты искать
+ * @returns {Date|null} - null, если дни заказа не заданы
+ */
+export function getNextOrderDate(orderDays, from = new Date()) {
+  const days = parseOrderDays(orderDays);
+  if (days.length === 0) return null;
+
+  for (let offset = 0; offset < 7; offset++) {
+    const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    // getDay(): 0 — воскресенье, приводим к 1..7
+    const weekday = date.getDay() === 0 ? 7 : date.getDay();
+    if (days.includes(weekday)) return date;
+  }
+  return null;
+}
+
+/**
+ * Когда придет заказ: ближайший день заказа + срок поставки
+ *
+ * @param {Object} supplier - Поставщик ({ order_days, lead_time_days })
+ * @param {Date} from - С какой даты считать
+ * @returns {Date|null} - null, если срок поставки не задан
+ */
+export function getExpectedDeliveryDate(supplier, from = new Date()) {
+  const leadTime = Number(supplier?.lead_time_days);
+  if (supplier?.lead_time_days === null || supplier?.lead_time_days === undefined || !Number.isFinite(leadTime)) return null;
+
+  const orderDate = getNextOrderDate(supplier.order_days, from)
+    || new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  return new Date(orderDate.getFullYear(), orderDate.getMonth(), orderDate.getDate() + leadTime);
+}
+
+/**
+ * Сколько заказать товара
+ *
+ * @param {number} counted - Посчитанное количество
+ * @param {number|null} parLevel - Минимальный запас
+ * @param {number|null} reorderQty - Кратность заказа (упаковка, коробка)
+ * @returns {number} - 0, если заказывать не нужно
+ */
+export function getOrderQuantity(counted, parLevel, reorderQty = null) {
+  const par = Number(parLevel);
+  if (parLevel === null || parLevel === undefined || !Number.isFinite(par) || par <= 0) return 0;
+
+  const shortage = par - (Number(counted) || 0);
+  if (shortage <= 0) return 0;
+
+  const pack = Number(reorderQty);
+  if (Number.isFinite(pack) && pack > 0) {
+    return Math.ceil(shortage / pack - 1e-9) * pack;
+  }
+  // Без кратности заказываем ровно до минимума (дробные единицы — с точностью до тысячных)
+  return Math.round(shortage * 1000) / 1000;
+}
+
+/**
+ * Последний поставщик каждого товара по журналу поступлений
+ *
+ * @param {Array} movements - Движения товаров (см. stock.js)
+ * @returns {Object} - { itemId: поставщик }
+ */
+export function getLastSuppliers(movements) {
+  const latest = {};
+
+  (movements || []).forEach(movement => {
+    const supplier = String(movement?.counterparty || '').trim();
+    if (movement?.type !== 'receipt' || !movement.item_id || !supplier) return;
+
+    const time = Date.parse(movement.moved_at || '') || 0;
+    if (!latest[movement.item_id] || time >= latest[movement.item_id].time) {
+      latest[movement.item_id] = { supplier, time };
+    }
+  });
+
+  return Object.fromEntries(Object.entries(latest).map(([itemId, entry]) => [itemId, entry.supplier]));
+}
+
+/**
+ * Поставщик каждого товара: из карточки товара, иначе — из последнего поступления
+ *
+ * @param {Array} items - Товары (с supplier_id)
+ * @param {Array} suppliers - Справочник поставщиков
+ * @param {Array} movements - Движения товаров (для товаров без поставщика в карточке)
+ * @returns {Object} - { itemId: поставщик (объект из справочника или название) }
+ */
+export function getItemSuppliers(items, suppliers, movements = []) {
+  const suppliersById = Object.fromEntries((suppliers || []).map(supplier => [supplier.id, supplier]));
+  const lastSuppliers = getLastSuppliers(movements);
+  const result = {};
+
+  (items || []).forEach(item => {
+    const supplier = suppliersById[item.supplier_id] || lastSuppliers[item.id];
+    if (supplier) result[item.id] = supplier;
+  });
+
+  return result;
+}
+
+/**
+ * Собрать предлагаемый заказ
+ *
+ * @param {Array} items - Товары (с par_level, reorder_qty)
+ * @param {Object} countedByItemId - { itemId: посчитанное количество }; для непосчитанных берется текущий остаток
+ * @param {Object} supplierByItemId - { itemId: поставщик (объект из справочника или название) }
+ * @returns {{suppliers: Array, total_lines: number}} - suppliers: [{ supplier, details, lines: [...] }]
+ */
+export function buildPurchaseOrder(items, countedByItemId = {}, supplierByItemId = {}) {
+  const bySupplier = new Map();
+  let totalLines = 0;
+
+  (items || []).forEach(item => {
+    const counted = item.id in (countedByItemId || {})
+      ? Number(countedByItemId[item.id]) || 0
+      : Number(item.current_quantity ?? item.quantity ?? 0) || 0;
+    const orderQty = getOrderQuantity(counted, item.par_level, item.reorder_qty);
+    if (orderQty <= 0) return;
+
+    const source = supplierByItemId?.[item.id];
+    const details = source && typeof source === 'object' ? source : null;
+    const supplier = String(details ? details.name : (source || '')).trim() || NO_SUPPLIER;
+    if (!bySupplier.has(supplier)) {
+      bySupplier.set(supplier, { details, lines: [] });
+    }
+    bySupplier.get(supplier).lines.push({
+      item_id: item.id,
+      item_name: item.name,
+      sku: item.sku || null,
+      supplier_sku: item.supplier_sku || null,
+      supplier_price: item.supplier_price ?? null,
+      unit: item.unit || 'шт.',
+      counted,
+      par_level: Number(item.par_level),
+      reorder_qty: item.reorder_qty ?? null,
+      order_qty: orderQty
+    });
+    totalLines++;
+  });
+
+  const suppliers = Array.from(bySupplier.entries())
+    .map(([supplier, { details, lines }]) => ({
+      supplier,
+      details,
+      lines: lines.sort((a, b) => String(a.item_name).localeCompare(String(b.item_name), 'ru'))
+    }))
+    .sort((a, b) => {
+      if (a.supplier === NO_SUPPLIER) return 1;
+      if (b.supplier === NO_SUPPLIER) return -1;
+      return a.supplier.localeCompare(b.supplier, 'ru');
+    });
+
+  return { suppliers, total_lines: totalLines };
+}
+
+/**
+ * Текст заказа для отправки поставщикам (мессенджер, почта)
+ *
+ * @param {Object} order - Заказ (см. buildPurchaseOrder)
+ * @param {string} dateLabel - Дата инвентаризации для заголовка
+ * @returns {string}
+ */
+export function formatPurchaseOrderText(order, dateLabel = '') {
+  const header = `Заказ по инвентаризации${dateLabel ? ` от ${dateLabel}` : ''}`;
+  const blocks = (order?.suppliers || []).map(group => {
+    // Поставщику понятнее его собственный артикул
+    const lines = group.lines.map(line => {
+      const code = line.supplier_sku || line.sku;
+      return `- ${line.item_name}${code ? ` (${code})` : ''}: ${line.order_qty} ${line.unit}`;
+    });
+    return [`${group.supplier}:`, ...lines].join('\n');
+  });
+  return [header, ...blocks].join('\n\n');
+}
@@ -0,0 +1,936 @@
+/**
+ * Программный декодер QR-кодов (для браузеров без BarcodeDetector)
+ *
+ * Кадр с камеры переводится в черно-белый с порогом по соседним блокам,
+ * затем ищутся три поисковых узора (квадраты в углах), по ним и выравнивающему
+ * узору строится сетка модулей с учетом поворота и наклона. Из сетки читаются
+ * формат, байты данных с исправлением ошибок (Рид-Соломон) и текст
+ * (цифровой, буквенно-цифровой и байтовый режимы, байты — UTF-8).
+ */
+
+// Символы коррекции на блок и количество блоков: [уровень L, M, Q, H][версия]
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const NUM_ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Биты уровня коррекции в информации о формате -> индекс в таблицах выше (L, M, Q, H)
+const ECC_LEVEL_BY_FORMAT_BITS = [1, 0, 3, 2];
+
+// Символы буквенно-цифрового режима
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Размер блока для порога яркости (пиксели) и минимальный перепад яркости в блоке
+const BINARIZE_BLOCK_SIZE = 8;
+const MIN_DYNAMIC_RANGE = 24;
+
+// Сколько лучших кандидатов в поисковые узоры перебираем
+const MAX_FINDER_CANDIDATES = 8;
+
+// Таблицы степеней и логарифмов поля Галуа GF(256) по модулю 0x11D
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  GF_EXP[i] = value;
+  GF_LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) value ^= 0x11D;
+}
+for (let i = 255; i < 512; i++) {
+  GF_EXP[i] = GF_EXP[i - 255];
+}
+
+/**
+ * Умножение в GF(256)
+ */
+function gfMultiply(x, y) {
+  if (x === 0 || y === 0) return 0;
+  return GF_EXP[GF_LOG[x] + GF_LOG[y]];
+}
+
+/**
+ * Деление в GF(256)
+ */
+function gfDivide(x, y) {
+  if (x === 0) return 0;
+  return GF_EXP[(GF_LOG[x] + 255 - GF_LOG[y]) % 255];
+}
+
+/**
+ * Значение многочлена (коэффициенты от младшей степени) в точке x
+ */
+function gfEvaluate(poly, x) {
+  let result = 0;
+  for (let i = poly.length - 1; i >= 0; i--) {
+    result = gfMultiply(result, x) ^ poly[i];
+  }
+  return result;
+}
+
+/**
+ * Исправить ошибки в блоке кодом Рида-Соломона
+ *
+ * @param {Array<number>} block - Байты блока (данные и коррекция)
+ * @param {number} eccLength - Сколько байт коррекции в конце блока
+ * @returns {Array<number>|null} - Исправленный блок или null, если ошибок слишком много
+ */
+function correctErrors(block, eccLength) {
+  const n = block.length;
+  // Блок — многочлен, первый байт — старший коэффициент; синдромы в корнях α^0..α^(ecc-1)
+  const syndromes = [];
+  let hasErrors = false;
+  for (let i = 0; i < eccLength; i++) {
+    let value = 0;
+    for (let k = 0; k < n; k++) {
+      value = gfMultiply(value, GF_EXP[i]) ^ block[k];
+    }
+    syndromes.push(value);
+    if (value !== 0) hasErrors = true;
+  }
+  if (!hasErrors) return block;
+
+  // Многочлен локаторов ошибок (Берлекэмп-Мэсси)
+  let locator = [1];
+  let previous = [1];
+  let errorCount = 0;
+  let shift = 1;
+  let previousDiscrepancy = 1;
+
+  for (let step = 0; step < eccLength; step++) {
+    let discrepancy = syndromes[step];
+    for (let i = 1; i <= errorCount; i++) {
+      discrepancy ^= gfMultiply(locator[i] || 0, syndromes[step - i]);
+    }
+
+    if (discrepancy === 0) {
+      shift++;
+      continue;
+    }
+
+    const factor = gfDivide(discrepancy, previousDiscrepancy);
+    const updated = locator.slice();
+    previous.forEach((coef, i) => {
+      updated[i + shift] = (updated[i + shift] || 0) ^ gfMultiply(factor, coef);
+    });
+
+    if (2 * errorCount <= step) {
+      previous = locator;
+      errorCount = step + 1 - errorCount;
+      previousDiscrepancy = discrepancy;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = updated;
+  }
+
+  if (errorCount * 2 > eccLength) return null;
+
+  // Позиции ошибок — корни локатора (поиск Ченя)
+  const positions = [];
+  for (let k = 0; k < n; k++) {
+    const inverse = GF_EXP[(255 - (n - 1 - k)) % 255];
+    if (gfEvaluate(locator, inverse) === 0) positions.push(k);
+  }
+  if (positions.length !== errorCount) return null;
+
+  // Величины ошибок (алгоритм Форни)
+  const evaluator = [];
+  for (let i = 0; i < eccLength; i++) {
+    let value = 0;
+    for (let j = 0; j <= i; j++) {
+      value ^= gfMultiply(syndromes[j], locator[i - j] || 0);
+    }
+    evaluator.push(value);
+  }
+  const derivative = locator.map((coef, i) => (i % 2 === 1 ? coef : 0)).slice(1);
+
+  const corrected = block.slice();
+  for (const k of positions) {
+    const location = GF_EXP[n - 1 - k];
+    const inverse = gfDivide(1, location);
+    const denominator = gfEvaluate(derivative, inverse);
+    if (denominator === 0) return null;
+    corrected[k] ^= gfMultiply(location, gfDivide(gfEvaluate(evaluator, inverse), denominator));
+  }
+
+  return corrected;
+}
+
+/**
+ * Количество модулей под данные (без служебных узоров) для версии
+ */
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Координаты центров выравнивающих узоров
+ */
+function getAlignmentPatternPositions(version) {
+  if (version === 1) return [];
+
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/**
+ * Карта служебных модулей (узоры, формат, версия) — в них нет данных
+ */
+function buildFunctionMap(version) {
+  const size = version * 4 + 17;
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const markRect = (left, top, width, height) => {
+    for (let y = top; y < top + height; y++) {
+      for (let x = left; x < left + width; x++) {
+        isFunction[y][x] = true;
+      }
+    }
+  };
+
+  // Поисковые узоры с разделителями и информацией о формате
+  markRect(0, 0, 9, 9);
+  markRect(size - 8, 0, 8, 9);
+  markRect(0, size - 8, 9, 8);
+
+  // Синхронизирующие линии
+  markRect(6, 0, 1, size);
+  markRect(0, 6, size, 1);
+
+  const alignPositions = getAlignmentPatternPositions(version);
+  const last = alignPositions.length - 1;
+  alignPositions.forEach((cy, i) => {
+    alignPositions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      markRect(cx - 2, cy - 2, 5, 5);
+    });
+  });
+
+  // Информация о версии (для версий 7+)
+  if (version >= 7) {
+    markRect(size - 11, 0, 3, 6);
+    markRect(0, size - 11, 6, 3);
+  }
+
+  return isFunction;
+}
+
+/**
+ * Функция маски по номеру
+ */
+function maskApplies(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+    case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+    default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+  }
+}
+
+/**
+ * Прочитать информацию о формате (уровень коррекции и маску)
+ * Берется ближайшее допустимое значение из двух копий (до 3 неверных бит).
+ *
+ * @param {Array<Array<boolean>>} modules - Матрица модулей
+ * @returns {{eccLevel: number, mask: number}|null}
+ */
+function readFormatInfo(modules) {
+  const size = modules.length;
+  const bit = (x, y) => (modules[y][x] ? 1 : 0);
+
+  let first = 0;
+  let second = 0;
+  const positionsFirst = [];
+  for (let i = 0; i <= 5; i++) positionsFirst.push([8, i]);
+  positionsFirst.push([8, 7], [8, 8], [7, 8]);
+  for (let i = 9; i < 15; i++) positionsFirst.push([14 - i, 8]);
+  const positionsSecond = [];
+  for (let i = 0; i < 8; i++) positionsSecond.push([size - 1 - i, 8]);
+  for (let i = 8; i < 15; i++) positionsSecond.push([8, size - 15 + i]);
+
+  positionsFirst.forEach(([x, y], i) => { first |= bit(x, y) << i; });
+  positionsSecond.forEach(([x, y], i) => { second |= bit(x, y) << i; });
+
+  let best = null;
+  let bestDistance = 4;
+  for (let data = 0; data < 32; data++) {
+    let rem = data;
+    for (let i = 0; i < 10; i++) {
+      rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    for (const candidate of [first, second]) {
+      let distance = 0;
+      for (let diff = bits ^ candidate; diff; diff &= diff - 1) distance++;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = { eccLevel: ECC_LEVEL_BY_FORMAT_BITS[data >>> 3], mask: data & 7 };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Прочитать байты из матрицы: зигзагом снизу вверх, по два столбца, без служебных модулей
+ */
+function readCodewords(modules, version, mask) {
+  const size = modules.length;
+  const isFunction = buildFunctionMap(version);
+  const total = Math.floor(getNumRawDataModules(version) / 8);
+  const codewords = new Array(total).fill(0);
+
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (isFunction[y][x] || bitIndex >= total * 8) continue;
+        if (modules[y][x] !== maskApplies(mask, x, y)) {
+          codewords[bitIndex >>> 3] |= 0x80 >>> (bitIndex & 7);
+        }
+        bitIndex++;
+      }
+    }
+  }
+
+  return codewords;
+}
+
+/**
+ * Разобрать байты по блокам, исправить ошибки и собрать данные
+ *
+ * @returns {Array<number>|null} - Байты данных или null, если блок не исправить
+ */
+function correctCodewords(codewords, version, eccLevel) {
+  const numBlocks = NUM_ECC_BLOCKS[eccLevel][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[eccLevel][version];
+  const numShortBlocks = numBlocks - (codewords.length % numBlocks);
+  const shortDataLen = Math.floor(codewords.length / numBlocks) - blockEccLen;
+
+  // Сначала идут байты данных всех блоков вперемешку (в коротких блоках на один меньше), затем коррекция
+  const blocks = Array.from({ length: numBlocks }, (_, j) => new Array(shortDataLen + (j < numShortBlocks ? 0 : 1) + blockEccLen));
+  let k = 0;
+  for (let i = 0; i <= shortDataLen; i++) {
+    for (let j = 0; j < numBlocks; j++) {
+      if (i === shortDataLen && j < numShortBlocks) continue;
+      blocks[j][i] = codewords[k++];
+    }
+  }
+  for (let i = 0; i < blockEccLen; i++) {
+    for (let j = 0; j < numBlocks; j++) {
+      blocks[j][blocks[j].length - blockEccLen + i] = codewords[k++];
+    }
+  }
+
+  const data = [];
+  for (const block of blocks) {
+    const corrected = correctErrors(block, blockEccLen);
+    if (!corrected) return null;
+    data.push(...corrected.slice(0, corrected.length - blockEccLen));
+  }
+  return data;
+}
+
+/**
+ * Текст из байт: UTF-8, а если байты им не являются — Latin-1
+ */
+function bytesToText(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+  } catch (error) {
+    return String.fromCharCode(...bytes);
+  }
+}
+
+/**
+ * Разобрать поток данных на сегменты и собрать текст
+ *
+ * @returns {string|null} - Текст или null, если поток поврежден или режим не поддерживается
+ */
+function parseSegments(data, version) {
+  let position = 0;
+  const available = () => data.length * 8 - position;
+  const readBits = (length) => {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      const bit = (data[position >>> 3] >>> (7 - (position & 7))) & 1;
+      value = (value << 1) | bit;
+      position++;
+    }
+    return value;
+  };
+
+  // Длина поля «количество символов» зависит от режима и группы версий
+  const sizeClass = version < 10 ? 0 : version < 27 ? 1 : 2;
+  let text = '';
+  let bytes = [];
+  const flushBytes = () => {
+    if (bytes.length > 0) text += bytesToText(bytes);
+    bytes = [];
+  };
+
+  while (available() >= 4) {
+    const mode = readBits(4);
+    if (mode === 0b0000) break;
+
+    if (mode === 0b0001) {
+      // Цифры: по три в 10 битах
+      let count = readBits([10, 12, 14][sizeClass]);
+      flushBytes();
+      while (count >= 3) {
+        if (available() < 10) return null;
+        text += String(readBits(10)).padStart(3, '0');
+        count -= 3;
+      }
+      if (count === 2) text += String(readBits(7)).padStart(2, '0');
+      if (count === 1) text += String(readBits(4));
+    } else if (mode === 0b0010) {
+      // Буквы и цифры: по два символа в 11 битах
+      let count = readBits([9, 11, 13][sizeClass]);
+      flushBytes();
+      while (count >= 2) {
+        if (available() < 11) return null;
+        const value = readBits(11);
+        text += ALPHANUMERIC_CHARSET[Math.floor(value / 45)] + ALPHANUMERIC_CHARSET[value % 45];
+        count -= 2;
+      }
+      if (count === 1) text += ALPHANUMERIC_CHARSET[readBits(6)];
+    } else if (mode === 0b0100) {
+      const count = readBits([8, 16, 16][sizeClass]);
+      if (available() < count * 8) return null;
+      for (let i = 0; i < count; i++) bytes.push(readBits(8));
+    } else if (mode === 0b0111) {
+      // ECI: кодировку не переключаем, байты читаем как UTF-8
+      const first = readBits(8);
+      if ((first & 0x80) !== 0) readBits((first & 0x40) === 0 ? 8 : 16);
+    } else if (mode === 0b0011) {
+      // Составной код: пропускаем номер части и контрольную сумму
+      readBits(16);
+    } else if (mode === 0b0101) {
+      // FNC1 в первой позиции — без данных
+    } else if (mode === 0b1001) {
+      readBits(8);
+    } else {
+      // Кандзи и прочие режимы на этикетках не встречаются
+      return null;
+    }
+  }
+
+  flushBytes();
+  return text;
+}
+
+/**
+ * Распознать QR-код в готовой матрице модулей
+ *
+ * @param {Array<Array<boolean>>} modules - Квадратная матрица (true — темный модуль)
+ * @returns {string|null} - Текст или null
+ */
+export function decodeQrMatrix(modules) {
+  const size = modules?.length || 0;
+  const version = (size - 17) / 4;
+  if (!Number.isInteger(version) || version < 1 || version > 40) return null;
+
+  const format = readFormatInfo(modules);
+  if (!format) return null;
+
+  const data = correctCodewords(readCodewords(modules, version, format.mask), version, format.eccLevel);
+  return data ? parseSegments(data, version) : null;
+}
+
+/**
+ * Перевести кадр в черно-белый: порог — средняя яркость соседних блоков
+ * Так код читается и при неравномерном освещении.
+ *
+ * @returns {Uint8Array} - 1 — темный пиксель
+ */
+function binarize(luminance, width, height) {
+  const blocksX = Math.ceil(width / BINARIZE_BLOCK_SIZE);
+  const blocksY = Math.ceil(height / BINARIZE_BLOCK_SIZE);
+  const thresholds = new Float32Array(blocksX * blocksY);
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      let min = 255;
+      let max = 0;
+      let sum = 0;
+      let count = 0;
+      for (let y = by * BINARIZE_BLOCK_SIZE; y < Math.min(height, (by + 1) * BINARIZE_BLOCK_SIZE); y++) {
+        for (let x = bx * BINARIZE_BLOCK_SIZE; x < Math.min(width, (bx + 1) * BINARIZE_BLOCK_SIZE); x++) {
+          const value = luminance[y * width + x];
+          sum += value;
+          count++;
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
+      }
+
+      let average = sum / count;
+      if (max - min <= MIN_DYNAMIC_RANGE) {
+        // Однотонный блок: считаем светлым, если рядом нет более темного фона
+        average = min / 2;
+        if (bx > 0 && by > 0) {
+          const neighbors = (thresholds[(by - 1) * blocksX + bx] + 2 * thresholds[by * blocksX + bx - 1] + thresholds[(by - 1) * blocksX + bx - 1]) / 4;
+          if (min < neighbors) average = neighbors;
+        }
+      }
+      thresholds[by * blocksX + bx] = average;
+    }
+  }
+
+  const bits = new Uint8Array(width * height);
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      // Порог блока — среднее по окрестности 5x5 блоков
+      let sum = 0;
+      let count = 0;
+      for (let ny = Math.max(0, by - 2); ny <= Math.min(blocksY - 1, by + 2); ny++) {
+        for (let nx = Math.max(0, bx - 2); nx <= Math.min(blocksX - 1, bx + 2); nx++) {
+          sum += thresholds[ny * blocksX + nx];
+          count++;
+        }
+      }
+      const threshold = sum / count;
+
+      for (let y = by * BINARIZE_BLOCK_SIZE; y < Math.min(height, (by + 1) * BINARIZE_BLOCK_SIZE); y++) {
+        for (let x = bx * BINARIZE_BLOCK_SIZE; x < Math.min(width, (bx + 1) * BINARIZE_BLOCK_SIZE); x++) {
+          bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+        }
+      }
+    }
+  }
+
+  return bits;
+}
+
+/**
+ * Похожи ли пять отрезков на поисковый узор (1:1:3:1:1)
+ */
+function isFinderRatio(counts) {
+  const total = counts[0] + counts[1] + counts[2] + counts[3] + counts[4];
+  if (total < 7) return false;
+  const moduleSize = total / 7;
+  const maxVariance = moduleSize / 2;
+  return Math.abs(moduleSize - counts[0]) < maxVariance &&
+    Math.abs(moduleSize - counts[1]) < maxVariance &&
+    Math.abs(3 * moduleSize - counts[2]) < 3 * maxVariance &&
+    Math.abs(moduleSize - counts[3]) < maxVariance &&
+    Math.abs(moduleSize - counts[4]) < maxVariance;
+}
+
+/**
+ * Проверить узор по линии через точку и уточнить центр
+ *
+ * @param {Uint8Array} bits - Черно-белый кадр
+ * @param {number} width - Ширина кадра
+ * @param {number} height - Высота кадра
+ * @param {number} x - Начальная точка (внутри центрального квадрата)
+ * @param {number} y
+ * @param {number} dx - Направление линии (1, 0) или (0, 1)
+ * @param {number} dy
+ * @param {number} maxCount - Максимальная длина одного отрезка
+ * @returns {{center: number, total: number}|null} - Центр по оси линии и длина узора
+ */
+function crossCheck(bits, width, height, x, y, dx, dy, maxCount) {
+  const counts = [0, 0, 0, 0, 0];
+  const isDark = (px, py) => px >= 0 && py >= 0 && px < width && py < height && bits[py * width + px] === 1;
+
+  // Назад от центра: центральный квадрат, светлое кольцо, темное кольцо
+  let px = x;
+  let py = y;
+  for (const [index, dark] of [[2, true], [1, false], [0, true]]) {
+    while (px >= 0 && py >= 0 && isDark(px, py) === dark && counts[index] <= maxCount) {
+      counts[index]++;
+      px -= dx;
+      py -= dy;
+    }
+    if (counts[index] === 0 || counts[index] > maxCount) return null;
+  }
+
+  // Вперед от центра
+  px = x + dx;
+  py = y + dy;
+  for (const [index, dark] of [[2, true], [3, false], [4, true]]) {
+    while (px < width && py < height && isDark(px, py) === dark && counts[index] <= maxCount) {
+      counts[index]++;
+      px += dx;
+      py += dy;
+    }
+    if (counts[index] === 0 || counts[index] > maxCount) return null;
+  }
+
+  if (!isFinderRatio(counts)) return null;
+
+  const end = dx ? px : py;
+  return { center: end - counts[4] - counts[3] - counts[2] / 2, total: counts.reduce((sum, count) => sum + count, 0) };
+}
+
+/**
+ * Найти кандидатов в поисковые узоры
+ * Каждая строка кадра проверяется на отрезки 1:1:3:1:1, найденное подтверждается
+ * по вертикали и еще раз по горизонтали. Близкие находки объединяются.
+ *
+ * @returns {Array<{x: number, y: number, moduleSize: number, count: number}>}
+ */
+function findFinderPatterns(bits, width, height) {
+  const candidates = [];
+
+  const addCandidate = (x, y, moduleSize) => {
+    const existing = candidates.find(candidate =>
+      Math.abs(candidate.x - x) <= candidate.moduleSize * 2 &&
+      Math.abs(candidate.y - y) <= candidate.moduleSize * 2 &&
+      Math.abs(candidate.moduleSize - moduleSize) <= Math.max(1, candidate.moduleSize / 2));
+    if (existing) {
+      const count = existing.count + 1;
+      existing.x = (existing.x * existing.count + x) / count;
+      existing.y = (existing.y * existing.count + y) / count;
+      existing.moduleSize = (existing.moduleSize * existing.count + moduleSize) / count;
+      existing.count = count;
+    } else {
+      candidates.push({ x, y, moduleSize, count: 1 });
+    }
+  };
+
+  const checkRun = (counts, x, y) => {
+    if (!isFinderRatio(counts)) return;
+    const centerX = Math.floor(x - counts[4] - counts[3] - counts[2] / 2);
+    const maxCount = counts[0] + counts[1] + counts[2] + counts[3] + counts[4];
+    const vertical = crossCheck(bits, width, height, centerX, y, 0, 1, maxCount);
+    const horizontal = vertical && crossCheck(bits, width, height, centerX, Math.floor(vertical.center), 1, 0, maxCount);
+    if (horizontal) {
+      addCandidate(horizontal.center, vertical.center, (horizontal.total + vertical.total) / 14);
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    // Отрезки темный-светлый-темный-светлый-темный; state — текущий отрезок (нечетные — светлые)
+    const counts = [0, 0, 0, 0, 0];
+    let state = 0;
+    const row = y * width;
+
+    for (let x = 0; x < width; x++) {
+      const dark = bits[row + x] === 1;
+      if (dark) {
+        if (state % 2 === 1) state++;
+        counts[state]++;
+      } else if (state % 2 === 1) {
+        counts[state]++;
+      } else if (state === 0 && counts[0] === 0) {
+        // Светлое поле до первого темного отрезка
+      } else if (state === 4) {
+        checkRun(counts, x, y);
+        // Следующий узор может начаться с третьего отрезка этого
+        counts[0] = counts[2];
+        counts[1] = counts[3];
+        counts[2] = counts[4];
+        counts[3] = 1;
+        counts[4] = 0;
+        state = 3;
+      } else {
+        state++;
+        counts[state]++;
+      }
+    }
+    if (state === 4) checkRun(counts, width, y);
+  }
+
+  return candidates
+    .filter(candidate => candidate.count >= 2)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_FINDER_CANDIDATES);
+}
+
+/**
+ * Расстояние между точками
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Выбрать три узора, похожих на углы одного QR-кода, и расставить их
+ * Углы образуют равнобедренный прямоугольный треугольник; у прямого угла — верхний левый узор.
+ *
+ * @returns {Array<{topLeft, topRight, bottomLeft}>} - Тройки от наиболее похожей
+ */
+function selectFinderTriples(candidates) {
+  const triples = [];
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      for (let k = j + 1; k < candidates.length; k++) {
+        const patterns = [candidates[i], candidates[j], candidates[k]];
+        const sizes = patterns.map(pattern => pattern.moduleSize);
+        if (Math.max(...sizes) > Math.min(...sizes) * 2) continue;
+
+        // Прямой угол — напротив самой длинной стороны
+        const sides = [
+          distance(patterns[1], patterns[2]),
+          distance(patterns[0], patterns[2]),
+          distance(patterns[0], patterns[1])
+        ];
+        const corner = sides.indexOf(Math.max(...sides));
+        const topLeft = patterns[corner];
+        let [topRight, bottomLeft] = patterns.filter((_, index) => index !== corner);
+
+        const legA = distance(topLeft, topRight);
+        const legB = distance(topLeft, bottomLeft);
+        const moduleSize = (sizes[0] + sizes[1] + sizes[2]) / 3;
+        // Между центрами угловых узоров хотя бы 14 модулей (версия 1); у повернутого кода
+        // размер модуля по строкам кадра завышен до 1,4 раза
+        if (Math.min(legA, legB) < moduleSize * 8) continue;
+
+        const legError = Math.abs(legA - legB) / Math.max(legA, legB);
+        const hypotenuseError = Math.abs(Math.hypot(legA, legB) - sides[corner]) / sides[corner];
+        if (legError > 0.4 || hypotenuseError > 0.15) continue;
+
+        // В кадре ось y направлена вниз: верхний правый узор — по часовой стрелке от нижнего левого
+        const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) - (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+        if (cross < 0) [topRight, bottomLeft] = [bottomLeft, topRight];
+
+        // Размер модуля мерили по строкам и столбцам кадра: у повернутого кода отрезки длиннее
+        const angle = Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x);
+        const rotation = Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle)));
+
+        triples.push({ topLeft, topRight, bottomLeft, moduleSize: moduleSize * rotation, score: legError + hypotenuseError });
+      }
+    }
+  }
+
+  return triples.sort((a, b) => a.score - b.score);
+}
+
+/**
+ * Перемножить матрицы 3x3
+ */
+function multiplyMatrices(a, b) {
+  const result = [];
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      result.push(a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Преобразование единичного квадрата (0,0)-(1,0)-(1,1)-(0,1) в четырехугольник
+ */
+function squareToQuadrilateral([p0, p1, p2, p3]) {
+  const dx3 = p0.x - p1.x + p2.x - p3.x;
+  const dy3 = p0.y - p1.y + p2.y - p3.y;
+  const dx1 = p1.x - p2.x;
+  const dx2 = p3.x - p2.x;
+  const dy1 = p1.y - p2.y;
+  const dy2 = p3.y - p2.y;
+  const denominator = dx1 * dy2 - dx2 * dy1;
+  const g = (dx3 * dy2 - dx2 * dy3) / denominator;
+  const h = (dx1 * dy3 - dx3 * dy1) / denominator;
+
+  return [
+    p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+    p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+    g, h, 1
+  ];
+}
+
+/**
+ * Обратное преобразование с точностью до множителя (присоединенная матрица)
+ */
+function adjugate(m) {
+  return [
+    m[4] * m[8] - m[5] * m[7], m[2] * m[7] - m[1] * m[8], m[1] * m[5] - m[2] * m[4],
+    m[5] * m[6] - m[3] * m[8], m[0] * m[8] - m[2] * m[6], m[2] * m[3] - m[0] * m[5],
+    m[3] * m[7] - m[4] * m[6], m[1] * m[6] - m[0] * m[7], m[0] * m[4] - m[1] * m[3]
+  ];
+}
+
+/**
+ * Перспективное преобразование координат модулей в координаты кадра по четырем парам точек
+ *
+ * @returns {Function} - (x, y) => { x, y }
+ */
+function createPerspectiveTransform(from, to) {
+  const m = multiplyMatrices(squareToQuadrilateral(to), adjugate(squareToQuadrilateral(from)));
+  return (x, y) => {
+    const w = m[6] * x + m[7] * y + m[8];
+    return { x: (m[0] * x + m[1] * y + m[2]) / w, y: (m[3] * x + m[4] * y + m[5]) / w };
+  };
+}
+
+/**
+ * Найти выравнивающий узор рядом с ожидаемым местом
+ * Перебираются точки вокруг оценки, в каждой сравниваются 25 модулей с узором 5x5
+ * (оси сетки берутся по поисковым узорам, поэтому поворот кода не мешает).
+ *
+ * @returns {{x: number, y: number}|null}
+ */
+function findAlignmentPattern(bits, width, height, estimate, axisX, axisY, moduleSize) {
+  const radius = Math.ceil(moduleSize * 4);
+  let bestScore = 22;
+  let matches = [];
+
+  for (let y = Math.round(estimate.y) - radius; y <= Math.round(estimate.y) + radius; y++) {
+    for (let x = Math.round(estimate.x) - radius; x <= Math.round(estimate.x) + radius; x++) {
+      let score = 0;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const px = Math.floor(x + dx * axisX.x + dy * axisY.x);
+          const py = Math.floor(y + dx * axisX.y + dy * axisY.y);
+          if (px < 0 || py < 0 || px >= width || py >= height) continue;
+          const expected = Math.max(Math.abs(dx), Math.abs(dy)) !== 1 ? 1 : 0;
+          if (bits[py * width + px] === expected) score++;
+        }
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        matches = [];
+      }
+      if (score === bestScore) matches.push({ x, y });
+    }
+  }
+
+  if (matches.length === 0) return null;
+  // Центр — середина точек с лучшим совпадением
+  return {
+    x: matches.reduce((sum, point) => sum + point.x, 0) / matches.length + 0.5,
+    y: matches.reduce((sum, point) => sum + point.y, 0) / matches.length + 0.5
+  };
+}
+
+/**
+ * Оси сетки модулей в кадре и варианты положения четвертого угла
+ * Четвертый угол — выравнивающий узор (версии 2+), а если его нет — вершина
+ * параллелограмма по трем поисковым узорам. При наклоне камеры он смещается,
+ * поэтому к оценке добавляются соседние точки с шагом в полмодуля (ближние первыми).
+ *
+ * @returns {{axisX, axisY, corners: Array<{x, y, module}>}}
+ */
+function getGridCorners(bits, width, height, triple, size) {
+  const { topLeft, topRight, bottomLeft } = triple;
+  const span = size - 7;
+  const axisX = { x: (topRight.x - topLeft.x) / span, y: (topRight.y - topLeft.y) / span };
+  const axisY = { x: (bottomLeft.x - topLeft.x) / span, y: (bottomLeft.y - topLeft.y) / span };
+
+  let base = { x: topRight.x + bottomLeft.x - topLeft.x, y: topRight.y + bottomLeft.y - topLeft.y, module: size - 3.5 };
+  let range = 3;
+
+  if (size >= 25) {
+    const offset = size - 10;
+    const estimate = {
+      x: topLeft.x + offset * (axisX.x + axisY.x),
+      y: topLeft.y + offset * (axisX.y + axisY.y)
+    };
+    const alignment = findAlignmentPattern(bits, width, height, estimate, axisX, axisY, triple.moduleSize);
+    if (alignment) {
+      base = { ...alignment, module: size - 6.5 };
+      range = 1;
+    }
+  }
+
+  const corners = [];
+  for (let i = -range; i <= range; i++) {
+    for (let j = -range; j <= range; j++) {
+      corners.push({
+        x: base.x + (i * axisX.x + j * axisY.x) / 2,
+        y: base.y + (i * axisX.y + j * axisY.y) / 2,
+        module: base.module,
+        order: i * i + j * j
+      });
+    }
+  }
+  corners.sort((a, b) => a.order - b.order);
+
+  return { axisX, axisY, corners };
+}
+
+/**
+ * Снять матрицу модулей с кадра по трем поисковым узорам и четвертому углу
+ *
+ * @returns {Array<Array<boolean>>|null}
+ */
+function sampleGrid(bits, width, height, triple, size, corner) {
+  const { topLeft, topRight, bottomLeft } = triple;
+  const transform = createPerspectiveTransform(
+    [{ x: 3.5, y: 3.5 }, { x: size - 3.5, y: 3.5 }, { x: corner.module, y: corner.module }, { x: 3.5, y: size - 3.5 }],
+    [topLeft, topRight, corner, bottomLeft]
+  );
+
+  const modules = [];
+  for (let y = 0; y < size; y++) {
+    const row = [];
+    for (let x = 0; x < size; x++) {
+      const point = transform(x + 0.5, y + 0.5);
+      const px = Math.floor(point.x);
+      const py = Math.floor(point.y);
+      if (!(px >= 0 && py >= 0 && px < width && py < height)) return null;
+      row.push(bits[py * width + px] === 1);
+    }
+    modules.push(row);
+  }
+  return modules;
+}
+
+/**
+ * Распознать QR-код в кадре
+ *
+ * @param {ArrayLike<number>} luminance - Яркость пикселей кадра (0-255) по строкам
+ * @param {number} width - Ширина кадра
+ * @param {number} height - Высота кадра
+ * @returns {string|null} - Текст кода или null
+ */
+export function decodeQrCode(luminance, width, height) {
+  if (!luminance || width <= 0 || height <= 0) return null;
+
+  const bits = binarize(luminance, width, height);
+  const triples = selectFinderTriples(findFinderPatterns(bits, width, height));
+
+  for (const triple of triples) {
+    // Размер кода — по расстоянию между узорами; размер всегда 4k+17, пробуем и соседние
+    const modulesBetween = (distance(triple.topLeft, triple.topRight) + distance(triple.topLeft, triple.bottomLeft)) / 2 / triple.moduleSize;
+    const estimatedVersion = Math.round((modulesBetween + 7 - 17) / 4);
+
+    for (const version of [estimatedVersion, estimatedVersion - 1, estimatedVersion + 1]) {
+      if (version < 1 || version > 40) continue;
+      const size = version * 4 + 17;
+      for (const corner of getGridCorners(bits, width, height, triple, size).corners) {
+        const modules = sampleGrid(bits, width, height, triple, size, corner);
+        const text = modules && decodeQrMatrix(modules);
+        if (text) return text;
+      }
+    }
+  }
+
+  return null;
+}
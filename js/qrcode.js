@@ -0,0 +1,431 @@
+/**
+ * Генератор QR-кодов (полностью офлайн, без внешних библиотек)
+ *
+ * Поддерживается байтовый режим (UTF-8) с уровнем коррекции ошибок M
+ * и версии 1-10 — этого с запасом хватает для артикулов и штрихкодов на этикетках.
+ */
+
+// Количество символов коррекции на блок и количество блоков для уровня M (индекс = версия)
+const ECC_CODEWORDS_PER_BLOCK_M = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ECC_BLOCKS_M = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+const MAX_VERSION = 10;
+
+// Биты уровня коррекции M в служебной информации формата
+const ECC_FORMAT_BITS_M = 0;
+
+/**
+ * Умножение в поле Галуа GF(256) по модулю 0x11D
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Порождающий многочлен Рида-Соломона заданной степени
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+
+  return result;
+}
+
+/**
+ * Остаток от деления данных на порождающий многочлен (символы коррекции)
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Количество модулей под данные (без служебных узоров) для версии
+ */
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Количество байт данных (без коррекции) для версии
+ */
+function getNumDataCodewords(version) {
+  return Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK_M[version] * NUM_ECC_BLOCKS_M[version];
+}
+
+/**
+ * Координаты центров выравнивающих узоров
+ */
+function getAlignmentPatternPositions(version, size) {
+  if (version === 1) return [];
+
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/**
+ * Закодировать текст в последовательность байт данных (режим "байты")
+ */
+function encodeDataCodewords(bytes, version) {
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  const capacityBits = getNumDataCodewords(version) * 8;
+
+  appendBits(0b0100, 4);
+  appendBits(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => appendBits(byte, 8));
+
+  // Терминатор и выравнивание до целого байта
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+
+  // Байты-заполнители
+  for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+    codewords.push(pad);
+  }
+
+  return codewords;
+}
+
+/**
+ * Разбить данные на блоки, добавить коррекцию и перемешать блоки
+ */
+function addEccAndInterleave(data, version) {
+  const numBlocks = NUM_ECC_BLOCKS_M[version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK_M[version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLen);
+  const blocks = [];
+
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const blockData = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += blockData.length;
+    const ecc = reedSolomonRemainder(blockData, divisor);
+    if (i < numShortBlocks) blockData.push(0);
+    blocks.push(blockData.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // В коротких блоках пропускаем добавленный ноль
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Функция маски по номеру
+ */
+function maskApplies(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+    case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+    default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+  }
+}
+
+/**
+ * Построить матрицу QR-кода для версии и маски
+ */
+function buildMatrix(version, codewords, mask) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const setFunction = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    isFunction[y][x] = true;
+  };
+
+  // Синхронизирующие линии
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Поисковые узоры в трех углах (вместе с разделителями)
+  const drawFinder = (cx, cy) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  };
+  drawFinder(3, 3);
+  drawFinder(size - 4, 3);
+  drawFinder(3, size - 4);
+
+  // Выравнивающие узоры
+  const alignPositions = getAlignmentPatternPositions(version, size);
+  const last = alignPositions.length - 1;
+  alignPositions.forEach((cy, i) => {
+    alignPositions.forEach((cx, j) => {
+      // Не рисуем поверх поисковых узоров
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Служебная информация о формате (заполняем после выбора маски, пока резервируем)
+  drawFormatBits(modules, isFunction, size, mask);
+
+  // Информация о версии (для версий 7+)
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) {
+      rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    }
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const bit = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, bit);
+      setFunction(b, a, bit);
+    }
+  }
+
+  // Данные — зигзагом снизу вверх, по два столбца
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  // Маска применяется только к модулям данных
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && maskApplies(mask, x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  return modules;
+}
+
+/**
+ * Нарисовать биты формата (уровень коррекции + маска) в обеих копиях
+ */
+function drawFormatBits(modules, isFunction, size, mask) {
+  const data = (ECC_FORMAT_BITS_M << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) {
+    rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const getBit = (i) => ((bits >>> i) & 1) === 1;
+
+  const set = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    isFunction[y][x] = true;
+  };
+
+  // Первая копия — вокруг верхнего левого поискового узора
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(i));
+  set(8, 7, getBit(6));
+  set(8, 8, getBit(7));
+  set(7, 8, getBit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(i));
+
+  // Вторая копия — у двух других поисковых узоров
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(i));
+
+  // Постоянно темный модуль
+  set(8, size - 8, true);
+}
+
+/**
+ * Упрощенная оценка "штрафа" маски: длинные линии, блоки 2x2 и баланс темных модулей
+ * Чем меньше — тем лучше читается код.
+ */
+function getPenaltyScore(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  for (let y = 0; y < size; y++) {
+    let runColorRow = null;
+    let runRow = 0;
+    let runColorCol = null;
+    let runCol = 0;
+
+    for (let x = 0; x < size; x++) {
+      // Линии одного цвета по строкам
+      if (modules[y][x] === runColorRow) {
+        runRow++;
+        if (runRow === 5) penalty += 3;
+        else if (runRow > 5) penalty++;
+      } else {
+        runColorRow = modules[y][x];
+        runRow = 1;
+      }
+
+      // Линии одного цвета по столбцам (x и y меняются местами)
+      if (modules[x][y] === runColorCol) {
+        runCol++;
+        if (runCol === 5) penalty += 3;
+        else if (runCol > 5) penalty++;
+      } else {
+        runColorCol = modules[x][y];
+        runCol = 1;
+      }
+
+      if (modules[y][x]) dark++;
+
+      // Блоки 2x2 одного цвета
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  penalty += Math.max(0, k) * 10;
+
+  return penalty;
+}
+
+/**
+ * Создать матрицу QR-кода для текста
+ *
+ * @param {string} text - Текст для кодирования
+ * @returns {Array<Array<boolean>>} - Квадратная матрица (true — темный модуль)
+ */
+export function encodeQrCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(String(text ?? '')));
+
+  let version = 1;
+  while (version <= MAX_VERSION) {
+    const headerBits = 4 + (version < 10 ? 8 : 16);
+    if (headerBits + bytes.length * 8 <= getNumDataCodewords(version) * 8) break;
+    version++;
+  }
+
+  if (version > MAX_VERSION) {
+    throw new Error('Слишком длинный текст для QR-кода');
+  }
+
+  const codewords = addEccAndInterleave(encodeDataCodewords(bytes, version), version);
+
+  // Перебираем все 8 масок и берем ту, что читается лучше всего
+  let bestModules = null;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    const modules = buildMatrix(version, codewords, mask);
+    const penalty = getPenaltyScore(modules);
+    if (penalty < bestPenalty) {
+      bestPenalty = penalty;
+      bestModules = modules;
+    }
+  }
+
+  return bestModules;
+}
+
+/**
+ * Нарисовать QR-код как SVG
+ *
+ * @param {string} text - Текст для кодирования
+ * @param {Object} options - Параметры
+ * @param {number} options.margin - Белое поле в модулях (по стандарту 4)
+ * @returns {string} - SVG разметка (масштабируется по размеру контейнера)
+ */
+export function qrCodeToSvg(text, { margin = 4 } = {}) {
+  const modules = encodeQrCode(text);
+  const size = modules.length + margin * 2;
+  let path = '';
+
+  modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) {
+        path += `M${x + margin} ${y + margin}h1v1h-1z`;
+      }
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
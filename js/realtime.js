@@ -0,0 +1,207 @@
+/**
+ * Живые обновления записей подсчета от других устройств
+ *
+ * Основной способ — Supabase Realtime (WebSocket, протокол Phoenix):
+ * подписываемся на изменения inventory_items с нужным session_id.
+ * Если сокет недоступен (нет Realtime в проекте, сеть режет WebSocket и т.п.),
+ * переключаемся на опрос fetchInventoryItemsBySession.
+ */
+
+import { supabaseConfig } from '../config/supabase-config.js';
+import { getAccessToken } from './auth.js';
+import * as supabase from './supabase.js';
+
+// Интервал опроса сервера, если Realtime недоступен
+const POLL_INTERVAL = 10000;
+// Интервал heartbeat для сокета Realtime
+const HEARTBEAT_INTERVAL = 25000;
+// Сколько ждать подтверждения подписки, прежде чем перейти на опрос
+const JOIN_TIMEOUT = 8000;
+
+/**
+ * Адрес сокета Supabase Realtime
+ *
+ * @returns {string}
+ */
+function getRealtimeUrl() {
+  const baseUrl = supabaseConfig.url.replace(/^http/, 'ws');
+  return `${baseUrl}/realtime/v1/websocket?apikey=${encodeURIComponent(supabaseConfig.anonKey)}&vsn=1.0.0`;
+}
+
+/**
+ * Подписаться на изменения записей подсчета сессии
+ *
+ * @param {string} sessionId - ID сессии
+ * @param {Object} handlers - Обработчики
+ * @param {Function} handlers.onRows - Вызывается с массивом измененных записей
+ * @param {Function} handlers.onModeChange - Вызывается с режимом: 'realtime' | 'polling' | 'offline'
+ * @returns {{stop: Function, refresh: Function}} - Остановить подписку / запросить данные сейчас
+ */
+export function subscribeToSessionCounts(sessionId, { onRows, onModeChange = () => { } }) {
+  let socket = null;
+  let heartbeatTimer = null;
+  let joinTimer = null;
+  let pollTimer = null;
+  let stopped = false;
+  let ref = 0;
+
+  const topic = `realtime:inventory_items:${sessionId}`;
+
+  const send = (message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ ...message, ref: String(++ref) }));
+    }
+  };
+
+  const poll = async () => {
+    if (stopped || !navigator.onLine) return;
+    try {
+      const rows = await supabase.fetchInventoryItemsBySession(sessionId);
+      onRows(rows || []);
+    } catch (error) {
+      console.warn('Не удалось получить записи других устройств:', error.message || error);
+    }
+  };
+
+  const startPolling = () => {
+    if (stopped || pollTimer) return;
+    onModeChange(navigator.onLine ? 'polling' : 'offline');
+    poll();
+    pollTimer = setInterval(poll, POLL_INTERVAL);
+  };
+
+  const stopPolling = () => {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+
+  const closeSocket = () => {
+    clearInterval(heartbeatTimer);
+    clearTimeout(joinTimer);
+    heartbeatTimer = null;
+    joinTimer = null;
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+      socket = null;
+    }
+  };
+
+  const connect = () => {
+    if (stopped || typeof WebSocket === 'undefined' || !navigator.onLine) {
+      startPolling();
+      return;
+    }
+
+    try {
+      socket = new WebSocket(getRealtimeUrl());
+    } catch (error) {
+      console.warn('Realtime недоступен, используем опрос:', error.message || error);
+      startPolling();
+      return;
+    }
+
+    socket.onopen = () => {
+      send({
+        topic,
+        event: 'phx_join',
+        payload: {
+          config: {
+            broadcast: { self: false },
+            presence: { key: '' },
+            postgres_changes: [{
+              event: '*',
+              schema: 'public',
+              table: 'inventory_items',
+              filter: `session_id=eq.${sessionId}`
+            }]
+          },
+          access_token: getAccessToken() || supabaseConfig.anonKey
+        }
+      });
+
+      heartbeatTimer = setInterval(() => {
+        send({ topic: 'phoenix', event: 'heartbeat', payload: {} });
+      }, HEARTBEAT_INTERVAL);
+
+      // Если подписку не подтвердили — работаем опросом
+      joinTimer = setTimeout(() => {
+        console.warn('Realtime не подтвердил подписку, используем опрос');
+        closeSocket();
+        startPolling();
+      }, JOIN_TIMEOUT);
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+
+      if (message.topic !== topic) return;
+
+      if (message.event === 'phx_reply' && message.payload?.status === 'ok' && joinTimer) {
+        clearTimeout(joinTimer);
+        joinTimer = null;
+        stopPolling();
+        onModeChange('realtime');
+        // Забираем то, что успели посчитать до подписки
+        poll();
+        return;
+      }
+
+      if (message.event === 'phx_reply' && message.payload?.status === 'error') {
+        console.warn('Realtime отклонил подписку:', message.payload?.response);
+        closeSocket();
+        startPolling();
+        return;
+      }
+
+      if (message.event === 'postgres_changes') {
+        const record = message.payload?.data?.record;
+        if (record && record.session_id === sessionId) {
+          onRows([record]);
+        }
+      }
+    };
+
+    socket.onerror = () => {
+      // onclose придет следом — там и переключимся на опрос
+    };
+
+    socket.onclose = () => {
+      closeSocket();
+      startPolling();
+    };
+  };
+
+  const handleOnline = () => {
+    stopPolling();
+    closeSocket();
+    connect();
+  };
+
+  const handleOffline = () => {
+    onModeChange('offline');
+  };
+
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+
+  connect();
+
+  return {
+    stop() {
+      stopped = true;
+      stopPolling();
+      closeSocket();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    },
+    refresh: poll
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Сравнение двух отчетов инвентаризации
+ *
+ * Строки сопоставляются по item_id. Если товар удален или пересоздан (новый ID),
+ * строка ищется по артикулу, а затем по названию. Результат — количество «было/стало»,
+ * разница и товары, которые есть только в одном из отчетов.
+ */
+
+// Статусы строки сравнения
+export const DIFF_STATUS = {
+  changed: 'Изменилось',
+  same: 'Без изменений',
+  added: 'Только во втором',
+  removed: 'Только в первом'
+};
+
+/**
+ * Ключ для сопоставления по тексту: без регистра и лишних пробелов
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function toMatchKey(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Строки отчета с артикулом и названием (для старых отчетов — из карточки товара)
+ *
+ * @param {Object} report - Отчет
+ * @param {Object} itemsById - Товары по ID
+ * @returns {Array}
+ */
+function prepareLines(report, itemsById) {
+  return (report?.items || []).map(line => ({
+    ...line,
+    sku: line.sku ?? itemsById[line.item_id]?.sku ?? null,
+    item_name: line.item_name || itemsById[line.item_id]?.name || 'Неизвестный товар'
+  }));
+}
+
+/**
+ * Сопоставить оставшиеся строки по ключу
+ *
+ * @param {Array} baseLines - Строки первого отчета без пары
+ * @param {Array} targetLines - Строки второго отчета без пары
+ * @param {Function} getKey - Ключ строки (пустой — не сопоставляется)
+ * @param {string} matchedBy - Чем сопоставлены
+ * @param {Array} pairs - Куда добавить пары
+ */
+function matchByKey(baseLines, targetLines, getKey, matchedBy, pairs) {
+  const targetsByKey = new Map();
+  targetLines.forEach(line => {
+    const key = getKey(line);
+    if (key && !targetsByKey.has(key)) targetsByKey.set(key, line);
+  });
+
+  baseLines.forEach(line => {
+    const key = getKey(line);
+    const target = key ? targetsByKey.get(key) : null;
+    if (!target || target._matched) return;
+    line._matched = true;
+    target._matched = true;
+    pairs.push({ base: line, target, matched_by: matchedBy });
+  });
+}
+
+/**
+ * Округлить количество до тысячных
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function roundQuantity(value) {
+  return Math.round((Number(value) || 0) * 1000) / 1000;
+}
+
+/**
+ * Сравнить два отчета
+ *
+ * @param {Object} baseReport - Первый отчет («было»)
+ * @param {Object} targetReport - Второй отчет («стало»)
+ * @param {Object} itemsById - Текущие товары по ID (артикул и название для старых отчетов)
+ * @returns {{rows: Array, summary: Object}} - rows: [{ item_id, item_name, sku, base_quantity, target_quantity, delta, status, matched_by }]
+ */
+export function diffReports(baseReport, targetReport, itemsById = {}) {
+  const baseLines = prepareLines(baseReport, itemsById);
+  const targetLines = prepareLines(targetReport, itemsById);
+  const pairs = [];
+
+  matchByKey(baseLines, targetLines, line => line.item_id, 'id', pairs);
+  matchByKey(baseLines.filter(line => !line._matched), targetLines.filter(line => !line._matched),
+    line => toMatchKey(line.sku), 'sku', pairs);
+  matchByKey(baseLines.filter(line => !line._matched), targetLines.filter(line => !line._matched),
+    line => toMatchKey(line.item_name), 'name', pairs);
+
+  const rows = [
+    ...pairs.map(({ base, target, matched_by }) => {
+      const delta = roundQuantity((Number(target.quantity) || 0) - (Number(base.quantity) || 0));
+      return {
+        item_id: target.item_id,
+        item_name: target.item_name,
+        sku: target.sku || base.sku || null,
+        base_quantity: base.quantity ?? null,
+        target_quantity: target.quantity ?? null,
+        delta,
+        status: delta === 0 ? 'same' : 'changed',
+        matched_by
+      };
+    }),
+    ...targetLines.filter(line => !line._matched).map(line => ({
+      item_id: line.item_id,
+      item_name: line.item_name,
+      sku: line.sku || null,
+      base_quantity: null,
+      target_quantity: line.quantity ?? null,
+      delta: roundQuantity(line.quantity),
+      status: 'added',
+      matched_by: null
+    })),
+    ...baseLines.filter(line => !line._matched).map(line => ({
+      item_id: line.item_id,
+      item_name: line.item_name,
+      sku: line.sku || null,
+      base_quantity: line.quantity ?? null,
+      target_quantity: null,
+      delta: roundQuantity(-(Number(line.quantity) || 0)),
+      status: 'removed',
+      matched_by: null
+    }))
+  ];
+
+  // Сначала самые большие изменения, затем новые и пропавшие товары, затем без изменений
+  const statusOrder = { changed: 0, added: 1, removed: 2, same: 3 };
+  rows.sort((a, b) => statusOrder[a.status] - statusOrder[b.status]
+    || Math.abs(b.delta) - Math.abs(a.delta)
+    || String(a.item_name).localeCompare(String(b.item_name), 'ru'));
+
+  const count = status => rows.filter(row => row.status === status).length;
+  const sum = (lines) => roundQuantity(lines.reduce((total, line) => total + (Number(line.quantity) || 0), 0));
+
+  return {
+    rows,
+    summary: {
+      matched: pairs.length,
+      changed: count('changed'),
+      same: count('same'),
+      added: count('added'),
+      removed: count('removed'),
+      base_total: sum(baseLines),
+      target_total: sum(targetLines),
+      delta_total: roundQuantity(sum(targetLines) - sum(baseLines))
+    }
+  };
+}
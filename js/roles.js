@@ -0,0 +1,121 @@
+/**
+ * Роли сотрудников и права на действия
+ *
+ * Сотрудник входит через Supabase Auth (ссылка на почту или PIN). Роль хранится
+ * в app_metadata пользователя и задается администратором (см. supabase_schema_auth_roles.sql),
+ * поэтому сам сотрудник поменять ее не может. Без входа приложение работает с правами счетчика.
+ * Проверка прав в интерфейсе — подсказка; защищают данные политики RLS на сервере.
+ */
+
+// Роли по возрастанию прав
+export const ROLES = {
+  counter: 'Счетчик',
+  manager: 'Менеджер',
+  admin: 'Администратор'
+};
+
+export const DEFAULT_ROLE = 'counter';
+
+// Действия, закрытые ролями: название и кому разрешено
+export const PERMISSIONS = {
+  edit_items: { label: 'Изменение товаров и движений', roles: ['manager', 'admin'] },
+  import: { label: 'Импорт товаров', roles: ['manager', 'admin'] },
+  complete_session: { label: 'Завершение и исправление инвентаризаций', roles: ['manager', 'admin'] },
+  delete_all: { label: 'Удаление всех данных', roles: ['admin'] }
+};
+
+/**
+ * Роль пользователя Supabase Auth
+ * Неизвестная или не заданная роль считается ролью счетчика.
+ *
+ * @param {Object|null} user - Пользователь ({ app_metadata })
+ * @returns {string} - Ключ роли (см. ROLES)
+ */
+export function getUserRole(user) {
+  const role = String(user?.app_metadata?.role || '').trim().toLowerCase();
+  return ROLES[role] ? role : DEFAULT_ROLE;
+}
+
+/**
+ * Разрешено ли действие роли
+ *
+ * @param {string} role - Ключ роли
+ * @param {string} permission - Ключ действия (см. PERMISSIONS)
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  const rule = PERMISSIONS[permission];
+  if (!rule) return false;
+  return rule.roles.includes(ROLES[role] ? role : DEFAULT_ROLE);
+}
+
+/**
+ * Истекает ли сессия входа
+ *
+ * @param {Object|null} session - { expires_at } (секунды, как в Supabase Auth)
+ * @param {number} now - Текущее время (мс)
+ * @param {number} marginSeconds - Запас: сессию обновляем заранее
+ * @returns {boolean}
+ */
+export function isSessionExpired(session, now = Date.now(), marginSeconds = 60) {
+  const expiresAt = Number(session?.expires_at);
+  if (!session?.access_token || !Number.isFinite(expiresAt)) return true;
+  return expiresAt - marginSeconds <= now / 1000;
+}
+
+/**
+ * Более свежая из двух копий сессии входа
+ * Копия — сессия или отметка выхода { signed_out: true }, у обеих есть время сохранения
+ * saved_at (мс). Сервис-воркер обновляет токен в копии из IndexedDB, пока вкладка закрыта
+ * (Supabase при этом отзывает прежний refresh token), а выход на странице должен
+ * перекрыть более старую копию сессии. При равном времени остается своя копия.
+ *
+ * @param {Object|null} own - Своя копия (localStorage страницы или память воркера)
+ * @param {Object|null} shared - Копия из IndexedDB
+ * @returns {Object|null}
+ */
+export function pickNewerSession(own, shared) {
+  if (!own) return shared || null;
+  if (!shared) return own;
+  return (Number(shared.saved_at) || 0) > (Number(own.saved_at) || 0) ? shared : own;
+}
+
+/**
+ * Сессия входа из ответа Supabase Auth или из адреса после перехода по ссылке
+ *
+ * @param {Object} data - { access_token, refresh_token, expires_in, expires_at, user }
+ * @param {number} now - Текущее время (мс)
+ * @returns {Object|null} - { access_token, refresh_token, expires_at, user }
+ */
+export function normalizeAuthSession(data, now = Date.now()) {
+  if (!data?.access_token) return null;
+  const expiresIn = Number(data.expires_in);
+  const expiresAt = Number(data.expires_at) || Math.floor(now / 1000) + (Number.isFinite(expiresIn) ? expiresIn : 3600);
+  return {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token || null,
+    expires_at: expiresAt,
+    user: data.user || null
+  };
+}
+
+/**
+ * Разобрать адрес после перехода по ссылке из письма
+ * Supabase возвращает токены во фрагменте: #access_token=…&refresh_token=…&expires_in=…
+ *
+ * @param {string} hash - window.location.hash
+ * @returns {Object|null} - { access_token, … } или { error } либо null, если это не ответ входа
+ */
+export function parseAuthRedirect(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  if (params.get('error') || params.get('error_description')) {
+    return { error: params.get('error_description') || params.get('error') };
+  }
+  if (!params.get('access_token')) return null;
+  return {
+    access_token: params.get('access_token'),
+    refresh_token: params.get('refresh_token'),
+    expires_in: params.get('expires_in'),
+    expires_at: params.get('expires_at')
+  };
+}
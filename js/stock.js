@@ -0,0 +1,215 @@
+/**
+ * Движения товара между инвентаризациями
+ *
+ * Остаток меняется не только при подсчете: товар приходит от поставщиков,
+ * списывается, бьется, перемещается между точками. Каждое такое событие —
+ * запись журнала движений (stock_movements):
+ *   { id, item_id, type, quantity, reason, counterparty, moved_at, created_by }
+ * Количество всегда положительное, направление задает тип.
+ *
+ * Ожидаемое количество = прошлый подсчет + движения после него.
+ * Разница между ожидаемым и посчитанным — реальная недостача или излишек.
+ */
+
+// Типы движений: название и направление (+1 приход, −1 расход)
+export const MOVEMENT_TYPES = {
+  receipt: { label: 'Поступление', sign: 1 },
+  write_off: { label: 'Списание', sign: -1 },
+  breakage: { label: 'Бой / порча', sign: -1 },
+  transfer_in: { label: 'Перемещение: приход', sign: 1 },
+  transfer_out: { label: 'Перемещение: расход', sign: -1 }
+};
+
+// Для этих типов причина обязательна
+export const REASON_REQUIRED_TYPES = ['write_off', 'breakage'];
+
+// Причины быстрого списания со страницы товара
+export const WRITE_OFF_REASONS = ['бой', 'кража', 'порча'];
+
+/**
+ * Движение с учетом направления
+ *
+ * @param {Object} movement - Движение
+ * @returns {number} - Положительное для прихода, отрицательное для расхода
+ */
+export function getSignedQuantity(movement) {
+  const type = MOVEMENT_TYPES[movement?.type];
+  if (!type) return 0;
+  return type.sign * Math.abs(Number(movement.quantity) || 0);
+}
+
+/**
+ * Время в миллисекундах
+ * Сервер отдает даты как "2026-02-05T10:00:00+00:00", устройство — как "…000Z",
+ * поэтому сравниваем моменты, а не строки.
+ *
+ * @param {string} value - Дата (ISO)
+ * @returns {number|null}
+ */
+function toTime(value) {
+  const time = Date.parse(value || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Попадает ли движение в период (from; to]
+ * Границы — моменты завершения инвентаризаций: движение ровно в момент
+ * завершения прошлой уже учтено в ее подсчете.
+ *
+ * @param {Object} movement - Движение
+ * @param {string|null} from - Начало периода (ISO), null — без ограничения
+ * @param {string|null} to - Конец периода (ISO), null — до текущего момента
+ * @returns {boolean}
+ */
+function isInPeriod(movement, from, to) {
+  const movedAt = toTime(movement?.moved_at || movement?.created_at);
+  if (movedAt === null) return false;
+  if (from && movedAt <= toTime(from)) return false;
+  if (to && movedAt > toTime(to)) return false;
+  return true;
+}
+
+/**
+ * Сумма движений по каждому товару за период
+ *
+ * @param {Array} movements - Движения
+ * @param {Object} period - { from, to } (ISO), см. isInPeriod
+ * @returns {Object} - { itemId: сумма с учетом направления }
+ */
+export function sumMovementsByItem(movements, { from = null, to = null } = {}) {
+  return (movements || []).reduce((totals, movement) => {
+    if (!movement?.item_id || !isInPeriod(movement, from, to)) return totals;
+    totals[movement.item_id] = (totals[movement.item_id] || 0) + getSignedQuantity(movement);
+    return totals;
+  }, {});
+}
+
+/**
+ * Ожидаемые количества: прошлый подсчет + движения после него
+ * Товар, которого не было в прошлом подсчете, но который пришел после, ожидается в количестве прихода.
+ *
+ * @param {Object} countedByItemId - { itemId: количество прошлого подсчета }
+ * @param {Object} movementsByItemId - { itemId: сумма движений } (см. sumMovementsByItem)
+ * @returns {Object} - { itemId: ожидаемое количество }
+ */
+export function getExpectedQuantities(countedByItemId, movementsByItemId) {
+  const expected = { ...(countedByItemId || {}) };
+
+  Object.entries(movementsByItemId || {}).forEach(([itemId, net]) => {
+    const value = (Number(expected[itemId]) || 0) + net;
+    // Дробные единицы (кг, л) не должны копить ошибку округления
+    expected[itemId] = Math.round(value * 1000) / 1000;
+  });
+
+  return expected;
+}
+
+// С чем сравнивается подсчет («Было»). Выбирается при запуске сессии и хранится в ней
+export const BASELINE_TYPES = {
+  expected: {
+    label: 'Ожидаемый остаток',
+    description: 'Прошлый подсчет плюс поступления, списания и перемещения после него'
+  },
+  session: {
+    label: 'Выбранная инвентаризация',
+    description: 'Количества из конкретной прошлой инвентаризации, без движений'
+  },
+  current: {
+    label: 'Остаток в карточках',
+    description: 'Текущий остаток товаров на момент запуска сессии'
+  }
+};
+
+export const DEFAULT_BASELINE_TYPE = 'expected';
+
+/**
+ * Снимок текущих остатков товаров
+ * Снимок хранится в сессии: после завершения остатки в карточках перезаписываются подсчетом.
+ *
+ * @param {Array} items - Товары
+ * @returns {Object} - { itemId: количество }
+ */
+export function getCurrentQuantities(items) {
+  return (items || []).reduce((quantities, item) => {
+    if (!item?.id) return quantities;
+    const quantity = Number(item.current_quantity ?? item.quantity ?? 0);
+    quantities[item.id] = Number.isFinite(quantity) ? quantity : 0;
+    return quantities;
+  }, {});
+}
+
+/**
+ * Количества «Было» по базе сравнения сессии
+ *
+ * @param {Object|null} baseline - База сравнения сессии: { type, session_id, quantities }
+ * @param {Object} countedByItemId - { itemId: количество подсчета базовой сессии }
+ * @param {Object} movementsByItemId - { itemId: сумма движений после нее }
+ * @returns {Object} - { itemId: количество }
+ */
+export function getBaselineQuantities(baseline, countedByItemId, movementsByItemId) {
+  if (baseline?.type === 'current') {
+    return { ...(baseline.quantities || {}) };
+  }
+  if (baseline?.type === 'session') {
+    return { ...(countedByItemId || {}) };
+  }
+  return getExpectedQuantities(countedByItemId, movementsByItemId);
+}
+
+/**
+ * Момент, с которого считаются движения после инвентаризации
+ * У старых сессий нет completed_at — берем время последнего изменения.
+ *
+ * @param {Object} session - Завершенная сессия
+ * @returns {string|null}
+ */
+export function getSessionCutoff(session) {
+  if (!session) return null;
+  return session.completed_at || session.updated_at || session.created_at || null;
+}
+
+/**
+ * Относится ли движение к списаниям (журнал списаний)
+ *
+ * @param {Object} movement - Движение
+ * @returns {boolean}
+ */
+export function isWriteOff(movement) {
+  return movement?.type === 'write_off' || movement?.type === 'breakage';
+}
+
+/**
+ * Отчет по списаниям: группы по месяцам (новые первыми)
+ *
+ * @param {Array} movements - Движения (лишние типы отфильтруются)
+ * @returns {Array} - [{ month: 'YYYY-MM', entries, totalQuantity, byReason: { причина: количество } }]
+ */
+export function getWriteOffReport(movements) {
+  const byMonth = new Map();
+
+  (movements || []).filter(isWriteOff).forEach(movement => {
+    const time = toTime(movement.moved_at || movement.created_at);
+    if (time === null) return;
+
+    const date = new Date(time);
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    if (!byMonth.has(month)) {
+      byMonth.set(month, { month, entries: [], totalQuantity: 0, byReason: {} });
+    }
+
+    const group = byMonth.get(month);
+    const quantity = Math.abs(Number(movement.quantity) || 0);
+    const reason = String(movement.reason || '').trim().toLowerCase() || (movement.type === 'breakage' ? 'бой' : 'без причины');
+
+    group.entries.push(movement);
+    group.totalQuantity += quantity;
+    group.byReason[reason] = (group.byReason[reason] || 0) + quantity;
+  });
+
+  return Array.from(byMonth.values())
+    .map(group => ({
+      ...group,
+      entries: group.entries.sort((a, b) => (toTime(b.moved_at) || 0) - (toTime(a.moved_at) || 0))
+    }))
+    .sort((a, b) => b.month.localeCompare(a.month));
+}
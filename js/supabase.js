@@ -6,15 +6,17 @@
  */
 
 import { supabaseConfig } from '../config/supabase-config.js';
+import { getAccessToken } from './auth.js';
+import { buildDeltaQuery, DELTA_PAGE_SIZE } from './delta.js';
 
 // Базовый URL для API запросов
 const API_URL = `${supabaseConfig.url}/rest/v1`;
 
-// Заголовки для всех запросов
+// Заголовки для всех запросов (после входа — с токеном сотрудника, см. auth.js)
 const getHeaders = () => ({
   'Content-Type': 'application/json',
   'apikey': supabaseConfig.anonKey,
-  'Authorization': `Bearer ${supabaseConfig.anonKey}`,
+  'Authorization': `Bearer ${getAccessToken() || supabaseConfig.anonKey}`,
   'Prefer': 'return=representation'
 });
 
@@ -61,6 +63,51 @@ export async function fetchAllItems() {
   }
 }
 
+/**
+ * Получить строки таблицы, измененные после момента since (delta sync, см. delta.js)
+ * Строки запрашиваются страницами по порядку (updated_at, id).
+ *
+ * @param {string} table - Таблица на сервере
+ * @param {string|null} since - С какого момента (ISO); null — вся таблица
+ * @param {number} pageSize - Размер страницы
+ * @returns {Promise<Array>} - Promise с измененными строками по порядку
+ */
+export async function fetchChangedRows(table, since = null, pageSize = DELTA_PAGE_SIZE) {
+  try {
+    const rows = [];
+    let after = null;
+
+    while (true) {
+      const response = await fetch(`${API_URL}/${table}?${buildDeltaQuery(since, after, pageSize)}`, {
+        method: 'GET',
+        headers: getHeaders()
+      });
+
+      if (!response.ok) {
+        // Таблица может быть еще не создана — тогда изменений на сервере просто нет
+        if (response.status === 404) {
+          return rows;
+        }
+        throw new Error(`Ошибка получения изменений ${table}: ${response.statusText}`);
+      }
+
+      const page = await response.json();
+      if (!Array.isArray(page) || page.length === 0) {
+        return rows;
+      }
+
+      rows.push(...page);
+      if (page.length < pageSize) {
+        return rows;
+      }
+      after = page[page.length - 1];
+    }
+  } catch (error) {
+    console.error(`Ошибка получения изменений ${table} с сервера:`, error);
+    throw error;
+  }
+}
+
 /**
  * Получить товар по ID с сервера
  * 
@@ -95,7 +142,7 @@ export async function fetchItemById(id) {
 export async function createItem(item) {
   try {
     // Удаляем локальные поля перед отправкой
-    const { synced, ...itemToSend } = item;
+    const { synced, _base, ...itemToSend } = item;
 
     const response = await fetch(`${API_URL}/items`, {
       method: 'POST',
@@ -160,7 +207,7 @@ export async function createItem(item) {
 export async function updateItem(id, updates) {
   try {
     // Удаляем локальные поля перед отправкой
-    const { synced, ...updatesToSend } = updates;
+    const { synced, _base, ...updatesToSend } = updates;
 
     const response = await fetch(`${API_URL}/items?id=eq.${id}`, {
       method: 'PATCH',
@@ -296,7 +343,7 @@ export async function fetchInventorySessionById(id) {
  */
 export async function createInventorySession(session) {
   try {
-    const { synced, ...sessionToSend } = session;
+    const { synced, _base, ...sessionToSend } = session;
 
     const response = await fetch(`${API_URL}/inventory_sessions`, {
       method: 'POST',
@@ -326,7 +373,7 @@ export async function createInventorySession(session) {
  */
 export async function updateInventorySession(id, updates) {
   try {
-    const { synced, ...updatesToSend } = updates;
+    const { synced, _base, ...updatesToSend } = updates;
 
     const response = await fetch(`${API_URL}/inventory_sessions?id=eq.${id}`, {
       method: 'PATCH',
@@ -372,6 +419,31 @@ export async function fetchInventoryItemsBySession(sessionId) {
   }
 }
 
+/**
+ * Получить запись инвентаризации по ID с сервера
+ * 
+ * @param {string} id - ID записи
+ * @returns {Promise<Object|null>} - Promise с записью или null
+ */
+export async function fetchInventoryItemById(id) {
+  try {
+    const response = await fetch(`${API_URL}/inventory_items?id=eq.${id}`, {
+      method: 'GET',
+      headers: getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ошибка получения записи: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data[0] || null;
+  } catch (error) {
+    console.error('Ошибка получения записи с сервера:', error);
+    throw error;
+  }
+}
+
 /**
  * Выполнить fetch с таймаутом
  * 
@@ -427,7 +499,7 @@ async function safeJsonParse(response) {
  */
 export async function createInventoryItem(inventoryItem) {
   try {
-    const { synced, ...itemToSend } = inventoryItem;
+    const { synced, _base, ...itemToSend } = inventoryItem;
 
     const response = await fetchWithTimeout(`${API_URL}/inventory_items`, {
       method: 'POST',
@@ -473,7 +545,7 @@ export async function createInventoryItem(inventoryItem) {
  */
 export async function updateInventoryItem(id, updates) {
   try {
-    const { synced, ...updatesToSend } = updates;
+    const { synced, _base, ...updatesToSend } = updates;
 
     const response = await fetchWithTimeout(`${API_URL}/inventory_items?id=eq.${id}`, {
       method: 'PATCH',
@@ -531,7 +603,7 @@ export async function checkBucketExists(bucketName = 'item-images') {
       method: 'POST',
       headers: {
         'apikey': supabaseConfig.anonKey,
-        'Authorization': `Bearer ${supabaseConfig.anonKey}`
+        'Authorization': `Bearer ${getAccessToken() || supabaseConfig.anonKey}`
       },
       body: testBlob
     });
@@ -600,7 +672,7 @@ export async function uploadFileToStorage(file, bucketName = 'item-images', file
     // Заголовки для загрузки файла
     const uploadHeaders = {
       'apikey': supabaseConfig.anonKey,
-      'Authorization': `Bearer ${supabaseConfig.anonKey}`,
+      'Authorization': `Bearer ${getAccessToken() || supabaseConfig.anonKey}`,
       // НЕ добавляем Content-Type, браузер установит его автоматически
     };
 
@@ -820,6 +892,235 @@ export async function updateInventoryReport(id, updates) {
   }
 }
 
+/**
+ * Получить все движения товаров с сервера
+ *
+ * @returns {Promise<Array>} - Promise с массивом движений
+ */
+export async function fetchAllStockMovements() {
+  try {
+    const response = await fetch(`${API_URL}/stock_movements?order=moved_at.asc`, {
+      method: 'GET',
+      headers: getHeaders()
+    });
+
+    if (!response.ok) {
+      // Таблица может быть еще не создана — тогда движений на сервере просто нет
+      if (response.status === 404) {
+        return [];
+      }
+      throw new Error(`Ошибка получения движений: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.error('Ошибка получения движений с сервера:', error);
+    throw error;
+  }
+}
+
+/**
+ * Создать движение товара на сервере
+ *
+ * @param {Object} movement - Объект движения
+ * @returns {Promise<Object>} - Promise с созданным движением
+ */
+export async function createStockMovement(movement) {
+  try {
+    const { synced, _base, ...movementToSend } = movement;
+
+    const response = await fetch(`${API_URL}/stock_movements`, {
+      method: 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(movementToSend)
+    });
+
+    if (!response.ok) {
+      const errorData = await safeJsonParse(response.clone());
+      throw new Error(`Ошибка создания движения: ${errorData?.message || response.statusText}`);
+    }
+
+    const data = await safeJsonParse(response);
+    return Array.isArray(data) ? (data[0] || movementToSend) : (data || movementToSend);
+  } catch (error) {
+    console.error('Ошибка создания движения на сервере:', error);
+    throw error;
+  }
+}
+
+/**
+ * Отправить строки журнала изменений на сервер
+ * Журнал только дополняется, поэтому строки создаются одним запросом и не обновляются.
+ *
+ * @param {Array} entries - Строки журнала
+ * @returns {Promise<void>}
+ */
+export async function createAuditEntries(entries) {
+  try {
+    const entriesToSend = entries.map(({ synced, ...entry }) => entry);
+
+    const response = await fetch(`${API_URL}/audit_log`, {
+      method: 'POST',
+      headers: { ...getHeaders(), 'Prefer': 'resolution=ignore-duplicates,return=minimal' },
+      body: JSON.stringify(entriesToSend)
+    });
+
+    if (!response.ok) {
+      const errorData = await safeJsonParse(response.clone());
+      throw new Error(`Ошибка записи журнала изменений: ${errorData?.message || response.statusText}`);
+    }
+  } catch (error) {
+    console.error('Ошибка записи журнала изменений на сервер:', error);
+    throw error;
+  }
+}
+
+/**
+ * Получить журнал изменений с сервера
+ *
+ * @param {Object} filter - { itemId, sessionId, limit }
+ * @returns {Promise<Array>} - Promise со строками журнала (новые первыми)
+ */
+export async function fetchAuditLog({ itemId = null, sessionId = null, limit = 200 } = {}) {
+  try {
+    const params = new URLSearchParams({ order: 'changed_at.desc', limit: String(limit) });
+    if (itemId) params.set('item_id', `eq.${itemId}`);
+    if (sessionId) params.set('session_id', `eq.${sessionId}`);
+
+    const response = await fetch(`${API_URL}/audit_log?${params}`, {
+      method: 'GET',
+      headers: getHeaders()
+    });
+
+    if (!response.ok) {
+      // Таблица может быть еще не создана — тогда журнал есть только на устройстве
+      if (response.status === 404) {
+        return [];
+      }
+      throw new Error(`Ошибка получения журнала изменений: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.error('Ошибка получения журнала изменений с сервера:', error);
+    throw error;
+  }
+}
+
+/**
+ * Получить всех поставщиков с сервера
+ *
+ * @returns {Promise<Array>} - Promise с массивом поставщиков
+ */
+export async function fetchAllSuppliers() {
+  try {
+    const response = await fetch(`${API_URL}/suppliers?order=name.asc`, {
+      method: 'GET',
+      headers: getHeaders()
+    });
+
+    if (!response.ok) {
+      // Таблица может быть еще не создана — тогда поставщиков на сервере просто нет
+      if (response.status === 404) {
+        return [];
+      }
+      throw new Error(`Ошибка получения поставщиков: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.error('Ошибка получения поставщиков с сервера:', error);
+    throw error;
+  }
+}
+
+/**
+ * Получить поставщика по ID с сервера
+ *
+ * @param {string} id - ID поставщика
+ * @returns {Promise<Object|null>} - Promise с поставщиком
+ */
+export async function fetchSupplierById(id) {
+  try {
+    const response = await fetch(`${API_URL}/suppliers?id=eq.${id}`, {
+      method: 'GET',
+      headers: getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ошибка получения поставщика: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data[0] || null;
+  } catch (error) {
+    console.error('Ошибка получения поставщика с сервера:', error);
+    throw error;
+  }
+}
+
+/**
+ * Создать поставщика на сервере
+ *
+ * @param {Object} supplier - Объект поставщика
+ * @returns {Promise<Object>} - Promise с созданным поставщиком
+ */
+export async function createSupplier(supplier) {
+  try {
+    const { synced, _base, ...supplierToSend } = supplier;
+
+    const response = await fetch(`${API_URL}/suppliers`, {
+      method: 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(supplierToSend)
+    });
+
+    if (!response.ok) {
+      const errorData = await safeJsonParse(response.clone());
+      throw new Error(`Ошибка создания поставщика: ${errorData?.message || response.statusText}`);
+    }
+
+    const data = await safeJsonParse(response);
+    return Array.isArray(data) ? (data[0] || supplierToSend) : (data || supplierToSend);
+  } catch (error) {
+    console.error('Ошибка создания поставщика на сервере:', error);
+    throw error;
+  }
+}
+
+/**
+ * Обновить поставщика на сервере
+ *
+ * @param {string} id - ID поставщика
+ * @param {Object} updates - Объект с изменениями
+ * @returns {Promise<Object>} - Promise с обновленным поставщиком
+ */
+export async function updateSupplier(id, updates) {
+  try {
+    const { synced, _base, ...updatesToSend } = updates;
+
+    const response = await fetch(`${API_URL}/suppliers?id=eq.${id}`, {
+      method: 'PATCH',
+      headers: getHeaders(),
+      body: JSON.stringify(updatesToSend)
+    });
+
+    if (!response.ok) {
+      const errorData = await safeJsonParse(response.clone());
+      throw new Error(`Ошибка обновления поставщика: ${errorData?.message || response.statusText}`);
+    }
+
+    const data = await safeJsonParse(response);
+    return Array.isArray(data) ? (data[0] || { ...updates, id }) : (data || { ...updates, id });
+  } catch (error) {
+    console.error('Ошибка обновления поставщика на сервере:', error);
+    throw error;
+  }
+}
+
 /**
  * Удалить сессию инвентаризации с сервера
  * 
@@ -871,6 +1172,31 @@ export async function deleteInventoryItemsBySession(sessionId) {
   }
 }
 
+/**
+ * Удалить запись инвентаризации с сервера
+ *
+ * @param {string} id - ID записи
+ * @returns {Promise} - Promise с результатом операции
+ */
+export async function deleteInventoryItem(id) {
+  try {
+    const response = await fetch(`${API_URL}/inventory_items?id=eq.${id}`, {
+      method: 'DELETE',
+      headers: getHeaders()
+    });
+
+    if (!response.ok) {
+      if (response.status === 404) return true;
+      throw new Error(`Ошибка удаления записи: ${response.statusText}`);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Ошибка удаления записи с сервера:', error);
+    throw error;
+  }
+}
+
 /**
  * Удалить отчет инвентаризации с сервера
  * 
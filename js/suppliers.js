@@ -0,0 +1,181 @@
+/**
+ * Справочник поставщиков
+ *
+ * Поставщик: название, контакты, срок поставки (дней) и дни заказа (1 — пн … 7 — вс).
+ * Товар ссылается на поставщика полем supplier_id и хранит свой артикул
+ * у поставщика (supplier_sku) и цену закупки (supplier_price).
+ *
+ * Как и товары, поставщики сначала сохраняются локально, затем отправляются на сервер.
+ */
+
+import * as db from './db.js';
+import * as supabase from './supabase.js';
+import { STORES } from './db.js';
+import { pushLocalChanges, requestBackgroundSync } from './sync.js';
+import { parseOrderDays } from './purchasing.js';
+
+/**
+ * Генерировать уникальный ID
+ *
+ * @returns {string} - UUID
+ */
+function generateId() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * Привести поля поставщика к хранимому виду (только переданные поля)
+ *
+ * @param {Object} data - Данные из формы или импорта
+ * @returns {Object}
+ */
+function normalizeSupplierFields(data) {
+  const fields = {};
+
+  if (data.name !== undefined) fields.name = String(data.name || '').trim();
+  ['contact_name', 'phone', 'email'].forEach(field => {
+    if (data[field] !== undefined) fields[field] = String(data[field] || '').trim() || null;
+  });
+  if (data.lead_time_days !== undefined) {
+    const leadTime = Number(String(data.lead_time_days ?? '').replace(',', '.'));
+    fields.lead_time_days = String(data.lead_time_days ?? '').trim() !== '' && Number.isFinite(leadTime) && leadTime >= 0
+      ? Math.round(leadTime)
+      : null;
+  }
+  if (data.order_days !== undefined) fields.order_days = parseOrderDays(data.order_days);
+
+  return fields;
+}
+
+/**
+ * Создать поставщика
+ *
+ * @param {Object} supplierData - Данные поставщика
+ * @param {string} supplierData.name - Название (обязательно)
+ * @param {string} supplierData.contact_name - Контактное лицо
+ * @param {string} supplierData.phone - Телефон
+ * @param {string} supplierData.email - Email
+ * @param {number} supplierData.lead_time_days - Срок поставки, дней
+ * @param {Array|string} supplierData.order_days - Дни заказа
+ * @returns {Promise<Object>} - Promise с созданным поставщиком
+ */
+export async function createSupplier(supplierData) {
+  const fields = normalizeSupplierFields({
+    contact_name: null,
+    phone: null,
+    email: null,
+    lead_time_days: null,
+    order_days: [],
+    ...supplierData
+  });
+  if (!fields.name) {
+    throw new Error('Ошибка создания поставщика: укажите название');
+  }
+
+  const existing = await findSupplierByName(fields.name);
+  if (existing) {
+    throw new Error(`Ошибка создания поставщика: "${fields.name}" уже есть в справочнике`);
+  }
+
+  const localSupplier = await db.addSupplier({ id: generateId(), ...fields });
+
+  if (!navigator.onLine) {
+    requestBackgroundSync();
+    return localSupplier;
+  }
+
+  try {
+    const serverSupplier = await supabase.createSupplier(localSupplier);
+    return await db.updateSupplier(localSupplier.id, { ...serverSupplier, synced: true });
+  } catch (syncError) {
+    // Поставщик уже сохранен локально — отправит следующая синхронизация или сервис-воркер
+    console.warn('Не удалось отправить поставщика на сервер:', syncError.message || syncError);
+    requestBackgroundSync();
+    return localSupplier;
+  }
+}
+
+/**
+ * Обновить поставщика
+ *
+ * @param {string} id - ID поставщика
+ * @param {Object} updates - Изменения (см. createSupplier)
+ * @returns {Promise<Object>} - Promise с обновленным поставщиком
+ */
+export async function updateSupplier(id, updates) {
+  const fields = normalizeSupplierFields(updates);
+  if (fields.name !== undefined && !fields.name) {
+    throw new Error('Ошибка обновления поставщика: название не может быть пустым');
+  }
+
+  const localSupplier = await db.updateSupplier(id, fields);
+
+  try {
+    const pushedSupplier = await pushLocalChanges(STORES.SUPPLIERS, id);
+    if (pushedSupplier) return pushedSupplier;
+  } catch (syncError) {
+    console.warn('Не удалось синхронизировать поставщика с сервером:', syncError.message || syncError);
+  }
+
+  // Правка осталась только локально — отправит следующая синхронизация или сервис-воркер
+  requestBackgroundSync();
+  return localSupplier;
+}
+
+/**
+ * Получить всех поставщиков (по названию)
+ * Читаются из локальной базы: поставщики с других устройств приходят
+ * при синхронизации (pullFromServer в sync.js).
+ *
+ * @returns {Promise<Array>}
+ */
+export async function getAllSuppliers() {
+  const suppliers = await db.getAllSuppliers();
+  return suppliers.sort((a, b) => String(a.name).localeCompare(String(b.name), 'ru'));
+}
+
+/**
+ * Получить поставщика по ID
+ *
+ * @param {string} id - ID поставщика
+ * @returns {Promise<Object|null>}
+ */
+export async function getSupplierById(id) {
+  if (!id) return null;
+  return (await db.getSupplierById(id)) || null;
+}
+
+/**
+ * Найти поставщика по названию (без учета регистра)
+ *
+ * @param {string} name - Название
+ * @returns {Promise<Object|null>}
+ */
+export async function findSupplierByName(name) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key) return null;
+  const suppliers = await db.getAllSuppliers();
+  return suppliers.find(supplier => String(supplier.name).trim().toLowerCase() === key) || null;
+}
+
+/**
+ * Найти поставщика по названию или создать нового (для импорта)
+ *
+ * @param {string} name - Название из файла
+ * @param {Map} cache - Кэш на время одного импорта: название → поставщик
+ * @returns {Promise<Object|null>} - null, если название пустое
+ */
+export async function findOrCreateSupplierByName(name, cache = new Map()) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return null;
+
+  const key = trimmed.toLowerCase();
+  if (!cache.has(key)) {
+    cache.set(key, (await findSupplierByName(trimmed)) || (await createSupplier({ name: trimmed })));
+  }
+  return cache.get(key);
+}
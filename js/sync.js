@@ -2,14 +2,145 @@
  * Синхронизация данных между локальной базой и Supabase
  * 
  * Этот файл содержит функции для автоматической синхронизации данных:
- * - Отправка локальных изменений на сервер
- * - Получение обновлений с сервера
- * - Разрешение конфликтов
+ * - Отправка локальных изменений на сервер (очередь outbox, см. outbox.js)
+ * - Получение обновлений с сервера (только изменения после курсора таблицы, см. delta.js)
+ * - Разрешение конфликтов (трехстороннее слияние по полям, см. merge.js)
+ * - Фоновая отправка очереди из сервис-воркера (Background Sync, см. sw.js)
+ *
+ * Модуль загружается и сервис-воркером: window и localStorage — только в функциях страницы.
  */
 
 import * as db from './db.js';
 import * as supabase from './supabase.js';
 import { STORES } from './db.js';
+import { getChangedFields } from './merge.js';
+import { refreshAuthSession, restoreAuthSession } from './auth.js';
+import { getDueOperations, getRetryState, summarizeOutbox, removeDeleted } from './outbox.js';
+import { getDeltaSince, getNextCursor } from './delta.js';
+
+// Теги фоновой синхронизации: разовая — когда очередь не ушла, периодическая — где поддерживается
+export const BACKGROUND_SYNC_TAG = 'outbox-sync';
+export const PERIODIC_SYNC_TAG = 'outbox-periodic-sync';
+
+// Желаемый интервал периодической синхронизации (фактический выбирает браузер)
+const PERIODIC_SYNC_INTERVAL = 60 * 60 * 1000;
+
+// Блокировка очереди: страницы и сервис-воркер не отправляют ее одновременно
+const OUTBOX_LOCK = 'inventura-outbox';
+
+// Как читать и обновлять записи каждого хранилища локально и на сервере
+const SYNC_TARGETS = {
+  [STORES.ITEMS]: {
+    updateLocal: db.updateItem,
+    fetchRemote: supabase.fetchItemById,
+    updateRemote: supabase.updateItem
+  },
+  [STORES.INVENTORY_SESSIONS]: {
+    updateLocal: db.updateInventorySession,
+    fetchRemote: supabase.fetchInventorySessionById,
+    updateRemote: supabase.updateInventorySession
+  },
+  [STORES.INVENTORY_ITEMS]: {
+    updateLocal: db.updateInventoryItem,
+    fetchRemote: supabase.fetchInventoryItemById,
+    updateRemote: supabase.updateInventoryItem
+  },
+  [STORES.SUPPLIERS]: {
+    updateLocal: db.updateSupplier,
+    fetchRemote: supabase.fetchSupplierById,
+    updateRemote: supabase.updateSupplier
+  }
+};
+
+// Как создать, найти локально и удалить записи, изменения которых идут через очередь outbox
+const OUTBOX_TARGETS = {
+  [STORES.ITEMS]: {
+    getLocal: db.getItemById,
+    createRemote: supabase.createItem,
+    deleteRemote: supabase.deleteItem
+  },
+  [STORES.INVENTORY_SESSIONS]: {
+    getLocal: db.getInventorySessionById,
+    createRemote: supabase.createInventorySession,
+    deleteRemote: supabase.deleteInventorySession
+  },
+  [STORES.INVENTORY_ITEMS]: {
+    getLocal: db.getInventoryItemById,
+    createRemote: supabase.createInventoryItem,
+    deleteRemote: supabase.deleteInventoryItem
+  },
+  [STORES.INVENTORY_REPORTS]: {
+    getLocal: db.getInventoryReportById,
+    createRemote: supabase.createInventoryReport,
+    deleteRemote: supabase.deleteInventoryReport
+  }
+};
+
+// Что получать с сервера и как сохранять строки локально.
+// Порядок важен: поставщики раньше товаров, которые на них ссылаются,
+// сессии раньше своих записей подсчета и отчетов.
+const PULL_TABLES = [
+  {
+    key: 'suppliers',
+    label: 'Поставщики',
+    table: 'suppliers',
+    store: STORES.SUPPLIERS,
+    getLocal: db.getSupplierById,
+    updateLocal: db.updateSupplier,
+    addLocal: db.addSupplier
+  },
+  {
+    key: 'items',
+    label: 'Товары',
+    table: 'items',
+    store: STORES.ITEMS,
+    getLocal: db.getItemById,
+    updateLocal: db.updateItem,
+    addLocal: db.addItem
+  },
+  {
+    key: 'sessions',
+    label: 'Сессии',
+    table: 'inventory_sessions',
+    store: STORES.INVENTORY_SESSIONS,
+    getLocal: db.getInventorySessionById,
+    updateLocal: db.updateInventorySession,
+    addLocal: db.addInventorySession
+  },
+  {
+    key: 'inventoryItems',
+    label: 'Записи подсчета',
+    table: 'inventory_items',
+    store: STORES.INVENTORY_ITEMS,
+    getLocal: db.getInventoryItemById,
+    updateLocal: db.updateInventoryItem,
+    addLocal: db.addInventoryItem
+  },
+  {
+    key: 'reports',
+    label: 'Отчеты',
+    table: 'inventory_reports',
+    store: STORES.INVENTORY_REPORTS,
+    getLocal: db.getInventoryReportById,
+    updateLocal: db.updateInventoryReport,
+    addLocal: db.addInventoryReport
+  },
+  {
+    key: 'movements',
+    label: 'Движения товаров',
+    table: 'stock_movements',
+    store: STORES.STOCK_MOVEMENTS,
+    addLocal: db.addStockMovement
+  }
+];
+
+// Шаги отправки в статусе синхронизации
+const PUSH_LABELS = {
+  suppliers: 'Поставщики',
+  outbox: 'Очередь отправки',
+  movements: 'Движения',
+  audit: 'Журнал изменений'
+};
 
 /**
  * Проверить наличие интернета
@@ -21,280 +152,582 @@ function isOnline() {
 }
 
 /**
- * Синхронизировать все несинхронизированные товары
- * 
+ * Отправить на сервер локальные изменения записи, которая уже есть на сервере
+ *
+ * 1. Свежую серверную версию сливаем с локальной (db делает трехстороннее
+ *    слияние, конфликты попадают в очередь).
+ * 2. Отправляем только поля, которые после слияния отличаются от сервера,
+ *    чтобы не затереть чужие правки в остальных полях.
+ *
+ * @param {string} storeName - Хранилище
+ * @param {string} id - ID записи
+ * @param {Object} serverRecord - Текущая версия записи на сервере
+ * @returns {Promise<Object>} - Promise с итоговой локальной записью
+ */
+async function pushMergedChanges(storeName, id, serverRecord) {
+  const { updateLocal, updateRemote } = SYNC_TARGETS[storeName];
+  const merged = await updateLocal(id, { ...serverRecord, synced: true });
+
+  // После слияния запись совпала с серверной — отправлять нечего
+  if (merged.synced) {
+    return merged;
+  }
+
+  const changes = getChangedFields(merged._base, merged);
+  const response = await updateRemote(id, { ...changes, field_updated_at: merged.field_updated_at });
+
+  return await updateLocal(id, { ...serverRecord, ...response, synced: true });
+}
+
+/**
+ * Сразу отправить локальную правку одной записи на сервер
+ * Используется после сохранения изменений онлайн: перед отправкой
+ * забираем свежую серверную версию и сливаем её с локальной.
+ *
+ * @param {string} storeName - Хранилище
+ * @param {string} id - ID записи
+ * @returns {Promise<Object|null>} - Итоговая запись или null, если записи нет на сервере
+ */
+export async function pushLocalChanges(storeName, id) {
+  if (!isOnline()) {
+    return null;
+  }
+
+  const serverRecord = await SYNC_TARGETS[storeName].fetchRemote(id);
+  if (!serverRecord) {
+    // Записи еще нет на сервере — её создаст следующая синхронизация
+    return null;
+  }
+
+  return await pushMergedChanges(storeName, id, serverRecord);
+}
+
+/**
+ * Является ли ошибка отказом сервера из-за уже существующей записи
+ *
+ * @param {Error} error - Ошибка запроса
+ * @returns {boolean}
+ */
+function isDuplicateError(error) {
+  return Boolean(error?.message && (error.message.includes('duplicate') || error.message.includes('409')));
+}
+
+/**
+ * Отправить на сервер запись, которая есть локально
+ * Записи еще нет на сервере — создаем ее; есть — сливаем версии и отправляем свои изменения.
+ * Отчеты не сливаются по полям: их содержимое целиком формирует приложение.
+ *
+ * @param {string} storeName - Хранилище
+ * @param {Object} record - Локальная запись
+ * @param {Object} operation - Операция очереди (для отчетов payload правки — новое содержимое)
+ * @returns {Promise}
+ */
+async function pushRecord(storeName, record, operation) {
+  const { createRemote } = OUTBOX_TARGETS[storeName];
+  const { synced, _base, ...recordToSend } = record;
+
+  if (storeName === STORES.INVENTORY_REPORTS) {
+    if (operation.action === 'update' && operation.payload) {
+      await supabase.updateInventoryReport(record.id, operation.payload);
+    } else {
+      try {
+        await createRemote(recordToSend);
+      } catch (createError) {
+        if (!isDuplicateError(createError)) throw createError;
+        await supabase.updateInventoryReport(record.id, recordToSend);
+      }
+    }
+    // Отчет могли исправить во время отправки — тогда он остается несинхронизированным
+    await db.markAsSynced(storeName, record.id, record.updated_at);
+    return;
+  }
+
+  const serverRecord = await SYNC_TARGETS[storeName].fetchRemote(record.id);
+  if (serverRecord) {
+    await pushMergedChanges(storeName, record.id, serverRecord);
+    return;
+  }
+
+  try {
+    const created = await createRemote(recordToSend);
+    await SYNC_TARGETS[storeName].updateLocal(record.id, { ...created, synced: true });
+  } catch (createError) {
+    // Запись успело создать другое устройство — сливаем наши значения с его
+    if (!isDuplicateError(createError)) throw createError;
+    await pushMergedChanges(storeName, record.id, await SYNC_TARGETS[storeName].fetchRemote(record.id));
+  }
+}
+
+/**
+ * Выполнить одну операцию очереди на сервере
+ *
+ * - создание и правка отправляют текущую локальную запись (в ней уже все слитые правки);
+ *   если записи локально больше нет, отправлять нечего — за ней в очереди стоит удаление;
+ * - удаление сессии удаляет на сервере и ее записи подсчета.
+ *
+ * @param {Object} operation - Операция очереди (см. outbox.js)
+ * @returns {Promise}
+ */
+async function replayOperation(operation) {
+  const { store_name: storeName, record_id: id } = operation;
+  const target = OUTBOX_TARGETS[storeName];
+  if (!target) {
+    throw new Error('Ошибка очереди отправки: неизвестное хранилище ' + storeName);
+  }
+
+  if (operation.action === 'delete') {
+    if (storeName === STORES.INVENTORY_SESSIONS) {
+      await supabase.deleteInventoryItemsBySession(id);
+    }
+    await target.deleteRemote(id);
+    return;
+  }
+
+  const record = await target.getLocal(id);
+  if (!record || (operation.action === 'update' && record.synced === true)) {
+    return;
+  }
+  await pushRecord(storeName, record, operation);
+}
+
+/**
+ * Отправить очередь изменений на сервер
+ * Операции идут по порядку. Неудачная откладывается с растущей паузой
+ * (см. getRetryState), следующие операции той же записи ждут ее.
+ *
+ * @returns {Promise<Object>} - Promise с результатом синхронизации
+ */
+async function drainOutbox() {
+  const operations = getDueOperations(await db.getOutboxOperations(), Date.now());
+  const failed = new Set();
+
+  let synced = 0;
+  let errors = 0;
+
+  for (const operation of operations) {
+    if (failed.has(operation.entity_key)) continue;
+    if (!isOnline()) break;
+
+    try {
+      await replayOperation(operation);
+      await db.completeOutboxOperation(operation.seq, operation.revision);
+      synced++;
+    } catch (error) {
+      console.error('Ошибка отправки операции:', operation.entity_key, operation.action, error);
+      failed.add(operation.entity_key);
+      await db.updateOutboxOperation(operation.seq, getRetryState(operation, error.message, Date.now()));
+      errors++;
+    }
+  }
+
+  return { success: true, synced, errors, total: operations.length };
+}
+
+// Идущая отправка очереди: второй вызов не отправляет те же операции параллельно
+let outboxReplay = null;
+let outboxReplayAgain = false;
+
+/**
+ * Пройти очередь под блокировкой Web Locks (если браузер ее поддерживает):
+ * вкладки и сервис-воркер отправляют очередь по одному
+ *
+ * @returns {Promise<Object>}
+ */
+function drainOutboxLocked() {
+  if (navigator.locks) {
+    return navigator.locks.request(OUTBOX_LOCK, drainOutbox);
+  }
+  return drainOutbox();
+}
+
+/**
+ * Отправить очередь изменений на сервер
+ * Если отправка уже идет, после нее очередь будет пройдена еще раз —
+ * так доходят и операции, поставленные во время отправки.
+ *
  * @returns {Promise<Object>} - Promise с результатом синхронизации
  */
-export async function syncItems() {
+export function replayOutbox() {
+  if (!isOnline()) {
+    return Promise.resolve({ success: false, reason: 'no_internet' });
+  }
+
+  if (outboxReplay) {
+    outboxReplayAgain = true;
+    return outboxReplay;
+  }
+
+  outboxReplay = (async () => {
+    const result = { success: true, synced: 0, errors: 0, total: 0 };
+    do {
+      outboxReplayAgain = false;
+      const pass = await drainOutboxLocked();
+      result.synced += pass.synced;
+      result.errors += pass.errors;
+      result.total += pass.total;
+    } while (outboxReplayAgain && isOnline());
+    return result;
+  })().catch(error => {
+    console.error('Ошибка отправки очереди изменений:', error);
+    return { success: false, reason: 'error', error: error.message };
+  }).finally(() => {
+    outboxReplay = null;
+  });
+
+  return outboxReplay;
+}
+
+/**
+ * Поставить локальное изменение в очередь и сразу отправить очередь (если есть интернет)
+ * Ошибка отправки не мешает сохранению: операция останется в очереди, и ее отправит
+ * сервис-воркер, когда появится сеть, даже если вкладку закроют.
+ *
+ * @param {string} storeName - Хранилище записи
+ * @param {string} action - create, update или delete (см. OUTBOX_ACTIONS)
+ * @param {string} id - ID записи
+ * @param {Object|null} payload - Запись при создании, изменения при правке
+ * @returns {Promise<void>}
+ */
+export async function queueChange(storeName, action, id, payload = null) {
+  await db.addOutboxOperation(storeName, action, id, payload);
+  const result = await replayOutbox();
+  if (!result.success || result.errors > 0) {
+    requestBackgroundSync();
+  }
+}
+
+/**
+ * Регистрация сервис-воркера страницы (undefined, если его нет)
+ *
+ * @returns {Promise<ServiceWorkerRegistration|undefined>}
+ */
+async function getWorkerRegistration() {
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return undefined;
+  return navigator.serviceWorker.getRegistration();
+}
+
+/**
+ * Попросить сервис-воркер отправить очередь, когда появится сеть (Background Sync)
+ * В браузерах без Background Sync очередь уйдет при следующей синхронизации на странице.
+ *
+ * @returns {Promise<void>}
+ */
+export async function requestBackgroundSync() {
+  try {
+    const registration = await getWorkerRegistration();
+    if (registration?.sync) {
+      await registration.sync.register(BACKGROUND_SYNC_TAG);
+    }
+  } catch (error) {
+    console.warn('Не удалось запланировать фоновую синхронизацию:', error);
+  }
+}
+
+/**
+ * Включить периодическую фоновую синхронизацию (Periodic Background Sync)
+ * Браузер разрешает ее только установленному приложению.
+ *
+ * @returns {Promise<void>}
+ */
+async function registerPeriodicSync() {
+  try {
+    const registration = await getWorkerRegistration();
+    if (!registration?.periodicSync) return;
+
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (status.state !== 'granted') return;
+
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL });
+  } catch (error) {
+    console.warn('Периодическая синхронизация недоступна:', error);
+  }
+}
+
+/**
+ * Фоновая отправка из сервис-воркера (события sync и periodicsync, см. sw-module.js)
+ * Отправляет то же, что и fullSync, кроме загрузки с сервера: поставщиков, очередь outbox,
+ * движения и журнал изменений. Если что-то осталось неотправленным, Promise отклоняется —
+ * браузер повторит событие sync позже.
+ *
+ * @returns {Promise<Object>} - Promise с результатами отправки по видам записей
+ */
+export async function runBackgroundSync() {
+  await refreshAuthSession();
+
+  // Поставщики раньше очереди: товары ссылаются на них
+  const result = {
+    suppliers: await syncSuppliers(),
+    outbox: await replayOutbox(),
+    movements: await syncStockMovements(),
+    audit: await syncAuditLog()
+  };
+
+  const { total } = summarizeOutbox(await db.getOutboxOperations());
+  const remaining = total
+    + (await db.getUnsyncedItems(STORES.SUPPLIERS)).length
+    + (await db.getUnsyncedItems(STORES.STOCK_MOVEMENTS)).length
+    + (await db.getUnsyncedItems(STORES.AUDIT_LOG)).length;
+  if (remaining > 0) {
+    throw new Error(`Ошибка фоновой синхронизации: не отправлено записей: ${remaining}`);
+  }
+  return result;
+}
+
+/**
+ * Синхронизировать всех несинхронизированных поставщиков
+ *
+ * @returns {Promise<Object>} - Promise с результатом синхронизации
+ */
+export async function syncSuppliers() {
   if (!isOnline()) {
-    console.log('Нет интернета, синхронизация пропущена');
     return { success: false, reason: 'no_internet' };
   }
 
   try {
-    // Получаем несинхронизированные товары
-    const unsyncedItems = await db.getUnsyncedItems(STORES.ITEMS);
+    const unsyncedSuppliers = await db.getUnsyncedItems(STORES.SUPPLIERS);
 
     let synced = 0;
     let errors = 0;
 
-    for (const item of unsyncedItems) {
+    for (const supplier of unsyncedSuppliers) {
       try {
-        const { synced: _, ...itemToSend } = item;
-
-        // Проверяем, существует ли товар на сервере
-        let existingItem = null;
-        try {
-          existingItem = await supabase.fetchItemById(item.id);
-        } catch (fetchError) {
-          // Если товар не найден (404), existingItem останется null
-          // Если другая ошибка, логируем и продолжаем
-          if (!fetchError.message || !fetchError.message.includes('404')) {
-            console.warn('Ошибка проверки существования товара:', item.id, fetchError.message);
-          }
-        }
+        const existingSupplier = await supabase.fetchSupplierById(supplier.id);
 
-        if (existingItem) {
-          // Товар существует на сервере, обновляем
-          try {
-            const serverItem = await supabase.updateItem(item.id, itemToSend);
-            await db.updateItem(item.id, { ...serverItem, synced: true });
-            synced++;
-          } catch (updateError) {
-            // Если обновление не удалось (например, товар удален), пытаемся создать
-            if (updateError.message && updateError.message.includes('404')) {
-              console.log('Товар не найден при обновлении, пытаемся создать:', item.id);
-              try {
-                // НЕ передаем ID при создании, чтобы сервер создал новый
-                const { id: _, ...itemWithoutId } = itemToSend;
-                const serverItem = await supabase.createItem(itemWithoutId);
-                // Обновляем локальный ID на серверный
-                await db.updateItem(item.id, { ...serverItem, synced: true });
-                synced++;
-              } catch (createError) {
-                console.error('Ошибка создания товара на сервере:', createError);
-                errors++;
-              }
-            } else {
-              console.error('Ошибка обновления товара на сервере:', item.id, updateError);
-              errors++;
-            }
-          }
+        if (existingSupplier) {
+          // Поставщик есть на сервере: сливаем версии и отправляем только свои изменения
+          await pushMergedChanges(STORES.SUPPLIERS, supplier.id, existingSupplier);
         } else {
-          // Товар не существует на сервере, создаем новый
-          try {
-            // Если ID похож на UUID и не начинается с 'xxxxxxxx', пытаемся создать с ID
-            // Если получаем ошибку 409 (дубликат), создаем без ID
-            let serverItem;
-            try {
-              serverItem = await supabase.createItem(itemToSend);
-            } catch (createError) {
-              // Если ошибка 409 (duplicate key), создаем без ID
-              if (createError.message && createError.message.includes('duplicate key')) {
-                console.log('Дубликат ID при создании товара, создаем без ID:', item.id);
-                const { id: _, ...itemWithoutId } = itemToSend;
-                serverItem = await supabase.createItem(itemWithoutId);
-              } else {
-                throw createError; // Пробрасываем другие ошибки
-              }
-            }
-
-            // Если сервер вернул товар с другим ID, обновляем локальный ID
-            if (serverItem && serverItem.id && serverItem.id !== item.id) {
-              // Удаляем старую запись и создаем новую с серверным ID
-              await db.deleteItem(item.id);
-              await db.addItem({ ...serverItem, synced: true });
-            } else {
-              await db.updateItem(item.id, { ...serverItem, synced: true });
-            }
-            synced++;
-          } catch (createError) {
-            console.error('Ошибка создания товара на сервере:', item.id, createError);
-            errors++;
-          }
+          const serverSupplier = await supabase.createSupplier(supplier);
+          await db.updateSupplier(supplier.id, { ...serverSupplier, synced: true });
         }
+        synced++;
       } catch (error) {
-        console.error('Ошибка синхронизации товара:', item.id, error);
+        console.error('Ошибка синхронизации поставщика:', supplier.id, error);
         errors++;
       }
     }
 
-    return { success: true, synced, errors, total: unsyncedItems.length };
+    return { success: true, synced, errors, total: unsyncedSuppliers.length };
   } catch (error) {
-    console.error('Ошибка синхронизации товаров:', error);
+    console.error('Ошибка синхронизации поставщиков:', error);
     return { success: false, reason: 'error', error: error.message };
   }
 }
 
 /**
- * Синхронизировать все несинхронизированные сессии инвентаризации
- * 
+ * Синхронизировать все несинхронизированные движения товаров
+ * Движения не редактируются, поэтому их достаточно создать на сервере.
+ *
  * @returns {Promise<Object>} - Promise с результатом синхронизации
  */
-export async function syncInventorySessions() {
+export async function syncStockMovements() {
   if (!isOnline()) {
     return { success: false, reason: 'no_internet' };
   }
 
   try {
-    const unsyncedSessions = await db.getUnsyncedItems(STORES.INVENTORY_SESSIONS);
+    const unsyncedMovements = await db.getUnsyncedItems(STORES.STOCK_MOVEMENTS);
 
     let synced = 0;
     let errors = 0;
 
-    for (const session of unsyncedSessions) {
+    for (const movement of unsyncedMovements) {
       try {
-        const { synced: _, ...sessionToSend } = session;
-
-        let existingSession = null;
         try {
-          existingSession = await supabase.fetchInventorySessionById(session.id);
-        } catch (fError) {
-          // Игнорируем ошибки поиска
-        }
-
-        if (existingSession) {
-          const serverSession = await supabase.updateInventorySession(session.id, sessionToSend);
-          await db.updateInventorySession(session.id, { ...serverSession, synced: true });
-        } else {
-          try {
-            const serverSession = await supabase.createInventorySession(sessionToSend);
-            await db.updateInventorySession(session.id, { ...serverSession, synced: true });
-          } catch (createError) {
-            // Если возникла ошибка дубликата, значит сессия уже есть - просто обновим её
-            if (createError.message && (createError.message.includes('duplicate') || createError.message.includes('409'))) {
-              const serverSession = await supabase.updateInventorySession(session.id, sessionToSend);
-              await db.updateInventorySession(session.id, { ...serverSession, synced: true });
-            } else {
-              throw createError;
-            }
+          await supabase.createStockMovement(movement);
+        } catch (createError) {
+          // Движение уже на сервере (прошлая отправка не успела отметиться локально)
+          if (!createError.message || !(createError.message.includes('duplicate') || createError.message.includes('409'))) {
+            throw createError;
           }
         }
+        await db.markAsSynced(STORES.STOCK_MOVEMENTS, movement.id);
         synced++;
       } catch (error) {
-        console.error('Ошибка синхронизации сессии:', session.id, error);
+        console.error('Ошибка синхронизации движения:', movement.id, error);
         errors++;
       }
     }
 
-    return { success: true, synced, errors, total: unsyncedSessions.length };
+    return { success: true, synced, errors, total: unsyncedMovements.length };
   } catch (error) {
-    console.error('Ошибка синхронизации сессий:', error);
+    console.error('Ошибка синхронизации движений:', error);
     return { success: false, reason: 'error', error: error.message };
   }
 }
 
 /**
- * Синхронизировать все несинхронизированные записи инвентаризации
- * 
+ * Отправить на сервер строки журнала изменений
+ * Журнал только дополняется, поэтому строки отправляются пачками и больше не меняются.
+ *
  * @returns {Promise<Object>} - Promise с результатом синхронизации
  */
-export async function syncInventoryItems() {
+export async function syncAuditLog() {
   if (!isOnline()) {
     return { success: false, reason: 'no_internet' };
   }
 
   try {
-    const unsyncedItems = await db.getUnsyncedItems(STORES.INVENTORY_ITEMS);
+    const unsyncedEntries = await db.getUnsyncedItems(STORES.AUDIT_LOG);
+    const batchSize = 100;
 
     let synced = 0;
     let errors = 0;
 
-    for (const item of unsyncedItems) {
+    for (let start = 0; start < unsyncedEntries.length; start += batchSize) {
+      const batch = unsyncedEntries.slice(start, start + batchSize);
       try {
-        const { synced: _, ...itemToSend } = item;
-
-        try {
-          // Пытаемся обновить существующую запись
-          const serverItem = await supabase.updateInventoryItem(item.id, itemToSend);
-          await db.updateInventoryItem(item.id, { ...serverItem, synced: true });
-          synced++;
-        } catch (error) {
-          // Если не получилось, создаем новую
-          try {
-            const serverItem = await supabase.createInventoryItem(itemToSend);
-            await db.updateInventoryItem(item.id, { ...serverItem, synced: true });
-            synced++;
-          } catch (createError) {
-            console.error('Ошибка создания записи на сервере:', createError);
-            errors++;
-          }
+        await supabase.createAuditEntries(batch);
+        for (const entry of batch) {
+          await db.markAsSynced(STORES.AUDIT_LOG, entry.id);
         }
+        synced += batch.length;
       } catch (error) {
-        console.error('Ошибка синхронизации записи:', item.id, error);
-        errors++;
+        console.error('Ошибка синхронизации журнала изменений:', error);
+        errors += batch.length;
       }
     }
 
-    return { success: true, synced, errors, total: unsyncedItems.length };
+    return { success: true, synced, errors, total: unsyncedEntries.length };
   } catch (error) {
-    console.error('Ошибка синхронизации записей инвентаризации:', error);
+    console.error('Ошибка синхронизации журнала изменений:', error);
     return { success: false, reason: 'error', error: error.message };
   }
 }
 
 /**
- * Получить все данные с сервера и обновить локальную базу
- * 
+ * Сохранить строку с сервера в локальной базе
+ * Если у записи есть несинхронизированные локальные правки, db сольет их
+ * с серверной версией по полям: чужие изменения примем, свои сохраним.
+ *
+ * @param {Object} target - Таблица из PULL_TABLES
+ * @param {Object} row - Строка с сервера
+ * @returns {Promise}
+ */
+async function applyServerRow(target, row) {
+  // Неизменяемые записи (движения) просто перезаписываем серверной копией
+  if (!target.getLocal) {
+    return await target.addLocal({ ...row, synced: true });
+  }
+
+  const localRecord = await target.getLocal(row.id);
+  if (localRecord) {
+    return await target.updateLocal(row.id, { ...row, synced: true });
+  }
+  return await target.addLocal({ ...row, synced: true });
+}
+
+/**
+ * Получить изменения одной таблицы после ее курсора
+ * Курсор сдвигается, только если все строки сохранены, иначе они придут снова.
+ *
+ * @param {Object} target - Таблица из PULL_TABLES
+ * @param {Array} tombstones - Надгробия удаленных на устройстве записей
+ * @returns {Promise<{received: number, errors: number}>}
+ */
+async function pullTable(target, tombstones) {
+  const cursor = await db.getSyncCursor(target.table);
+  const rows = await supabase.fetchChangedRows(target.table, getDeltaSince(cursor));
+
+  let errors = 0;
+  for (const row of removeDeleted(rows, target.store, tombstones)) {
+    try {
+      await applyServerRow(target, row);
+    } catch (error) {
+      console.error(`Ошибка сохранения строки ${target.table} из сервера:`, row.id, error);
+      errors++;
+    }
+  }
+
+  const nextCursor = getNextCursor(target.table, cursor, rows);
+  if (errors === 0 && nextCursor) {
+    await db.setSyncCursor(nextCursor);
+  }
+
+  return { received: rows.length, errors };
+}
+
+/**
+ * Получить изменения с сервера и обновить локальную базу
+ * Запрашиваются только строки, измененные после курсора каждой таблицы (см. delta.js).
+ * Строки, которые не удалось сохранить, считаются по таблицам в errors ({ [key]: число }),
+ * а в message — текст для статуса синхронизации.
+ *
+ * @param {Function|null} onTable - Вызывается перед получением каждой таблицы ({ key, label })
  * @returns {Promise<Object>} - Promise с результатом синхронизации
  */
-export async function pullFromServer() {
+export async function pullFromServer(onTable = null) {
   if (!isOnline()) {
     return { success: false, reason: 'no_internet' };
   }
 
   try {
-    // Получаем товары с сервера
-    const serverItems = await supabase.fetchAllItems();
-    for (const item of serverItems) {
-      try {
-        const localItem = await db.getItemById(item.id);
-        if (localItem) {
-          // Если локальный товар не синхронизирован, не перезаписываем его серверной версией полностью,
-          // чтобы не потерять локальные правки (например, current_quantity)
-          if (localItem.synced === false) {
-            console.log(`Пропуск обновления ${item.id} - есть несинхронизированные локальные изменения`);
-            // Можно сделать merge: {...item, ...localItem, synced: false} если хотим обновить только новые поля
-            await db.updateItem(item.id, { ...item, ...localItem, synced: false });
-          } else {
-            await db.updateItem(item.id, { ...item, synced: true });
-          }
-        } else {
-          await db.addItem({ ...item, synced: true });
-        }
-      } catch (error) {
-        console.error('Ошибка обновления товара из сервера:', error);
+    // Записи, удаленные на этом устройстве, но еще не на сервере, обратно не принимаем
+    const tombstones = await db.getTombstones();
+    const result = { success: true, errors: {}, failed: 0 };
+    const failedTables = [];
+
+    for (const target of PULL_TABLES) {
+      if (onTable) onTable(target);
+      const { received, errors } = await pullTable(target, tombstones);
+      result[target.key] = received;
+      if (errors > 0) {
+        result.errors[target.key] = errors;
+        result.failed += errors;
+        failedTables.push(`${target.label.toLowerCase()} — ${errors}`);
       }
     }
 
-    // Получаем сессии с сервера
-    const serverSessions = await supabase.fetchAllInventorySessions();
-    for (const session of serverSessions) {
-      try {
-        const localSession = await db.getInventorySessionById(session.id);
-        if (localSession) {
-          await db.updateInventorySession(session.id, { ...session, synced: true });
-        } else {
-          await db.addInventorySession({ ...session, synced: true });
-        }
-      } catch (error) {
-        console.error('Ошибка обновления сессии из сервера:', error);
-      }
+    if (failedTables.length > 0) {
+      result.message = 'Не сохранены строки с сервера: ' + failedTables.join(', ');
     }
-
-    return { success: true, items: serverItems.length, sessions: serverSessions.length };
+    return result;
   } catch (error) {
     console.error('Ошибка получения данных с сервера:', error);
     return { success: false, reason: 'error', error: error.message };
   }
 }
 
+/**
+ * Описать ошибки шагов синхронизации для статуса
+ *
+ * @param {Object} pullResult - Результат pullFromServer
+ * @param {Object} push - Результаты отправки { suppliers, outbox, movements, audit }
+ * @param {number} failingOperations - Операции очереди, которые после ошибки ждут повтора
+ * @returns {string|null} - Текст ошибки или null, если все прошло успешно
+ */
+function describeSyncErrors(pullResult, push, failingOperations) {
+  const problems = [];
+
+  if (!pullResult.success) {
+    problems.push('Ошибка получения данных с сервера: ' + (pullResult.error || pullResult.reason));
+  } else if (pullResult.message) {
+    problems.push(pullResult.message);
+  }
+
+  Object.entries(PUSH_LABELS).forEach(([key, label]) => {
+    const result = push[key];
+    if (!result) return;
+    // Операции очереди в паузе после ошибки в этот раз не отправлялись, но тоже не дошли до сервера
+    const errors = key === 'outbox' ? Math.max(result.errors || 0, failingOperations) : result.errors;
+    if (!result.success) {
+      problems.push(`${label}: ошибка отправки (${result.error || result.reason})`);
+    } else if (errors > 0) {
+      problems.push(`${label}: не отправлено ${errors}`);
+    }
+  });
+
+  return problems.length > 0 ? problems.join('; ') : null;
+}
+
 /**
  * Полная синхронизация: отправка локальных изменений и получение обновлений с сервера
+ * Успешна, только если все строки получены и все локальные изменения приняты сервером.
  * 
+ * @param {Function|null} onProgress - Вызывается перед каждым шагом ({ step, total, label })
  * @returns {Promise<Object>} - Promise с результатом синхронизации
  */
-export async function fullSync() {
+export async function fullSync(onProgress = null) {
   if (!isOnline()) {
     updateLastSyncStatus(false, 'Нет подключения к интернету');
     return { success: false, reason: 'no_internet' };
@@ -302,27 +735,51 @@ export async function fullSync() {
 
   console.log('Начало полной синхронизации...');
 
+  // Шаги: получение каждой таблицы и четыре шага отправки
+  const total = PULL_TABLES.length + 4;
+  let step = 0;
+  const progress = label => {
+    step++;
+    if (onProgress) onProgress({ step, total, label });
+  };
+
   try {
+    // Токен сотрудника должен быть действующим, иначе сервер отклонит запросы (RLS)
+    await refreshAuthSession();
+
     // Сначала получаем данные с сервера
-    const pullResult = await pullFromServer();
+    const pullResult = await pullFromServer(target => progress('Получение: ' + target.label.toLowerCase()));
 
     // Затем отправляем локальные изменения
-    const itemsResult = await syncItems();
-    const sessionsResult = await syncInventorySessions();
-    const inventoryItemsResult = await syncInventoryItems();
+    progress('Отправка: поставщики');
+    const suppliersResult = await syncSuppliers();
+    progress('Отправка: очередь изменений');
+    const outboxResult = await replayOutbox();
+    progress('Отправка: движения товаров');
+    const movementsResult = await syncStockMovements();
+    progress('Отправка: журнал изменений');
+    const auditResult = await syncAuditLog();
+
+    const push = {
+      suppliers: suppliersResult,
+      outbox: outboxResult,
+      movements: movementsResult,
+      audit: auditResult
+    };
+
+    // Неотправленное и несохраненное придет снова, но синхронизация не считается успешной
+    const { failing } = summarizeOutbox(await db.getOutboxOperations());
+    const syncError = describeSyncErrors(pullResult, push, failing);
 
     const result = {
-      success: true,
+      success: !syncError,
+      error: syncError,
       pull: pullResult,
-      push: {
-        items: itemsResult,
-        sessions: sessionsResult,
-        inventoryItems: inventoryItemsResult
-      }
+      push
     };
 
     // Сохраняем время последней синхронизации
-    updateLastSyncStatus(true);
+    updateLastSyncStatus(!syncError, syncError);
 
     console.log('Синхронизация завершена:', result);
     return result;
@@ -352,6 +809,13 @@ function updateLastSyncStatus(success, error = null) {
  * Автоматическая синхронизация при восстановлении интернета
  */
 export function setupAutoSync() {
+  // Если вкладку закроют, очередь отправит сервис-воркер — ему нужна копия сессии входа
+  restoreAuthSession().catch(() => { });
+  registerPeriodicSync();
+  getSyncStatus().then(status => {
+    if (status.needsSync) requestBackgroundSync();
+  }).catch(() => { });
+
   // Синхронизируем при восстановлении интернета
   window.addEventListener('online', () => {
     console.log('Интернет восстановлен, запускаем синхронизацию...');
@@ -370,6 +834,43 @@ export function setupAutoSync() {
   }, 5 * 60 * 1000); // 5 минут
 }
 
+/**
+ * Получить очередь конфликтов синхронизации
+ * Конфликт — поле, которое изменили и на этом устройстве, и на другом.
+ *
+ * @returns {Promise<Array>} - Promise с массивом конфликтов
+ */
+export async function getSyncConflicts() {
+  return await db.getAllSyncConflicts();
+}
+
+/**
+ * Решить конфликт синхронизации
+ * При слиянии уже применено более позднее значение (conflict.applied).
+ * Если менеджер выбрал другое — записываем его как локальную правку,
+ * и оно уйдет на сервер при следующей синхронизации.
+ *
+ * @param {Object} conflict - Конфликт из очереди
+ * @param {string} choice - 'local' (значение этого устройства) или 'remote' (значение сервера)
+ * @returns {Promise<void>}
+ */
+export async function resolveSyncConflict(conflict, choice) {
+  const target = SYNC_TARGETS[conflict.store_name];
+  if (!target) {
+    throw new Error('Ошибка решения конфликта: неизвестное хранилище ' + conflict.store_name);
+  }
+
+  if (choice !== conflict.applied) {
+    const value = choice === 'local' ? conflict.local_value : conflict.remote_value;
+    await target.updateLocal(conflict.record_id, { [conflict.field]: value });
+    if (OUTBOX_TARGETS[conflict.store_name]) {
+      await db.addOutboxOperation(conflict.store_name, 'update', conflict.record_id, { [conflict.field]: value });
+    }
+  }
+
+  await db.deleteSyncConflict(conflict.id);
+}
+
 /**
  * Получить статус синхронизации
  * 
@@ -377,27 +878,37 @@ export function setupAutoSync() {
  */
 export async function getSyncStatus() {
   try {
-    const unsyncedItems = await db.getUnsyncedItems(STORES.ITEMS);
-    const unsyncedSessions = await db.getUnsyncedItems(STORES.INVENTORY_SESSIONS);
-    const unsyncedInventoryItems = await db.getUnsyncedItems(STORES.INVENTORY_ITEMS);
+    // Товары, сессии, записи подсчета и отчеты ждут отправки в очереди outbox
+    const outbox = summarizeOutbox(await db.getOutboxOperations());
+    const unsyncedMovements = await db.getUnsyncedItems(STORES.STOCK_MOVEMENTS);
+    const unsyncedSuppliers = await db.getUnsyncedItems(STORES.SUPPLIERS);
+
+    const conflicts = await db.getAllSyncConflicts();
 
-    const totalUnsynced = unsyncedItems.length + unsyncedSessions.length + unsyncedInventoryItems.length;
+    const totalUnsynced = outbox.total + unsyncedMovements.length + unsyncedSuppliers.length;
 
     return {
       online: isOnline(),
       unsynced: {
-        items: unsyncedItems.length,
-        sessions: unsyncedSessions.length,
-        inventoryItems: unsyncedInventoryItems.length,
+        items: outbox.byStore[STORES.ITEMS] || 0,
+        sessions: outbox.byStore[STORES.INVENTORY_SESSIONS] || 0,
+        inventoryItems: outbox.byStore[STORES.INVENTORY_ITEMS] || 0,
+        reports: outbox.byStore[STORES.INVENTORY_REPORTS] || 0,
+        movements: unsyncedMovements.length,
+        suppliers: unsyncedSuppliers.length,
         total: totalUnsynced
       },
+      failing: outbox.failing,
+      conflicts: conflicts.length,
       needsSync: totalUnsynced > 0
     };
   } catch (error) {
     console.error('Ошибка получения статуса синхронизации:', error);
     return {
       online: isOnline(),
-      unsynced: { items: 0, sessions: 0, inventoryItems: 0, total: 0 },
+      unsynced: { items: 0, sessions: 0, inventoryItems: 0, reports: 0, movements: 0, suppliers: 0, total: 0 },
+      failing: 0,
+      conflicts: 0,
       needsSync: false,
       error: error.message
     };
@@ -0,0 +1,271 @@
+/**
+ * Оценка остатков и расхождений в деньгах
+ *
+ * У товара есть себестоимость единицы (unit_cost) и история ее изменений
+ * (cost_history: [{ unit_cost, changed_at }]). Отчет инвентаризации запоминает
+ * себестоимость на момент завершения, а для старых отчетов она берется из истории
+ * на дату отчета. Итоги считаются по отчету, по категориям и по местам хранения.
+ *
+ * Если в журнале есть поступления с ценой, они образуют партии (слои себестоимости),
+ * и остаток оценивается выбранным методом: FIFO, средневзвешенной или последней ценой.
+ * Без поступлений с ценой используется себестоимость из карточки товара.
+ */
+
+// Группы для строк без категории и места хранения
+export const NO_CATEGORY = 'Без категории';
+export const NO_LOCATION = 'Без места хранения';
+
+// Методы оценки остатка по партиям поступлений
+export const COSTING_METHODS = {
+  fifo: { label: 'FIFO', description: 'Первыми расходуются старые партии, остаток — по ценам последних поступлений' },
+  average: { label: 'Средневзвешенная', description: 'Средняя цена всех поступлений с учетом количества' },
+  last: { label: 'Последняя цена', description: 'Весь остаток — по цене последнего поступления' }
+};
+
+export const DEFAULT_COSTING_METHOD = 'fifo';
+
+// Ключ в localStorage
+const COSTING_METHOD_KEY = 'costing_method';
+
+/**
+ * Загрузить метод оценки с этого устройства
+ *
+ * @returns {string} - Ключ из COSTING_METHODS
+ */
+export function loadCostingMethod() {
+  try {
+    const saved = localStorage.getItem(COSTING_METHOD_KEY);
+    return COSTING_METHODS[saved] ? saved : DEFAULT_COSTING_METHOD;
+  } catch (error) {
+    console.warn('Не удалось прочитать метод оценки:', error);
+    return DEFAULT_COSTING_METHOD;
+  }
+}
+
+/**
+ * Сохранить метод оценки на этом устройстве
+ *
+ * @param {string} method - Ключ из COSTING_METHODS
+ * @returns {string} - Сохраненный метод
+ */
+export function saveCostingMethod(method) {
+  const normalized = COSTING_METHODS[method] ? method : DEFAULT_COSTING_METHOD;
+  localStorage.setItem(COSTING_METHOD_KEY, normalized);
+  return normalized;
+}
+
+/**
+ * Округлить сумму до копеек
+ *
+ * @param {number} value - Сумма
+ * @returns {number}
+ */
+export function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Сумма для показа: "1 234,50 ₽"
+ *
+ * @param {number|null} value - Сумма
+ * @returns {string}
+ */
+export function formatMoney(value) {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return '—';
+  return `${roundMoney(value).toLocaleString('ru-RU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ₽`;
+}
+
+/**
+ * Изменения товара при смене себестоимости: новое значение и запись в истории
+ *
+ * @param {Object} item - Товар (с unit_cost и cost_history)
+ * @param {number|null} unitCost - Новая себестоимость (null — не задана)
+ * @param {string} changedAt - Когда изменилась (ISO), по умолчанию сейчас
+ * @returns {Object|null} - { unit_cost, cost_history } или null, если себестоимость не изменилась
+ */
+export function getCostHistoryUpdate(item, unitCost, changedAt = new Date().toISOString()) {
+  const previous = item?.unit_cost ?? null;
+  const next = unitCost === null || unitCost === undefined ? null : roundMoney(unitCost);
+  if (previous === next || (previous !== null && next !== null && roundMoney(previous) === next)) return null;
+
+  const history = Array.isArray(item?.cost_history) ? [...item.cost_history] : [];
+  history.push({ unit_cost: next, changed_at: changedAt });
+  return { unit_cost: next, cost_history: history };
+}
+
+/**
+ * Себестоимость товара на дату
+ * Если дата раньше первой записи истории, берется первая известная себестоимость.
+ *
+ * @param {Object} item - Товар
+ * @param {string} date - Дата (ISO); без даты — текущая себестоимость
+ * @returns {number|null}
+ */
+export function getUnitCostAt(item, date = null) {
+  const history = (Array.isArray(item?.cost_history) ? item.cost_history : [])
+    .filter(entry => entry && entry.changed_at)
+    .sort((a, b) => String(a.changed_at).localeCompare(String(b.changed_at)));
+  const time = Date.parse(date || '');
+  if (history.length === 0 || !Number.isFinite(time)) return item?.unit_cost ?? null;
+
+  let cost = history[0].unit_cost ?? null;
+  history.forEach(entry => {
+    if ((Date.parse(entry.changed_at) || 0) <= time) cost = entry.unit_cost ?? null;
+  });
+  return cost;
+}
+
+/**
+ * Партии (слои себестоимости) каждого товара по журналу поступлений
+ *
+ * @param {Array} movements - Движения товаров (см. stock.js); партией становится поступление с ценой
+ * @param {string} until - Учитывать поступления до этой даты (ISO) включительно, по умолчанию все
+ * @returns {Object} - { itemId: [{ quantity, unit_cost, received_at }] } от старых к новым
+ */
+export function buildCostLayers(movements, until = null) {
+  const untilTime = Date.parse(until || '');
+  const layers = {};
+
+  (movements || []).forEach(movement => {
+    const quantity = Number(movement?.quantity);
+    const cost = movement?.unit_cost;
+    if (movement?.type !== 'receipt' || !movement.item_id || !(quantity > 0)) return;
+    if (cost === null || cost === undefined || !Number.isFinite(Number(cost)) || Number(cost) < 0) return;
+    if (Number.isFinite(untilTime) && (Date.parse(movement.moved_at || '') || 0) > untilTime) return;
+
+    if (!layers[movement.item_id]) layers[movement.item_id] = [];
+    layers[movement.item_id].push({ quantity, unit_cost: Number(cost), received_at: movement.moved_at });
+  });
+
+  Object.values(layers).forEach(itemLayers => {
+    itemLayers.sort((a, b) => String(a.received_at).localeCompare(String(b.received_at)));
+  });
+  return layers;
+}
+
+/**
+ * Себестоимость единицы остатка по партиям
+ *
+ * @param {Array} layers - Партии товара от старых к новым (см. buildCostLayers)
+ * @param {number} quantity - Оцениваемый остаток
+ * @param {string} method - Ключ из COSTING_METHODS
+ * @returns {number|null} - null, если партий нет
+ */
+export function getLayeredUnitCost(layers, quantity, method = DEFAULT_COSTING_METHOD) {
+  if (!Array.isArray(layers) || layers.length === 0) return null;
+  const newest = layers[layers.length - 1];
+
+  if (method === 'last') return newest.unit_cost;
+
+  if (method === 'average') {
+    const totalQuantity = layers.reduce((sum, layer) => sum + layer.quantity, 0);
+    const totalValue = layers.reduce((sum, layer) => sum + layer.quantity * layer.unit_cost, 0);
+    return roundMoney(totalValue / totalQuantity);
+  }
+
+  // FIFO: старые партии уже израсходованы, остаток состоит из последних поступлений
+  const onHand = Number(quantity) || 0;
+  if (onHand <= 0) return newest.unit_cost;
+
+  let remaining = onHand;
+  let value = 0;
+  for (let i = layers.length - 1; i >= 0 && remaining > 0; i--) {
+    const taken = Math.min(remaining, layers[i].quantity);
+    value += taken * layers[i].unit_cost;
+    remaining -= taken;
+  }
+  // Остаток больше всех известных партий: лишнее — по цене самой старой партии
+  value += remaining * layers[0].unit_cost;
+  return roundMoney(value / onHand);
+}
+
+/**
+ * Стоимость строки отчета: остатка и разницы
+ *
+ * @param {Object} line - Строка отчета ({ quantity, difference, unit_cost })
+ * @returns {{stock_value: number|null, difference_value: number|null}} - null, если себестоимость не задана
+ */
+export function getLineValue(line) {
+  const cost = line?.unit_cost;
+  if (cost === null || cost === undefined || !Number.isFinite(Number(cost))) {
+    return { stock_value: null, difference_value: null };
+  }
+  return {
+    stock_value: roundMoney((Number(line.quantity) || 0) * Number(cost)),
+    difference_value: roundMoney((Number(line.difference) || 0) * Number(cost))
+  };
+}
+
+/**
+ * Пустые итоги группы
+ *
+ * @param {string} name - Название группы
+ * @returns {Object}
+ */
+function createTotals(name) {
+  return { name, stock_value: 0, surplus_value: 0, shortage_value: 0, net_value: 0, unpriced: 0 };
+}
+
+/**
+ * Добавить строку к итогам
+ *
+ * @param {Object} totals - Итоги (см. createTotals)
+ * @param {Object} value - Стоимость строки (см. getLineValue)
+ */
+function addToTotals(totals, value) {
+  if (value.stock_value === null) {
+    totals.unpriced++;
+    return;
+  }
+  totals.stock_value = roundMoney(totals.stock_value + value.stock_value);
+  if (value.difference_value > 0) totals.surplus_value = roundMoney(totals.surplus_value + value.difference_value);
+  // Недостача хранится положительной суммой, чтобы ее было удобно показывать
+  if (value.difference_value < 0) totals.shortage_value = roundMoney(totals.shortage_value - value.difference_value);
+  totals.net_value = roundMoney(totals.surplus_value - totals.shortage_value);
+}
+
+/**
+ * Итоги группы по названию, пустая группа — последней
+ *
+ * @param {Map} groups - Название → итоги
+ * @param {string} emptyName - Название пустой группы
+ * @returns {Array}
+ */
+function sortGroups(groups, emptyName) {
+  return Array.from(groups.values()).sort((a, b) => {
+    if (a.name === emptyName) return 1;
+    if (b.name === emptyName) return -1;
+    return a.name.localeCompare(b.name, 'ru');
+  });
+}
+
+/**
+ * Оценить отчет: стоимость остатка, излишков и недостач
+ *
+ * @param {Array} lines - Строки отчета ({ quantity, difference, unit_cost, category, location })
+ * @returns {Object} - { total, by_category, by_location }; total/группы: { name, stock_value, surplus_value, shortage_value, net_value, unpriced }
+ */
+export function summarizeReportValue(lines) {
+  const total = createTotals('Итого');
+  const byCategory = new Map();
+  const byLocation = new Map();
+
+  (lines || []).forEach(line => {
+    const value = getLineValue(line);
+    const category = String(line.category || '').trim() || NO_CATEGORY;
+    const location = String(line.location || '').trim() || NO_LOCATION;
+
+    if (!byCategory.has(category)) byCategory.set(category, createTotals(category));
+    if (!byLocation.has(location)) byLocation.set(location, createTotals(location));
+
+    addToTotals(total, value);
+    addToTotals(byCategory.get(category), value);
+    addToTotals(byLocation.get(location), value);
+  });
+
+  return {
+    total,
+    by_category: sortGroups(byCategory, NO_CATEGORY),
+    by_location: sortGroups(byLocation, NO_LOCATION)
+  };
+}
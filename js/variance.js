@@ -0,0 +1,181 @@
+/**
+ * Пороги расхождений и очередь пересчета
+ *
+ * Расхождение = посчитано − было. Товар требует пересчета, если расхождение
+ * больше обоих порогов: абсолютного (в единицах) и процентного (от прошлого количества).
+ * Пустой порог не проверяется. Пороги можно задать отдельно для категории.
+ *
+ * Пересчет считается выполненным, если у записи есть повторный подсчет (поле recount)
+ * или комментарий, объясняющий расхождение.
+ *
+ * Настройки хранятся на устройстве руководителя и копируются в сессию при ее создании,
+ * чтобы все устройства одной сессии проверяли одинаковые пороги.
+ */
+
+// Ключ в localStorage
+const THRESHOLDS_KEY = 'variance_thresholds';
+
+// Пороги по умолчанию: больше 5 единиц и больше 20%
+export const DEFAULT_VARIANCE_THRESHOLDS = {
+  default: { absolute: 5, percent: 20 },
+  categories: {}
+};
+
+/**
+ * Привести значение порога к числу (пустое — null)
+ *
+ * @param {*} value - Значение из формы или настроек
+ * @returns {number|null}
+ */
+function toThresholdValue(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(String(value).replace(',', '.'));
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Привести настройки порогов к полной структуре
+ *
+ * @param {Object} config - Настройки (могут быть неполными)
+ * @returns {{default: Object, categories: Object}}
+ */
+export function normalizeThresholds(config) {
+  const source = config && typeof config === 'object' ? config : DEFAULT_VARIANCE_THRESHOLDS;
+  const defaults = source.default || DEFAULT_VARIANCE_THRESHOLDS.default;
+  const categories = {};
+
+  Object.entries(source.categories || {}).forEach(([category, threshold]) => {
+    const key = String(category).trim().toLowerCase();
+    const absolute = toThresholdValue(threshold?.absolute);
+    const percent = toThresholdValue(threshold?.percent);
+    // Категория без обоих порогов проверяется по общему порогу
+    if (key && (absolute !== null || percent !== null)) {
+      categories[key] = { absolute, percent };
+    }
+  });
+
+  return {
+    default: {
+      absolute: toThresholdValue(defaults.absolute),
+      percent: toThresholdValue(defaults.percent)
+    },
+    categories
+  };
+}
+
+/**
+ * Загрузить пороги с этого устройства
+ *
+ * @returns {Object}
+ */
+export function loadVarianceThresholds() {
+  try {
+    const saved = localStorage.getItem(THRESHOLDS_KEY);
+    return normalizeThresholds(saved ? JSON.parse(saved) : DEFAULT_VARIANCE_THRESHOLDS);
+  } catch (error) {
+    console.warn('Не удалось прочитать пороги расхождений:', error);
+    return normalizeThresholds(DEFAULT_VARIANCE_THRESHOLDS);
+  }
+}
+
+/**
+ * Сохранить пороги на этом устройстве
+ *
+ * @param {Object} config - Настройки порогов
+ * @returns {Object} - Нормализованные настройки
+ */
+export function saveVarianceThresholds(config) {
+  const normalized = normalizeThresholds(config);
+  localStorage.setItem(THRESHOLDS_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Порог для категории товара (или общий, если для категории не задан)
+ *
+ * @param {Object} config - Настройки порогов
+ * @param {string} category - Категория товара
+ * @returns {{absolute: number|null, percent: number|null}}
+ */
+export function getCategoryThreshold(config, category) {
+  const normalized = normalizeThresholds(config);
+  const key = String(category || '').trim().toLowerCase();
+  return normalized.categories[key] || normalized.default;
+}
+
+/**
+ * Расхождение записи подсчета
+ *
+ * @param {Object} row - { quantity, previous_quantity }
+ * @returns {{difference: number, percent: number|null}|null} - null, если сравнивать не с чем
+ */
+export function getVariance(row) {
+  if (row?.previous_quantity === null || row?.previous_quantity === undefined) return null;
+
+  const previous = Number(row.previous_quantity) || 0;
+  const difference = (Number(row.quantity) || 0) - previous;
+
+  return {
+    difference,
+    percent: previous !== 0 ? Math.round((Math.abs(difference) / Math.abs(previous)) * 1000) / 10 : null
+  };
+}
+
+/**
+ * Превышает ли расхождение порог
+ *
+ * @param {Object} row - { quantity, previous_quantity }
+ * @param {Object} threshold - { absolute, percent }
+ * @returns {boolean}
+ */
+export function exceedsThreshold(row, threshold) {
+  const variance = getVariance(row);
+  if (!variance || variance.difference === 0) return false;
+  if (threshold.absolute === null && threshold.percent === null) return false;
+
+  const absoluteExceeded = threshold.absolute === null || Math.abs(variance.difference) > threshold.absolute;
+  // От нуля любой прирост — это больше любого процента
+  const percentExceeded = threshold.percent === null || variance.percent === null || variance.percent > threshold.percent;
+
+  return absoluteExceeded && percentExceeded;
+}
+
+/**
+ * Закрыт ли пересчет: есть повторный подсчет или комментарий
+ *
+ * @param {Object} row - Запись подсчета
+ * @returns {boolean}
+ */
+export function isRecountResolved(row) {
+  return Boolean(row?.recount) || String(row?.comment || '').trim() !== '';
+}
+
+/**
+ * Очередь пересчета: записи, расхождение которых больше порога
+ *
+ * @param {Array} rows - Записи подсчета ({ item_id, quantity, previous_quantity, comment, recount })
+ * @param {Object} itemsById - Товары по ID (для категории)
+ * @param {Object} config - Настройки порогов
+ * @returns {Array} - [{ row, item, threshold, difference, percent, resolved }]
+ */
+export function getRecountQueue(rows, itemsById, config) {
+  const normalized = normalizeThresholds(config);
+
+  return (rows || []).reduce((queue, row) => {
+    const item = itemsById?.[row.item_id] || null;
+    const threshold = getCategoryThreshold(normalized, item?.category);
+
+    if (exceedsThreshold(row, threshold)) {
+      const variance = getVariance(row);
+      queue.push({
+        row,
+        item,
+        threshold,
+        difference: variance.difference,
+        percent: variance.percent,
+        resolved: isRecountResolved(row)
+      });
+    }
+    return queue;
+  }, []);
+}
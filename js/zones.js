@@ -0,0 +1,180 @@
+/**
+ * Зоны подсчета внутри сессии инвентаризации
+ *
+ * Сессия делится на зоны по месту хранения товара (item.location: Бар, Кухня, Склад…).
+ * На каждую зону можно назначить считающего и отметить ее готовой.
+ * Зоны хранятся в сессии полем zones:
+ *   [{ location, counter, status: 'open'|'done', done_at, done_by, updated_at }]
+ */
+
+// Зона для товаров без места хранения
+export const DEFAULT_ZONE = 'Другое';
+
+// Привычный порядок зон; остальные идут после них по алфавиту
+const ZONE_ORDER = ['Бар', 'Кухня', 'Склад'];
+
+/**
+ * Зона, к которой относится товар
+ *
+ * @param {Object} item - Товар
+ * @returns {string} - Название зоны
+ */
+export function getItemZone(item) {
+  const location = String(item?.location || '').trim();
+  return location || DEFAULT_ZONE;
+}
+
+/**
+ * Сравнить зоны для сортировки
+ *
+ * @param {string} a - Название первой зоны
+ * @param {string} b - Название второй зоны
+ * @returns {number}
+ */
+function compareZoneNames(a, b) {
+  const rank = (name) => {
+    if (name === DEFAULT_ZONE) return ZONE_ORDER.length + 1;
+    const index = ZONE_ORDER.indexOf(name);
+    return index === -1 ? ZONE_ORDER.length : index;
+  };
+  return rank(a) - rank(b) || a.localeCompare(b, 'ru');
+}
+
+/**
+ * Создать пустую зону
+ *
+ * @param {string} location - Название зоны
+ * @param {string} now - Время создания (ISO)
+ * @returns {Object}
+ */
+export function createZone(location, now) {
+  return {
+    location,
+    counter: null,
+    status: 'open',
+    done_at: null,
+    done_by: null,
+    updated_at: now
+  };
+}
+
+/**
+ * Построить список зон по товарам
+ * Уже существующие зоны (с назначенными считающими и статусом) сохраняются,
+ * для новых мест хранения добавляются открытые зоны.
+ *
+ * @param {Array} items - Товары
+ * @param {Array} existingZones - Текущие зоны сессии
+ * @param {string} now - Время (ISO)
+ * @returns {Array} - Зоны, отсортированные в привычном порядке
+ */
+export function buildZones(items, existingZones = [], now = new Date().toISOString()) {
+  const byLocation = new Map();
+
+  (existingZones || []).forEach(zone => {
+    if (zone && zone.location) {
+      byLocation.set(zone.location, zone);
+    }
+  });
+
+  (items || []).forEach(item => {
+    const location = getItemZone(item);
+    if (!byLocation.has(location)) {
+      byLocation.set(location, createZone(location, now));
+    }
+  });
+
+  return Array.from(byLocation.values())
+    .sort((a, b) => compareZoneNames(a.location, b.location));
+}
+
+/**
+ * Изменить одну зону
+ *
+ * @param {Array} zones - Зоны сессии
+ * @param {string} location - Название зоны
+ * @param {Object} changes - Изменения ({ counter } или { status, done_by })
+ * @param {string} now - Время изменения (ISO)
+ * @returns {Array} - Новый список зон
+ */
+export function updateZone(zones, location, changes, now = new Date().toISOString()) {
+  return (zones || []).map(zone => {
+    if (zone.location !== location) return zone;
+
+    const updated = { ...zone, ...changes, updated_at: now };
+    if (changes.status === 'done') {
+      updated.done_at = now;
+    } else if (changes.status === 'open') {
+      updated.done_at = null;
+      updated.done_by = null;
+    }
+    return updated;
+  });
+}
+
+/**
+ * Объединить зоны двух устройств
+ * Зоны правят разные люди независимо, поэтому сливаем их по одной:
+ * для каждой зоны берем версию с более поздним updated_at.
+ *
+ * @param {Array} local - Зоны этого устройства
+ * @param {Array} remote - Зоны с сервера
+ * @returns {Array}
+ */
+export function mergeZones(local, remote) {
+  const byLocation = new Map();
+
+  [...(local || []), ...(remote || [])].forEach(zone => {
+    if (!zone || !zone.location) return;
+    const existing = byLocation.get(zone.location);
+    if (!existing || String(zone.updated_at || '') > String(existing.updated_at || '')) {
+      byLocation.set(zone.location, zone);
+    }
+  });
+
+  return Array.from(byLocation.values())
+    .sort((a, b) => compareZoneNames(a.location, b.location));
+}
+
+/**
+ * Прогресс подсчета по зонам
+ *
+ * @param {Array} zones - Зоны сессии
+ * @param {Array} items - Все товары
+ * @param {Array} inventoryItems - Записи подсчета сессии
+ * @returns {Array} - Зоны с полями total, counted, percent
+ */
+export function getZoneProgress(zones, items, inventoryItems) {
+  const countedIds = new Set((inventoryItems || []).map(row => row.item_id));
+  const totals = {};
+  const counted = {};
+
+  (items || []).forEach(item => {
+    const location = getItemZone(item);
+    totals[location] = (totals[location] || 0) + 1;
+    if (countedIds.has(item.id)) {
+      counted[location] = (counted[location] || 0) + 1;
+    }
+  });
+
+  return (zones || []).map(zone => {
+    const total = totals[zone.location] || 0;
+    const countedInZone = counted[zone.location] || 0;
+    return {
+      ...zone,
+      total,
+      counted: countedInZone,
+      percent: total > 0 ? Math.round((countedInZone / total) * 100) : 0
+    };
+  });
+}
+
+/**
+ * Зоны, которые еще не отмечены готовыми
+ *
+ * @param {Array} zones - Зоны сессии
+ * @returns {Array}
+ */
+export function getOpenZones(zones) {
+  return (zones || []).filter(zone => zone.status !== 'done');
+}
@@ -0,0 +1,6 @@
+-- Add barcode column to items table (used by the scanner on the counting screen)
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS barcode text;
+
+-- Fast lookup by scanned code
+CREATE INDEX IF NOT EXISTS idx_items_barcode ON public.items(barcode);
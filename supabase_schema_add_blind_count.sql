@@ -0,0 +1,8 @@
+-- Blind count: previous quantities and differences are hidden on the counting screen.
+-- They are shown in the report, or on a device where a supervisor unlocked them with a PIN.
+ALTER TABLE public.inventory_sessions
+ADD COLUMN IF NOT EXISTS blind_count boolean DEFAULT false;
+
+-- SHA-256 of "<session id>:<PIN>", null when no PIN was set
+ALTER TABLE public.inventory_sessions
+ADD COLUMN IF NOT EXISTS blind_pin_hash text;
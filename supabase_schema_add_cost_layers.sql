@@ -0,0 +1,5 @@
+-- Cost layers for stock valuation.
+-- A receipt with unit_cost is a cost layer; stock is valued from the layers
+-- by FIFO, weighted average or last price (chosen on the device).
+ALTER TABLE public.stock_movements
+ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(12, 2) CHECK (unit_cost IS NULL OR unit_cost >= 0);
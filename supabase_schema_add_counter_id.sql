@@ -0,0 +1,8 @@
+-- Quick counter switching on shared tablets.
+-- The employee picked on the device (by PIN) is stored on every count row and audit entry.
+-- Employees live on the device, so the id is device-local text; the name is in counted_by / user_name.
+ALTER TABLE public.inventory_items
+ADD COLUMN IF NOT EXISTS counted_by_id TEXT;
+
+ALTER TABLE public.audit_log
+ADD COLUMN IF NOT EXISTS counter_id TEXT;
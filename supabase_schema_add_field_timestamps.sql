@@ -0,0 +1,10 @@
+-- Per-field modification times for conflict resolution during sync.
+-- Stores { "field": "ISO timestamp" } so a device can tell which edit of a field is newer.
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS field_updated_at jsonb DEFAULT '{}'::jsonb;
+
+ALTER TABLE public.inventory_sessions
+ADD COLUMN IF NOT EXISTS field_updated_at jsonb DEFAULT '{}'::jsonb;
+
+ALTER TABLE public.inventory_items
+ADD COLUMN IF NOT EXISTS field_updated_at jsonb DEFAULT '{}'::jsonb;
@@ -0,0 +1,8 @@
+-- Par levels for suggested purchase orders.
+-- After a completed session, items counted below par_level are suggested for ordering,
+-- rounded up to a multiple of reorder_qty (case/pack size).
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS par_level numeric;
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS reorder_qty numeric;
@@ -0,0 +1,10 @@
+-- Variance thresholds and recount.
+-- Thresholds are copied into the session when it is created, so every device checks the same values:
+-- {default: {absolute, percent}, categories: {"<category in lower case>": {absolute, percent}}}
+ALTER TABLE public.inventory_sessions
+ADD COLUMN IF NOT EXISTS variance_thresholds jsonb;
+
+-- Second count of an item whose difference exceeded the threshold:
+-- {first_quantity, quantity, counted_by, counted_at}
+ALTER TABLE public.inventory_items
+ADD COLUMN IF NOT EXISTS recount jsonb;
@@ -0,0 +1,8 @@
+-- Comparison baseline ("Было") chosen when a session is started:
+-- { "type": "expected" | "session" | "current", "session_id": "<uuid>|null", "quantities": { "<item id>": 12 } }
+-- expected - counts of session_id plus stock movements after it
+-- session  - counts of session_id as they are
+-- current  - snapshot of items.current_quantity taken at session start (kept in "quantities")
+-- Sessions without a baseline are compared with the latest completed session.
+ALTER TABLE public.inventory_sessions
+ADD COLUMN IF NOT EXISTS baseline JSONB;
@@ -0,0 +1,10 @@
+-- Count zones: a session is split into zones by item location (Бар, Кухня, Склад…).
+-- Each zone is {location, counter, status: 'open'|'done', done_at, done_by, updated_at};
+-- devices merge zones one by one, so marking different zones done at the same time is safe.
+ALTER TABLE public.inventory_sessions
+ADD COLUMN IF NOT EXISTS zones jsonb DEFAULT '[]'::jsonb;
+
+-- Set when a manager completes a session before every zone is marked done:
+-- {by, at, open_zones}
+ALTER TABLE public.inventory_sessions
+ADD COLUMN IF NOT EXISTS completion_override jsonb;
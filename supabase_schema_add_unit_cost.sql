@@ -0,0 +1,9 @@
+-- Item cost for valuing inventory differences in money.
+-- cost_history keeps every change as [{ "unit_cost": 150, "changed_at": "..." }],
+-- so older reports are valued at the cost in effect on their date.
+-- Report lines (inventory_reports.items) snapshot unit_cost, category and location at completion.
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS unit_cost numeric;
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS cost_history jsonb DEFAULT '[]'::jsonb;
@@ -0,0 +1,9 @@
+-- Write-off journal (breakage, theft, spoilage) recorded from the item page.
+-- Write-offs are stock_movements rows with type 'write_off' and reason 'бой' | 'кража' | 'порча'.
+-- Run supabase_schema_stock_movements.sql first.
+ALTER TABLE public.stock_movements
+ADD COLUMN IF NOT EXISTS employee text;
+
+-- Public URL of the photo in the item-images bucket (write-offs/ folder)
+ALTER TABLE public.stock_movements
+ADD COLUMN IF NOT EXISTS photo_url text;
@@ -0,0 +1,34 @@
+-- Append-only audit log of data changes (items, sessions, count rows, reports).
+-- Create and delete are one row with the whole record; an update is one row per changed field.
+CREATE TABLE IF NOT EXISTS public.audit_log (
+  id UUID PRIMARY KEY,
+  entity TEXT NOT NULL, -- item, inventory_session, inventory_item, inventory_report
+  entity_id UUID NOT NULL,
+  item_id UUID,
+  session_id UUID,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  field TEXT,
+  old_value JSONB,
+  new_value JSONB,
+  device_id TEXT,
+  user_name TEXT,
+  source TEXT, -- import, movement, completion, correction; NULL for a manual edit
+  changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_item_id ON public.audit_log(item_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_session_id ON public.audit_log(session_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_changed_at ON public.audit_log(changed_at);
+
+-- Rows are never changed or removed
+CREATE OR REPLACE FUNCTION public.prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON public.audit_log;
+CREATE TRIGGER audit_log_append_only
+BEFORE UPDATE OR DELETE ON public.audit_log
+FOR EACH ROW EXECUTE FUNCTION public.prevent_audit_log_changes();
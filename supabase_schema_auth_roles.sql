@@ -0,0 +1,112 @@
+-- Staff roles and row level security (Supabase Auth).
+-- Run after the other schema files: the policies cover every table the app uses.
+--
+-- The role is stored in the user's app_metadata, which staff cannot edit themselves:
+--   counter — counts (default for users without a role)
+--   manager — also edits items, records movements, imports, completes and corrects sessions
+--   admin   — everything a manager can do; "Delete all data" is admin-only in the app
+-- Assign a role (picked up on the next sign-in or token refresh):
+--   UPDATE auth.users
+--   SET raw_app_meta_data = raw_app_meta_data || '{"role": "admin"}'::jsonb
+--   WHERE email = 'owner@example.com';
+-- Sign-in by PIN uses the user's password: set it to a PIN of at least 6 digits.
+--
+-- After this script the anon key alone no longer reads or writes data: every device must sign in.
+-- Policies are combined with OR, so drop any earlier "allow all" policies, for example:
+DROP POLICY IF EXISTS "Enable update for all users" ON public.items;
+
+CREATE OR REPLACE FUNCTION public.app_role()
+RETURNS TEXT AS $$
+  SELECT COALESCE(NULLIF(auth.jwt() -> 'app_metadata' ->> 'role', ''), 'counter');
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION public.is_manager()
+RETURNS BOOLEAN AS $$
+  SELECT public.app_role() IN ('manager', 'admin');
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE public.items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.inventory_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.inventory_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.inventory_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.stock_movements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.suppliers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Items, movements, suppliers and reports: everyone signed in reads, managers write
+DROP POLICY IF EXISTS "items_select" ON public.items;
+CREATE POLICY "items_select" ON public.items FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS "items_write" ON public.items;
+CREATE POLICY "items_write" ON public.items FOR ALL TO authenticated
+  USING (public.is_manager()) WITH CHECK (public.is_manager());
+
+DROP POLICY IF EXISTS "stock_movements_select" ON public.stock_movements;
+CREATE POLICY "stock_movements_select" ON public.stock_movements FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS "stock_movements_write" ON public.stock_movements;
+CREATE POLICY "stock_movements_write" ON public.stock_movements FOR ALL TO authenticated
+  USING (public.is_manager()) WITH CHECK (public.is_manager());
+
+DROP POLICY IF EXISTS "suppliers_select" ON public.suppliers;
+CREATE POLICY "suppliers_select" ON public.suppliers FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS "suppliers_write" ON public.suppliers;
+CREATE POLICY "suppliers_write" ON public.suppliers FOR ALL TO authenticated
+  USING (public.is_manager()) WITH CHECK (public.is_manager());
+
+DROP POLICY IF EXISTS "inventory_reports_select" ON public.inventory_reports;
+CREATE POLICY "inventory_reports_select" ON public.inventory_reports FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS "inventory_reports_write" ON public.inventory_reports;
+CREATE POLICY "inventory_reports_write" ON public.inventory_reports FOR ALL TO authenticated
+  USING (public.is_manager()) WITH CHECK (public.is_manager());
+
+-- Sessions and count rows: counters create and update them, only managers delete
+DROP POLICY IF EXISTS "inventory_sessions_select" ON public.inventory_sessions;
+CREATE POLICY "inventory_sessions_select" ON public.inventory_sessions FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS "inventory_sessions_insert" ON public.inventory_sessions;
+CREATE POLICY "inventory_sessions_insert" ON public.inventory_sessions FOR INSERT TO authenticated WITH CHECK (true);
+DROP POLICY IF EXISTS "inventory_sessions_update" ON public.inventory_sessions;
+CREATE POLICY "inventory_sessions_update" ON public.inventory_sessions FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+DROP POLICY IF EXISTS "inventory_sessions_delete" ON public.inventory_sessions;
+CREATE POLICY "inventory_sessions_delete" ON public.inventory_sessions FOR DELETE TO authenticated USING (public.is_manager());
+
+DROP POLICY IF EXISTS "inventory_items_select" ON public.inventory_items;
+CREATE POLICY "inventory_items_select" ON public.inventory_items FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS "inventory_items_insert" ON public.inventory_items;
+CREATE POLICY "inventory_items_insert" ON public.inventory_items FOR INSERT TO authenticated WITH CHECK (true);
+DROP POLICY IF EXISTS "inventory_items_update" ON public.inventory_items;
+CREATE POLICY "inventory_items_update" ON public.inventory_items FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+DROP POLICY IF EXISTS "inventory_items_delete" ON public.inventory_items;
+CREATE POLICY "inventory_items_delete" ON public.inventory_items FOR DELETE TO authenticated USING (public.is_manager());
+
+-- Completing or reopening a session is a status change, which a policy cannot see: check it in a trigger.
+-- Statements without a JWT (SQL Editor, service jobs) are not checked.
+CREATE OR REPLACE FUNCTION public.check_session_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.jwt() IS NOT NULL
+    AND NEW.status IN ('completed', 'reopened')
+    AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM NEW.status)
+    AND NOT public.is_manager() THEN
+    RAISE EXCEPTION 'Only managers can complete or reopen inventory sessions';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS inventory_sessions_status_role ON public.inventory_sessions;
+CREATE TRIGGER inventory_sessions_status_role
+BEFORE INSERT OR UPDATE ON public.inventory_sessions
+FOR EACH ROW EXECUTE FUNCTION public.check_session_status_change();
+
+-- Audit log: everyone signed in appends and reads (updates and deletes are blocked by its trigger).
+-- Rows also record the signed-in staff account next to the counter name typed on the device.
+ALTER TABLE public.audit_log ADD COLUMN IF NOT EXISTS user_id UUID;
+ALTER TABLE public.audit_log ADD COLUMN IF NOT EXISTS user_email TEXT;
+DROP POLICY IF EXISTS "audit_log_select" ON public.audit_log;
+CREATE POLICY "audit_log_select" ON public.audit_log FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS "audit_log_insert" ON public.audit_log;
+CREATE POLICY "audit_log_insert" ON public.audit_log FOR INSERT TO authenticated WITH CHECK (true);
+
+-- Item photos and write-off photos are uploaded by signed-in staff only
+DROP POLICY IF EXISTS "item_images_insert" ON storage.objects;
+CREATE POLICY "item_images_insert" ON storage.objects FOR INSERT TO authenticated
+  WITH CHECK (bucket_id = 'item-images');
@@ -0,0 +1,19 @@
+-- Collaborative counting: several devices count the same session at once.
+-- base_quantity + additions = quantity. Each addition is {id, value, device_id, counted_by, created_at, removed?},
+-- so devices merge their additions instead of overwriting each other.
+ALTER TABLE public.inventory_items
+ADD COLUMN IF NOT EXISTS base_quantity numeric;
+
+ALTER TABLE public.inventory_items
+ADD COLUMN IF NOT EXISTS additions jsonb DEFAULT '[]'::jsonb;
+
+-- Who counted the item last (name and device id)
+ALTER TABLE public.inventory_items
+ADD COLUMN IF NOT EXISTS counted_by text;
+
+ALTER TABLE public.inventory_items
+ADD COLUMN IF NOT EXISTS counted_by_device text;
+
+-- Live updates between devices via Supabase Realtime.
+-- If this fails because the table is already in the publication, it is safe to ignore.
+ALTER PUBLICATION supabase_realtime ADD TABLE public.inventory_items;
@@ -0,0 +1,48 @@
+-- Incremental (delta) sync: devices fetch only rows with updated_at after their per-table cursor.
+-- The server stamps updated_at on every insert and update, so a device with a wrong clock
+-- cannot write a timestamp that other devices' cursors have already passed.
+CREATE OR REPLACE FUNCTION public.set_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS items_set_updated_at ON public.items;
+CREATE TRIGGER items_set_updated_at
+BEFORE INSERT OR UPDATE ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS inventory_sessions_set_updated_at ON public.inventory_sessions;
+CREATE TRIGGER inventory_sessions_set_updated_at
+BEFORE INSERT OR UPDATE ON public.inventory_sessions
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS inventory_items_set_updated_at ON public.inventory_items;
+CREATE TRIGGER inventory_items_set_updated_at
+BEFORE INSERT OR UPDATE ON public.inventory_items
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS inventory_reports_set_updated_at ON public.inventory_reports;
+CREATE TRIGGER inventory_reports_set_updated_at
+BEFORE INSERT OR UPDATE ON public.inventory_reports
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS suppliers_set_updated_at ON public.suppliers;
+CREATE TRIGGER suppliers_set_updated_at
+BEFORE INSERT OR UPDATE ON public.suppliers
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS stock_movements_set_updated_at ON public.stock_movements;
+CREATE TRIGGER stock_movements_set_updated_at
+BEFORE INSERT OR UPDATE ON public.stock_movements
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Pages are read in (updated_at, id) order
+CREATE INDEX IF NOT EXISTS idx_items_updated_at ON public.items(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_sessions_updated_at ON public.inventory_sessions(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_items_updated_at ON public.inventory_items(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_reports_updated_at ON public.inventory_reports(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_suppliers_updated_at ON public.suppliers(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_updated_at ON public.stock_movements(updated_at, id);
@@ -0,0 +1,17 @@
+-- Reopen, correct and re-finalize a completed inventory session.
+-- corrections: audit trail of the session, oldest first:
+-- [{ "action": "reopen" | "quantity" | "finalize", "row_id": "<inventory_items id>", "item_id": "<uuid>",
+--    "from": 10, "to": 12, "reason": "text", "by": "counter name", "at": "ISO timestamp" }]
+-- status is 'reopened' while the session is open for correction.
+ALTER TABLE public.inventory_sessions
+ADD COLUMN IF NOT EXISTS corrections JSONB DEFAULT '[]'::jsonb;
+
+-- The report is regenerated in place; the first version of its lines is kept.
+ALTER TABLE public.inventory_reports
+ADD COLUMN IF NOT EXISTS original_items JSONB;
+
+ALTER TABLE public.inventory_reports
+ADD COLUMN IF NOT EXISTS revision INTEGER DEFAULT 1;
+
+ALTER TABLE public.inventory_reports
+ADD COLUMN IF NOT EXISTS corrected_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,24 @@
+-- Stock movements between counts: receipts from suppliers, write-offs, breakage and transfers.
+-- quantity is always positive; the direction comes from type
+-- (receipt, transfer_in add stock; write_off, breakage, transfer_out remove it).
+-- Rows are append-only: a mistake is corrected with an opposite movement.
+CREATE TABLE IF NOT EXISTS public.stock_movements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  item_id UUID REFERENCES public.items(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('receipt', 'write_off', 'breakage', 'transfer_in', 'transfer_out')),
+  quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+  reason TEXT,
+  counterparty TEXT,
+  moved_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_item ON public.stock_movements(item_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_moved_at ON public.stock_movements(moved_at);
+
+-- Moment the session was completed: movements after it belong to the next count.
+-- Older sessions without it fall back to updated_at.
+ALTER TABLE public.inventory_sessions
+ADD COLUMN IF NOT EXISTS completed_at timestamp with time zone;
@@ -0,0 +1,29 @@
+-- Supplier directory and the item-to-supplier link.
+-- An item references at most one supplier and keeps its own supplier SKU and purchase price.
+CREATE TABLE IF NOT EXISTS public.suppliers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  contact_name TEXT,
+  phone TEXT,
+  email TEXT,
+  -- Days from placing an order to delivery
+  lead_time_days INTEGER,
+  -- Weekdays when orders are placed: 1 = Monday … 7 = Sunday
+  order_days INTEGER[] NOT NULL DEFAULT '{}',
+  field_updated_at JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppliers_name ON public.suppliers(lower(name));
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS supplier_id UUID REFERENCES public.suppliers(id) ON DELETE SET NULL;
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS supplier_sku TEXT;
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS supplier_price NUMERIC;
+
+CREATE INDEX IF NOT EXISTS idx_items_supplier ON public.items(supplier_id);
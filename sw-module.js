@@ -0,0 +1,40 @@
+/**
+ * Модульный Service Worker: кэш из sw.js плюс фоновая отправка изменений
+ *
+ * Отправляет поставщиков, очередь outbox, движения и журнал изменений, когда
+ * появляется сеть, даже если вкладка закрыта (Background Sync и Periodic Background Sync).
+ * Модулем воркер нужен, чтобы использовать те же db.js и sync.js, что и страницы.
+ * Страницы регистрируют его с { type: 'module' }, а если браузер так не умеет — sw.js.
+ */
+
+import './sw.js';
+import { runBackgroundSync, BACKGROUND_SYNC_TAG, PERIODIC_SYNC_TAG } from './js/sync.js';
+
+/**
+ * Событие "sync" — сеть появилась после того, как изменения не ушли на сервер
+ * Если отправить все не удалось, браузер повторит событие позже
+ */
+self.addEventListener('sync', (event) => {
+  if (event.tag !== BACKGROUND_SYNC_TAG) return;
+
+  console.log('[Service Worker] Фоновая отправка очереди...');
+  event.waitUntil(
+    runBackgroundSync().catch((error) => {
+      console.error('[Service Worker] Ошибка фоновой синхронизации:', error);
+      throw error;
+    })
+  );
+});
+
+/**
+ * Событие "periodicsync" — периодическая отправка изменений (установленное приложение)
+ */
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== PERIODIC_SYNC_TAG) return;
+
+  event.waitUntil(
+    runBackgroundSync().catch((error) => {
+      console.warn('[Service Worker] Периодическая синхронизация не отправила все изменения:', error);
+    })
+  );
+});
@@ -5,10 +5,14 @@
  * Service Worker — это скрипт, который браузер запускает в фоновом режиме.
  * Он перехватывает сетевые запросы и может отдавать файлы из кэша,
  * даже когда нет интернета.
+ *
+ * Это классический воркер: только кэш и офлайн-режим. Фоновую отправку очереди
+ * (Background Sync) добавляет sw-module.js — модульный воркер, который подключает
+ * этот файл. Браузеры без модульных сервис-воркеров регистрируют sw.js напрямую.
  */
 
 // Версия кэша — меняйте при обновлении приложения, чтобы пользователи получили новые файлы
-const CACHE_VERSION = 'v1.0.7';
+const CACHE_VERSION = 'v1.0.32';
 const CACHE_NAME = `sabor-inventura-${CACHE_VERSION}`;
 
 // Список файлов для кэширования (эти файлы будут доступны офлайн)
@@ -23,13 +27,37 @@ const FILES_TO_CACHE = [
   './items-management.html',
   './items.html',
   './assets/tailwind.css',
+  './js/analytics.js',
   './js/app.js',
+  './js/audit-log.js',
+  './js/audit.js',
+  './js/auth.js',
+  './js/barcode.js',
+  './js/barcode-scanner.js',
+  './js/corrections.js',
+  './js/counting.js',
   './js/db.js',
+  './js/delta.js',
   './js/inventory-session.js',
   './js/inventory.js',
   './js/items.js',
+  './js/labels.js',
+  './js/merge.js',
+  './js/movements.js',
+  './js/outbox.js',
+  './js/purchasing.js',
+  './js/qr-decoder.js',
+  './js/qrcode.js',
+  './js/realtime.js',
+  './js/report-diff.js',
+  './js/roles.js',
+  './js/stock.js',
+  './js/suppliers.js',
   './js/supabase.js',
   './js/sync.js',
+  './js/valuation.js',
+  './js/variance.js',
+  './js/zones.js',
   './config/supabase-config.js',
   './assets/images/logo-sabor.png',
   './assets/icons/icon.svg',
@@ -131,7 +159,6 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
-
 /**
  * Обработка push-уведомлений (на будущее)
  */
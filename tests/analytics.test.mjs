@@ -0,0 +1,104 @@
+/**
+ * Тест аналитики по истории инвентаризаций
+ * Проверяем динамику по товару и категории, хронические недостачи и расход между подсчетами.
+ */
+
+import {
+    buildTrendSeries, getChronicShortages, getConsumptionRates, getLastChangePercent, renderTrendChart
+} from '../js/analytics.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста аналитики...');
+
+// Три инвентаризации с интервалом в 10 дней (в архиве — от новых к старым)
+const reports = [
+    {
+        id: 'r3', created_at: '2026-01-21T10:00:00Z', items: [
+            { item_id: 'wine', item_name: 'Вино', category: 'Алкоголь', quantity: 4, previous_quantity: 10, difference: -6 },
+            { item_id: 'glass', item_name: 'Бокал', category: 'Посуда', quantity: 30, previous_quantity: 32, difference: -2 },
+            { item_id: 'lemon', item_name: 'Лимон', quantity: 2, previous_quantity: 2, difference: 0 }
+        ]
+    },
+    {
+        id: 'r1', created_at: '2026-01-01T10:00:00Z', items: [
+            { item_id: 'wine', item_name: 'Вино', category: 'Алкоголь', quantity: 20, previous_quantity: null, difference: 0 },
+            { item_id: 'glass', item_name: 'Бокал', category: 'Посуда', quantity: 36, previous_quantity: 36, difference: 0 }
+        ]
+    },
+    {
+        id: 'r2', created_at: '2026-01-11T10:00:00Z', items: [
+            { item_id: 'wine', item_name: 'Вино', category: 'Алкоголь', quantity: 10, previous_quantity: 20, difference: -10 },
+            { item_id: 'glass', item_name: 'Бокал', quantity: 33, previous_quantity: 36, difference: -3 },
+            { item_id: 'lemon', item_name: 'Лимон', quantity: 3, previous_quantity: 2, difference: 1 }
+        ]
+    }
+];
+
+// Динамика
+const total = buildTrendSeries(reports);
+check('Отчеты от старых к новым', total.map(point => point.report_id), ['r1', 'r2', 'r3']);
+check('Общее количество', total.map(point => point.quantity), [56, 46, 36]);
+check('Общая недостача', total.map(point => point.shortage), [0, 13, 8]);
+check('Излишки', total.map(point => point.surplus), [0, 1, 0]);
+
+check('Динамика товара', buildTrendSeries(reports, { itemId: 'wine' }).map(point => point.quantity), [20, 10, 4]);
+// Во втором отчете у бокала нет категории — берется из карточки
+const glassCategory = buildTrendSeries(reports, { category: 'посуда' }, { glass: { category: 'Посуда' } });
+check('Динамика категории (категория из карточки для старых строк)', glassCategory.map(point => point.quantity), [36, 33, 30]);
+
+check('Изменение за последний интервал', getLastChangePercent([56, 46, 36]), -21.7);
+check('Изменение без истории', getLastChangePercent([56]), null);
+
+// Хронические недостачи
+check('Хронические недостачи', getChronicShortages(reports).map(entry => [entry.item_name, entry.short_reports, entry.total_shortage]),
+    [['Вино', 2, 16], ['Бокал', 2, 5]]);
+check('Ограничение списка', getChronicShortages(reports, 1).length, 1);
+check('Одна недостача — не хроническая', getChronicShortages(reports, 10, 3), []);
+
+// Расход между подсчетами
+const rates = getConsumptionRates(reports);
+check('Расход по убыванию', rates.map(entry => entry.item_id), ['wine', 'glass', 'lemon']);
+check('Расход вина в день', rates[0].per_day, 0.8);
+check('Последний интервал вина', rates[0].last_per_day, 0.6);
+check('Интервалы и дни', [rates[1].intervals, rates[1].days], [2, 20]);
+check('Расход бокалов — от прошлого подсчета, а не от ожидаемого', rates[1].consumed, 6);
+
+// Поступления между подсчетами: вина было 20, пришло 12, осталось 10 — израсходовано 22,
+// затем 10 − 4 перемещено − 4 осталось = 2
+const stockMovements = [
+    { item_id: 'wine', type: 'receipt', quantity: 12, moved_at: '2026-01-05T10:00:00Z' },
+    { item_id: 'wine', type: 'write_off', quantity: 2, moved_at: '2026-01-06T10:00:00Z' },
+    { item_id: 'wine', type: 'transfer_out', quantity: 4, moved_at: '2026-01-15T10:00:00Z' },
+    // Поступление ровно в момент прошлого подсчета уже посчитано
+    { item_id: 'wine', type: 'receipt', quantity: 5, moved_at: '2026-01-01T10:00:00Z' },
+    { item_id: 'glass', type: 'receipt', quantity: 100, moved_at: '2025-12-20T10:00:00Z' }
+];
+const ratesWithReceipts = getConsumptionRates(reports, stockMovements);
+const wineRate = ratesWithReceipts.find(entry => entry.item_id === 'wine');
+check('Поступления добавляются к прошлому подсчету', wineRate.consumed, 24);
+check('Перемещение на другую точку — не расход', wineRate.last_per_day, 0.2);
+check('Поступление до первого подсчета не учитывается', ratesWithReceipts.find(entry => entry.item_id === 'glass').consumed, 6);
+
+// График
+const svg = renderTrendChart(total);
+check('График — SVG', svg.startsWith('<svg'), true);
+check('Точка на каждый отчет', (svg.match(/<circle/g) || []).length, 3);
+check('Столбцы только для недостач', (svg.match(/<rect/g) || []).length, 2);
+check('Пустой график', renderTrendChart([]), '');
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Аналитика по истории считается корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
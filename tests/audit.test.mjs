@@ -0,0 +1,72 @@
+/**
+ * Тест журнала изменений
+ * Проверяем строки журнала при создании, изменении и удалении, служебные поля и фильтр.
+ */
+
+import { buildAuditEntries, filterAuditEntries, formatAuditValue } from '../js/audit.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста журнала изменений...');
+
+const context = { device_id: 'dev-1', user_name: 'Анна', counter_id: 'anna', source: 'import', changed_at: '2026-03-01T10:00:00.000Z' };
+const wine = { id: 'wine', name: 'Вино', current_quantity: 10, synced: true, updated_at: '2026-02-01', _base: { name: 'Вино' } };
+
+// Создание — одна строка со всей записью без служебных полей
+const created = buildAuditEntries('item', null, wine, context);
+check('Создание: одна строка', created.length, 1);
+check('Создание: запись без служебных полей', created[0].new_value, { name: 'Вино', current_quantity: 10 });
+check('Создание: товар, устройство, сотрудник, источник',
+    [created[0].action, created[0].item_id, created[0].device_id, created[0].user_name, created[0].counter_id, created[0].source], ['create', 'wine', 'dev-1', 'Анна', 'anna', 'import']);
+check('Без входа — учетная запись не указана', [created[0].user_id, created[0].user_email], [null, null]);
+const signedIn = buildAuditEntries('item', null, wine, { ...context, user_id: 'user-1', user_email: 'anna@example.com' });
+check('Вошедший сотрудник записывается', [signedIn[0].user_id, signedIn[0].user_email], ['user-1', 'anna@example.com']);
+
+// Изменение — строка на каждое поле
+const updated = buildAuditEntries('item', wine, { ...wine, current_quantity: 8, cost_history: [{ unit_cost: 100 }], synced: false, updated_at: '2026-03-01' }, context);
+check('Изменение: только измененные поля', updated.map(entry => [entry.field, entry.old_value, entry.new_value]),
+    [['current_quantity', 10, 8], ['cost_history', null, [{ unit_cost: 100 }]]]);
+check('Без изменений — пустой журнал', buildAuditEntries('item', wine, { ...wine, synced: false }, context), []);
+
+// Запись подсчета — товар и сессия для фильтра
+const row = { id: 'row-1', session_id: 's1', item_id: 'wine', quantity: 5, additions: [] };
+const rowEntries = buildAuditEntries('inventory_item', row, { ...row, quantity: 6, additions: [{ id: 'a', value: 1 }] }, context);
+check('Запись подсчета: товар и сессия', [rowEntries[0].item_id, rowEntries[0].session_id], ['wine', 's1']);
+check('Массивы сравниваются по содержимому', rowEntries.map(entry => entry.field), ['quantity', 'additions']);
+
+// Удаление и пропуск больших полей
+const report = { id: 'r1', session_id: 's1', total_items: 2, items: [{}, {}] };
+const deleted = buildAuditEntries('inventory_report', report, null, { ...context, omitFields: ['items'] });
+check('Удаление: прежняя запись без пропущенных полей', [deleted[0].action, deleted[0].old_value], ['delete', { session_id: 's1', total_items: 2 }]);
+check('Сессия: session_id — ID самой сессии', buildAuditEntries('inventory_session', null, { id: 's2', status: 'in_progress' }, context)[0].session_id, 's2');
+
+// Фильтр: по товару и сессии, новые первыми
+const entries = [
+    { id: 1, item_id: 'wine', session_id: null, changed_at: '2026-03-01T10:00:00Z' },
+    { id: 2, item_id: 'wine', session_id: 's1', changed_at: '2026-03-03T10:00:00Z' },
+    { id: 3, item_id: 'glass', session_id: 's1', changed_at: '2026-03-02T10:00:00Z' }
+];
+check('Фильтр по товару', filterAuditEntries(entries, { itemId: 'wine' }).map(entry => entry.id), [2, 1]);
+check('Фильтр по сессии', filterAuditEntries(entries, { sessionId: 's1' }).map(entry => entry.id), [2, 3]);
+check('Ограничение', filterAuditEntries(entries, { limit: 1 }).map(entry => entry.id), [2]);
+
+// Значения для просмотра
+check('Пустое значение', formatAuditValue(null), '—');
+check('Массив', formatAuditValue([1, 2, 3]), '[3]');
+check('Запись с названием', formatAuditValue({ name: 'Вино', current_quantity: 10 }), 'Вино');
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Журнал изменений записывается корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
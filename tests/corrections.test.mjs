@@ -0,0 +1,75 @@
+/**
+ * Тест исправления завершенной инвентаризации
+ * Проверяем записи журнала, пересчет разницы и изменение остатков после исправления.
+ */
+
+import {
+    buildSessionEntry, buildCorrectionEntry, getCorrectedRow, getOpenCorrections, getQuantityDeltas
+} from '../js/corrections.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+function checkThrows(name, fn) {
+    try {
+        fn();
+        console.error(`❌ ОШИБКА: ${name}: ожидалась ошибка`);
+        allCorrect = false;
+    } catch (error) {
+        console.log(`✅ ${name}`);
+    }
+}
+
+console.log('🧪 Запуск теста исправления инвентаризации...');
+
+const author = { by: 'Анна', at: '2026-03-02T10:00:00.000Z' };
+const wine = { id: 'row-wine', item_id: 'wine', quantity: 10, previous_quantity: 14, difference: -4 };
+const glass = { id: 'row-glass', item_id: 'glass', quantity: 30, previous_quantity: 30, difference: 0 };
+
+// Записи журнала
+check('Открытие с причиной', buildSessionEntry('reopen', ' Не учли склад ', author), { action: 'reopen', reason: 'Не учли склад', by: 'Анна', at: author.at });
+checkThrows('Открытие без причины', () => buildSessionEntry('reopen', '  ', author));
+check('Повторное завершение без причины', buildSessionEntry('finalize', null, author).reason, null);
+
+const entry = buildCorrectionEntry(wine, '12', 'Коробка на складе', author);
+check('Запись исправления: с чего на что', [entry.row_id, entry.item_id, entry.from, entry.to, entry.by], ['row-wine', 'wine', 10, 12, 'Анна']);
+checkThrows('Исправление без причины', () => buildCorrectionEntry(wine, 12, '', author));
+checkThrows('Отрицательное количество', () => buildCorrectionEntry(wine, -1, 'Опечатка', author));
+checkThrows('Пустое количество', () => buildCorrectionEntry(wine, '', 'Опечатка', author));
+checkThrows('Количество не изменилось', () => buildCorrectionEntry(wine, 10, 'Опечатка', author));
+checkThrows('Нет записи подсчета', () => buildCorrectionEntry(undefined, 5, 'Опечатка', author));
+
+// Разница пересчитывается от «Было»
+check('Разница после исправления', getCorrectedRow(wine, 12), { quantity: 12, difference: -2 });
+check('Без «Было» разницы нет', getCorrectedRow({ quantity: 3, previous_quantity: null }, 4), { quantity: 4, difference: null });
+
+// Журнал: прошлое исправление уже учтено, считаются только исправления после последнего открытия
+const corrections = [
+    { action: 'reopen', reason: 'Первое', at: '2026-03-01T10:00:00.000Z' },
+    { action: 'quantity', row_id: 'row-glass', item_id: 'glass', from: 28, to: 30 },
+    { action: 'finalize', at: '2026-03-01T11:00:00.000Z' },
+    { action: 'reopen', reason: 'Второе', at: '2026-03-02T09:00:00.000Z' },
+    { action: 'quantity', row_id: 'row-wine', item_id: 'wine', from: 10, to: 11 },
+    { action: 'quantity', row_id: 'row-wine', item_id: 'wine', from: 11, to: 12.5 }
+];
+check('Исправления после последнего открытия', getOpenCorrections(corrections).length, 2);
+check('Остаток меняется на разницу от первоначального подсчета',
+    getQuantityDeltas(corrections, [{ ...wine, quantity: 12.5 }, glass]), { wine: 2.5 });
+check('Исправили и вернули обратно — остаток не меняется',
+    getQuantityDeltas([...corrections, { action: 'quantity', row_id: 'row-wine', item_id: 'wine', from: 12.5, to: 10 }], [wine, glass]), {});
+check('Пустой журнал', getQuantityDeltas(undefined, [wine]), {});
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Исправление инвентаризации работает корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
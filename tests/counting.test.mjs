@@ -0,0 +1,91 @@
+/**
+ * Тест совместного подсчета
+ * Проверяем, что промежуточные значения двух устройств объединяются,
+ * удаление не "воскресает" при слиянии, а итог пересчитывается.
+ * Плюс сотрудники общего планшета (PIN) и статистика по сотрудникам в отчете.
+ */
+
+import { mergeAdditions, sumAdditions, applyCountTotals, getCountRowId, normalizeAdditions, getCounterStats, validateCounter, hashCounterPin, verifyCounterPin } from '../js/counting.js';
+import { threeWayMerge } from '../js/merge.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста совместного подсчета...');
+
+const bar = { id: 'a1', value: 5, device_id: 'bar', counted_by: 'Бар', created_at: '2026-01-01T10:00:00Z' };
+const kitchen = { id: 'k1', value: 3, device_id: 'kitchen', counted_by: 'Кухня', created_at: '2026-01-01T10:01:00Z' };
+
+const merged = mergeAdditions([bar], [kitchen]);
+check('Значения обоих устройств сохранены', merged.map(a => a.id), ['a1', 'k1']);
+check('Сумма промежуточных значений', sumAdditions(merged), 8);
+
+const removed = mergeAdditions([{ ...bar, removed: true }], [bar, kitchen]);
+check('Удаленное значение остается удаленным', sumAdditions(removed), 3);
+
+check('Старые числовые значения читаются', sumAdditions(normalizeAdditions([2, 4])), 6);
+
+// Слияние записи: у каждого устройства своя добавка — итог учитывает обе
+const base = { item_id: 'i1', base_quantity: 10, additions: [], quantity: 10, previous_quantity: 12 };
+const local = { ...base, additions: [bar], quantity: 15, updated_at: '2026-01-01T10:00:00Z' };
+const remote = { ...base, additions: [kitchen], quantity: 13, updated_at: '2026-01-01T10:01:00Z' };
+const result = threeWayMerge(base, local, remote);
+const totals = applyCountTotals(result.merged);
+check('Итог после слияния', totals.quantity, 18);
+check('Разница после слияния', totals.difference, 6);
+check('Списки additions не попадают в конфликты', result.conflicts.map(c => c.field).includes('additions'), false);
+
+const rowId = getCountRowId('session-1', 'item-1');
+check('ID записи стабилен', getCountRowId('session-1', 'item-1'), rowId);
+check('ID записи в формате UUID', /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(rowId), true);
+check('Разные товары — разные ID', getCountRowId('session-1', 'item-2') !== rowId, true);
+
+// Сотрудники общего планшета
+check('Имя сотрудника очищается', validateCounter('  Анна ', '1234', []), { name: 'Анна', pin: '1234' });
+const counterError = (name, pin, roster) => {
+    try {
+        validateCounter(name, pin, roster);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+check('Без имени нельзя', counterError('', '', []), 'Ошибка сотрудника: укажите имя');
+check('Имена не повторяются', counterError('анна', '', [{ name: 'Анна' }]), 'Ошибка сотрудника: такое имя уже есть');
+check('PIN — только цифры', counterError('Олег', '12ab', []), 'Ошибка сотрудника: PIN — от 4 до 8 цифр');
+
+const pinHash = await hashCounterPin('anna', '1234');
+check('Хеш PIN с солью из ID', pinHash !== (await hashCounterPin('oleg', '1234')), true);
+check('Верный PIN', await verifyCounterPin({ id: 'anna', pin_hash: pinHash }, '1234'), true);
+check('Неверный PIN', await verifyCounterPin({ id: 'anna', pin_hash: pinHash }, '4321'), false);
+check('Без PIN достаточно выбора', await verifyCounterPin({ id: 'oleg', pin_hash: null }, ''), true);
+
+// Статистика по сотрудникам в отчете
+const stats = getCounterStats([
+    { counted_by: 'Анна', difference: 0 },
+    { counted_by: 'Анна', difference: -2 },
+    { counted_by: 'Анна', difference: 1.5 },
+    { counted_by: 'Олег', difference: 0 },
+    { counted_by: null, difference: -1 }
+]);
+check('Статистика по сотрудникам', stats, [
+    { name: 'Анна', items: 3, with_difference: 2, surplus: 1.5, shortage: 2, variance_percent: 66.7 },
+    { name: 'Не указан', items: 1, with_difference: 1, surplus: 0, shortage: 1, variance_percent: 100 },
+    { name: 'Олег', items: 1, with_difference: 0, surplus: 0, shortage: 0, variance_percent: 0 }
+]);
+check('Старый отчет без авторов — без статистики', getCounterStats([{ difference: 1 }]), []);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Совместный подсчет работает корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
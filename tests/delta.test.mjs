@@ -0,0 +1,57 @@
+/**
+ * Тест получения изменений по курсорам (delta sync)
+ * Проверяем запас назад от курсора, запрос страниц и сдвиг курсора.
+ */
+
+import { getDeltaSince, buildDeltaQuery, getNextCursor, CURSOR_OVERLAP_MS, DELTA_PAGE_SIZE } from '../js/delta.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста получения изменений...');
+
+const cursor = { table: 'items', updated_at: '2026-03-01T10:00:00.000Z', id: 'b' };
+
+// С какого момента запрашивать
+check('Без курсора — вся таблица', getDeltaSince(null), null);
+check('Запас назад — минута', CURSOR_OVERLAP_MS, 60000);
+check('С курсором — с запасом назад', getDeltaSince(cursor), '2026-03-01T09:59:00.000Z');
+check('Без запаса', getDeltaSince(cursor, 0), '2026-03-01T10:00:00.000Z');
+
+// Запрос страницы
+check('Первая загрузка', buildDeltaQuery(null), `order=updated_at.asc,id.asc&limit=${DELTA_PAGE_SIZE}`);
+check('Изменения после момента', buildDeltaQuery('2026-03-01T09:59:00.000Z', null, 100),
+    'updated_at=gt.2026-03-01T09%3A59%3A00.000Z&order=updated_at.asc,id.asc&limit=100');
+check('Следующая страница — после последней строки',
+    decodeURIComponent(buildDeltaQuery('2026-03-01T09:59:00.000Z', { updated_at: '2026-03-01T10:00:00.123456+00:00', id: 'b' }, 100)),
+    'or=(updated_at.gt."2026-03-01T10:00:00.123456+00:00",and(updated_at.eq."2026-03-01T10:00:00.123456+00:00",id.gt."b"))&order=updated_at.asc,id.asc&limit=100');
+
+// Сдвиг курсора
+const rows = [
+    { id: 'c', updated_at: '2026-03-01T10:00:00.000Z' },
+    { id: 'a', updated_at: '2026-03-01T10:05:00.250+00:00' },
+    { id: 'z', updated_at: null },
+    { id: 'd', updated_at: '2026-03-01T10:05:00.250Z' }
+];
+check('Курсор — последняя строка по времени и ID', getNextCursor('items', cursor, rows),
+    { table: 'items', updated_at: '2026-03-01T10:05:00.250Z', id: 'd' });
+check('Без новых строк курсор не меняется', getNextCursor('items', cursor, []), cursor);
+check('Старые строки курсор не отодвигают назад', getNextCursor('items', cursor, [{ id: 'a', updated_at: '2026-03-01T09:59:30.000Z' }]), cursor);
+check('Первый курсор таблицы', getNextCursor('sessions', null, [{ id: 's1', updated_at: '2026-02-01T08:00:00Z' }]),
+    { table: 'sessions', updated_at: '2026-02-01T08:00:00.000Z', id: 's1' });
+check('Пустая таблица — курсора нет', getNextCursor('sessions', null, []), null);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Изменения запрашиваются по курсорам страницами.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
@@ -0,0 +1,61 @@
+/**
+ * Тест трехстороннего слияния записей при синхронизации
+ * Проверяем, что правки разных полей с двух устройств объединяются,
+ * а одно и то же поле, измененное с обеих сторон, попадает в конфликты.
+ */
+
+import { threeWayMerge, getChangedFields, stampChangedFields, valuesEqual } from '../js/merge.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста слияния записей...');
+
+const base = { name: 'Бокал', location: 'Бар', current_quantity: 10 };
+
+// Разные поля на разных устройствах — объединяются без конфликтов
+const local = { id: '1', ...base, current_quantity: 12, updated_at: '2026-01-01T10:00:00Z', field_updated_at: { current_quantity: '2026-01-01T10:00:00Z' } };
+const remote = { id: '1', ...base, location: 'Склад', updated_at: '2026-01-01T09:00:00Z', field_updated_at: { location: '2026-01-01T09:00:00Z' } };
+const result = threeWayMerge(base, local, remote);
+check('Локальное поле сохранено', result.merged.current_quantity, 12);
+check('Серверное поле принято', result.merged.location, 'Склад');
+check('Нет конфликтов при правке разных полей', result.conflicts.length, 0);
+check('Служебные поля не попадают в данные', 'updated_at' in result.merged, false);
+
+// Одно и то же поле — конфликт, побеждает более поздняя правка
+const localName = { ...local, name: 'Бокал винный', field_updated_at: { name: '2026-01-01T08:00:00Z' } };
+const remoteName = { ...remote, name: 'Бокал для вина', field_updated_at: { name: '2026-01-01T11:00:00Z' } };
+const conflictResult = threeWayMerge(base, localName, remoteName);
+check('Конфликт по полю name', conflictResult.conflicts.map(c => c.field), ['name']);
+check('Временно применена более поздняя правка', conflictResult.merged.name, 'Бокал для вина');
+check('В конфликте отмечено примененное значение', conflictResult.conflicts[0].applied, 'remote');
+check('В конфликте сохранено локальное значение', conflictResult.conflicts[0].local_value, 'Бокал винный');
+
+// Без базовой версии — выбор по времени, без очереди конфликтов
+const noBase = threeWayMerge(null, localName, remoteName);
+check('Без базы конфликт не создается', noBase.conflicts.length, 0);
+check('Без базы побеждает более поздняя правка', noBase.merged.name, 'Бокал для вина');
+
+// Отправляются только измененные поля
+check('Измененные поля относительно базы', getChangedFields(base, { ...base, current_quantity: 12, synced: false }), { current_quantity: 12 });
+
+// Время ставится только полям, которые реально изменились
+check('Отметка времени измененного поля', stampChangedFields(base, { name: 'Бокал', location: 'Кухня' }, 'T1'), { location: 'T1' });
+
+check('null и undefined равны', valuesEqual(null, undefined), true);
+check('Число и строка с тем же значением равны', valuesEqual(5, '5'), true);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Слияние записей работает корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
@@ -0,0 +1,110 @@
+/**
+ * Тест очереди отправки изменений (outbox)
+ * Проверяем слияние операций одной записи, паузы между попытками, порядок отправки
+ * и надгробия удаленных записей.
+ */
+
+import {
+    getOutboxKey,
+    createOutboxOperation,
+    coalesceOperation,
+    getRetryDelay,
+    getRetryState,
+    getDueOperations,
+    summarizeOutbox,
+    createTombstone,
+    removeDeleted,
+    RETRY_MAX_DELAY
+} from '../js/outbox.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста очереди отправки...');
+
+const at = '2026-03-01T10:00:00.000Z';
+const created = { ...createOutboxOperation('items', 'create', 'wine', { id: 'wine', name: 'Вино', current_quantity: 10 }, at), seq: 1 };
+
+// Новая операция
+check('Ключ записи', getOutboxKey('items', 'wine'), 'items:wine');
+check('Новая операция: без попыток', [created.entity_key, created.action, created.revision, created.attempts, created.next_attempt_at],
+    ['items:wine', 'create', 1, 0, null]);
+
+let unknownError = null;
+try {
+    createOutboxOperation('items', 'rename', 'wine');
+} catch (error) {
+    unknownError = error.message;
+}
+check('Неизвестная операция — ошибка', unknownError, 'Ошибка очереди отправки: неизвестная операция rename');
+
+// Слияние операций одной записи
+const update = createOutboxOperation('items', 'update', 'wine', { current_quantity: 8 }, '2026-03-01T10:05:00.000Z');
+const createdThenUpdated = coalesceOperation(created, update);
+check('Создание + правка — одно создание на прежнем месте', [createdThenUpdated.seq, createdThenUpdated.action, createdThenUpdated.revision],
+    [1, 'create', 2]);
+check('Создание + правка — данные объединены', createdThenUpdated.payload, { id: 'wine', name: 'Вино', current_quantity: 8 });
+
+const failedUpdate = { ...createOutboxOperation('items', 'update', 'wine', { name: 'Вино красное' }, at), seq: 4, attempts: 3, next_attempt_at: '2026-03-01T11:00:00.000Z', last_error: 'HTTP 500' };
+const updatedTwice = coalesceOperation(failedUpdate, update);
+check('Правка + правка — данные объединены', updatedTwice.payload, { name: 'Вино красное', current_quantity: 8 });
+check('Новое действие сбрасывает паузу', [updatedTwice.attempts, updatedTwice.next_attempt_at, updatedTwice.last_error], [0, null, null]);
+
+const removal = createOutboxOperation('items', 'delete', 'wine', { id: 'wine' }, '2026-03-01T10:10:00.000Z');
+const createdThenDeleted = coalesceOperation(createdThenUpdated, removal);
+check('Создание + удаление — удаление на месте создания', [createdThenDeleted.seq, createdThenDeleted.action, createdThenDeleted.payload, createdThenDeleted.revision],
+    [1, 'delete', { id: 'wine' }, 3]);
+
+const deleted = { ...removal, seq: 7 };
+const recreated = coalesceOperation(deleted, createOutboxOperation('items', 'create', 'wine', { id: 'wine', name: 'Вино' }, at));
+check('После удаления операция встает следом (новый seq)', ['seq' in recreated, recreated.action], [false, 'create']);
+check('Первая операция записи — как есть', coalesceOperation(null, update), update);
+
+// Паузы между попытками
+check('Пауза растет вдвое', [0, 1, 2, 3, 4].map(getRetryDelay), [0, 5000, 10000, 20000, 40000]);
+check('Пауза не дольше 30 минут', getRetryDelay(20), RETRY_MAX_DELAY);
+check('Неудачная попытка', getRetryState({ attempts: 1 }, 'HTTP 500', Date.parse(at)),
+    { attempts: 2, next_attempt_at: '2026-03-01T10:00:10.000Z', last_error: 'HTTP 500' });
+
+// Порядок отправки
+const now = Date.parse(at);
+const queue = [
+    { seq: 3, entity_key: 'items:beer', action: 'update', next_attempt_at: null },
+    { seq: 1, entity_key: 'items:wine', action: 'create', next_attempt_at: '2026-03-01T10:05:00.000Z' },
+    { seq: 2, entity_key: 'sessions:s1', action: 'create', next_attempt_at: '2026-03-01T09:59:00.000Z' },
+    { seq: 4, entity_key: 'items:wine', action: 'delete', next_attempt_at: null }
+];
+check('Отправка по порядку; запись на паузе ждет целиком', getDueOperations(queue, now).map(operation => operation.seq), [2, 3]);
+check('После паузы — все операции', getDueOperations(queue, Date.parse('2026-03-01T10:06:00.000Z')).map(operation => operation.seq), [1, 2, 3, 4]);
+
+// Сводка очереди
+check('Сводка очереди', summarizeOutbox([
+    { store_name: 'items', attempts: 0 },
+    { store_name: 'items', attempts: 2 },
+    { store_name: 'inventory_items', attempts: 0 }
+]), { total: 3, failing: 1, byStore: { items: 2, inventory_items: 1 } });
+check('Пустая очередь', summarizeOutbox([]), { total: 0, failing: 0, byStore: {} });
+
+// Надгробия: удаленное здесь не возвращается с сервера
+const tombstones = [createTombstone('items', 'wine', at), createTombstone('sessions', 's1', at)];
+check('Надгробие', tombstones[0], { key: 'items:wine', store_name: 'items', record_id: 'wine', deleted_at: at });
+check('Удаленный товар не возвращается', removeDeleted([{ id: 'wine' }, { id: 'beer' }, null], 'items', tombstones).map(item => item.id), ['beer']);
+check('Записи и отчеты удаленной сессии не возвращаются',
+    removeDeleted([{ id: 'r1', session_id: 's1' }, { id: 'r2', session_id: 's2' }], 'inventory_items', tombstones).map(row => row.id), ['r2']);
+check('Надгробие другого хранилища не мешает', removeDeleted([{ id: 's1' }], 'inventory_reports', tombstones).map(report => report.id), ['s1']);
+check('Без надгробий — все записи', removeDeleted([{ id: 'wine' }], 'items', []).length, 1);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Очередь отправки сливает операции, повторяет их по порядку и помнит удаления.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
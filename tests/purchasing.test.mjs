@@ -0,0 +1,98 @@
+/**
+ * Тест предлагаемого заказа
+ * Проверяем, что заказывается недостающее до минимального запаса с округлением
+ * до кратности, а строки группируются по поставщикам.
+ */
+
+import {
+    getOrderQuantity, getLastSuppliers, getItemSuppliers, buildPurchaseOrder, formatPurchaseOrderText, NO_SUPPLIER,
+    parseOrderDays, formatOrderDays, getNextOrderDate, getExpectedDeliveryDate
+} from '../js/purchasing.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста предлагаемого заказа...');
+
+// Количество к заказу
+check('Без минимального запаса не заказываем', getOrderQuantity(0, null, 6), 0);
+check('Запаса хватает', getOrderQuantity(10, 10, 6), 0);
+check('Недостающее до минимума', getOrderQuantity(3, 10), 7);
+check('Округление вверх до кратности', getOrderQuantity(3, 10, 6), 12);
+check('Ровно кратное не округляется', getOrderQuantity(4, 10, 6), 6);
+check('Дробные единицы', getOrderQuantity(1.2, 2.5), 1.3);
+
+// Поставщик — из последнего поступления
+const suppliers = getLastSuppliers([
+    { item_id: '1', type: 'receipt', counterparty: 'Метро', moved_at: '2026-02-01T10:00:00Z' },
+    { item_id: '1', type: 'receipt', counterparty: 'Винлаб', moved_at: '2026-02-05T10:00:00+00:00' },
+    { item_id: '1', type: 'write_off', counterparty: 'Склад', moved_at: '2026-02-06T10:00:00Z' },
+    { item_id: '2', type: 'receipt', counterparty: '', moved_at: '2026-02-06T10:00:00Z' }
+]);
+check('Последний поставщик по поступлениям', suppliers, { 1: 'Винлаб' });
+
+// Заказ
+const items = [
+    { id: '1', name: 'Вино', unit: 'бут.', par_level: 12, reorder_qty: 6 },
+    { id: '2', name: 'Бокал', unit: 'шт.', par_level: 24, reorder_qty: 24, current_quantity: 20 },
+    { id: '3', name: 'Апероль', unit: 'бут.', par_level: 6, reorder_qty: null },
+    { id: '4', name: 'Лимон', unit: 'кг', par_level: null }
+];
+const order = buildPurchaseOrder(items, { 1: 5, 3: 2, 4: 0 }, { 1: 'Винлаб', 3: 'Винлаб' });
+
+check('Строк в заказе', order.total_lines, 3);
+check('Группы по поставщикам, без поставщика последними', order.suppliers.map(group => group.supplier), ['Винлаб', NO_SUPPLIER]);
+check('Строки поставщика по названию', order.suppliers[0].lines.map(line => [line.item_name, line.order_qty]), [['Апероль', 4], ['Вино', 12]]);
+check('Непосчитанный товар — по текущему остатку', order.suppliers[1].lines[0].order_qty, 24);
+
+check('Текст для отправки', formatPurchaseOrderText({ suppliers: [order.suppliers[0]] }, '05.02.2026'),
+    'Заказ по инвентаризации от 05.02.2026\n\nВинлаб:\n- Апероль: 4 бут.\n- Вино: 12 бут.');
+
+// Справочник поставщиков: поставщик из карточки важнее последнего поступления
+const directory = [{ id: 's1', name: 'Метро', lead_time_days: 2, order_days: [1, 4] }];
+const itemSuppliers = getItemSuppliers(
+    [{ id: '1', supplier_id: 's1' }, { id: '2' }, { id: '3' }],
+    directory,
+    [
+        { item_id: '1', type: 'receipt', counterparty: 'Винлаб', moved_at: '2026-02-05T10:00:00Z' },
+        { item_id: '2', type: 'receipt', counterparty: 'Винлаб', moved_at: '2026-02-05T10:00:00Z' }
+    ]
+);
+check('Поставщик из карточки товара', itemSuppliers['1'].name, 'Метро');
+check('Поставщик из последнего поступления', itemSuppliers['2'], 'Винлаб');
+check('Без поставщика', itemSuppliers['3'], undefined);
+
+const directoryOrder = buildPurchaseOrder(
+    [{ id: '1', name: 'Вино', unit: 'бут.', par_level: 6, supplier_sku: 'W-1', supplier_price: 500 }],
+    { 1: 0 },
+    itemSuppliers
+);
+check('Группа знает поставщика из справочника', directoryOrder.suppliers[0].details.lead_time_days, 2);
+check('Артикул поставщика в тексте заказа', formatPurchaseOrderText(directoryOrder), 'Заказ по инвентаризации\n\nМетро:\n- Вино (W-1): 6 бут.');
+
+// Дни заказа и срок поставки
+check('Дни заказа из строки', parseOrderDays('Пн, чт; 4'), [1, 4]);
+check('Дни заказа из номеров', parseOrderDays([5, '2', 9]), [2, 5]);
+check('Дни заказа для показа', formatOrderDays([4, 1]), 'пн, чт');
+// 2026-02-04 — среда: ближайший заказ в четверг, поставка через 2 дня — в субботу
+const wednesday = new Date(2026, 1, 4);
+check('Ближайший день заказа', getNextOrderDate([1, 4], wednesday).getDate(), 5);
+check('Сегодня — день заказа', getNextOrderDate([3], wednesday).getDate(), 4);
+check('Без дней заказа', getNextOrderDate([], wednesday), null);
+check('Ожидаемая поставка', getExpectedDeliveryDate(directory[0], wednesday).getDate(), 7);
+check('Без срока поставки', getExpectedDeliveryDate({ order_days: [1] }, wednesday), null);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Предлагаемый заказ собирается корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
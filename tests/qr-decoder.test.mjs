@@ -0,0 +1,108 @@
+/**
+ * Тест программного декодера QR-кодов
+ * Коды строим независимым генератором (пакет qrcode из devDependencies): сначала читаем
+ * готовые матрицы всех уровней коррекции и версий, затем «снимки камерой» —
+ * повернутые, с неравномерным светом, шумом и поврежденными модулями.
+ */
+
+import QRCode from 'qrcode';
+import { decodeQrCode, decodeQrMatrix } from '../js/qr-decoder.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+/**
+ * Матрица модулей от генератора qrcode (true — темный модуль)
+ */
+function buildMatrix(text, options = {}) {
+    const qr = QRCode.create(text, options);
+    const size = qr.modules.size;
+    return Array.from({ length: size }, (_, y) => Array.from({ length: size }, (_, x) => Boolean(qr.modules.get(y, x))));
+}
+
+/**
+ * Повторяемый «шум» камеры без Math.random
+ */
+function createNoise(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648 - 0.5;
+    };
+}
+
+/**
+ * Кадр с кодом: поворот вокруг центра, свет слева темнее, шум
+ */
+function renderFrame(modules, { width = 320, height = 320, scale = 4, angle = 0, noise = 0 } = {}) {
+    const size = modules.length;
+    const total = (size + 8) * scale;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const random = createNoise(size);
+    const luminance = new Uint8ClampedArray(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const dx = x - width / 2;
+            const dy = y - height / 2;
+            const mx = Math.floor((cos * dx + sin * dy + total / 2) / scale) - 4;
+            const my = Math.floor((-sin * dx + cos * dy + total / 2) / scale) - 4;
+            const isDark = mx >= 0 && my >= 0 && mx < size && my < size && modules[my][mx];
+            luminance[y * width + x] = (isDark ? 30 : 230) * (0.55 + 0.45 * x / width) + random() * noise;
+        }
+    }
+    return luminance;
+}
+
+console.log('🧪 Запуск теста декодера QR-кодов...');
+
+// Матрицы: уровни коррекции и режимы (байты UTF-8, цифры, буквы и цифры)
+const texts = ['Glass_42', 'СИРОП-1', '4600000000011', 'INV-001 $%*+./:', 'https://example.com/items/' + 'a'.repeat(60)];
+['L', 'M', 'Q', 'H'].forEach(level => {
+    texts.forEach(text => {
+        check(`Матрица, уровень ${level}: ${text.slice(0, 20)}`, decodeQrMatrix(buildMatrix(text, { errorCorrectionLevel: level })), text);
+    });
+});
+
+// Все версии, в том числе с информацией о версии (7+) и несколькими блоками коррекции
+const failedVersions = [];
+for (let version = 1; version <= 40; version++) {
+    const text = `Версия ${version}`;
+    if (decodeQrMatrix(buildMatrix(text, { version, errorCorrectionLevel: 'M' })) !== text) {
+        failedVersions.push(version);
+    }
+}
+check('Версии 1-40', failedVersions, []);
+
+// Исправление ошибок: 12 поврежденных модулей в области данных
+const damaged = buildMatrix('Поврежденная этикетка', { errorCorrectionLevel: 'M' });
+for (let i = 0; i < 12; i++) {
+    const x = 9 + (i * 7) % 10;
+    const y = 10 + i % 10;
+    damaged[y][x] = !damaged[y][x];
+}
+check('Поврежденные модули исправляются', decodeQrMatrix(damaged), 'Поврежденная этикетка');
+check('Не QR-матрица', decodeQrMatrix([[true, false], [false, true]]), null);
+
+// Кадры с камеры
+check('Кадр: код латиницей', decodeQrCode(renderFrame(buildMatrix('Glass_42')), 320, 320), 'Glass_42');
+check('Кадр: кириллица, поворот', decodeQrCode(renderFrame(buildMatrix('СИРОП-1'), { angle: 0.5 }), 320, 320), 'СИРОП-1');
+check('Кадр: вверх ногами с шумом', decodeQrCode(renderFrame(buildMatrix('СИРОП-1'), { angle: Math.PI, noise: 40 }), 320, 320), 'СИРОП-1');
+check('Кадр: версия 6 с выравнивающим узором', decodeQrCode(renderFrame(buildMatrix(texts[4], { errorCorrectionLevel: 'M' }), { width: 480, height: 480, scale: 3, angle: -0.3 }), 480, 480), texts[4]);
+check('Кадр без кода', decodeQrCode(new Uint8ClampedArray(320 * 240).fill(200), 320, 240), null);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: QR-коды читаются без BarcodeDetector.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
@@ -0,0 +1,98 @@
+/**
+ * Тест генератора QR-кодов
+ * Каждый код читаем обратно программным декодером, а матрицу сверяем модуль
+ * в модуль с независимым генератором (пакет qrcode из devDependencies) с той же маской.
+ * Длины текстов — на границах версий для уровня M.
+ */
+
+import QRCode from 'qrcode';
+import { encodeQrCode } from '../js/qrcode.js';
+import { decodeQrCode, decodeQrMatrix } from '../js/qr-decoder.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+/**
+ * Маска, с которой эталонный генератор дает ту же матрицу (или null)
+ */
+function findReferenceMask(text, version, modules) {
+    for (let maskPattern = 0; maskPattern < 8; maskPattern++) {
+        const reference = QRCode.create([{ data: text, mode: 'byte' }], { version, errorCorrectionLevel: 'M', maskPattern }).modules;
+        const same = modules.every((row, y) => row.every((isDark, x) => isDark === Boolean(reference.get(y, x))));
+        if (same) return maskPattern;
+    }
+    return null;
+}
+
+/**
+ * Напечатанная этикетка: поле 4 модуля, модуль — scale пикселей
+ */
+function renderLabel(modules, scale = 3) {
+    const width = (modules.length + 8) * scale;
+    const luminance = new Uint8ClampedArray(width * width).fill(235);
+    modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (!isDark) return;
+        for (let dy = 0; dy < scale; dy++) {
+            luminance.fill(25, ((y + 4) * scale + dy) * width + (x + 4) * scale, ((y + 4) * scale + dy) * width + (x + 5) * scale);
+        }
+    }));
+    return { luminance, width };
+}
+
+console.log('🧪 Запуск теста генератора QR-кодов...');
+
+// Максимальная длина в байтах для уровня M: версия -> байты
+const VERSION_CAPACITY = { 1: 14, 2: 26, 3: 42, 4: 62, 5: 84, 6: 106, 7: 122, 8: 152, 9: 180, 10: 213 };
+
+Object.entries(VERSION_CAPACITY).forEach(([version, capacity]) => {
+    [capacity, capacity + 1].filter(length => length <= 213).forEach(length => {
+        const text = 'A'.repeat(length);
+        const expectedVersion = length === capacity ? Number(version) : Number(version) + 1;
+        const modules = encodeQrCode(text);
+
+        check(`${length} байт — версия ${expectedVersion}`, modules.length, expectedVersion * 4 + 17);
+        check(`${length} байт читаются декодером`, decodeQrMatrix(modules), text);
+        check(`${length} байт совпадают с эталоном`, findReferenceMask(text, expectedVersion, modules) !== null, true);
+    });
+});
+
+// Кириллица: 2 байта UTF-8 на букву
+const cyrillicTexts = ['СИРОП-1', 'Вино красное сухое 0,75', 'Ж'.repeat(7), 'Ж'.repeat(8), 'Ёлочная игрушка «Шар» — 12 шт.'];
+cyrillicTexts.forEach(text => {
+    const modules = encodeQrCode(text);
+    const version = (modules.length - 17) / 4;
+    check(`Кириллица читается: ${text}`, decodeQrMatrix(modules), text);
+    check(`Кириллица совпадает с эталоном: ${text}`, findReferenceMask(text, version, modules) !== null, true);
+});
+check('7 букв кириллицы (14 байт) — версия 1', encodeQrCode('Ж'.repeat(7)).length, 21);
+check('8 букв кириллицы (16 байт) — версия 2', encodeQrCode('Ж'.repeat(8)).length, 25);
+
+// Напечатанная этикетка читается программным декодером сканера
+['Glass_42', 'СИРОП-1', '4600000000011'].forEach(text => {
+    const { luminance, width } = renderLabel(encodeQrCode(text));
+    check(`Этикетка читается с камеры: ${text}`, decodeQrCode(luminance, width, width), text);
+});
+
+// Слишком длинный текст
+let tooLongError = null;
+try {
+    encodeQrCode('A'.repeat(214));
+} catch (error) {
+    tooLongError = error.message;
+}
+check('214 байт не помещаются в версию 10', tooLongError !== null, true);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: QR-коды этикеток кодируются по стандарту и читаются.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
@@ -0,0 +1,63 @@
+/**
+ * Тест сравнения двух отчетов
+ * Проверяем сопоставление строк по ID, артикулу и названию, разницу и новые/пропавшие товары.
+ */
+
+import { diffReports } from '../js/report-diff.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста сравнения отчетов...');
+
+// Январь прошлого года и январь этого года
+const lastYear = {
+    id: 'a', items: [
+        { item_id: 'wine', item_name: 'Вино', quantity: 20 },
+        // Бокал удален и заведен заново с тем же артикулом
+        { item_id: 'old-glass', item_name: 'Бокал винный', sku: 'GL-1', quantity: 36 },
+        // Лимон удален и заведен заново без артикула
+        { item_id: 'old-lemon', item_name: 'Лимон ', quantity: 3 },
+        { item_id: 'tonic', item_name: 'Тоник', quantity: 12 },
+        { item_id: 'salt', item_name: 'Соль', quantity: 1 }
+    ]
+};
+const thisYear = {
+    id: 'b', items: [
+        { item_id: 'wine', item_name: 'Вино', quantity: 14 },
+        { item_id: 'new-glass', item_name: 'Бокал', quantity: 30 },
+        { item_id: 'new-lemon', item_name: 'лимон', quantity: 3.5 },
+        { item_id: 'aperol', item_name: 'Апероль', quantity: 6 },
+        { item_id: 'salt', item_name: 'Соль', quantity: 1 }
+    ]
+};
+// Артикул нового бокала есть только в карточке товара
+const itemsById = { 'new-glass': { id: 'new-glass', name: 'Бокал', sku: 'gl-1' } };
+
+const { rows, summary } = diffReports(lastYear, thisYear, itemsById);
+const byName = Object.fromEntries(rows.map(row => [row.item_name, row]));
+
+check('Сопоставление по ID', [byName['Вино'].matched_by, byName['Вино'].delta], ['id', -6]);
+check('Сопоставление по артикулу', [byName['Бокал'].matched_by, byName['Бокал'].base_quantity, byName['Бокал'].delta], ['sku', 36, -6]);
+check('Сопоставление по названию', [byName['лимон'].matched_by, byName['лимон'].delta], ['name', 0.5]);
+check('Новый товар', [byName['Апероль'].status, byName['Апероль'].base_quantity, byName['Апероль'].delta], ['added', null, 6]);
+check('Пропавший товар', [byName['Тоник'].status, byName['Тоник'].target_quantity, byName['Тоник'].delta], ['removed', null, -12]);
+check('Без изменений', byName['Соль'].status, 'same');
+check('Порядок: изменения по величине, новые, пропавшие, без изменений', rows.map(row => row.item_name), ['Бокал', 'Вино', 'лимон', 'Апероль', 'Тоник', 'Соль']);
+check('Итоги', summary, { matched: 4, changed: 3, same: 1, added: 1, removed: 1, base_total: 72, target_total: 54.5, delta_total: -17.5 });
+check('Пустые отчеты', diffReports({}, { items: [] }).rows, []);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Отчеты сравниваются корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
@@ -0,0 +1,70 @@
+/**
+ * Тест ролей и прав
+ * Проверяем роль из app_metadata, права ролей, срок сессии входа и разбор ответа по ссылке из письма.
+ */
+
+import { getUserRole, hasPermission, isSessionExpired, normalizeAuthSession, parseAuthRedirect, pickNewerSession } from '../js/roles.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста ролей и прав...');
+
+// Роль — только из app_metadata (user_metadata сотрудник может изменить сам)
+check('Роль из app_metadata', getUserRole({ app_metadata: { role: 'Manager' } }), 'manager');
+check('Без входа — счетчик', getUserRole(null), 'counter');
+check('Неизвестная роль — счетчик', getUserRole({ app_metadata: { role: 'owner' } }), 'counter');
+check('user_metadata не дает роль', getUserRole({ user_metadata: { role: 'admin' } }), 'counter');
+
+// Права ролей
+const actions = ['edit_items', 'import', 'complete_session', 'delete_all'];
+check('Счетчик', actions.map(action => hasPermission('counter', action)), [false, false, false, false]);
+check('Менеджер', actions.map(action => hasPermission('manager', action)), [true, true, true, false]);
+check('Администратор', actions.map(action => hasPermission('admin', action)), [true, true, true, true]);
+check('Неизвестное действие запрещено', hasPermission('admin', 'format_disk'), false);
+
+// Срок сессии (expires_at в секундах)
+const now = Date.parse('2026-03-01T10:00:00Z');
+const nowSeconds = now / 1000;
+check('Действующая сессия', isSessionExpired({ access_token: 't', expires_at: nowSeconds + 3600 }, now), false);
+check('Скоро истечет — обновляем заранее', isSessionExpired({ access_token: 't', expires_at: nowSeconds + 30 }, now), true);
+check('Без запаса еще действует', isSessionExpired({ access_token: 't', expires_at: nowSeconds + 30 }, now, 0), false);
+check('Без токена — истекла', isSessionExpired({ expires_at: nowSeconds + 3600 }, now), true);
+
+// Копия сессии из IndexedDB (ее обновляет сервис-воркер); saved_at — время сохранения (мс)
+const ownSession = { access_token: 'a', expires_at: nowSeconds + 60, user: { id: 'u' }, saved_at: now };
+const workerSession = { access_token: 'b', expires_at: nowSeconds + 3600, user: { id: 'u' }, saved_at: now + 1000 };
+const signedOut = { signed_out: true, saved_at: now + 2000 };
+check('Воркер обновил токен — берем его копию', pickNewerSession(ownSession, workerSession), workerSession);
+check('Своя копия свежее', pickNewerSession(workerSession, ownSession), workerSession);
+check('Выход перекрывает старую копию сессии', pickNewerSession(signedOut, workerSession), signedOut);
+check('Вход после выхода на другой копии', pickNewerSession({ ...ownSession, saved_at: now + 3000 }, signedOut).access_token, 'a');
+check('Копия без времени (до обновления) — своя', pickNewerSession({ access_token: 'old' }, { access_token: 'older' }).access_token, 'old');
+check('Своей нет — копия из базы', pickNewerSession(null, workerSession), workerSession);
+check('Нет ни одной', pickNewerSession(null, null), null);
+
+// Ответ Supabase Auth
+check('Сессия из expires_in', normalizeAuthSession({ access_token: 'a', refresh_token: 'r', expires_in: 3600, user: { id: 'u' } }, now),
+    { access_token: 'a', refresh_token: 'r', expires_at: nowSeconds + 3600, user: { id: 'u' } });
+check('Без токена — нет сессии', normalizeAuthSession({ error: 'invalid_grant' }, now), null);
+
+// Адрес после перехода по ссылке
+check('Токены из фрагмента', parseAuthRedirect('#access_token=a&refresh_token=r&expires_in=3600&type=magiclink'),
+    { access_token: 'a', refresh_token: 'r', expires_in: '3600', expires_at: null });
+check('Ошибка из фрагмента', parseAuthRedirect('#error=access_denied&error_description=Email+link+is+invalid'), { error: 'Email link is invalid' });
+check('Обычный якорь — не вход', parseAuthRedirect('#zone-bar'), null);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Роли и права определяются корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
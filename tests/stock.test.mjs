@@ -0,0 +1,89 @@
+/**
+ * Тест журнала движений
+ * Проверяем, что ожидаемое количество = прошлый подсчет + движения после него,
+ * а движения вне периода между инвентаризациями не учитываются.
+ */
+
+import {
+    getSignedQuantity, sumMovementsByItem, getExpectedQuantities, getSessionCutoff, getWriteOffReport,
+    getCurrentQuantities, getBaselineQuantities
+} from '../js/stock.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста журнала движений...');
+
+// Направление задает тип, количество в записи всегда положительное
+check('Поступление увеличивает остаток', getSignedQuantity({ type: 'receipt', quantity: 12 }), 12);
+check('Бой уменьшает остаток', getSignedQuantity({ type: 'breakage', quantity: 2 }), -2);
+check('Перемещение на другую точку уменьшает остаток', getSignedQuantity({ type: 'transfer_out', quantity: '3' }), -3);
+check('Неизвестный тип не учитывается', getSignedQuantity({ type: 'gift', quantity: 5 }), 0);
+
+const previousSession = { completed_at: '2026-01-31T22:00:00.000Z', updated_at: '2026-02-02T10:00:00.000Z' };
+const cutoff = getSessionCutoff(previousSession);
+check('Граница периода — момент завершения', cutoff, '2026-01-31T22:00:00.000Z');
+check('Старая сессия без completed_at — время изменения', getSessionCutoff({ updated_at: '2026-02-02T10:00:00.000Z' }), '2026-02-02T10:00:00.000Z');
+check('Серверный формат даты сравнивается как момент', sumMovementsByItem([{ item_id: 'a', type: 'receipt', quantity: 1, moved_at: '2026-02-01T01:00:00+03:00' }], { from: '2026-01-31T22:00:00.000Z' }), {});
+
+const movements = [
+    // До завершения прошлой инвентаризации — уже в ее подсчете
+    { item_id: 'glass', type: 'receipt', quantity: 100, moved_at: '2026-01-30T10:00:00.000Z' },
+    { item_id: 'glass', type: 'receipt', quantity: 24, moved_at: '2026-02-05T10:00:00.000Z' },
+    { item_id: 'glass', type: 'breakage', quantity: 3, moved_at: '2026-02-10T10:00:00.000Z' },
+    { item_id: 'fork', type: 'transfer_out', quantity: 10, moved_at: '2026-02-11T10:00:00.000Z' },
+    // Новый товар, которого не было в прошлом подсчете
+    { item_id: 'plate', type: 'receipt', quantity: 6, moved_at: '2026-02-12T10:00:00.000Z' },
+    // После завершения текущей инвентаризации — относится к следующей
+    { item_id: 'fork', type: 'receipt', quantity: 50, moved_at: '2026-03-01T10:00:00.000Z' }
+];
+
+const net = sumMovementsByItem(movements, { from: cutoff, to: '2026-02-28T22:00:00.000Z' });
+check('Сумма движений за период', net, { glass: 21, fork: -10, plate: 6 });
+check('Без конца периода учитываются все движения после прошлой инвентаризации', sumMovementsByItem(movements, { from: cutoff }).fork, 40);
+
+const expected = getExpectedQuantities({ glass: 80, fork: 40, knife: 12 }, net);
+check('Ожидаемое = прошлый подсчет + движения', expected, { glass: 101, fork: 30, knife: 12, plate: 6 });
+
+// Дробные единицы не копят ошибку округления
+check('Дробные количества', getExpectedQuantities({ wine: 0.1 }, { wine: 0.2 }).wine, 0.3);
+
+// База сравнения сессии
+check('Ожидаемый остаток — подсчет + движения', getBaselineQuantities({ type: 'expected', session_id: 's1' }, { glass: 80 }, { glass: 21 }), { glass: 101 });
+check('Старая сессия без базы — ожидаемый остаток', getBaselineQuantities(null, { glass: 80 }, { glass: 21 }), { glass: 101 });
+check('Выбранная инвентаризация — без движений', getBaselineQuantities({ type: 'session', session_id: 's0' }, { glass: 80 }, { glass: 21 }), { glass: 80 });
+const snapshot = getCurrentQuantities([
+    { id: 'glass', current_quantity: 95 },
+    { id: 'fork', quantity: 4 },
+    { id: 'knife' },
+    { name: 'Без ID', current_quantity: 1 }
+]);
+check('Снимок остатков в карточках', snapshot, { glass: 95, fork: 4, knife: 0 });
+check('Остаток в карточках — из снимка сессии', getBaselineQuantities({ type: 'current', quantities: snapshot }, { glass: 80 }, { glass: 21 }), snapshot);
+
+// Журнал списаний по месяцам
+const report = getWriteOffReport([
+    { item_id: 'glass', type: 'write_off', quantity: 2, reason: 'бой', moved_at: '2026-02-10T21:00:00.000Z' },
+    { item_id: 'glass', type: 'write_off', quantity: 1, reason: 'Кража', moved_at: '2026-02-12T12:00:00.000Z' },
+    { item_id: 'fork', type: 'breakage', quantity: 3, moved_at: '2026-03-03T12:00:00.000Z' },
+    { item_id: 'fork', type: 'receipt', quantity: 50, moved_at: '2026-03-04T12:00:00.000Z' }
+]);
+check('Списания сгруппированы по месяцам, новые первыми', report.map(group => group.month), ['2026-03', '2026-02']);
+check('Поступления не попадают в журнал списаний', report[0].totalQuantity, 3);
+check('Итоги по причинам', report[1].byReason, { 'бой': 2, 'кража': 1 });
+check('Внутри месяца новые списания первыми', report[1].entries.map(entry => entry.quantity), [1, 2]);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Журнал движений работает корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
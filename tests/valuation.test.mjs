@@ -0,0 +1,88 @@
+/**
+ * Тест оценки расхождений в деньгах
+ * Проверяем историю себестоимости, итоги отчета по категориям и местам хранения
+ * и оценку остатка по партиям поступлений (FIFO, средневзвешенная, последняя цена).
+ */
+
+import {
+    getCostHistoryUpdate, getUnitCostAt, getLineValue, summarizeReportValue, roundMoney, NO_CATEGORY,
+    buildCostLayers, getLayeredUnitCost
+} from '../js/valuation.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста оценки в деньгах...');
+
+// История себестоимости
+check('Округление до копеек', roundMoney(0.1 + 0.2), 0.3);
+check('Себестоимость не изменилась', getCostHistoryUpdate({ unit_cost: 100 }, 100), null);
+check('Пустая себестоимость не изменилась', getCostHistoryUpdate({}, null), null);
+
+const first = getCostHistoryUpdate({}, 120, '2026-01-10T09:00:00.000Z');
+check('Первая себестоимость попадает в историю', first, {
+    unit_cost: 120,
+    cost_history: [{ unit_cost: 120, changed_at: '2026-01-10T09:00:00.000Z' }]
+});
+const second = getCostHistoryUpdate(first, 150, '2026-02-10T09:00:00.000Z');
+check('Новая себестоимость дописывается в историю', second.cost_history.length, 2);
+
+const glass = { ...second };
+check('Себестоимость на дату между изменениями', getUnitCostAt(glass, '2026-02-01T00:00:00.000Z'), 120);
+check('Себестоимость после изменения', getUnitCostAt(glass, '2026-03-01T00:00:00.000Z'), 150);
+check('До истории — первая известная', getUnitCostAt(glass, '2025-12-01T00:00:00.000Z'), 120);
+check('Без истории — текущая', getUnitCostAt({ unit_cost: 80 }, '2026-03-01'), 80);
+
+// Стоимость строки
+check('Стоимость строки', getLineValue({ quantity: 10, difference: -2, unit_cost: 150 }), { stock_value: 1500, difference_value: -300 });
+check('Строка без себестоимости', getLineValue({ quantity: 10, difference: -2 }), { stock_value: null, difference_value: null });
+
+// Итоги отчета
+const summary = summarizeReportValue([
+    { quantity: 10, difference: -2, unit_cost: 150, category: 'Посуда', location: 'Бар' },
+    { quantity: 5, difference: 1, unit_cost: 1000, category: 'Алкоголь', location: 'Бар' },
+    { quantity: 3, difference: -1, unit_cost: 1000, category: 'Алкоголь', location: 'Склад' },
+    { quantity: 4, difference: 0, unit_cost: 25.5, category: '', location: 'Кухня' },
+    { quantity: 7, difference: -7, unit_cost: null, category: 'Посуда', location: 'Бар' }
+]);
+
+check('Стоимость остатка', summary.total.stock_value, 1500 + 5000 + 3000 + 102);
+check('Излишки', summary.total.surplus_value, 1000);
+check('Недостачи (положительной суммой)', summary.total.shortage_value, 1300);
+check('Итог расхождений', summary.total.net_value, -300);
+check('Строки без себестоимости', summary.total.unpriced, 1);
+check('Категории по названию, без категории последней', summary.by_category.map(group => group.name), ['Алкоголь', 'Посуда', NO_CATEGORY]);
+check('Итоги категории', [summary.by_category[0].stock_value, summary.by_category[0].surplus_value, summary.by_category[0].shortage_value], [8000, 1000, 1000]);
+check('Итоги места хранения', summary.by_location.find(group => group.name === 'Бар').shortage_value, 300);
+
+// Партии поступлений: бокалы подорожали между заказами
+const layers = buildCostLayers([
+    { item_id: 'g', type: 'receipt', quantity: 24, unit_cost: 100, moved_at: '2026-01-05T10:00:00Z' },
+    { item_id: 'g', type: 'receipt', quantity: 12, unit_cost: 130, moved_at: '2026-02-05T10:00:00Z' },
+    { item_id: 'g', type: 'receipt', quantity: 6, moved_at: '2026-02-06T10:00:00Z' },
+    { item_id: 'g', type: 'write_off', quantity: 3, unit_cost: 999, moved_at: '2026-02-07T10:00:00Z' },
+    { item_id: 'g', type: 'receipt', quantity: 12, unit_cost: 160, moved_at: '2026-03-05T10:00:00Z' }
+], '2026-02-28T00:00:00Z');
+
+check('Партии — только поступления с ценой до даты', layers.g.map(layer => [layer.quantity, layer.unit_cost]), [[24, 100], [12, 130]]);
+check('Последняя цена', getLayeredUnitCost(layers.g, 10, 'last'), 130);
+check('Средневзвешенная', getLayeredUnitCost(layers.g, 10, 'average'), 110);
+check('FIFO: остаток из последней партии', getLayeredUnitCost(layers.g, 10, 'fifo'), 130);
+check('FIFO: остаток из двух партий', getLayeredUnitCost(layers.g, 20, 'fifo'), 118);
+check('FIFO: остаток больше партий — по самой старой цене', getLayeredUnitCost(layers.g, 40, 'fifo'), 109);
+check('Без партий', getLayeredUnitCost(undefined, 10, 'fifo'), null);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Расхождения оцениваются в деньгах корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
@@ -0,0 +1,62 @@
+/**
+ * Тест порогов расхождений
+ * Проверяем, что в очередь пересчета попадают только расхождения больше обоих порогов,
+ * пороги категории заменяют общие, а пересчет или комментарий закрывают позицию.
+ */
+
+import { getRecountQueue, exceedsThreshold, getCategoryThreshold, normalizeThresholds } from '../js/variance.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста порогов расхождений...');
+
+const config = {
+    default: { absolute: 5, percent: 20 },
+    categories: { 'Бокалы': { absolute: 1, percent: '' }, 'Приборы': { absolute: '', percent: '' } }
+};
+const threshold = getCategoryThreshold(config, 'Посуда');
+
+check('Больше обоих порогов — нужен пересчет', exceedsThreshold({ quantity: 70, previous_quantity: 100 }, threshold), true);
+check('Больше в единицах, но меньше в процентах — нет', exceedsThreshold({ quantity: 990, previous_quantity: 1000 }, threshold), false);
+check('Больше в процентах, но меньше в единицах — нет', exceedsThreshold({ quantity: 1, previous_quantity: 2 }, threshold), false);
+check('Рост с нуля проверяется по единицам', exceedsThreshold({ quantity: 6, previous_quantity: 0 }, threshold), true);
+check('Без прошлого количества сравнивать не с чем', exceedsThreshold({ quantity: 100, previous_quantity: null }, threshold), false);
+
+check('Порог категории без учета регистра', getCategoryThreshold(config, 'бокалы'), { absolute: 1, percent: null });
+check('Категория без значений использует общий порог', getCategoryThreshold(config, 'Приборы'), { absolute: 5, percent: 20 });
+check('Пустые значения становятся null', normalizeThresholds({ default: { absolute: '', percent: '10' } }).default, { absolute: null, percent: 10 });
+
+const itemsById = {
+    a: { id: 'a', category: 'Бокалы' },
+    b: { id: 'b', category: 'Посуда' },
+    c: { id: 'c', category: 'Посуда' }
+};
+const queue = getRecountQueue([
+    { item_id: 'a', quantity: 8, previous_quantity: 10 },
+    { item_id: 'b', quantity: 50, previous_quantity: 100, comment: 'Разбили при мойке' },
+    { item_id: 'c', quantity: 99, previous_quantity: 100 }
+], itemsById, config);
+
+check('В очереди позиции больше порога', queue.map(entry => entry.row.item_id), ['a', 'b']);
+check('Комментарий закрывает пересчет', queue.map(entry => entry.resolved), [false, true]);
+
+const recounted = getRecountQueue([
+    { item_id: 'a', quantity: 8, previous_quantity: 10, recount: { first_quantity: 7, quantity: 8 } }
+], itemsById, config);
+check('Повторный подсчет закрывает пересчет', recounted[0].resolved, true);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Пороги расхождений работают корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}
@@ -0,0 +1,60 @@
+/**
+ * Тест зон подсчета
+ * Проверяем, что зоны строятся по местам хранения, прогресс считается по зонам,
+ * а отметки разных зон с двух устройств не затирают друг друга.
+ */
+
+import { buildZones, updateZone, mergeZones, getZoneProgress, getOpenZones } from '../js/zones.js';
+
+let allCorrect = true;
+
+function check(name, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ОШИБКА: ${name}: ожидалось ${JSON.stringify(expected)}, получено ${JSON.stringify(actual)}`);
+        allCorrect = false;
+    }
+}
+
+console.log('🧪 Запуск теста зон подсчета...');
+
+const items = [
+    { id: '1', location: 'Склад' },
+    { id: '2', location: 'Бар' },
+    { id: '3', location: 'Бар' },
+    { id: '4', location: '' },
+    { id: '5', location: 'Терраса' }
+];
+
+const zones = buildZones(items, [], 'T0');
+check('Зоны по местам хранения в привычном порядке', zones.map(z => z.location), ['Бар', 'Склад', 'Терраса', 'Другое']);
+check('Новые зоны открыты', getOpenZones(zones).length, 4);
+
+// Существующие зоны сохраняют назначение, новые места хранения добавляются
+const assigned = updateZone(zones, 'Бар', { counter: 'Аня' }, 'T1');
+const rebuilt = buildZones([...items, { id: '6', location: 'Кухня' }], assigned, 'T2');
+check('Назначение зоны сохранено при пересборке', rebuilt.find(z => z.location === 'Бар').counter, 'Аня');
+check('Новая зона добавлена', rebuilt.map(z => z.location), ['Бар', 'Кухня', 'Склад', 'Терраса', 'Другое']);
+
+// Отметка готовности
+const doneBar = updateZone(assigned, 'Бар', { status: 'done', done_by: 'Аня' }, 'T3');
+check('Зона отмечена готовой', doneBar.find(z => z.location === 'Бар').done_at, 'T3');
+check('Повторное открытие сбрасывает отметку', updateZone(doneBar, 'Бар', { status: 'open' }, 'T4').find(z => z.location === 'Бар').done_by, null);
+
+// Два устройства отметили разные зоны одновременно — обе отметки сохраняются
+const doneStore = updateZone(assigned, 'Склад', { status: 'done' }, 'T3');
+const merged = mergeZones(doneBar, doneStore);
+check('Слияние сохраняет отметки обеих зон', merged.filter(z => z.status === 'done').map(z => z.location), ['Бар', 'Склад']);
+
+// Прогресс по зонам
+const progress = getZoneProgress(zones, items, [{ item_id: '2' }, { item_id: '1' }]);
+check('Прогресс зоны Бар', [progress[0].counted, progress[0].total, progress[0].percent], [1, 2, 50]);
+check('Товар без места хранения в зоне "Другое"', progress[3].total, 1);
+
+if (allCorrect) {
+    console.log('✨ ТЕСТ ПРОЙДЕН: Зоны подсчета работают корректно.');
+} else {
+    console.log('❌ ТЕСТ ПРОВАЛЕН: Обнаружены ошибки.');
+    process.exitCode = 1;
+}